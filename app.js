@@ -4,14 +4,32 @@ const cors = require("cors");
 const path = require("path");
 const cookieParser = require("cookie-parser");
 const { resultObject } = require("./src/helpers/common");
+const { apiRateLimit } = require("./src/middleware/rateLimit");
 
 const app = express();
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip
+// is the client address and rate limits apply per client, not per proxy
+if (process.env.TRUST_PROXY) {
+  const trustProxy = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy
+  );
+}
+
 app.use(
   cors({
     origin: ["http://localhost:3000"],
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    exposedHeaders: [
+      "Idempotent-Replayed",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+    ],
     credentials: true,
     optionsSuccessStatus: 200,
   })
@@ -51,7 +69,7 @@ app.get("/health", (req, res) => {
 
 const apiRoutes = require("./src/api");
 
-app.use("/api", apiRoutes);
+app.use("/api", apiRateLimit, apiRoutes);
 
 app.use((req, res, next) => {
   res.status(404).json(resultObject(false, "Endpoint was not found"));
@@ -1,10 +1,14 @@
 require("dotenv").config();
-require("./src/config/db");
+const db = require("./src/config/db");
 const { IP, PORT } = process.env;
 
 const http = require("http");
 
 const app = require("./app");
+const { CacheManager } = require("./src/utils/cache");
+const { NotificationService } = require("./src/services/notification");
+const { LowStockService } = require("./src/services/lowStock");
+const { closeRateLimitStore } = require("./src/middleware/rateLimit");
 
 const ip = IP || "localhost";
 const port = PORT || "8000";
@@ -16,3 +20,42 @@ server.listen(port).on("error", (e) => {
 });
 
 console.log("**********" + ip + ":" + port + "**********");
+
+// Retry notifications that could not be delivered right away
+NotificationService.startWorker();
+
+// Alert staff when items fall below their reorder level
+LowStockService.startWorker();
+
+const SHUTDOWN_TIMEOUT_MS = 10000;
+let shuttingDown = false;
+
+// Stop accepting connections, let in-flight requests finish, then close the pool
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, shutting down gracefully...`);
+
+    setTimeout(() => {
+        console.error("Could not finish in time, forcing shutdown");
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    server.close(async () => {
+        try {
+            await NotificationService.stopWorker();
+            await LowStockService.stopWorker();
+            await db.close();
+            await CacheManager.cache.close();
+            await closeRateLimitStore();
+            console.log("Shutdown complete");
+            process.exit(0);
+        } catch (error) {
+            console.error("Error during shutdown:", error);
+            process.exit(1);
+        }
+    });
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,196 @@
+/**
+ * Baseline schema: every table the API models read and write.
+ *
+ * Tables are created with IF NOT EXISTS so databases that were set up by the
+ * old ad-hoc scripts can adopt the migration history without losing data.
+ */
+
+const TABLES = [
+    {
+        name: 'users',
+        sql: `
+            CREATE TABLE IF NOT EXISTS users (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                phone_number VARCHAR(20) UNIQUE NOT NULL,
+                password VARCHAR(255) NOT NULL,
+                first_name VARCHAR(100) NOT NULL,
+                last_name VARCHAR(100) NOT NULL,
+                email VARCHAR(255) UNIQUE,
+                profile_picture VARCHAR(500) NULL,
+                is_active BOOLEAN DEFAULT FALSE,
+                role ENUM('user', 'admin') DEFAULT 'user',
+                activation_code_used VARCHAR(50) NULL,
+                activation_method ENUM('activation_code', 'admin_direct') NULL,
+                activated_at TIMESTAMP NULL,
+                activated_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_phone (phone_number),
+                INDEX idx_email (email),
+                INDEX idx_users_active (is_active),
+                FOREIGN KEY (activated_by) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `
+    },
+    {
+        name: 'categories',
+        sql: `
+            CREATE TABLE IF NOT EXISTS categories (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(100) UNIQUE NOT NULL,
+                code VARCHAR(20) UNIQUE NOT NULL,
+                slug VARCHAR(100) UNIQUE NOT NULL,
+                description TEXT,
+                image_url VARCHAR(500),
+                is_active BOOLEAN DEFAULT TRUE,
+                sort_order INT DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_slug (slug),
+                INDEX idx_active (is_active),
+                INDEX idx_sort (sort_order)
+            )
+        `
+    },
+    {
+        name: 'products',
+        sql: `
+            CREATE TABLE IF NOT EXISTS products (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(255) NOT NULL,
+                code VARCHAR(50) NOT NULL,
+                slug VARCHAR(255) UNIQUE,
+                description TEXT,
+                price DECIMAL(10, 2) NOT NULL,
+                stock_quantity INT DEFAULT 0,
+                category_id INT NULL,
+                image_url VARCHAR(500),
+                image_urls JSON NULL,
+                is_active BOOLEAN DEFAULT TRUE,
+                is_featured BOOLEAN DEFAULT FALSE,
+                weight DECIMAL(8, 2),
+                dimensions VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_products_category_code (category_id, code),
+                INDEX idx_products_category (category_id),
+                INDEX idx_products_featured (is_featured),
+                INDEX idx_active (is_active),
+                INDEX idx_price (price),
+                CONSTRAINT fk_products_category
+                    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL
+            )
+        `
+    },
+    {
+        name: 'activation_codes',
+        sql: `
+            CREATE TABLE IF NOT EXISTS activation_codes (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                code VARCHAR(50) UNIQUE NOT NULL,
+                created_by INT NULL,
+                used_by INT NULL,
+                used_at TIMESTAMP NULL,
+                expires_at TIMESTAMP NULL,
+                notes TEXT,
+                is_active BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_activation_codes_used_by (used_by),
+                INDEX idx_activation_codes_expires (expires_at),
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+                FOREIGN KEY (used_by) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `
+    },
+    {
+        name: 'orders',
+        sql: `
+            CREATE TABLE IF NOT EXISTS orders (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                order_number VARCHAR(50) NOT NULL,
+                user_id INT NULL,
+                customer_name VARCHAR(255) NOT NULL,
+                customer_phone VARCHAR(20) NOT NULL,
+                delivery_address VARCHAR(500) NOT NULL,
+                delivery_notes VARCHAR(500) NULL,
+                total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+                status ENUM('pending', 'confirmed', 'preparing', 'ready_to_ship', 'shipped', 'delivered', 'cancelled')
+                    NOT NULL DEFAULT 'pending',
+                admin_notes TEXT NULL,
+                confirmed_at TIMESTAMP NULL,
+                confirmed_by INT NULL,
+                shipped_at TIMESTAMP NULL,
+                shipped_by INT NULL,
+                delivered_at TIMESTAMP NULL,
+                delivered_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_orders_order_number (order_number),
+                INDEX idx_orders_user (user_id),
+                INDEX idx_orders_status (status),
+                INDEX idx_orders_created (created_at),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+                FOREIGN KEY (confirmed_by) REFERENCES users(id) ON DELETE SET NULL,
+                FOREIGN KEY (shipped_by) REFERENCES users(id) ON DELETE SET NULL,
+                FOREIGN KEY (delivered_by) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `
+    },
+    {
+        name: 'order_items',
+        sql: `
+            CREATE TABLE IF NOT EXISTS order_items (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                order_id INT NOT NULL,
+                product_id INT NULL,
+                product_name VARCHAR(255) NOT NULL,
+                product_code VARCHAR(50) NULL,
+                category_code VARCHAR(20) NULL,
+                full_code VARCHAR(70) NULL,
+                price DECIMAL(10, 2) NOT NULL,
+                selling_price DECIMAL(10, 2) NULL,
+                quantity INT NOT NULL,
+                subtotal DECIMAL(12, 2) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_order_items_order (order_id),
+                INDEX idx_order_items_product (product_id),
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL
+            )
+        `
+    },
+    {
+        name: 'order_status_history',
+        sql: `
+            CREATE TABLE IF NOT EXISTS order_status_history (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                order_id INT NOT NULL,
+                old_status VARCHAR(20) NULL,
+                new_status VARCHAR(20) NOT NULL,
+                changed_by INT NULL,
+                notes TEXT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_order_status_history_order (order_id),
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+                FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `
+    }
+];
+
+async function up(connection) {
+    for (const table of TABLES) {
+        await connection.query(table.sql);
+        console.log(`   ✅ ${table.name}`);
+    }
+}
+
+async function down(connection) {
+    for (const table of [...TABLES].reverse()) {
+        await connection.query(`DROP TABLE IF EXISTS ${table.name}`);
+        console.log(`   🗑️  ${table.name}`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,73 @@
+/**
+ * Race-free order numbers: per-period sequence table, seeded from existing
+ * orders, plus a unique constraint on orders.order_number
+ */
+
+// Same env settings and defaults as OrderModel.ORDER_NUMBER_FORMAT
+const prefix = process.env.ORDER_NUMBER_PREFIX ?? 'ORD';
+const dateFormat = process.env.ORDER_NUMBER_DATE_FORMAT ?? 'YYMMDD';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function seedSequences(connection) {
+    const datePattern = escapeRegExp(dateFormat)
+        .replace(/YYYY|YY|MM|DD/g, token => `\\d{${token.length}}`);
+    const orderNumberPattern = new RegExp(`^${escapeRegExp(prefix)}(${datePattern})(\\d+)$`);
+
+    const [orders] = await connection.query('SELECT order_number FROM orders');
+
+    // Highest sequence value already used for each date part
+    const lastValues = {};
+    for (const { order_number } of orders) {
+        const match = orderNumberPattern.exec(order_number || '');
+        if (!match) continue;
+
+        const [, sequenceKey, sequence] = match;
+        lastValues[sequenceKey] = Math.max(lastValues[sequenceKey] || 0, parseInt(sequence, 10));
+    }
+
+    for (const [sequenceKey, lastValue] of Object.entries(lastValues)) {
+        await connection.query(`
+            INSERT INTO order_number_sequences (sequence_key, last_value)
+            VALUES (?, ?)
+            ON DUPLICATE KEY UPDATE last_value = GREATEST(last_value, VALUES(last_value))
+        `, [sequenceKey, lastValue]);
+    }
+
+    console.log(`   ✅ Seeded ${Object.keys(lastValues).length} sequence(s) from ${orders.length} order(s)`);
+}
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS order_number_sequences (
+            sequence_key VARCHAR(32) NOT NULL PRIMARY KEY,
+            last_value INT UNSIGNED NOT NULL DEFAULT 0,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+
+    await seedSequences(connection);
+
+    const [duplicates] = await connection.query(`
+        SELECT order_number, COUNT(*) as count
+        FROM orders
+        GROUP BY order_number
+        HAVING COUNT(*) > 1
+    `);
+
+    if (duplicates.length > 0) {
+        const list = duplicates.map(row => `${row.order_number} (${row.count} orders)`).join(', ');
+        throw new Error(`Duplicate order numbers must be fixed first: ${list}`);
+    }
+
+    await connection.query(
+        'ALTER TABLE orders ADD UNIQUE INDEX uq_orders_order_number (order_number)'
+    );
+}
+
+async function down(connection) {
+    await connection.query('ALTER TABLE orders DROP INDEX uq_orders_order_number');
+    await connection.query('DROP TABLE IF EXISTS order_number_sequences');
+}
+
+module.exports = { up, down };
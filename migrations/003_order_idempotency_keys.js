@@ -0,0 +1,22 @@
+/**
+ * Idempotency keys for order creation: a client-supplied key can only
+ * create one order per user, so retried requests return the same order
+ */
+
+async function up(connection) {
+    await connection.query(`
+        ALTER TABLE orders
+        ADD COLUMN idempotency_key VARCHAR(100) NULL AFTER order_number,
+        ADD UNIQUE KEY uq_orders_user_idempotency (user_id, idempotency_key)
+    `);
+}
+
+async function down(connection) {
+    await connection.query(`
+        ALTER TABLE orders
+        DROP INDEX uq_orders_user_idempotency,
+        DROP COLUMN idempotency_key
+    `);
+}
+
+module.exports = { up, down };
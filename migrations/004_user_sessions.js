@@ -0,0 +1,34 @@
+/**
+ * Server-side login sessions backing rotating refresh tokens.
+ *
+ * Only SHA-256 hashes of refresh tokens are stored. previous_token_hash keeps
+ * the last rotated-out token so a replayed one can be detected.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            refresh_token_hash CHAR(64) NOT NULL,
+            previous_token_hash CHAR(64) NULL,
+            user_agent VARCHAR(255) NULL,
+            ip_address VARCHAR(45) NULL,
+            expires_at TIMESTAMP NOT NULL,
+            last_used_at TIMESTAMP NULL,
+            revoked_at TIMESTAMP NULL,
+            revoked_reason VARCHAR(50) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_user_sessions_user (user_id, revoked_at),
+            INDEX idx_user_sessions_expires (expires_at),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS user_sessions');
+}
+
+module.exports = { up, down };
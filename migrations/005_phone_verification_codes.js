@@ -0,0 +1,33 @@
+/**
+ * One-time SMS codes (password reset, phone verification).
+ *
+ * Codes are stored as bcrypt hashes with an attempt counter. Databases set up
+ * by the old setup script have a plaintext version of this table that no code
+ * reads; its rows expire after 10 minutes, so it is replaced rather than
+ * converted.
+ */
+
+async function up(connection) {
+    await connection.query('DROP TABLE IF EXISTS phone_verification_codes');
+
+    await connection.query(`
+        CREATE TABLE phone_verification_codes (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            phone_number VARCHAR(20) NOT NULL,
+            type ENUM('registration', 'password_reset') NOT NULL,
+            code_hash VARCHAR(255) NOT NULL,
+            attempts INT NOT NULL DEFAULT 0,
+            expires_at TIMESTAMP NOT NULL,
+            used_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_phone_verification_lookup (phone_number, type, created_at),
+            INDEX idx_phone_verification_expires (expires_at)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS phone_verification_codes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+/**
+ * Notification outbox: every outgoing message is persisted first and
+ * delivered (and retried with backoff) from here, so delivery status can be
+ * tracked per message.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS notifications (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            channel ENUM('sms') NOT NULL DEFAULT 'sms',
+            type VARCHAR(50) NOT NULL,
+            recipient VARCHAR(50) NOT NULL,
+            body TEXT NULL,
+            is_sensitive BOOLEAN NOT NULL DEFAULT FALSE,
+            user_id INT NULL,
+            reference_type VARCHAR(30) NULL,
+            reference_id INT NULL,
+            status ENUM('pending', 'sending', 'sent', 'failed', 'expired') NOT NULL DEFAULT 'pending',
+            attempts INT NOT NULL DEFAULT 0,
+            max_attempts INT NOT NULL DEFAULT 5,
+            next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NULL,
+            last_error TEXT NULL,
+            provider VARCHAR(20) NULL,
+            provider_message_id VARCHAR(100) NULL,
+            sent_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_notifications_due (status, next_attempt_at),
+            INDEX idx_notifications_recipient (recipient),
+            INDEX idx_notifications_reference (reference_type, reference_id),
+            INDEX idx_notifications_created (created_at),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS notifications');
+}
+
+module.exports = { up, down };
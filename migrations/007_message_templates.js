@@ -0,0 +1,32 @@
+/**
+ * Localized notifications: per-user preferred language and admin overrides
+ * of the built-in message templates (src/services/messageTemplates.js)
+ */
+
+async function up(connection) {
+    await connection.query(`
+        ALTER TABLE users
+        ADD COLUMN preferred_language VARCHAR(5) NOT NULL DEFAULT 'ar' AFTER profile_picture
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS message_templates (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            event VARCHAR(50) NOT NULL,
+            locale VARCHAR(5) NOT NULL,
+            body TEXT NOT NULL,
+            updated_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_message_templates_event_locale (event, locale),
+            FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS message_templates');
+    await connection.query('ALTER TABLE users DROP COLUMN preferred_language');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+/**
+ * Login brute-force protection.
+ *
+ * login_throttles keeps one failure counter per phone number and per IP
+ * address, reset by a successful login or an admin unlock. login_lockouts is
+ * the permanent record of every lockout and how it ended.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS login_throttles (
+            scope ENUM('phone', 'ip') NOT NULL,
+            identifier VARCHAR(45) NOT NULL,
+            failed_attempts INT NOT NULL DEFAULT 0,
+            first_failed_at TIMESTAMP NULL,
+            last_failed_at TIMESTAMP NULL,
+            locked_until TIMESTAMP NULL,
+            PRIMARY KEY (scope, identifier)
+        )
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS login_lockouts (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            scope ENUM('phone', 'ip') NOT NULL,
+            identifier VARCHAR(45) NOT NULL,
+            user_id INT NULL,
+            ip_address VARCHAR(45) NULL,
+            failed_attempts INT NOT NULL,
+            locked_until TIMESTAMP NOT NULL,
+            unlocked_at TIMESTAMP NULL,
+            unlocked_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_login_lockouts_identifier (scope, identifier, created_at),
+            INDEX idx_login_lockouts_user (user_id, created_at),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (unlocked_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS login_lockouts');
+    await connection.query('DROP TABLE IF EXISTS login_throttles');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,120 @@
+/**
+ * Roles and permissions.
+ *
+ * users.role becomes a reference to the roles table instead of a
+ * user/admin ENUM. Routes check permissions, never role names; the
+ * role_permissions table decides which roles hold them. super_admin holds
+ * every permission implicitly, including ones added later, and is the only
+ * role that can manage roles.
+ *
+ * Existing admins had unrestricted access, so they become super admins. The
+ * admin role keeps everything except role management.
+ */
+
+const PERMISSIONS = [
+    ['users:read', 'View users, their details and activation statistics'],
+    ['users:manage', 'Activate, deactivate and unlock users'],
+    ['activation_codes:manage', 'Generate, view and deactivate activation codes'],
+    ['roles:manage', 'Manage roles, permissions and role assignments'],
+    ['orders:read', 'View all orders and their history'],
+    ['orders:update_status', 'Move orders through their statuses'],
+    ['orders:cancel', 'Cancel any order'],
+    ['products:read', 'View all products, including inactive ones'],
+    ['products:manage', 'Create, edit and delete products'],
+    ['products:update_price', 'Change product prices'],
+    ['products:update_stock', 'Change product stock levels'],
+    ['categories:manage', 'Create, edit and delete categories'],
+    ['import:manage', 'Import and export products and categories as CSV'],
+    ['analytics:read', 'View sales and order analytics'],
+    ['notifications:read', 'View sent notifications and message templates'],
+    ['notifications:manage', 'Retry notifications and edit message templates']
+];
+
+const ROLES = [
+    ['super_admin', 'Full access, including role management', true, []],
+    ['admin', 'Full access except role management', true,
+        PERMISSIONS.map(([name]) => name).filter(name => name !== 'roles:manage')],
+    ['warehouse', 'Prepares and ships orders, keeps stock up to date', true, [
+        'orders:read', 'orders:update_status', 'products:read', 'products:update_stock'
+    ]],
+    ['catalog_manager', 'Maintains products, prices and categories', true, [
+        'products:read', 'products:manage', 'products:update_price',
+        'products:update_stock', 'categories:manage', 'import:manage'
+    ]],
+    ['support', 'Helps customers with accounts and orders', true, [
+        'users:read', 'users:manage', 'orders:read', 'orders:cancel', 'notifications:read'
+    ]],
+    ['user', 'Customer account', true, []]
+];
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS roles (
+            name VARCHAR(50) PRIMARY KEY,
+            description VARCHAR(255) NULL,
+            is_system BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS permissions (
+            name VARCHAR(100) PRIMARY KEY,
+            description VARCHAR(255) NULL
+        )
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS role_permissions (
+            role VARCHAR(50) NOT NULL,
+            permission VARCHAR(100) NOT NULL,
+            PRIMARY KEY (role, permission),
+            FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE ON UPDATE CASCADE,
+            FOREIGN KEY (permission) REFERENCES permissions(name) ON DELETE CASCADE
+        )
+    `);
+
+    await connection.query(
+        'INSERT IGNORE INTO permissions (name, description) VALUES ?',
+        [PERMISSIONS]
+    );
+    await connection.query(
+        'INSERT IGNORE INTO roles (name, description, is_system) VALUES ?',
+        [ROLES.map(([name, description, isSystem]) => [name, description, isSystem])]
+    );
+
+    const grants = ROLES.flatMap(([role, , , permissions]) =>
+        permissions.map(permission => [role, permission])
+    );
+    await connection.query(
+        'INSERT IGNORE INTO role_permissions (role, permission) VALUES ?',
+        [grants]
+    );
+
+    await connection.query(
+        "ALTER TABLE users MODIFY role VARCHAR(50) NOT NULL DEFAULT 'user'"
+    );
+    await connection.query("UPDATE users SET role = 'super_admin' WHERE role = 'admin'");
+    await connection.query(`
+        ALTER TABLE users
+        ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE
+    `);
+}
+
+async function down(connection) {
+    await connection.query('ALTER TABLE users DROP FOREIGN KEY fk_users_role');
+
+    // Staff roles have no equivalent; take their access away rather than grant admin
+    await connection.query("UPDATE users SET role = 'admin' WHERE role = 'super_admin'");
+    await connection.query("UPDATE users SET role = 'user' WHERE role NOT IN ('user', 'admin')");
+    await connection.query(
+        "ALTER TABLE users MODIFY role ENUM('user', 'admin') DEFAULT 'user'"
+    );
+
+    await connection.query('DROP TABLE IF EXISTS role_permissions');
+    await connection.query('DROP TABLE IF EXISTS permissions');
+    await connection.query('DROP TABLE IF EXISTS roles');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+/**
+ * Permanent record of privileged actions: who did what to which entity, the
+ * values before and after the change, and where the request came from.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            actor_id INT NULL,
+            actor_role VARCHAR(50) NULL,
+            action VARCHAR(100) NOT NULL,
+            entity_type VARCHAR(50) NOT NULL,
+            entity_id VARCHAR(100) NULL,
+            changes JSON NULL,
+            metadata JSON NULL,
+            ip_address VARCHAR(45) NULL,
+            user_agent VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_audit_log_actor (actor_id, created_at),
+            INDEX idx_audit_log_entity (entity_type, entity_id, created_at),
+            INDEX idx_audit_log_action (action, created_at),
+            INDEX idx_audit_log_created (created_at),
+            FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    await connection.query(
+        "INSERT IGNORE INTO permissions (name, description) VALUES ('audit_log:read', 'View the audit log of privileged actions')"
+    );
+    await connection.query(
+        "INSERT IGNORE INTO role_permissions (role, permission) VALUES ('admin', 'audit_log:read')"
+    );
+}
+
+async function down(connection) {
+    await connection.query("DELETE FROM permissions WHERE name = 'audit_log:read'");
+    await connection.query('DROP TABLE IF EXISTS audit_log');
+}
+
+module.exports = { up, down };
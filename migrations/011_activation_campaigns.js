@@ -0,0 +1,50 @@
+/**
+ * Activation code campaigns and multi-use codes.
+ *
+ * A campaign groups codes generated together (e.g. for a recruiting event).
+ * Codes may now be redeemed up to max_uses times; use_count tracks
+ * redemptions, while used_by/used_at keep the first one. Who redeemed a code
+ * is recorded on users.activation_code_used.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS activation_campaigns (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            name VARCHAR(100) UNIQUE NOT NULL,
+            description TEXT NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    await connection.query(`
+        ALTER TABLE activation_codes
+        ADD COLUMN campaign_id INT NULL AFTER code,
+        ADD COLUMN max_uses INT NOT NULL DEFAULT 1 AFTER campaign_id,
+        ADD COLUMN use_count INT NOT NULL DEFAULT 0 AFTER max_uses,
+        ADD INDEX idx_activation_codes_campaign (campaign_id),
+        ADD CONSTRAINT fk_activation_codes_campaign
+            FOREIGN KEY (campaign_id) REFERENCES activation_campaigns(id) ON DELETE SET NULL
+    `);
+
+    await connection.query(
+        'UPDATE activation_codes SET use_count = 1 WHERE used_by IS NOT NULL'
+    );
+}
+
+async function down(connection) {
+    await connection.query(`
+        ALTER TABLE activation_codes
+        DROP FOREIGN KEY fk_activation_codes_campaign,
+        DROP INDEX idx_activation_codes_campaign,
+        DROP COLUMN use_count,
+        DROP COLUMN max_uses,
+        DROP COLUMN campaign_id
+    `);
+    await connection.query('DROP TABLE IF EXISTS activation_campaigns');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+/**
+ * Referral-based activation.
+ *
+ * Active users can create personal invite codes: activation codes whose
+ * referrer_id is the inviting user. Whoever activates with one gets
+ * users.referred_by set to the referrer. users.invite_quota overrides the
+ * default number of invites a user may have (NULL = default).
+ */
+
+async function up(connection) {
+    await connection.query(`
+        ALTER TABLE users
+        ADD COLUMN referred_by INT NULL AFTER activated_by,
+        ADD COLUMN invite_quota INT NULL AFTER referred_by,
+        ADD INDEX idx_users_referred_by (referred_by),
+        ADD CONSTRAINT fk_users_referred_by
+            FOREIGN KEY (referred_by) REFERENCES users(id) ON DELETE SET NULL
+    `);
+
+    await connection.query(`
+        ALTER TABLE activation_codes
+        ADD COLUMN referrer_id INT NULL AFTER campaign_id,
+        ADD INDEX idx_activation_codes_referrer (referrer_id),
+        ADD CONSTRAINT fk_activation_codes_referrer
+            FOREIGN KEY (referrer_id) REFERENCES users(id) ON DELETE CASCADE
+    `);
+}
+
+async function down(connection) {
+    await connection.query(`
+        ALTER TABLE activation_codes
+        DROP FOREIGN KEY fk_activation_codes_referrer,
+        DROP INDEX idx_activation_codes_referrer,
+        DROP COLUMN referrer_id
+    `);
+    await connection.query(`
+        ALTER TABLE users
+        DROP FOREIGN KEY fk_users_referred_by,
+        DROP INDEX idx_users_referred_by,
+        DROP COLUMN invite_quota,
+        DROP COLUMN referred_by
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+/**
+ * Nested categories: parent_id points at the parent category, NULL for top
+ * level categories. A category with subcategories cannot be deleted.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        ALTER TABLE categories
+        ADD COLUMN parent_id INT NULL AFTER id,
+        ADD INDEX idx_categories_parent (parent_id, sort_order),
+        ADD CONSTRAINT fk_categories_parent
+            FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE RESTRICT
+    `);
+}
+
+async function down(connection) {
+    await connection.query(`
+        ALTER TABLE categories
+        DROP FOREIGN KEY fk_categories_parent,
+        DROP INDEX idx_categories_parent,
+        DROP COLUMN parent_id
+    `);
+}
+
+module.exports = { up, down };
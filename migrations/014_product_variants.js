@@ -0,0 +1,76 @@
+/**
+ * Product variants.
+ *
+ * Option types (Color, Size, Capacity, ...) are shared by all products. A
+ * variant is a sellable version of a product with its own code suffix
+ * (appended to the product's full code), stock and optionally its own price
+ * (NULL = the product price), described by one value per option type.
+ * Order items record the variant they were ordered in.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS variant_option_types (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            name VARCHAR(50) UNIQUE NOT NULL,
+            sort_order INT DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS product_variants (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            product_id INT NOT NULL,
+            code_suffix VARCHAR(20) NOT NULL,
+            price DECIMAL(10, 2) NULL,
+            stock_quantity INT NOT NULL DEFAULT 0,
+            is_active BOOLEAN DEFAULT TRUE,
+            sort_order INT DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_product_variants_suffix (product_id, code_suffix),
+            CONSTRAINT fk_product_variants_product
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+        )
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS product_variant_options (
+            variant_id INT NOT NULL,
+            option_type_id INT NOT NULL,
+            value VARCHAR(100) NOT NULL,
+            PRIMARY KEY (variant_id, option_type_id),
+            INDEX idx_variant_options_type (option_type_id),
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (option_type_id) REFERENCES variant_option_types(id) ON DELETE RESTRICT
+        )
+    `);
+
+    await connection.query(`
+        ALTER TABLE order_items
+        ADD COLUMN variant_id INT NULL AFTER product_id,
+        ADD COLUMN variant_name VARCHAR(255) NULL AFTER product_name,
+        MODIFY full_code VARCHAR(90) NULL,
+        ADD INDEX idx_order_items_variant (variant_id),
+        ADD CONSTRAINT fk_order_items_variant
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL
+    `);
+}
+
+async function down(connection) {
+    await connection.query(`
+        ALTER TABLE order_items
+        DROP FOREIGN KEY fk_order_items_variant,
+        DROP INDEX idx_order_items_variant,
+        DROP COLUMN variant_name,
+        DROP COLUMN variant_id,
+        MODIFY full_code VARCHAR(70) NULL
+    `);
+    await connection.query('DROP TABLE IF EXISTS product_variant_options');
+    await connection.query('DROP TABLE IF EXISTS product_variants');
+    await connection.query('DROP TABLE IF EXISTS variant_option_types');
+}
+
+module.exports = { up, down };
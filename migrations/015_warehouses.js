@@ -0,0 +1,97 @@
+/**
+ * Multi-warehouse inventory.
+ *
+ * Stock is held per warehouse in warehouse_stock, one row per product (or
+ * per variant, for products sold in variants) and warehouse. The
+ * stock_quantity columns of products and product_variants remain as the
+ * total over all warehouses. Each order is fulfilled from one warehouse,
+ * recorded in orders.warehouse_id, which its items' stock is taken from.
+ *
+ * Existing stock and orders are assigned to the Baghdad warehouse, which
+ * becomes the default.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS warehouses (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            code VARCHAR(20) UNIQUE NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            city VARCHAR(100) NULL,
+            address TEXT NULL,
+            is_active BOOLEAN DEFAULT TRUE,
+            is_default BOOLEAN DEFAULT FALSE,
+            priority INT DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+
+    // variant_id is NULL for products without variants, so uniqueness of
+    // (warehouse_id, product_id, variant_id) is kept by the model, which
+    // locks the row before creating it
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS warehouse_stock (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            warehouse_id INT NOT NULL,
+            product_id INT NOT NULL,
+            variant_id INT NULL,
+            quantity INT NOT NULL DEFAULT 0,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_warehouse_stock_item (warehouse_id, product_id, variant_id),
+            INDEX idx_warehouse_stock_product (product_id),
+            INDEX idx_warehouse_stock_variant (variant_id),
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE RESTRICT,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+        )
+    `);
+
+    await connection.query(`
+        INSERT IGNORE INTO warehouses (code, name, city, is_default, priority) VALUES
+            ('BGD', 'Baghdad', 'Baghdad', TRUE, 1),
+            ('EBL', 'Erbil', 'Erbil', FALSE, 2)
+    `);
+    const [[baghdad]] = await connection.query(
+        "SELECT id FROM warehouses WHERE code = 'BGD'"
+    );
+
+    await connection.query(`
+        INSERT INTO warehouse_stock (warehouse_id, product_id, variant_id, quantity)
+        SELECT ?, id, NULL, stock_quantity FROM products WHERE stock_quantity > 0
+    `, [baghdad.id]);
+    await connection.query(`
+        INSERT INTO warehouse_stock (warehouse_id, product_id, variant_id, quantity)
+        SELECT ?, product_id, id, stock_quantity FROM product_variants WHERE stock_quantity > 0
+    `, [baghdad.id]);
+
+    await connection.query(`
+        ALTER TABLE orders
+        ADD COLUMN warehouse_id INT NULL AFTER user_id,
+        ADD INDEX idx_orders_warehouse (warehouse_id),
+        ADD CONSTRAINT fk_orders_warehouse
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE RESTRICT
+    `);
+    await connection.query('UPDATE orders SET warehouse_id = ?', [baghdad.id]);
+
+    await connection.query(
+        "INSERT IGNORE INTO permissions (name, description) VALUES ('warehouses:manage', 'Create and edit warehouses')"
+    );
+    await connection.query(
+        "INSERT IGNORE INTO role_permissions (role, permission) VALUES ('admin', 'warehouses:manage')"
+    );
+}
+
+async function down(connection) {
+    await connection.query("DELETE FROM permissions WHERE name = 'warehouses:manage'");
+    await connection.query(`
+        ALTER TABLE orders
+        DROP FOREIGN KEY fk_orders_warehouse,
+        DROP INDEX idx_orders_warehouse,
+        DROP COLUMN warehouse_id
+    `);
+    await connection.query('DROP TABLE IF EXISTS warehouse_stock');
+    await connection.query('DROP TABLE IF EXISTS warehouses');
+}
+
+module.exports = { up, down };
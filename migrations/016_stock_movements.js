@@ -0,0 +1,49 @@
+/**
+ * Stock movement ledger.
+ *
+ * Every change to a warehouse's stock of a product or variant appends a
+ * row with the change, the resulting quantity, why it happened and who did
+ * it, in the same transaction as the change. Rows are never updated or
+ * deleted, and outlive the products they refer to.
+ *
+ * Current warehouse stock is recorded as opening balances, so the sum of an
+ * item's movements equals what the warehouse holds.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS stock_movements (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            warehouse_id INT NOT NULL,
+            product_id INT NOT NULL,
+            variant_id INT NULL,
+            quantity_change INT NOT NULL,
+            quantity_after INT NOT NULL,
+            reason ENUM('opening_balance', 'order', 'cancellation', 'adjustment', 'import', 'return', 'transfer') NOT NULL,
+            reference_type VARCHAR(30) NULL,
+            reference_id INT NULL,
+            notes VARCHAR(500) NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_stock_movements_item (product_id, variant_id, warehouse_id),
+            INDEX idx_stock_movements_warehouse (warehouse_id, created_at),
+            INDEX idx_stock_movements_reference (reference_type, reference_id),
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE RESTRICT,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    await connection.query(`
+        INSERT INTO stock_movements
+            (warehouse_id, product_id, variant_id, quantity_change, quantity_after, reason, notes)
+        SELECT warehouse_id, product_id, variant_id, quantity, quantity, 'opening_balance', 'Stock when the ledger was introduced'
+        FROM warehouse_stock
+        WHERE quantity <> 0
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS stock_movements');
+}
+
+module.exports = { up, down };
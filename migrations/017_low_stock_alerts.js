@@ -0,0 +1,61 @@
+/**
+ * Reorder levels and low-stock alerts.
+ *
+ * Each product has a reorder level (an item is low on stock below it) and
+ * a reorder quantity (the least worth ordering when restocking it). Products
+ * sold in variants apply them to each variant. The default reorder level of
+ * 5 is the threshold that was used for every product before.
+ *
+ * A low-stock alert is opened when an item's stock falls below its reorder
+ * level, and resolved once it is back up, so admins are told about each
+ * crossing once.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        ALTER TABLE products
+        ADD COLUMN reorder_level INT NOT NULL DEFAULT 5 AFTER stock_quantity,
+        ADD COLUMN reorder_quantity INT NOT NULL DEFAULT 0 AFTER reorder_level
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS low_stock_alerts (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            product_id INT NOT NULL,
+            variant_id INT NULL,
+            stock_quantity INT NOT NULL,
+            reorder_level INT NOT NULL,
+            status ENUM('open', 'acknowledged', 'resolved') NOT NULL DEFAULT 'open',
+            acknowledged_by INT NULL,
+            acknowledged_at TIMESTAMP NULL,
+            resolved_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_low_stock_alerts_item (product_id, variant_id, status),
+            INDEX idx_low_stock_alerts_status (status, created_at),
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    await connection.query(
+        "INSERT IGNORE INTO permissions (name, description) VALUES ('stock_alerts:receive', 'Receive low-stock alerts by SMS')"
+    );
+    await connection.query(`
+        INSERT IGNORE INTO role_permissions (role, permission) VALUES
+            ('admin', 'stock_alerts:receive'),
+            ('warehouse', 'stock_alerts:receive')
+    `);
+}
+
+async function down(connection) {
+    await connection.query("DELETE FROM permissions WHERE name = 'stock_alerts:receive'");
+    await connection.query('DROP TABLE IF EXISTS low_stock_alerts');
+    await connection.query(`
+        ALTER TABLE products
+        DROP COLUMN reorder_quantity,
+        DROP COLUMN reorder_level
+    `);
+}
+
+module.exports = { up, down };
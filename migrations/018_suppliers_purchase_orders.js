@@ -0,0 +1,112 @@
+/**
+ * Suppliers and purchase orders.
+ *
+ * A purchase order lists what is bought from a supplier, at what unit cost,
+ * for delivery to one warehouse. Goods can arrive in several deliveries:
+ * each receipt adds stock to the warehouse as a 'purchase' movement
+ * referring to the purchase order, and counts towards quantity_received.
+ *
+ * Items keep the product name and code they were ordered under, so orders
+ * stay readable after products are deleted.
+ */
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS suppliers (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            name VARCHAR(150) UNIQUE NOT NULL,
+            contact_name VARCHAR(100) NULL,
+            phone_number VARCHAR(20) NULL,
+            email VARCHAR(255) NULL,
+            address TEXT NULL,
+            notes TEXT NULL,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS purchase_orders (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            po_number VARCHAR(32) UNIQUE NOT NULL,
+            supplier_id INT NOT NULL,
+            warehouse_id INT NOT NULL,
+            status ENUM('draft', 'ordered', 'partially_received', 'received', 'cancelled') NOT NULL DEFAULT 'draft',
+            expected_at DATE NULL,
+            notes TEXT NULL,
+            created_by INT NULL,
+            ordered_at TIMESTAMP NULL,
+            received_at TIMESTAMP NULL,
+            cancelled_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_purchase_orders_status (status, created_at),
+            INDEX idx_purchase_orders_supplier (supplier_id),
+            FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE RESTRICT,
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE RESTRICT,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS purchase_order_items (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            purchase_order_id INT NOT NULL,
+            product_id INT NULL,
+            variant_id INT NULL,
+            product_name VARCHAR(255) NOT NULL,
+            full_code VARCHAR(90) NULL,
+            quantity_ordered INT NOT NULL,
+            quantity_received INT NOT NULL DEFAULT 0,
+            unit_cost DECIMAL(10, 2) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_purchase_order_items_order (purchase_order_id),
+            INDEX idx_purchase_order_items_product (product_id, variant_id),
+            FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL
+        )
+    `);
+
+    await connection.query(`
+        ALTER TABLE stock_movements
+        MODIFY reason ENUM('opening_balance', 'order', 'cancellation', 'adjustment', 'import', 'return', 'transfer', 'purchase') NOT NULL
+    `);
+
+    await connection.query(`
+        INSERT IGNORE INTO permissions (name, description) VALUES
+            ('purchasing:read', 'View suppliers and purchase orders'),
+            ('purchasing:manage', 'Manage suppliers, create, place and cancel purchase orders'),
+            ('purchasing:receive', 'Receive goods on purchase orders into stock')
+    `);
+    await connection.query(`
+        INSERT IGNORE INTO role_permissions (role, permission) VALUES
+            ('admin', 'purchasing:read'),
+            ('admin', 'purchasing:manage'),
+            ('admin', 'purchasing:receive'),
+            ('warehouse', 'purchasing:read'),
+            ('warehouse', 'purchasing:receive')
+    `);
+}
+
+async function down(connection) {
+    await connection.query(
+        "DELETE FROM permissions WHERE name IN ('purchasing:read', 'purchasing:manage', 'purchasing:receive')"
+    );
+
+    // Keep the ledger adding up: receipts remain as adjustments
+    await connection.query(
+        "UPDATE stock_movements SET reason = 'adjustment' WHERE reason = 'purchase'"
+    );
+    await connection.query(`
+        ALTER TABLE stock_movements
+        MODIFY reason ENUM('opening_balance', 'order', 'cancellation', 'adjustment', 'import', 'return', 'transfer') NOT NULL
+    `);
+
+    await connection.query('DROP TABLE IF EXISTS purchase_order_items');
+    await connection.query('DROP TABLE IF EXISTS purchase_orders');
+    await connection.query('DROP TABLE IF EXISTS suppliers');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+const { LowStockService } = require('../src/services/lowStock');
+
+/**
+ * Check stock against reorder levels once: resolve alerts of items that are
+ * back up, open alerts for items that fell below their reorder level and
+ * send them to staff. For cron, with LOW_STOCK_CHECK_INTERVAL_MS=0 on the
+ * server so the two do not run side by side.
+ */
+async function checkLowStock() {
+    try {
+        console.log('📦 Checking stock against reorder levels...');
+
+        const { opened, resolved, notified } = await LowStockService.checkStock();
+
+        console.log(`✅ Check completed. Opened ${opened} alerts, resolved ${resolved}, notified ${notified} staff members.`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Low stock check failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    checkLowStock();
+}
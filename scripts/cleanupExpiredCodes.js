@@ -1,7 +1,6 @@
-const VerificationCodeModel = require('../src/api/v1/auth/verificationModel');
-
 require('dotenv').config();
-require('../src/config/db');
+
+const VerificationCodeModel = require('../src/api/v1/auth/verificationModel');
 
 async function cleanupExpiredCodes() {
     try {
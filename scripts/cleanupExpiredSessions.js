@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+const SessionModel = require('../src/api/v1/auth/sessionModel');
+const LoginThrottleModel = require('../src/api/v1/auth/loginThrottleModel');
+
+async function cleanupExpiredSessions() {
+    try {
+        const retentionDays = parseInt(process.argv[2]) || 30;
+
+        console.log(`🧹 Removing sessions that ended more than ${retentionDays} days ago...`);
+
+        const deletedCount = await SessionModel.deleteEndedSessions(retentionDays);
+
+        const throttleCount = await LoginThrottleModel.deleteStale();
+
+        console.log(`✅ Cleanup completed. Removed ${deletedCount} sessions and ${throttleCount} expired login failure counters.`);
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Cleanup failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    cleanupExpiredSessions();
+}
@@ -50,9 +50,8 @@ async function createAdmin() {
             first_name: firstName,
             last_name: lastName,
             email: email || null,
-            is_phone_verified: true,
             is_active: true,
-            role: 'admin',
+            role: 'super_admin',
             activated_at: new Date()
         };
         
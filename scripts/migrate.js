@@ -0,0 +1,283 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+
+const { DB_HOST, DB_USER, DB_PASSWORD, DB_NAME } = process.env;
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const LOCK_NAME = 'janah_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in /migrations as numbered files (e.g. 001_baseline.js)
+ * exporting async `up(connection)` and `down(connection)` functions, where
+ * `connection` is a mysql2/promise connection. Applied versions are tracked
+ * in the schema_migrations table.
+ *
+ * Usage:
+ *   node scripts/migrate.js up [count]      Apply pending migrations
+ *   node scripts/migrate.js down [count]    Revert the last applied migration(s)
+ *   node scripts/migrate.js status          Show applied and pending migrations
+ *   node scripts/migrate.js create <name>   Scaffold a new migration file
+ */
+
+async function createConnection() {
+    return mysql.createConnection({
+        host: DB_HOST || 'localhost',
+        user: DB_USER || 'root',
+        password: DB_PASSWORD || '',
+        database: DB_NAME
+    });
+}
+
+/**
+ * Read migration files from disk, ordered by version
+ */
+function loadMigrations() {
+    if (!fs.existsSync(MIGRATIONS_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const version = path.basename(file, '.js');
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down() functions`);
+            }
+
+            return { version, file, ...migration };
+        });
+}
+
+async function ensureMigrationsTable(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+            version VARCHAR(255) PRIMARY KEY,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedVersions(connection) {
+    const [rows] = await connection.query(
+        `SELECT version FROM ${MIGRATIONS_TABLE} ORDER BY version`
+    );
+    return rows.map(row => row.version);
+}
+
+/**
+ * Run a callback while holding a named lock, so two deploys can't migrate
+ * the same database at the same time
+ */
+async function withMigrationLock(connection, callback) {
+    const [[{ acquired }]] = await connection.query(
+        'SELECT GET_LOCK(?, ?) as acquired',
+        [LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+    );
+
+    if (acquired !== 1) {
+        throw new Error('Another migration is already running');
+    }
+
+    try {
+        return await callback();
+    } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {number} [count] - Maximum number of migrations to apply
+ * @returns {Promise<string[]>} Applied versions
+ */
+async function migrateUp(count = Infinity) {
+    const connection = await createConnection();
+
+    try {
+        await ensureMigrationsTable(connection);
+
+        return await withMigrationLock(connection, async () => {
+            const applied = new Set(await getAppliedVersions(connection));
+            const pending = loadMigrations()
+                .filter(migration => !applied.has(migration.version))
+                .slice(0, count);
+
+            if (pending.length === 0) {
+                console.log('✅ Database is up to date');
+                return [];
+            }
+
+            for (const migration of pending) {
+                console.log(`⬆️  Applying ${migration.version}...`);
+                await migration.up(connection);
+                await connection.query(
+                    `INSERT INTO ${MIGRATIONS_TABLE} (version) VALUES (?)`,
+                    [migration.version]
+                );
+                console.log(`✅ Applied ${migration.version}`);
+            }
+
+            return pending.map(migration => migration.version);
+        });
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Revert applied migrations, most recent first
+ * @param {number} [count=1] - Number of migrations to revert
+ * @returns {Promise<string[]>} Reverted versions
+ */
+async function migrateDown(count = 1) {
+    const connection = await createConnection();
+
+    try {
+        await ensureMigrationsTable(connection);
+
+        return await withMigrationLock(connection, async () => {
+            const migrations = new Map(
+                loadMigrations().map(migration => [migration.version, migration])
+            );
+            const toRevert = (await getAppliedVersions(connection))
+                .reverse()
+                .slice(0, count);
+
+            if (toRevert.length === 0) {
+                console.log('✅ No applied migrations to revert');
+                return [];
+            }
+
+            for (const version of toRevert) {
+                const migration = migrations.get(version);
+                if (!migration) {
+                    throw new Error(`Migration file for applied version ${version} not found`);
+                }
+
+                console.log(`⬇️  Reverting ${version}...`);
+                await migration.down(connection);
+                await connection.query(
+                    `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = ?`,
+                    [version]
+                );
+                console.log(`✅ Reverted ${version}`);
+            }
+
+            return toRevert;
+        });
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Print applied and pending migrations
+ */
+async function migrationStatus() {
+    const connection = await createConnection();
+
+    try {
+        await ensureMigrationsTable(connection);
+
+        const [rows] = await connection.query(
+            `SELECT version, applied_at FROM ${MIGRATIONS_TABLE}`
+        );
+        const applied = new Map(rows.map(row => [row.version, row.applied_at]));
+        const migrations = loadMigrations();
+
+        console.log('📋 Migration status:');
+        migrations.forEach(migration => {
+            const appliedAt = applied.get(migration.version);
+            console.log(appliedAt
+                ? `   ✅ ${migration.version} (applied ${new Date(appliedAt).toISOString()})`
+                : `   ⏳ ${migration.version} (pending)`);
+        });
+
+        // Versions recorded in the database whose files no longer exist
+        const known = new Set(migrations.map(migration => migration.version));
+        [...applied.keys()]
+            .filter(version => !known.has(version))
+            .forEach(version => console.log(`   ⚠️  ${version} (applied, file missing)`));
+
+        const pendingCount = migrations.filter(m => !applied.has(m.version)).length;
+        console.log(`\n${pendingCount} pending migration(s)`);
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Scaffold a new numbered migration file
+ * @param {string} name - Short description, e.g. "add_user_sessions"
+ * @returns {string} Path of the created file
+ */
+function createMigration(name) {
+    if (!name || !/^[\w-]+$/.test(name)) {
+        throw new Error('Migration name is required and may only contain letters, numbers, _ and -');
+    }
+
+    const versions = loadMigrations().map(migration => parseInt(migration.version, 10));
+    const nextNumber = String((versions.length ? Math.max(...versions) : 0) + 1).padStart(3, '0');
+    const filePath = path.join(MIGRATIONS_DIR, `${nextNumber}_${name}.js`);
+
+    fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+    fs.writeFileSync(filePath, `/**
+ * ${name.replace(/[_-]+/g, ' ')}
+ */
+
+async function up(connection) {
+}
+
+async function down(connection) {
+}
+
+module.exports = { up, down };
+`);
+
+    console.log(`✅ Created ${path.relative(process.cwd(), filePath)}`);
+    return filePath;
+}
+
+async function run(command, arg) {
+    switch (command) {
+        case 'up':
+            await migrateUp(arg ? parseInt(arg, 10) : Infinity);
+            break;
+        case 'down':
+            await migrateDown(arg ? parseInt(arg, 10) : 1);
+            break;
+        case 'status':
+            await migrationStatus();
+            break;
+        case 'create':
+            createMigration(arg);
+            break;
+        default:
+            console.log('Usage: node scripts/migrate.js <up [count]|down [count]|status|create <name>>');
+            process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    run(process.argv[2], process.argv[3]).catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    migrateUp,
+    migrateDown,
+    migrationStatus,
+    createMigration,
+    loadMigrations
+};
@@ -0,0 +1,53 @@
+require('dotenv').config();
+
+const StockMovementModel = require('../src/api/v1/warehouses/stockMovementModel');
+
+/**
+ * Recompute stock from the stock movement ledger and flag drift:
+ * - warehouse stock that differs from the sum of its movements
+ * - product and variant totals that differ from the sum over warehouses
+ *
+ * Nothing is changed. Exits with status 1 when drift is found, so it can
+ * run from cron and alert.
+ */
+function describeItem(row) {
+    return row.variant_id
+        ? `product ${row.product_id} variant ${row.variant_id}`
+        : `product ${row.product_id}`;
+}
+
+async function reconcileStock() {
+    try {
+        console.log('🔍 Reconciling stock against the movement ledger...');
+
+        const ledgerDrift = await StockMovementModel.findLedgerDrift();
+        ledgerDrift.forEach((row) => {
+            console.log(
+                `⚠️  Warehouse ${row.warehouse_id}, ${describeItem(row)}: holds ${row.quantity}, ledger says ${row.ledger_quantity} (drift ${row.quantity - row.ledger_quantity})`
+            );
+        });
+
+        const totalDrift = await StockMovementModel.findTotalDrift();
+        totalDrift.forEach((row) => {
+            console.log(
+                `⚠️  ${describeItem(row)}: total stock ${row.stock_quantity}, warehouses hold ${row.warehouse_quantity}`
+            );
+        });
+
+        if (ledgerDrift.length === 0 && totalDrift.length === 0) {
+            console.log('✅ Stock matches the ledger.');
+            process.exit(0);
+        }
+
+        console.log(`❌ Found ${ledgerDrift.length} warehouse items drifting from the ledger and ${totalDrift.length} totals drifting from warehouse stock.`);
+        console.log('💡 Check the stock history of these items (GET /api/v1/products/:product_id/stock-history).');
+        process.exit(1);
+    } catch (error) {
+        console.error('❌ Reconciliation failed:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    reconcileStock();
+}
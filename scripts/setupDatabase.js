@@ -1,6 +1,7 @@
 require('dotenv').config();
 const mysql = require('mysql2/promise');
 const { hash } = require('../src/helpers/common');
+const { migrateUp } = require('./migrate');
 
 const { DB_HOST, DB_USER, DB_PASSWORD, DB_NAME } = process.env;
 
@@ -25,73 +26,15 @@ async function setupDatabase() {
         console.log(`✅ Database '${DB_NAME}' created/verified`);
         
         // Use the database
-        await connection.execute(`USE \`${DB_NAME}\``);
+        await connection.changeUser({ database: DB_NAME });
         
         // Create tables
-        console.log('📋 Creating tables...');
-        
-        // Users table
-        await connection.execute(`
-            CREATE TABLE IF NOT EXISTS users (
-                id INT PRIMARY KEY AUTO_INCREMENT,
-                phone_number VARCHAR(20) UNIQUE NOT NULL,
-                password VARCHAR(255) NOT NULL,
-                first_name VARCHAR(100) NOT NULL,
-                last_name VARCHAR(100) NOT NULL,
-                email VARCHAR(255) UNIQUE,
-                is_phone_verified BOOLEAN DEFAULT FALSE,
-                is_active BOOLEAN DEFAULT FALSE,
-                role ENUM('user', 'admin') DEFAULT 'user',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                activated_at TIMESTAMP NULL,
-                activated_by INT NULL,
-                INDEX idx_phone (phone_number),
-                INDEX idx_email (email),
-                FOREIGN KEY (activated_by) REFERENCES users(id) ON DELETE SET NULL
-            )
-        `);
-        console.log('✅ Users table created');
-        
-        // Phone verification codes table
-        await connection.execute(`
-            CREATE TABLE IF NOT EXISTS phone_verification_codes (
-                id INT PRIMARY KEY AUTO_INCREMENT,
-                phone_number VARCHAR(20) NOT NULL,
-                code VARCHAR(10) NOT NULL,
-                type ENUM('registration', 'password_reset') NOT NULL,
-                expires_at TIMESTAMP NOT NULL,
-                used_at TIMESTAMP NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                INDEX idx_phone_code (phone_number, code),
-                INDEX idx_expires (expires_at)
-            )
-        `);
-        console.log('✅ Phone verification codes table created');
-        
-        // Products table
-        await connection.execute(`
-            CREATE TABLE IF NOT EXISTS products (
-                id INT PRIMARY KEY AUTO_INCREMENT,
-                name VARCHAR(255) NOT NULL,
-                description TEXT,
-                price DECIMAL(10, 2) NOT NULL,
-                stock_quantity INT DEFAULT 0,
-                category VARCHAR(100),
-                image_url VARCHAR(500),
-                is_active BOOLEAN DEFAULT TRUE,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                INDEX idx_category (category),
-                INDEX idx_active (is_active),
-                INDEX idx_price (price)
-            )
-        `);
-        console.log('✅ Products table created');
+        console.log('📋 Running migrations...');
+        await migrateUp();
         
         // Check if admin user exists
         const [adminExists] = await connection.execute(
-            'SELECT id FROM users WHERE role = "admin" LIMIT 1'
+            'SELECT id FROM users WHERE role = "super_admin" LIMIT 1'
         );
         
         if (adminExists.length === 0) {
@@ -106,11 +49,10 @@ async function setupDatabase() {
                     first_name, 
                     last_name, 
                     email, 
-                    is_phone_verified, 
                     is_active, 
                     role,
                     activated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 '+1234567890',
                 adminPassword,
@@ -118,8 +60,7 @@ async function setupDatabase() {
                 'User',
                 'admin@janah.com',
                 true,
-                true,
-                'admin',
+                'super_admin',
                 new Date()
             ]);
             
@@ -131,6 +72,33 @@ async function setupDatabase() {
             console.log('✅ Admin user already exists');
         }
         
+        // Insert sample categories if none exist
+        const [categoriesExist] = await connection.execute(
+            'SELECT id FROM categories LIMIT 1'
+        );
+        
+        if (categoriesExist.length === 0) {
+            console.log('📂 Creating sample categories...');
+            
+            const sampleCategories = [
+                { name: 'Electronics', code: 'ELEC', slug: 'electronics', description: 'Electronic devices and gadgets' },
+                { name: 'Computers', code: 'COMP', slug: 'computers', description: 'Computers, laptops, and accessories' },
+                { name: 'Accessories', code: 'ACC', slug: 'accessories', description: 'Various accessories and add-ons' },
+                { name: 'Shoes', code: 'SHOE', slug: 'shoes', description: 'Footwear for all occasions' }
+            ];
+            
+            for (const [index, category] of sampleCategories.entries()) {
+                await connection.execute(`
+                    INSERT INTO categories (name, code, slug, description, sort_order)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [category.name, category.code, category.slug, category.description, index + 1]);
+            }
+            
+            console.log(`✅ ${sampleCategories.length} sample categories created`);
+        } else {
+            console.log('✅ Categories already exist in database');
+        }
+        
         // Insert sample products if none exist
         const [productsExist] = await connection.execute(
             'SELECT id FROM products LIMIT 1'
@@ -142,6 +110,8 @@ async function setupDatabase() {
             const sampleProducts = [
                 {
                     name: 'iPhone 15 Pro',
+                    code: '001',
+                    slug: 'iphone-15-pro',
                     description: 'Latest Apple iPhone with advanced camera system',
                     price: 999.99,
                     stock_quantity: 25,
@@ -150,6 +120,8 @@ async function setupDatabase() {
                 },
                 {
                     name: 'Samsung Galaxy S24',
+                    code: '002',
+                    slug: 'samsung-galaxy-s24',
                     description: 'Premium Android smartphone with AI features',
                     price: 899.99,
                     stock_quantity: 30,
@@ -158,6 +130,8 @@ async function setupDatabase() {
                 },
                 {
                     name: 'MacBook Air M3',
+                    code: '001',
+                    slug: 'macbook-air-m3',
                     description: 'Ultra-thin laptop with M3 chip',
                     price: 1299.99,
                     stock_quantity: 15,
@@ -166,6 +140,8 @@ async function setupDatabase() {
                 },
                 {
                     name: 'AirPods Pro',
+                    code: '001',
+                    slug: 'airpods-pro',
                     description: 'Wireless earbuds with noise cancellation',
                     price: 249.99,
                     stock_quantity: 50,
@@ -174,6 +150,8 @@ async function setupDatabase() {
                 },
                 {
                     name: 'Nike Air Max 270',
+                    code: '001',
+                    slug: 'nike-air-max-270',
                     description: 'Comfortable running shoes with air cushioning',
                     price: 129.99,
                     stock_quantity: 40,
@@ -184,10 +162,12 @@ async function setupDatabase() {
             
             for (const product of sampleProducts) {
                 await connection.execute(`
-                    INSERT INTO products (name, description, price, stock_quantity, category, image_url)
-                    VALUES (?, ?, ?, ?, ?, ?)
+                    INSERT INTO products (name, code, slug, description, price, stock_quantity, category_id, image_url)
+                    VALUES (?, ?, ?, ?, ?, ?, (SELECT id FROM categories WHERE slug = ?), ?)
                 `, [
                     product.name,
+                    product.code,
+                    product.slug,
                     product.description,
                     product.price,
                     product.stock_quantity,
@@ -204,9 +184,9 @@ async function setupDatabase() {
         console.log('\n🎉 Database setup completed successfully!');
         console.log('\n📋 Setup Summary:');
         console.log('   ✅ Database created');
-        console.log('   ✅ Tables created');
+        console.log('   ✅ Migrations applied');
         console.log('   ✅ Admin user ready');
-        console.log('   ✅ Sample products added');
+        console.log('   ✅ Sample categories and products added');
         console.log('\n🚀 You can now start the server with: npm run dev');
         
     } catch (error) {
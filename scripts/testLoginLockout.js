@@ -0,0 +1,162 @@
+require('dotenv').config();
+
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const assert = require('assert');
+const app = require('../app');
+const db = require('../src/config/db');
+const UserModel = require('../src/api/v1/auth/model');
+const LoginThrottleModel = require('../src/api/v1/auth/loginThrottleModel');
+const { hash, executeQuery } = require('../src/helpers/common');
+
+let passed = 0;
+let failed = 0;
+
+async function check(description, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`   ✅ ${description}`);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ ${description}`);
+        console.log(`      ${error.message}`);
+    }
+}
+
+function startServer() {
+    return new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+    });
+}
+
+async function login(baseUrl, phone_number, password) {
+    const response = await fetch(`${baseUrl}/api/v1/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ phone_number, password })
+    });
+    return {
+        status: response.status,
+        headers: response.headers,
+        body: await response.json()
+    };
+}
+
+// Skip the progressive delay instead of waiting it out
+const skipDelay = (phone_number) => executeQuery(
+    "UPDATE login_throttles SET last_failed_at = DATE_SUB(NOW(), INTERVAL 1 MINUTE) WHERE scope = 'phone' AND identifier = ?",
+    [phone_number]
+);
+
+async function testLockout(baseUrl, user) {
+    const { phone_number } = user;
+    const maxAttempts = LoginThrottleModel.MAX_FAILED_ATTEMPTS.phone;
+
+    console.log('🔒 Testing failed login tracking...');
+
+    await check('first failures get the usual error', async () => {
+        for (let i = 0; i < LoginThrottleModel.DELAY_AFTER_ATTEMPTS + 1; i++) {
+            const { status } = await login(baseUrl, phone_number, 'wrongpass');
+            assert.strictEqual(status, 401);
+        }
+    });
+
+    await check('retrying right away is delayed with Retry-After', async () => {
+        const { status, headers, body } = await login(baseUrl, phone_number, 'wrongpass');
+        assert.strictEqual(status, 429);
+        assert.match(body.message, /wait/);
+        assert.ok(Number(headers.get('retry-after')) > 0);
+    });
+
+    await check(`failure number ${maxAttempts} locks the account`, async () => {
+        let response;
+        for (let i = LoginThrottleModel.DELAY_AFTER_ATTEMPTS + 1; i < maxAttempts; i++) {
+            await skipDelay(phone_number);
+            response = await login(baseUrl, phone_number, 'wrongpass');
+        }
+        assert.strictEqual(response.status, 429);
+        assert.match(response.body.message, /locked/);
+    });
+
+    await check('the right password is refused while locked', async () => {
+        const { status } = await login(baseUrl, phone_number, 'rightpass123');
+        assert.strictEqual(status, 429);
+    });
+
+    await check('the lockout is recorded for the user', async () => {
+        const security = await LoginThrottleModel.getLoginSecurity(user);
+        assert.strictEqual(security.is_locked, true);
+        assert.strictEqual(security.lockouts.length, 1);
+        assert.strictEqual(security.lockouts[0].unlocked_at, null);
+    });
+
+    console.log('\n🔓 Testing unlock...');
+
+    await check('an admin unlock lifts the lockout', async () => {
+        assert.strictEqual(await LoginThrottleModel.unlock(phone_number, null), true);
+        const security = await LoginThrottleModel.getLoginSecurity(user);
+        assert.strictEqual(security.is_locked, false);
+        assert.ok(security.lockouts[0].unlocked_at);
+    });
+
+    await check('the right password works after unlocking', async () => {
+        const { status, body } = await login(baseUrl, phone_number, 'rightpass123');
+        assert.strictEqual(status, 200, body.message);
+    });
+
+    await check('unlocking again reports nothing to clear', async () => {
+        assert.strictEqual(await LoginThrottleModel.unlock(phone_number, null), false);
+    });
+
+    await check('unknown numbers are tracked like real ones', async () => {
+        const unknown = `${phone_number}9`;
+        const { status } = await login(baseUrl, unknown, 'wrongpass');
+        assert.strictEqual(status, 401);
+        const [row] = await executeQuery(
+            "SELECT failed_attempts FROM login_throttles WHERE scope = 'phone' AND identifier = ?",
+            [unknown]
+        );
+        assert.strictEqual(row.failed_attempts, 1);
+        await executeQuery("DELETE FROM login_throttles WHERE scope = 'phone' AND identifier = ?", [unknown]);
+    });
+}
+
+async function runAllTests() {
+    console.log('🚀 Starting login lockout tests...\n');
+
+    const phone_number = `+1555${Date.now().toString().slice(-7)}`;
+    const user = await UserModel.createUser({
+        phone_number,
+        password: await hash('rightpass123'),
+        first_name: 'Lockout',
+        last_name: 'Test',
+        is_active: true
+    });
+    const server = await startServer();
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    try {
+        await testLockout(baseUrl, user);
+    } finally {
+        await executeQuery('DELETE FROM login_lockouts WHERE identifier = ?', [phone_number]);
+        await executeQuery(
+            "DELETE FROM login_throttles WHERE identifier IN (?, '127.0.0.1', '::1', '::ffff:127.0.0.1')",
+            [phone_number]
+        );
+        await executeQuery('DELETE FROM user_sessions WHERE user_id = ?', [user.id]);
+        await executeQuery('DELETE FROM users WHERE id = ?', [user.id]);
+        server.close();
+        await db.close();
+    }
+
+    console.log(`\n📋 Summary: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    runAllTests().catch(error => {
+        console.error('❌ Test suite failed:', error);
+        process.exit(1);
+    });
+}
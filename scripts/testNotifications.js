@@ -0,0 +1,186 @@
+require('dotenv').config();
+
+// Messages go to the in-memory SMS driver; no Twilio account needed
+process.env.SMS_DRIVER = 'memory';
+
+const assert = require('assert');
+const db = require('../src/config/db');
+const NotificationModel = require('../src/api/v1/notifications/model');
+const { NotificationService } = require('../src/services/notification');
+const {
+    MESSAGE_TEMPLATES,
+    LOCALES,
+    renderTemplate,
+    getTemplateVariables
+} = require('../src/services/messageTemplates');
+const { executeQuery } = require('../src/helpers/common');
+
+const sms = NotificationService.smsDriver;
+const recipient = `+1555${Date.now().toString().slice(-7)}`;
+
+let passed = 0;
+let failed = 0;
+
+async function check(description, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`   ✅ ${description}`);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ ${description}`);
+        console.log(`      ${error.message}`);
+    }
+}
+
+const send = (options = {}) => NotificationService.sendSms({
+    to: recipient,
+    body: 'Test message',
+    type: 'test',
+    ...options
+});
+
+// Make a scheduled retry due now instead of waiting for the backoff
+const makeDue = (id) => executeQuery(
+    'UPDATE notifications SET next_attempt_at = NOW() WHERE id = ?',
+    [id]
+);
+
+async function testBackoff() {
+    console.log('⏱️  Testing retry backoff...');
+
+    await check('delay doubles with every attempt', () => {
+        const first = NotificationService.getRetryDelay(1);
+        assert.strictEqual(NotificationService.getRetryDelay(2), first * 2);
+        assert.strictEqual(NotificationService.getRetryDelay(3), first * 4);
+    });
+
+    await check('delay is capped', () => {
+        assert.ok(NotificationService.getRetryDelay(50) <= 3600);
+    });
+}
+
+async function testTemplates() {
+    console.log('\n🌐 Testing message templates...');
+
+    await check('variables are filled in', () => {
+        assert.strictEqual(
+            renderTemplate('Order #{{order_number}}: {{total}} IQD', { order_number: 'ORD1', total: '25,000' }),
+            'Order #ORD1: 25,000 IQD'
+        );
+    });
+
+    await check('sections are dropped when their variable is empty', () => {
+        const body = 'Cancelled.{{#reason}} Reason: {{reason}}{{/reason}}';
+        assert.strictEqual(renderTemplate(body, { reason: 'No stock' }), 'Cancelled. Reason: No stock');
+        assert.strictEqual(renderTemplate(body, { reason: null }), 'Cancelled.');
+    });
+
+    await check('every built-in template has all locales and only declared variables', () => {
+        Object.entries(MESSAGE_TEMPLATES).forEach(([event, template]) => {
+            LOCALES.forEach(locale => {
+                assert.ok(template[locale], `${event} is missing ${locale}`);
+                getTemplateVariables(template[locale]).forEach(name => {
+                    assert.ok(template.variables.includes(name), `${event}.${locale} uses ${name}`);
+                });
+            });
+        });
+    });
+
+    await check('order messages use the preferred language, defaulting to Arabic', async () => {
+        const order = { order_number: 'ORD1', total_amount: 25000 };
+        const arabic = await NotificationService.renderMessage('order_placed', undefined, { ...order, total: '25,000' });
+        const english = await NotificationService.renderMessage('order_placed', 'en', { ...order, total: '25,000' });
+        assert.match(arabic, /د\.ع/);
+        assert.match(english, /25,000 IQD/);
+    });
+}
+
+async function testDelivery() {
+    console.log('\n📬 Testing outbox delivery...');
+
+    await check('a message is stored and delivered right away', async () => {
+        const notification = await send({ reference: { type: 'order', id: 1 } });
+        assert.strictEqual(notification.status, 'sent');
+        assert.strictEqual(notification.provider, 'memory');
+        assert.strictEqual(notification.reference_type, 'order');
+        assert.strictEqual(sms.getLastMessage(recipient).body, 'Test message');
+    });
+
+    await check('a failed send is scheduled for retry, then delivered by the worker', async () => {
+        sms.failNext(1);
+        const notification = await send();
+        assert.strictEqual(notification.status, 'pending');
+        assert.strictEqual(notification.attempts, 1);
+        assert.match(notification.last_error, /Simulated/);
+
+        await makeDue(notification.id);
+        await NotificationService.processOutbox();
+
+        const retried = await NotificationModel.findById(notification.id);
+        assert.strictEqual(retried.status, 'sent');
+        assert.strictEqual(retried.attempts, 2);
+    });
+
+    await check('a message fails for good after the last attempt and can be requeued', async () => {
+        sms.failNext(100);
+        let notification = await send();
+        while (notification.status === 'pending') {
+            await makeDue(notification.id);
+            notification = await NotificationService.deliver(notification.id);
+        }
+        assert.strictEqual(notification.status, 'failed');
+        assert.strictEqual(notification.attempts, notification.max_attempts);
+
+        sms.clear();
+        assert.ok(await NotificationModel.requeue(notification.id));
+        const retried = await NotificationService.deliver(notification.id);
+        assert.strictEqual(retried.status, 'sent');
+    });
+
+    await check('sensitive bodies are dropped once delivered', async () => {
+        const notification = await send({ sensitive: true });
+        assert.strictEqual(notification.status, 'sent');
+        assert.strictEqual(notification.body, null);
+    });
+
+    await check('expired messages are not sent', async () => {
+        sms.failNext(1);
+        const notification = await send({ expiresAt: new Date(Date.now() + 1000) });
+        await executeQuery(
+            'UPDATE notifications SET expires_at = DATE_SUB(NOW(), INTERVAL 1 MINUTE) WHERE id = ?',
+            [notification.id]
+        );
+        await makeDue(notification.id);
+        const expired = await NotificationService.deliver(notification.id);
+        assert.strictEqual(expired.status, 'expired');
+    });
+
+    await check('admins can filter by recipient and status', async () => {
+        const { notifications } = await NotificationModel.getNotifications({ recipient, status: 'expired' });
+        assert.strictEqual(notifications.length, 1);
+    });
+}
+
+async function runAllTests() {
+    console.log('🚀 Starting notification tests...\n');
+
+    try {
+        await testBackoff();
+        await testTemplates();
+        await testDelivery();
+    } finally {
+        await executeQuery('DELETE FROM notifications WHERE recipient = ?', [recipient]);
+        await db.close();
+    }
+
+    console.log(`\n📋 Summary: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    runAllTests().catch(error => {
+        console.error('❌ Test suite failed:', error);
+        process.exit(1);
+    });
+}
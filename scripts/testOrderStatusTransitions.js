@@ -0,0 +1,140 @@
+require('dotenv').config();
+
+const assert = require('assert');
+const OrderModel = require('../src/api/v1/orders/model');
+const { BusinessLogicError } = require('../src/middleware/errorHandler');
+
+const { ORDER_STATUSES: S } = OrderModel;
+
+let passed = 0;
+let failed = 0;
+
+async function check(description, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`   ✅ ${description}`);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ ${description}`);
+        console.log(`      ${error.message}`);
+    }
+}
+
+async function testTransitionGraph() {
+    console.log('🔀 Testing order status transition graph...');
+
+    await check('every status has an entry in the graph', () => {
+        Object.values(S).forEach(status => {
+            assert.ok(Array.isArray(OrderModel.STATUS_TRANSITIONS[status]), `missing ${status}`);
+        });
+    });
+
+    await check('happy path moves forward one step at a time', () => {
+        const path = [S.PENDING, S.CONFIRMED, S.PREPARING, S.READY_TO_SHIP, S.SHIPPED, S.DELIVERED];
+        for (let i = 0; i < path.length - 1; i++) {
+            assert.ok(OrderModel.canTransition(path[i], path[i + 1]), `${path[i]} -> ${path[i + 1]}`);
+        }
+    });
+
+    await check('steps cannot be skipped', () => {
+        assert.strictEqual(OrderModel.canTransition(S.PENDING, S.SHIPPED), false);
+        assert.strictEqual(OrderModel.canTransition(S.CONFIRMED, S.DELIVERED), false);
+    });
+
+    await check('orders can be cancelled until they are shipped', () => {
+        [S.PENDING, S.CONFIRMED, S.PREPARING, S.READY_TO_SHIP].forEach(status => {
+            assert.ok(OrderModel.canTransition(status, S.CANCELLED), status);
+        });
+        assert.strictEqual(OrderModel.canTransition(S.SHIPPED, S.CANCELLED), false);
+    });
+
+    await check('delivered and cancelled are terminal', () => {
+        assert.deepStrictEqual(OrderModel.getNextStatuses(S.DELIVERED), []);
+        assert.deepStrictEqual(OrderModel.getNextStatuses(S.CANCELLED), []);
+        assert.strictEqual(OrderModel.canTransition(S.DELIVERED, S.PENDING), false);
+        assert.strictEqual(OrderModel.canTransition(S.CANCELLED, S.SHIPPED), false);
+    });
+
+    await check('moving backwards is rejected', () => {
+        assert.strictEqual(OrderModel.canTransition(S.SHIPPED, S.PREPARING), false);
+        assert.strictEqual(OrderModel.canTransition(S.CONFIRMED, S.PENDING), false);
+    });
+
+    await check('unknown statuses have no next statuses', () => {
+        assert.deepStrictEqual(OrderModel.getNextStatuses('lost'), []);
+    });
+
+    await check('getNextStatuses returns a copy of the graph entry', () => {
+        OrderModel.getNextStatuses(S.PENDING).push(S.DELIVERED);
+        assert.strictEqual(OrderModel.canTransition(S.PENDING, S.DELIVERED), false);
+    });
+}
+
+async function testAssertTransition() {
+    console.log('\n🚦 Testing assertTransition...');
+
+    await check('allows a valid transition', () => {
+        OrderModel.assertTransition(S.PENDING, S.CONFIRMED);
+    });
+
+    await check('rejects staying in the same status', () => {
+        assert.throws(
+            () => OrderModel.assertTransition(S.SHIPPED, S.SHIPPED),
+            (error) => error instanceof BusinessLogicError && /already in shipped/.test(error.message)
+        );
+    });
+
+    await check('rejects an invalid transition and lists the allowed ones', () => {
+        assert.throws(
+            () => OrderModel.assertTransition(S.SHIPPED, S.PENDING),
+            (error) => error instanceof BusinessLogicError && /Allowed: delivered/.test(error.message)
+        );
+    });
+}
+
+async function testUpdateOrderStatusEnforcement() {
+    console.log('\n🛡️  Testing updateOrderStatus enforcement...');
+
+    const originalFindById = OrderModel.findById;
+
+    try {
+        OrderModel.findById = async (id) => ({ id, status: S.DELIVERED, items: [] });
+
+        await check('updateOrderStatus rejects delivered -> pending with a BusinessLogicError', async () => {
+            await assert.rejects(
+                OrderModel.updateOrderStatus(1, S.PENDING, 1),
+                (error) => error instanceof BusinessLogicError
+            );
+        });
+
+        OrderModel.findById = async (id) => ({ id, status: S.CANCELLED, items: [] });
+
+        await check('updateOrderStatus rejects cancelled -> shipped with a BusinessLogicError', async () => {
+            await assert.rejects(
+                OrderModel.updateOrderStatus(1, S.SHIPPED, 1),
+                (error) => error instanceof BusinessLogicError
+            );
+        });
+    } finally {
+        OrderModel.findById = originalFindById;
+    }
+}
+
+async function runAllTests() {
+    console.log('🚀 Starting order status transition tests...\n');
+
+    await testTransitionGraph();
+    await testAssertTransition();
+    await testUpdateOrderStatusEnforcement();
+
+    console.log(`\n📋 Summary: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    runAllTests().catch(error => {
+        console.error('❌ Test suite failed:', error);
+        process.exit(1);
+    });
+}
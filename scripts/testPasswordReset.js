@@ -0,0 +1,162 @@
+require('dotenv').config();
+
+// Codes are read back from the in-memory SMS driver instead of a real phone
+process.env.SMS_DRIVER = 'memory';
+
+const assert = require('assert');
+const app = require('../app');
+const db = require('../src/config/db');
+const UserModel = require('../src/api/v1/auth/model');
+const { NotificationService } = require('../src/services/notification');
+const { hash, executeQuery } = require('../src/helpers/common');
+
+const sms = NotificationService.smsDriver;
+
+let passed = 0;
+let failed = 0;
+
+async function check(description, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`   ✅ ${description}`);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ ${description}`);
+        console.log(`      ${error.message}`);
+    }
+}
+
+function startServer() {
+    return new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+    });
+}
+
+async function post(baseUrl, path, body) {
+    const response = await fetch(`${baseUrl}/api/v1/auth${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const getSentCode = (phoneNumber) => {
+    const message = sms.getLastMessage(phoneNumber);
+    return message && /(\d{6})/.exec(message.body)[1];
+};
+
+async function testPasswordReset(baseUrl, phone_number) {
+    console.log('🔑 Testing password reset flow...');
+
+    const reset = (code, password = 'newpass123') => post(baseUrl, '/reset-password', {
+        phone_number, code, new_password: password, confirm_password: password
+    });
+
+    await check('unknown numbers get the same response and no SMS', async () => {
+        const { status, body } = await post(baseUrl, '/forgot-password', { phone_number: '+19990000000' });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.status, true);
+        assert.strictEqual(sms.getLastMessage('+19990000000'), null);
+    });
+
+    await check('a reset code is sent by SMS', async () => {
+        const { status } = await post(baseUrl, '/forgot-password', { phone_number });
+        assert.strictEqual(status, 200);
+        assert.ok(getSentCode(phone_number), 'no code sent');
+    });
+
+    await check('requesting again right away does not send another code', async () => {
+        const before = sms.getMessages(phone_number).length;
+        await post(baseUrl, '/forgot-password', { phone_number });
+        assert.strictEqual(sms.getMessages(phone_number).length, before);
+    });
+
+    const code = getSentCode(phone_number);
+    const wrongCode = code === '000000' ? '111111' : '000000';
+
+    await check('a wrong code is rejected', async () => {
+        const { status, body } = await reset(wrongCode);
+        assert.strictEqual(status, 400);
+        assert.match(body.message, /remaining/);
+    });
+
+    await check('the right code resets the password', async () => {
+        const { status } = await reset(code);
+        assert.strictEqual(status, 200);
+    });
+
+    await check('the code cannot be used twice', async () => {
+        const { status } = await reset(code, 'another123');
+        assert.strictEqual(status, 400);
+    });
+
+    await check('login works with the new password', async () => {
+        const { status, body } = await post(baseUrl, '/login', { phone_number, password: 'newpass123' });
+        assert.strictEqual(status, 200, body.message);
+        assert.ok(body.data.refresh_token);
+    });
+}
+
+async function testAttemptLimit(baseUrl, phone_number) {
+    console.log('\n🚫 Testing attempt limit...');
+
+    // Backdate earlier codes so the resend interval does not apply
+    await executeQuery(
+        'UPDATE phone_verification_codes SET created_at = DATE_SUB(created_at, INTERVAL 2 MINUTE) WHERE phone_number = ?',
+        [phone_number]
+    );
+    await post(baseUrl, '/forgot-password', { phone_number });
+    const code = getSentCode(phone_number);
+    const wrongCode = code === '000000' ? '111111' : '000000';
+
+    await check('the code stops working after too many wrong attempts', async () => {
+        for (let i = 0; i < 5; i++) {
+            await post(baseUrl, '/reset-password', {
+                phone_number, code: wrongCode, new_password: 'x123456', confirm_password: 'x123456'
+            });
+        }
+        const { status, body } = await post(baseUrl, '/reset-password', {
+            phone_number, code, new_password: 'x123456', confirm_password: 'x123456'
+        });
+        assert.strictEqual(status, 400);
+        assert.match(body.message, /Too many/);
+    });
+}
+
+async function runAllTests() {
+    console.log('🚀 Starting password reset tests...\n');
+
+    const phone_number = `+1555${Date.now().toString().slice(-7)}`;
+    const user = await UserModel.createUser({
+        phone_number,
+        password: await hash('oldpass123'),
+        first_name: 'Reset',
+        last_name: 'Test',
+        is_active: true
+    });
+    const server = await startServer();
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    try {
+        await testPasswordReset(baseUrl, phone_number);
+        await testAttemptLimit(baseUrl, phone_number);
+    } finally {
+        await executeQuery('DELETE FROM phone_verification_codes WHERE phone_number = ?', [phone_number]);
+        await executeQuery('DELETE FROM notifications WHERE recipient = ?', [phone_number]);
+        await executeQuery('DELETE FROM users WHERE id = ?', [user.id]);
+        server.close();
+        await db.close();
+    }
+
+    console.log(`\n📋 Summary: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    runAllTests().catch(error => {
+        console.error('❌ Test suite failed:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,155 @@
+require('dotenv').config();
+
+const assert = require('assert');
+
+// Receiving runs in one transaction; answer its queries from memory so the
+// test does not need a database. Must be replaced before the model loads.
+const dbHelpers = require('../src/helpers/db');
+let tx;
+dbHelpers.withTransaction = async (callback) => callback(tx);
+
+const PurchaseOrderModel = require('../src/api/v1/purchasing/model');
+const WarehouseModel = require('../src/api/v1/warehouses/model');
+const { CacheManager } = require('../src/utils/cache');
+const { BusinessLogicError } = require('../src/middleware/errorHandler');
+
+let passed = 0;
+let failed = 0;
+
+async function check(description, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`   ✅ ${description}`);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ ${description}`);
+        console.log(`      ${error.message}`);
+    }
+}
+
+/**
+ * A purchase order with one item of which 2 of 10 were received, holding
+ * 4 in its warehouse. Records what receiving writes.
+ */
+function createPurchaseOrder() {
+    const state = {
+        status: PurchaseOrderModel.STATUSES.PARTIALLY_RECEIVED,
+        stock: 4,
+        quantityReceived: 2
+    };
+
+    tx = {
+        async query(sql, params) {
+            if (sql.includes('FROM purchase_orders WHERE id')) {
+                return [{ id: 1, status: state.status, warehouse_id: 1 }];
+            }
+            if (sql.includes('FROM purchase_order_items WHERE purchase_order_id')) {
+                return [{
+                    id: 12,
+                    product_id: 3,
+                    variant_id: null,
+                    product_name: 'USB cable',
+                    quantity_ordered: 10,
+                    quantity_received: state.quantityReceived
+                }];
+            }
+            if (sql.includes('COUNT(*)')) {
+                return [{ count: 0 }];
+            }
+            if (sql.includes('UPDATE purchase_order_items')) {
+                state.quantityReceived += params[0];
+            } else if (sql.includes('UPDATE purchase_orders')) {
+                state.status = params[0];
+            }
+            return { affectedRows: 1 };
+        }
+    };
+
+    return state;
+}
+
+async function testStringValues() {
+    console.log('📦 Testing receiving with values sent as strings...');
+
+    const originals = {
+        lockStockItem: WarehouseModel.lockStockItem,
+        updateStockRow: WarehouseModel.updateStockRow,
+        syncTotalStock: WarehouseModel.syncTotalStock,
+        invalidateProduct: CacheManager.invalidateProduct,
+        findById: PurchaseOrderModel.findById
+    };
+
+    let state;
+    WarehouseModel.lockStockItem = async () => {};
+    WarehouseModel.updateStockRow = async (t, warehouseId, productId, variantId, getQuantity) => {
+        const oldQuantity = state.stock;
+        state.stock = getQuantity(oldQuantity);
+        return { old_quantity: oldQuantity, new_quantity: state.stock };
+    };
+    WarehouseModel.syncTotalStock = async () => {};
+    CacheManager.invalidateProduct = async () => {};
+    PurchaseOrderModel.findById = async (id) => ({ id, status: state.status });
+
+    try {
+        await check('adds a string quantity to stock as a number', async () => {
+            state = createPurchaseOrder();
+            await PurchaseOrderModel.receiveItems(1, [{ item_id: '12', quantity: '5' }]);
+            assert.strictEqual(state.stock, 9);
+            assert.strictEqual(state.quantityReceived, 7);
+            assert.strictEqual(state.status, PurchaseOrderModel.STATUSES.PARTIALLY_RECEIVED);
+        });
+
+        await check('sums string quantities of the same item', async () => {
+            state = createPurchaseOrder();
+            await PurchaseOrderModel.receiveItems(1, [
+                { item_id: '12', quantity: '3' },
+                { item_id: 12, quantity: '5' }
+            ]);
+            assert.strictEqual(state.stock, 12);
+            assert.strictEqual(state.quantityReceived, 10);
+            assert.strictEqual(state.status, PurchaseOrderModel.STATUSES.RECEIVED);
+        });
+
+        await check('rejects receiving more than expected given as a string', async () => {
+            state = createPurchaseOrder();
+            await assert.rejects(
+                PurchaseOrderModel.receiveItems(1, [{ item_id: '12', quantity: '9' }]),
+                (error) => error instanceof BusinessLogicError && /only 8 still expected/.test(error.message)
+            );
+            assert.strictEqual(state.stock, 4);
+        });
+
+        await check('rejects an item that is not on the purchase order', async () => {
+            state = createPurchaseOrder();
+            await assert.rejects(
+                PurchaseOrderModel.receiveItems(1, [{ item_id: '99', quantity: '1' }]),
+                (error) => error instanceof BusinessLogicError && /not on this purchase order/.test(error.message)
+            );
+        });
+    } finally {
+        Object.assign(WarehouseModel, {
+            lockStockItem: originals.lockStockItem,
+            updateStockRow: originals.updateStockRow,
+            syncTotalStock: originals.syncTotalStock
+        });
+        CacheManager.invalidateProduct = originals.invalidateProduct;
+        PurchaseOrderModel.findById = originals.findById;
+    }
+}
+
+async function runAllTests() {
+    console.log('🚀 Starting purchase receiving tests...\n');
+
+    await testStringValues();
+
+    console.log(`\n📋 Summary: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    runAllTests().catch(error => {
+        console.error('❌ Test suite failed:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,171 @@
+require('dotenv').config();
+
+// Counters must start empty, so always use the in-process store here
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const app = require('../app');
+const { createToken } = require('../src/helpers/common');
+const { RATE_LIMIT_TIERS, AUTH_RATE_LIMITS } = require('../src/middleware/rateLimit');
+
+let passed = 0;
+let failed = 0;
+
+async function check(description, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`   ✅ ${description}`);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ ${description}`);
+        console.log(`      ${error.message}`);
+    }
+}
+
+function startServer() {
+    return new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+    });
+}
+
+async function request(baseUrl, path, { method = 'GET', token, body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${baseUrl}/api/v1${path}`, {
+        method,
+        headers,
+        body: body && JSON.stringify(body)
+    });
+    return {
+        status: response.status,
+        headers: response.headers,
+        body: await response.json()
+    };
+}
+
+// Not a real endpoint: requests get a 404 without touching the database
+const PROBE_PATH = '/rate-limit-probe';
+
+async function testLoginLimit(baseUrl) {
+    console.log('🔐 Testing login bucket...');
+
+    // An empty body fails validation before any database work
+    const login = () => request(baseUrl, '/auth/login', { method: 'POST', body: {} });
+    const { max } = AUTH_RATE_LIMITS.login;
+
+    await check(`allows ${max} login attempts with RateLimit headers`, async () => {
+        for (let i = 1; i <= max; i++) {
+            const { status, headers } = await login();
+            assert.strictEqual(status, 400);
+            assert.strictEqual(headers.get('ratelimit-limit'), String(max));
+            assert.strictEqual(headers.get('ratelimit-remaining'), String(max - i));
+        }
+    });
+
+    await check('rejects the next attempt with 429 and Retry-After', async () => {
+        const { status, headers, body } = await login();
+        assert.strictEqual(status, 429);
+        assert.strictEqual(body.status, false);
+        assert.match(body.message, /Too many login attempts/);
+        assert.ok(Number(headers.get('retry-after')) > 0);
+    });
+}
+
+async function testActivateCodeLimit(baseUrl) {
+    console.log('🔑 Testing activation code bucket...');
+
+    // Too short to be a code, so validation rejects it before any database work
+    const activate = phone_number => request(baseUrl, '/auth/activate', {
+        method: 'POST',
+        body: { phone_number, activation_code: 'X' }
+    });
+    const { max } = AUTH_RATE_LIMITS.activateCode;
+
+    await check(`blocks a phone number after ${max} failed activations`, async () => {
+        for (let i = 1; i <= max; i++) {
+            const { status } = await activate('07701234567');
+            assert.strictEqual(status, 400);
+        }
+        const { status, body } = await activate('07701234567');
+        assert.strictEqual(status, 429);
+        assert.match(body.message, /Too many invalid activation codes/);
+    });
+
+    await check('counts other phone numbers separately', async () => {
+        const { status } = await activate('07707654321');
+        assert.strictEqual(status, 400);
+    });
+}
+
+async function testApiTiers(baseUrl) {
+    console.log('🚦 Testing API tiers...');
+
+    const userToken = await createToken({ id: 900001, role: 'user' });
+    const adminToken = await createToken({ id: 900002, role: 'admin' });
+    const forgedToken = jwt.sign({ data: { id: 900003, role: 'admin' } }, 'not-the-secret');
+
+    await check('guests get the guest limit', async () => {
+        const { status, headers } = await request(baseUrl, PROBE_PATH);
+        assert.strictEqual(status, 404);
+        assert.strictEqual(headers.get('ratelimit-limit'), String(RATE_LIMIT_TIERS.guest.max));
+    });
+
+    await check('users get the user limit', async () => {
+        const { headers } = await request(baseUrl, PROBE_PATH, { token: userToken });
+        assert.strictEqual(headers.get('ratelimit-limit'), String(RATE_LIMIT_TIERS.user.max));
+        assert.strictEqual(headers.get('ratelimit-remaining'), String(RATE_LIMIT_TIERS.user.max - 1));
+    });
+
+    await check('admins get the admin limit', async () => {
+        const { headers } = await request(baseUrl, PROBE_PATH, { token: adminToken });
+        assert.strictEqual(headers.get('ratelimit-limit'), String(RATE_LIMIT_TIERS.admin.max));
+    });
+
+    await check('tokens with a bad signature are treated as guests', async () => {
+        const { headers } = await request(baseUrl, PROBE_PATH, { token: forgedToken });
+        assert.strictEqual(headers.get('ratelimit-limit'), String(RATE_LIMIT_TIERS.guest.max));
+    });
+
+    await check('guests are blocked once the limit is used up', async () => {
+        let response = await request(baseUrl, PROBE_PATH);
+        while (response.status !== 429) {
+            assert.ok(Number(response.headers.get('ratelimit-remaining')) >= 0);
+            response = await request(baseUrl, PROBE_PATH);
+        }
+        assert.strictEqual(response.body.status, false);
+        assert.match(response.body.message, /Too many requests/);
+    });
+
+    await check('users are counted separately from their IP', async () => {
+        const { status } = await request(baseUrl, PROBE_PATH, { token: userToken });
+        assert.strictEqual(status, 404);
+    });
+}
+
+async function runAllTests() {
+    console.log('🧪 Rate limit tests\n');
+
+    const server = await startServer();
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    try {
+        await testLoginLimit(baseUrl);
+        await testActivateCodeLimit(baseUrl);
+        await testApiTiers(baseUrl);
+    } finally {
+        server.close();
+    }
+
+    console.log(`\n📋 Summary: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    runAllTests().catch(error => {
+        console.error('❌ Test suite failed:', error);
+        process.exit(1);
+    });
+}
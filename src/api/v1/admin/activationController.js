@@ -1,28 +1,38 @@
+const Papa = require("papaparse");
 const ActivationCodeModel = require("../auth/activationCodeModel");
+const ActivationCampaignModel = require("../auth/activationCampaignModel");
+const { AuditService } = require("../../../services/audit");
 const {
   NotFoundError,
   BusinessLogicError,
 } = require("../../../middleware/errorHandler");
 
 class AdminActivationController {
+  /**
+   * Expiry date for codes valid for the given number of days
+   */
+  static getExpiryDate(expiresInDays) {
+    if (!expiresInDays) return null;
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + parseInt(expiresInDays));
+    return expiresAt;
+  }
+
   /**
    * Generate new activation code
    */
   static async generateActivationCode(req, res) {
     try {
-      const { format, expires_in_days, notes, custom_code } = req.body;
+      const { format, expires_in_days, max_uses, notes, custom_code } =
+        req.body;
       const adminId = req.user.id;
 
-      let expires_at = null;
-      if (expires_in_days) {
-        expires_at = new Date();
-        expires_at.setDate(expires_at.getDate() + parseInt(expires_in_days));
-      }
-
       const codeData = {
         code: custom_code || null, // Use custom code if provided
         format: format || "JANAH",
-        expires_at,
+        expires_at: AdminActivationController.getExpiryDate(expires_in_days),
+        max_uses: parseInt(max_uses) || 1,
         notes,
       };
 
@@ -30,6 +40,12 @@ class AdminActivationController {
         codeData,
         adminId
       );
+      await AuditService.record(req, {
+        action: "activation_code.generate",
+        entityType: "activation_code",
+        entityId: activationCode.id,
+        after: activationCode,
+      });
 
       res.status(201).json({
         status: true,
@@ -41,18 +57,89 @@ class AdminActivationController {
     }
   }
 
+  /**
+   * Generate a batch of activation codes for a campaign. The campaign is
+   * created if no campaign has that name yet.
+   */
+  static async generateActivationCodeBatch(req, res) {
+    try {
+      const {
+        campaign: campaignName,
+        campaign_description,
+        count,
+        format,
+        expires_in_days,
+        max_uses,
+        notes,
+      } = req.body;
+      const adminId = req.user.id;
+
+      let campaign = await ActivationCampaignModel.findByName(campaignName);
+      const isNewCampaign = !campaign;
+      if (isNewCampaign) {
+        campaign = await ActivationCampaignModel.createCampaign(
+          { name: campaignName, description: campaign_description },
+          adminId
+        );
+        await AuditService.record(req, {
+          action: "activation_campaign.create",
+          entityType: "activation_campaign",
+          entityId: campaign.id,
+          after: campaign,
+        });
+      }
+
+      const codeData = {
+        format: format || "JANAH",
+        campaign_id: campaign.id,
+        max_uses: parseInt(max_uses) || 1,
+        expires_at: AdminActivationController.getExpiryDate(expires_in_days),
+        notes,
+      };
+      const codes = await ActivationCodeModel.createBatch(
+        codeData,
+        parseInt(count),
+        adminId
+      );
+      await AuditService.record(req, {
+        action: "activation_code.generate_batch",
+        entityType: "activation_campaign",
+        entityId: campaign.id,
+        metadata: {
+          count: codes.length,
+          format: codeData.format,
+          max_uses: codeData.max_uses,
+          expires_at: codeData.expires_at,
+        },
+      });
+
+      res.status(201).json({
+        status: true,
+        message: `${codes.length} activation codes generated for campaign ${campaign.name}`,
+        data: {
+          campaign,
+          campaign_created: isNewCampaign,
+          codes,
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get all activation codes
    */
   static async getAllActivationCodes(req, res) {
     try {
-      const { page, limit, status, created_by } = req.query;
+      const { page, limit, status, created_by, campaign_id } = req.query;
 
       const options = {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 20,
         status,
         created_by: created_by ? parseInt(created_by) : undefined,
+        campaign_id: campaign_id ? parseInt(campaign_id) : undefined,
       };
 
       const result = await ActivationCodeModel.getAllCodes(options);
@@ -101,13 +188,20 @@ class AdminActivationController {
         throw new NotFoundError("Activation code not found");
       }
 
-      if (activationCode.used_by) {
+      if (activationCode.use_count >= activationCode.max_uses) {
         throw new BusinessLogicError(
           "Cannot deactivate a code that has already been used"
         );
       }
 
       const updatedCode = await ActivationCodeModel.deactivateCode(code);
+      await AuditService.record(req, {
+        action: "activation_code.deactivate",
+        entityType: "activation_code",
+        entityId: activationCode.id,
+        before: activationCode,
+        after: updatedCode,
+      });
 
       res.json({
         status: true,
@@ -135,6 +229,82 @@ class AdminActivationController {
       throw error;
     }
   }
+
+  /**
+   * Get all campaigns with their redemption statistics
+   */
+  static async getCampaigns(req, res) {
+    try {
+      const campaigns = await ActivationCodeModel.getCampaignStatistics();
+
+      res.json({
+        status: true,
+        message: "Activation campaigns retrieved successfully",
+        data: { campaigns },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a campaign with its redemption statistics
+   */
+  static async getCampaign(req, res) {
+    try {
+      const [campaign] = await ActivationCodeModel.getCampaignStatistics(
+        parseInt(req.params.campaign_id)
+      );
+      if (!campaign) {
+        throw new NotFoundError("Activation campaign not found");
+      }
+
+      res.json({
+        status: true,
+        message: "Activation campaign retrieved successfully",
+        data: { campaign },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Export a campaign's codes as CSV
+   */
+  static async exportCampaignCodes(req, res) {
+    try {
+      const campaign = await ActivationCampaignModel.findById(
+        parseInt(req.params.campaign_id)
+      );
+      if (!campaign) {
+        throw new NotFoundError("Activation campaign not found");
+      }
+
+      const codes = await ActivationCodeModel.getCampaignCodes(campaign.id);
+      const csv = Papa.unparse(codes, {
+        columns: [
+          "code",
+          "status",
+          "max_uses",
+          "use_count",
+          "expires_at",
+          "notes",
+          "created_at",
+        ],
+      });
+
+      const filename = `activation-codes-${campaign.name.replace(
+        /[^A-Za-z0-9_-]+/g,
+        "_"
+      )}.csv`;
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+      res.send(csv);
+    } catch (error) {
+      throw error;
+    }
+  }
 }
 
 module.exports = AdminActivationController;
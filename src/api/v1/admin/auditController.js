@@ -0,0 +1,42 @@
+const AuditLogModel = require("../audit/model");
+
+class AdminAuditController {
+  /**
+   * Get audit log entries with filters
+   */
+  static async getAuditLog(req, res) {
+    try {
+      const {
+        page,
+        limit,
+        actor_id,
+        action,
+        entity_type,
+        entity_id,
+        start_date,
+        end_date,
+      } = req.query;
+
+      const result = await AuditLogModel.getEntries({
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50,
+        actor_id: actor_id ? parseInt(actor_id) : undefined,
+        action,
+        entity_type,
+        entity_id,
+        start_date,
+        end_date,
+      });
+
+      res.json({
+        status: true,
+        message: "Audit log retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = AdminAuditController;
@@ -1,4 +1,10 @@
 const UserModel = require("../auth/model");
+const SessionModel = require("../auth/sessionModel");
+const LoginThrottleModel = require("../auth/loginThrottleModel");
+const RoleModel = require("../roles/model");
+const ReferralModel = require("../referrals/model");
+const { NotificationService } = require("../../../services/notification");
+const { AuditService } = require("../../../services/audit");
 const {
   NotFoundError,
   BusinessLogicError,
@@ -10,13 +16,14 @@ class AdminController {
    */
   static async getAllUsers(req, res) {
     try {
-      const { page, limit, role, is_active } = req.query;
+      const { page, limit, role, is_active, referred_by } = req.query;
 
       const options = {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
         role,
         isActive: is_active !== undefined ? is_active === "true" : undefined,
+        referredBy: referred_by ? parseInt(referred_by) : undefined,
       };
 
       const result = await UserModel.getAllUsers(options);
@@ -57,6 +64,31 @@ class AdminController {
     }
   }
 
+  /**
+   * Who referred a user, how many they referred and their invite quota
+   */
+  static async getReferralSummary(user) {
+    const [referrer, counts, invites] = await Promise.all([
+      user.referred_by ? UserModel.findById(user.referred_by) : null,
+      ReferralModel.countReferrals(user.id),
+      ReferralModel.getInviteQuota(user),
+    ]);
+
+    return {
+      referred_by: referrer
+        ? {
+            id: referrer.id,
+            first_name: referrer.first_name,
+            last_name: referrer.last_name,
+            phone_number: referrer.phone_number,
+          }
+        : null,
+      referral_count: counts.total,
+      active_referral_count: counts.active,
+      invites,
+    };
+  }
+
   /**
    * Get user by ID
    */
@@ -69,10 +101,15 @@ class AdminController {
         throw new NotFoundError("User not found");
       }
 
+      const [login_security, referrals] = await Promise.all([
+        LoginThrottleModel.getLoginSecurity(user),
+        AdminController.getReferralSummary(user),
+      ]);
+
       res.json({
         status: true,
         message: "User retrieved successfully",
-        data: { user },
+        data: { user, login_security, referrals },
       });
     } catch (error) {
       throw error;
@@ -103,6 +140,15 @@ class AdminController {
         user_id,
         adminId
       );
+      await AuditService.record(req, {
+        action: "user.activate",
+        entityType: "user",
+        entityId: user.id,
+        before: user,
+        after: updatedUser,
+      });
+
+      await NotificationService.sendAccountActivated(updatedUser);
 
       res.json({
         status: true,
@@ -127,9 +173,17 @@ class AdminController {
         throw new NotFoundError("User not found");
       }
 
-      // Prevent deactivating admin users
-      if (user.role === "admin") {
-        throw new BusinessLogicError("Cannot deactivate admin users");
+      // Super admins cannot be deactivated, other staff only by a super admin
+      if (user.role === RoleModel.SUPER_ADMIN) {
+        throw new BusinessLogicError("Cannot deactivate super admin users");
+      }
+      if (
+        user.role !== RoleModel.DEFAULT_ROLE &&
+        req.user.role !== RoleModel.SUPER_ADMIN
+      ) {
+        throw new BusinessLogicError(
+          "Only a super admin can deactivate staff accounts"
+        );
       }
 
       // Check if user is already inactive
@@ -137,8 +191,16 @@ class AdminController {
         throw new BusinessLogicError("User account is already inactive");
       }
 
-      // Deactivate user
+      // Deactivate user and sign them out everywhere
       const updatedUser = await UserModel.deactivateUser(user_id);
+      await SessionModel.revokeUserSessions(user_id, "user_deactivated");
+      await AuditService.record(req, {
+        action: "user.deactivate",
+        entityType: "user",
+        entityId: user.id,
+        before: user,
+        after: updatedUser,
+      });
 
       res.json({
         status: true,
@@ -150,6 +212,46 @@ class AdminController {
     }
   }
 
+  /**
+   * Lift a login lockout and clear failed login attempts
+   */
+  static async unlockUser(req, res) {
+    try {
+      const { user_id } = req.body;
+      const adminId = req.user.id;
+
+      const user = await UserModel.findById(user_id);
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+
+      const unlocked = await LoginThrottleModel.unlock(
+        user.phone_number,
+        adminId
+      );
+      if (!unlocked) {
+        throw new BusinessLogicError(
+          "User account is not locked and has no failed login attempts"
+        );
+      }
+      await AuditService.record(req, {
+        action: "user.unlock",
+        entityType: "user",
+        entityId: user.id,
+      });
+
+      const login_security = await LoginThrottleModel.getLoginSecurity(user);
+
+      res.json({
+        status: true,
+        message: "User account unlocked successfully",
+        data: { user, login_security },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get activation statistics - UPDATED
    */
@@ -226,7 +328,18 @@ class AdminController {
             continue;
           }
 
-          await UserModel.activateUserDirectly(userId, adminId);
+          const updatedUser = await UserModel.activateUserDirectly(
+            userId,
+            adminId
+          );
+          await AuditService.record(req, {
+            action: "user.activate",
+            entityType: "user",
+            entityId: user.id,
+            before: user,
+            after: updatedUser,
+            metadata: { bulk: true },
+          });
           results.activated.push(userId);
         } catch (error) {
           results.failed.push({
@@ -246,6 +359,81 @@ class AdminController {
     }
   }
 
+  /**
+   * Get everyone a user referred, as a tree
+   */
+  static async getUserReferralTree(req, res) {
+    try {
+      const { user_id } = req.params;
+      const depth = parseInt(req.query.depth) || 3;
+
+      const user = await UserModel.findById(user_id);
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+
+      const { tree, total } = await ReferralModel.getReferralTree(
+        user.id,
+        depth
+      );
+
+      res.json({
+        status: true,
+        message: "Referral tree retrieved successfully",
+        data: {
+          user: {
+            id: user.id,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            referred_by: user.referred_by,
+          },
+          depth,
+          total_referrals: total,
+          referrals: tree,
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set how many invite codes a user may have
+   */
+  static async setInviteQuota(req, res) {
+    try {
+      const { user_id } = req.params;
+      const { invite_quota } = req.body;
+
+      const user = await UserModel.findById(user_id);
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+
+      await ReferralModel.setInviteQuota(user.id, invite_quota);
+      await AuditService.record(req, {
+        action: "user.set_invite_quota",
+        entityType: "user",
+        entityId: user.id,
+        before: { invite_quota: user.invite_quota },
+        after: { invite_quota },
+      });
+
+      const invites = await ReferralModel.getInviteQuota({
+        ...user,
+        invite_quota,
+      });
+
+      res.json({
+        status: true,
+        message: "Invite quota updated successfully",
+        data: { invites },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Search users
    */
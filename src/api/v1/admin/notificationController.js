@@ -0,0 +1,340 @@
+const NotificationModel = require("../notifications/model");
+const MessageTemplateModel = require("../notifications/templateModel");
+const { NotificationService } = require("../../../services/notification");
+const { AuditService } = require("../../../services/audit");
+const {
+  MESSAGE_TEMPLATES,
+  LOCALES,
+  renderTemplate,
+  getTemplateVariables,
+} = require("../../../services/messageTemplates");
+const {
+  NotFoundError,
+  BusinessLogicError,
+  ValidationError,
+} = require("../../../middleware/errorHandler");
+
+// Example values used to preview templates
+const SAMPLE_VARIABLES = {
+  order_number: "ORD250101001",
+  total: "25,000",
+  first_name: "Ali",
+  reason: "Out of stock",
+  code: "123456",
+  minutes: 10,
+  count: 7,
+  items: "PH01A (2), PH02BLK (0), CS10 (4), CS11 (1), CH05 (3)",
+  more: 2,
+};
+
+class AdminNotificationController {
+  /**
+   * Describe a template with the effective text for every locale
+   */
+  static formatTemplate(event, overrides) {
+    const template = MESSAGE_TEMPLATES[event];
+    const locales = {};
+
+    LOCALES.forEach((locale) => {
+      const override = overrides.find(
+        (item) => item.event === event && item.locale === locale
+      );
+      const body = override ? override.body : template[locale];
+
+      locales[locale] = {
+        body,
+        is_default: !override,
+        default_body: template[locale],
+        updated_by: override ? override.updated_by : null,
+        updated_at: override ? override.updated_at : null,
+        preview: renderTemplate(body, SAMPLE_VARIABLES),
+      };
+    });
+
+    return {
+      event,
+      description: template.description,
+      variables: template.variables,
+      locales,
+    };
+  }
+
+  /**
+   * Find a template event or throw
+   */
+  static assertTemplate(event, locale) {
+    if (!MESSAGE_TEMPLATES[event]) {
+      throw new NotFoundError("Message template not found");
+    }
+    if (locale !== undefined && !LOCALES.includes(locale)) {
+      throw new ValidationError(
+        `Locale must be one of: ${LOCALES.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Get all message templates
+   */
+  static async getTemplates(req, res) {
+    try {
+      const overrides = await MessageTemplateModel.getOverrides();
+      const templates = Object.keys(MESSAGE_TEMPLATES).map((event) =>
+        AdminNotificationController.formatTemplate(event, overrides)
+      );
+
+      res.json({
+        status: true,
+        message: "Message templates retrieved successfully",
+        data: { templates, locales: LOCALES },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a message template
+   */
+  static async getTemplate(req, res) {
+    try {
+      const { event } = req.params;
+      AdminNotificationController.assertTemplate(event);
+
+      const overrides = await MessageTemplateModel.getOverrides();
+
+      res.json({
+        status: true,
+        message: "Message template retrieved successfully",
+        data: {
+          template: AdminNotificationController.formatTemplate(
+            event,
+            overrides
+          ),
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Effective text of a template for one locale, for the audit log
+   */
+  static async getTemplateBody(event, locale) {
+    const override = await MessageTemplateModel.findOverride(event, locale);
+    return override ? override.body : MESSAGE_TEMPLATES[event][locale];
+  }
+
+  /**
+   * Replace the text of a message template for one locale
+   */
+  static async updateTemplate(req, res) {
+    try {
+      const { event, locale } = req.params;
+      const { body } = req.body;
+      AdminNotificationController.assertTemplate(event, locale);
+
+      const allowed = MESSAGE_TEMPLATES[event].variables;
+      const unknown = getTemplateVariables(body).filter(
+        (name) => !allowed.includes(name)
+      );
+      if (unknown.length > 0) {
+        throw new ValidationError(
+          `Unknown template variables: ${unknown.join(
+            ", "
+          )}. Available: ${allowed.join(", ")}`
+        );
+      }
+
+      const previousBody = await AdminNotificationController.getTemplateBody(
+        event,
+        locale
+      );
+      await MessageTemplateModel.saveOverride(
+        event,
+        locale,
+        body,
+        req.user.id
+      );
+      await AuditService.record(req, {
+        action: "message_template.update",
+        entityType: "message_template",
+        entityId: `${event}:${locale}`,
+        before: { body: previousBody },
+        after: { body },
+      });
+      const overrides = await MessageTemplateModel.getOverrides();
+
+      res.json({
+        status: true,
+        message: "Message template updated successfully",
+        data: {
+          template: AdminNotificationController.formatTemplate(
+            event,
+            overrides
+          ),
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the built-in text of a message template for one locale
+   */
+  static async resetTemplate(req, res) {
+    try {
+      const { event, locale } = req.params;
+      AdminNotificationController.assertTemplate(event, locale);
+
+      const previousBody = await AdminNotificationController.getTemplateBody(
+        event,
+        locale
+      );
+      await MessageTemplateModel.deleteOverride(event, locale);
+      await AuditService.record(req, {
+        action: "message_template.reset",
+        entityType: "message_template",
+        entityId: `${event}:${locale}`,
+        before: { body: previousBody },
+        after: { body: MESSAGE_TEMPLATES[event][locale] },
+      });
+      const overrides = await MessageTemplateModel.getOverrides();
+
+      res.json({
+        status: true,
+        message: "Message template reset to default",
+        data: {
+          template: AdminNotificationController.formatTemplate(
+            event,
+            overrides
+          ),
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get notifications with delivery status and filters
+   */
+  static async getNotifications(req, res) {
+    try {
+      const {
+        page,
+        limit,
+        status,
+        type,
+        recipient,
+        user_id,
+        reference_type,
+        reference_id,
+      } = req.query;
+
+      const result = await NotificationModel.getNotifications({
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20,
+        status,
+        type,
+        recipient,
+        user_id: user_id ? parseInt(user_id) : undefined,
+        reference_type,
+        reference_id: reference_id ? parseInt(reference_id) : undefined,
+      });
+
+      res.json({
+        status: true,
+        message: "Notifications retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get notification counts by delivery status
+   */
+  static async getNotificationStats(req, res) {
+    try {
+      const days = parseInt(req.query.days) || null;
+      const since = days ? new Date(Date.now() - days * 86400 * 1000) : null;
+
+      const counts = await NotificationModel.getStatusCounts(since);
+
+      res.json({
+        status: true,
+        message: "Notification statistics retrieved successfully",
+        data: { period_days: days, counts },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single notification
+   */
+  static async getNotification(req, res) {
+    try {
+      const notification = await NotificationModel.findById(
+        req.params.notification_id
+      );
+      if (!notification) {
+        throw new NotFoundError("Notification not found");
+      }
+
+      res.json({
+        status: true,
+        message: "Notification retrieved successfully",
+        data: { notification },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Retry a failed notification now
+   */
+  static async retryNotification(req, res) {
+    try {
+      const { notification_id } = req.params;
+
+      const notification = await NotificationModel.findById(notification_id);
+      if (!notification) {
+        throw new NotFoundError("Notification not found");
+      }
+
+      const requeued = await NotificationModel.requeue(notification_id);
+      if (!requeued) {
+        throw new BusinessLogicError(
+          "Only failed notifications that have not expired can be retried"
+        );
+      }
+
+      const updated = await NotificationService.deliver(notification_id);
+      await AuditService.record(req, {
+        action: "notification.retry",
+        entityType: "notification",
+        entityId: notification.id,
+        metadata: { result: updated ? updated.status : null },
+      });
+
+      res.json({
+        status: true,
+        message: `Notification retry ${
+          updated && updated.status === "sent" ? "succeeded" : "failed"
+        }`,
+        data: { notification: updated },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = AdminNotificationController;
@@ -0,0 +1,249 @@
+const RoleModel = require("../roles/model");
+const UserModel = require("../auth/model");
+const { CacheManager } = require("../../../utils/cache");
+const { AuditService } = require("../../../services/audit");
+const {
+  NotFoundError,
+  BusinessLogicError,
+  ValidationError,
+  ConflictError,
+  AuthorizationError,
+} = require("../../../middleware/errorHandler");
+
+class AdminRoleController {
+  /**
+   * Find a role or throw
+   */
+  static async getExistingRole(name) {
+    const role = await RoleModel.findByName(name);
+    if (!role) {
+      throw new NotFoundError("Role not found");
+    }
+    return role;
+  }
+
+  /**
+   * Reject permission names that do not exist
+   */
+  static async checkPermissions(permissions) {
+    const unknown = await RoleModel.findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown permissions: ${unknown.join(", ")}`);
+    }
+  }
+
+  /**
+   * Get all roles with their permissions
+   */
+  static async getRoles(req, res) {
+    try {
+      const roles = await RoleModel.getRoles();
+
+      res.json({
+        status: true,
+        message: "Roles retrieved successfully",
+        data: { roles },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get every permission that can be granted
+   */
+  static async getPermissions(req, res) {
+    try {
+      const permissions = await RoleModel.getPermissions();
+
+      res.json({
+        status: true,
+        message: "Permissions retrieved successfully",
+        data: { permissions },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a role with its permissions
+   */
+  static async getRole(req, res) {
+    try {
+      const role = await AdminRoleController.getExistingRole(req.params.role);
+
+      res.json({
+        status: true,
+        message: "Role retrieved successfully",
+        data: { role },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a custom role
+   */
+  static async createRole(req, res) {
+    try {
+      const { name, description, permissions } = req.body;
+
+      if (await RoleModel.findByName(name)) {
+        throw new ConflictError("A role with this name already exists");
+      }
+      await AdminRoleController.checkPermissions(permissions);
+
+      const role = await RoleModel.createRole({
+        name,
+        description: description || null,
+        permissions,
+      });
+      await AuditService.record(req, {
+        action: "role.create",
+        entityType: "role",
+        entityId: role.name,
+        after: role,
+      });
+
+      res.status(201).json({
+        status: true,
+        message: "Role created successfully",
+        data: { role },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a role's description and/or permissions
+   */
+  static async updateRole(req, res) {
+    try {
+      const { description, permissions } = req.body;
+      const existing = await AdminRoleController.getExistingRole(
+        req.params.role
+      );
+
+      if (existing.name === RoleModel.SUPER_ADMIN) {
+        throw new BusinessLogicError(
+          "The super_admin role always has every permission and cannot be changed"
+        );
+      }
+      if (permissions) {
+        await AdminRoleController.checkPermissions(permissions);
+      }
+
+      const role = await RoleModel.updateRole(existing.name, {
+        description: description === "" ? null : description,
+        permissions,
+      });
+      await CacheManager.invalidateRoles();
+      await AuditService.record(req, {
+        action: "role.update",
+        entityType: "role",
+        entityId: role.name,
+        before: existing,
+        after: role,
+      });
+
+      res.json({
+        status: true,
+        message: "Role updated successfully",
+        data: { role },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a custom role that no user has
+   */
+  static async deleteRole(req, res) {
+    try {
+      const role = await AdminRoleController.getExistingRole(req.params.role);
+
+      if (role.is_system) {
+        throw new BusinessLogicError("Built-in roles cannot be deleted");
+      }
+      if (role.user_count > 0) {
+        throw new BusinessLogicError(
+          `Role is assigned to ${role.user_count} user(s). Assign them another role first.`
+        );
+      }
+
+      await RoleModel.deleteRole(role.name);
+      await CacheManager.invalidateRoles();
+      await AuditService.record(req, {
+        action: "role.delete",
+        entityType: "role",
+        entityId: role.name,
+        before: role,
+      });
+
+      res.json({
+        status: true,
+        message: "Role deleted successfully",
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Change a user's role
+   */
+  static async assignUserRole(req, res) {
+    try {
+      const { user_id } = req.params;
+      const { role } = req.body;
+      const admin = req.user;
+
+      const user = await UserModel.findById(user_id);
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+      if (!(await RoleModel.findByName(role))) {
+        throw new ValidationError("Role not found");
+      }
+
+      if (user.id === admin.id) {
+        throw new BusinessLogicError("You cannot change your own role");
+      }
+      if (user.role === role) {
+        throw new BusinessLogicError(`User already has the ${role} role`);
+      }
+
+      // Only super admins can make or unmake super admins
+      const involvesSuperAdmin =
+        role === RoleModel.SUPER_ADMIN || user.role === RoleModel.SUPER_ADMIN;
+      if (involvesSuperAdmin && admin.role !== RoleModel.SUPER_ADMIN) {
+        throw new AuthorizationError(
+          "Only a super admin can grant or remove the super_admin role"
+        );
+      }
+
+      const updatedUser = await UserModel.updateUser(user.id, { role });
+      await AuditService.record(req, {
+        action: "user.assign_role",
+        entityType: "user",
+        entityId: user.id,
+        before: { role: user.role },
+        after: { role },
+      });
+
+      res.json({
+        status: true,
+        message: "User role updated successfully",
+        data: { user: updatedUser },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = AdminRoleController;
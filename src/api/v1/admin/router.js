@@ -3,30 +3,54 @@ const router = express.Router();
 
 const AdminController = require("./controller");
 const AdminActivationController = require("./activationController");
+const AdminNotificationController = require("./notificationController");
+const AdminRoleController = require("./roleController");
+const AdminAuditController = require("./auditController");
+const AdminStockAlertController = require("./stockAlertController");
 const validateRequest = require("../../../middleware/validateRequest");
-const { authenticateToken, requireAdmin } = require("../../../middleware/auth");
+const {
+  authenticateToken,
+  requirePermission,
+} = require("../../../middleware/auth");
 const { asyncHandler } = require("../../../middleware/errorHandler");
 
 const {
   activateUserSchema,
   getUsersSchema,
   generateActivationCodeSchema,
+  generateActivationCodeBatchSchema,
   getActivationCodesSchema,
 } = require("../auth/validation");
+const {
+  getNotificationsSchema,
+  getNotificationStatsSchema,
+  updateMessageTemplateSchema,
+} = require("../notifications/validation");
+const {
+  createRoleSchema,
+  updateRoleSchema,
+  assignRoleSchema,
+} = require("../roles/validation");
+const { getAuditLogSchema } = require("../audit/validation");
+const { getStockAlertsSchema } = require("../warehouses/validation");
+const {
+  setInviteQuotaSchema,
+  getReferralTreeSchema,
+} = require("../referrals/validation");
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication; each route checks its permission
 router.use(authenticateToken);
-router.use(requireAdmin);
 
 // ============ USER MANAGEMENT ROUTES ============
 
 /**
  * @route GET /api/v1/admin/users
  * @desc Get all users with pagination and filters
- * @access Admin
+ * @access Permission users:read
  */
 router.get(
   "/users",
+  requirePermission("users:read"),
   validateRequest(getUsersSchema),
   asyncHandler(AdminController.getAllUsers)
 );
@@ -34,10 +58,11 @@ router.get(
 /**
  * @route GET /api/v1/admin/users/pending
  * @desc Get pending users (not activated)
- * @access Admin
+ * @access Permission users:read
  */
 router.get(
   "/users/pending",
+  requirePermission("users:read"),
   validateRequest(getUsersSchema),
   asyncHandler(AdminController.getPendingUsers)
 );
@@ -45,17 +70,22 @@ router.get(
 /**
  * @route GET /api/v1/admin/users/:user_id
  * @desc Get user by ID
- * @access Admin
+ * @access Permission users:read
  */
-router.get("/users/:user_id", asyncHandler(AdminController.getUserById));
+router.get(
+  "/users/:user_id",
+  requirePermission("users:read"),
+  asyncHandler(AdminController.getUserById)
+);
 
 /**
  * @route POST /api/v1/admin/users/activate
  * @desc Activate a user account (direct admin activation)
- * @access Admin
+ * @access Permission users:manage
  */
 router.post(
   "/users/activate",
+  requirePermission("users:manage"),
   validateRequest(activateUserSchema),
   asyncHandler(AdminController.activateUser)
 );
@@ -63,90 +93,404 @@ router.post(
 /**
  * @route POST /api/v1/admin/users/deactivate
  * @desc Deactivate a user account
- * @access Admin
+ * @access Permission users:manage
  */
 router.post(
   "/users/deactivate",
+  requirePermission("users:manage"),
   validateRequest(activateUserSchema),
   asyncHandler(AdminController.deactivateUser)
 );
 
+/**
+ * @route POST /api/v1/admin/users/unlock
+ * @desc Lift a login lockout and clear failed login attempts
+ * @access Permission users:manage
+ */
+router.post(
+  "/users/unlock",
+  requirePermission("users:manage"),
+  validateRequest(activateUserSchema),
+  asyncHandler(AdminController.unlockUser)
+);
+
 /**
  * @route GET /api/v1/admin/stats
  * @desc Get activation statistics
- * @access Admin
+ * @access Permission users:read
  */
-router.get("/stats", asyncHandler(AdminController.getActivationStats));
+router.get(
+  "/stats",
+  requirePermission("users:read"),
+  asyncHandler(AdminController.getActivationStats)
+);
 
 /**
  * @route POST /api/v1/admin/users/bulk-activate
  * @desc Bulk activate multiple users
- * @access Admin
+ * @access Permission users:manage
  */
 router.post(
   "/users/bulk-activate",
+  requirePermission("users:manage"),
   asyncHandler(AdminController.bulkActivateUsers)
 );
 
 /**
  * @route GET /api/v1/admin/users/search
  * @desc Search for users
- * @access Admin
+ * @access Permission users:read
  */
-router.get("/users/search", asyncHandler(AdminController.searchUsers));
+router.get(
+  "/users/search",
+  requirePermission("users:read"),
+  asyncHandler(AdminController.searchUsers)
+);
+
+/**
+ * @route GET /api/v1/admin/users/:user_id/referrals
+ * @desc Get the tree of users a user referred
+ * @access Permission users:read
+ */
+router.get(
+  "/users/:user_id/referrals",
+  requirePermission("users:read"),
+  validateRequest(getReferralTreeSchema),
+  asyncHandler(AdminController.getUserReferralTree)
+);
+
+/**
+ * @route PUT /api/v1/admin/users/:user_id/invite-quota
+ * @desc Set how many invite codes a user may have (null for the default)
+ * @access Permission users:manage
+ */
+router.put(
+  "/users/:user_id/invite-quota",
+  requirePermission("users:manage"),
+  validateRequest(setInviteQuotaSchema),
+  asyncHandler(AdminController.setInviteQuota)
+);
 
 // ============ ACTIVATION CODE ROUTES ============
 
 /**
  * @route POST /api/v1/admin/activation-codes/generate
  * @desc Generate new activation code
- * @access Admin
+ * @access Permission activation_codes:manage
  */
 router.post(
   "/activation-codes/generate",
+  requirePermission("activation_codes:manage"),
   validateRequest(generateActivationCodeSchema),
   asyncHandler(AdminActivationController.generateActivationCode)
 );
 
+/**
+ * @route POST /api/v1/admin/activation-codes/batch
+ * @desc Generate a batch of activation codes for a campaign
+ * @access Permission activation_codes:manage
+ */
+router.post(
+  "/activation-codes/batch",
+  requirePermission("activation_codes:manage"),
+  validateRequest(generateActivationCodeBatchSchema),
+  asyncHandler(AdminActivationController.generateActivationCodeBatch)
+);
+
 /**
  * @route GET /api/v1/admin/activation-codes
  * @desc Get all activation codes with filters
- * @access Admin
+ * @access Permission activation_codes:manage
  */
 router.get(
   "/activation-codes",
+  requirePermission("activation_codes:manage"),
   validateRequest(getActivationCodesSchema),
   asyncHandler(AdminActivationController.getAllActivationCodes)
 );
 
+/**
+ * @route GET /api/v1/admin/activation-codes/stats
+ * @desc Get activation code statistics
+ * @access Permission activation_codes:manage
+ */
+router.get(
+  "/activation-codes/stats",
+  requirePermission("activation_codes:manage"),
+  asyncHandler(AdminActivationController.getActivationStatistics)
+);
+
 /**
  * @route GET /api/v1/admin/activation-codes/:code
  * @desc Get activation code details
- * @access Admin
+ * @access Permission activation_codes:manage
  */
 router.get(
   "/activation-codes/:code",
+  requirePermission("activation_codes:manage"),
   asyncHandler(AdminActivationController.getActivationCode)
 );
 
 /**
  * @route PUT /api/v1/admin/activation-codes/:code/deactivate
  * @desc Deactivate activation code
- * @access Admin
+ * @access Permission activation_codes:manage
  */
 router.put(
   "/activation-codes/:code/deactivate",
+  requirePermission("activation_codes:manage"),
   asyncHandler(AdminActivationController.deactivateCode)
 );
 
+// ============ ACTIVATION CAMPAIGN ROUTES ============
+
 /**
- * @route GET /api/v1/admin/activation-codes/stats
- * @desc Get activation code statistics
- * @access Admin
+ * @route GET /api/v1/admin/activation-campaigns
+ * @desc Get activation code campaigns with redemption rates
+ * @access Permission activation_codes:manage
  */
 router.get(
-  "/activation-codes/stats",
-  asyncHandler(AdminActivationController.getActivationStatistics)
+  "/activation-campaigns",
+  requirePermission("activation_codes:manage"),
+  asyncHandler(AdminActivationController.getCampaigns)
+);
+
+/**
+ * @route GET /api/v1/admin/activation-campaigns/:campaign_id
+ * @desc Get an activation code campaign with its redemption rate
+ * @access Permission activation_codes:manage
+ */
+router.get(
+  "/activation-campaigns/:campaign_id",
+  requirePermission("activation_codes:manage"),
+  asyncHandler(AdminActivationController.getCampaign)
+);
+
+/**
+ * @route GET /api/v1/admin/activation-campaigns/:campaign_id/codes/export
+ * @desc Export a campaign's activation codes as CSV
+ * @access Permission activation_codes:manage
+ */
+router.get(
+  "/activation-campaigns/:campaign_id/codes/export",
+  requirePermission("activation_codes:manage"),
+  asyncHandler(AdminActivationController.exportCampaignCodes)
+);
+
+// ============ NOTIFICATION ROUTES ============
+
+/**
+ * @route GET /api/v1/admin/notifications
+ * @desc Get notifications with delivery status
+ * @access Permission notifications:read
+ */
+router.get(
+  "/notifications",
+  requirePermission("notifications:read"),
+  validateRequest(getNotificationsSchema),
+  asyncHandler(AdminNotificationController.getNotifications)
+);
+
+/**
+ * @route GET /api/v1/admin/notifications/stats
+ * @desc Get notification counts by delivery status
+ * @access Permission notifications:read
+ */
+router.get(
+  "/notifications/stats",
+  requirePermission("notifications:read"),
+  validateRequest(getNotificationStatsSchema),
+  asyncHandler(AdminNotificationController.getNotificationStats)
+);
+
+/**
+ * @route GET /api/v1/admin/notifications/:notification_id
+ * @desc Get notification details
+ * @access Permission notifications:read
+ */
+router.get(
+  "/notifications/:notification_id",
+  requirePermission("notifications:read"),
+  asyncHandler(AdminNotificationController.getNotification)
+);
+
+/**
+ * @route POST /api/v1/admin/notifications/:notification_id/retry
+ * @desc Retry a failed notification
+ * @access Permission notifications:manage
+ */
+router.post(
+  "/notifications/:notification_id/retry",
+  requirePermission("notifications:manage"),
+  asyncHandler(AdminNotificationController.retryNotification)
+);
+
+// ============ LOW STOCK ALERT ROUTES ============
+
+/**
+ * @route GET /api/v1/admin/stock-alerts
+ * @desc Get low-stock alerts
+ * @access Permission products:read
+ */
+router.get(
+  "/stock-alerts",
+  requirePermission("products:read"),
+  validateRequest(getStockAlertsSchema),
+  asyncHandler(AdminStockAlertController.getStockAlerts)
+);
+
+/**
+ * @route POST /api/v1/admin/stock-alerts/:alert_id/acknowledge
+ * @desc Acknowledge an open low-stock alert
+ * @access Permission products:update_stock
+ */
+router.post(
+  "/stock-alerts/:alert_id/acknowledge",
+  requirePermission("products:update_stock"),
+  asyncHandler(AdminStockAlertController.acknowledgeStockAlert)
+);
+
+// ============ MESSAGE TEMPLATE ROUTES ============
+
+/**
+ * @route GET /api/v1/admin/notification-templates
+ * @desc Get all notification message templates
+ * @access Permission notifications:read
+ */
+router.get(
+  "/notification-templates",
+  requirePermission("notifications:read"),
+  asyncHandler(AdminNotificationController.getTemplates)
+);
+
+/**
+ * @route GET /api/v1/admin/notification-templates/:event
+ * @desc Get a notification message template in every locale
+ * @access Permission notifications:read
+ */
+router.get(
+  "/notification-templates/:event",
+  requirePermission("notifications:read"),
+  asyncHandler(AdminNotificationController.getTemplate)
+);
+
+/**
+ * @route PUT /api/v1/admin/notification-templates/:event/:locale
+ * @desc Update a notification message template for one locale
+ * @access Permission notifications:manage
+ */
+router.put(
+  "/notification-templates/:event/:locale",
+  requirePermission("notifications:manage"),
+  validateRequest(updateMessageTemplateSchema),
+  asyncHandler(AdminNotificationController.updateTemplate)
+);
+
+/**
+ * @route DELETE /api/v1/admin/notification-templates/:event/:locale
+ * @desc Reset a notification message template to its default text
+ * @access Permission notifications:manage
+ */
+router.delete(
+  "/notification-templates/:event/:locale",
+  requirePermission("notifications:manage"),
+  asyncHandler(AdminNotificationController.resetTemplate)
+);
+
+// ============ ROLE ROUTES ============
+
+/**
+ * @route GET /api/v1/admin/roles
+ * @desc Get all roles with their permissions and user counts
+ * @access Permission roles:manage
+ */
+router.get(
+  "/roles",
+  requirePermission("roles:manage"),
+  asyncHandler(AdminRoleController.getRoles)
+);
+
+/**
+ * @route GET /api/v1/admin/permissions
+ * @desc Get every permission that can be granted
+ * @access Permission roles:manage
+ */
+router.get(
+  "/permissions",
+  requirePermission("roles:manage"),
+  asyncHandler(AdminRoleController.getPermissions)
+);
+
+/**
+ * @route GET /api/v1/admin/roles/:role
+ * @desc Get a role with its permissions
+ * @access Permission roles:manage
+ */
+router.get(
+  "/roles/:role",
+  requirePermission("roles:manage"),
+  asyncHandler(AdminRoleController.getRole)
+);
+
+/**
+ * @route POST /api/v1/admin/roles
+ * @desc Create a custom role
+ * @access Permission roles:manage
+ */
+router.post(
+  "/roles",
+  requirePermission("roles:manage"),
+  validateRequest(createRoleSchema),
+  asyncHandler(AdminRoleController.createRole)
+);
+
+/**
+ * @route PUT /api/v1/admin/roles/:role
+ * @desc Update a role's description and/or permissions
+ * @access Permission roles:manage
+ */
+router.put(
+  "/roles/:role",
+  requirePermission("roles:manage"),
+  validateRequest(updateRoleSchema),
+  asyncHandler(AdminRoleController.updateRole)
+);
+
+/**
+ * @route DELETE /api/v1/admin/roles/:role
+ * @desc Delete a custom role that no user has
+ * @access Permission roles:manage
+ */
+router.delete(
+  "/roles/:role",
+  requirePermission("roles:manage"),
+  asyncHandler(AdminRoleController.deleteRole)
+);
+
+/**
+ * @route PUT /api/v1/admin/users/:user_id/role
+ * @desc Change a user's role
+ * @access Permission roles:manage
+ */
+router.put(
+  "/users/:user_id/role",
+  requirePermission("roles:manage"),
+  validateRequest(assignRoleSchema),
+  asyncHandler(AdminRoleController.assignUserRole)
+);
+
+// ============ AUDIT LOG ROUTES ============
+
+/**
+ * @route GET /api/v1/admin/audit-log
+ * @desc Get the audit log of privileged actions with filters
+ * @access Permission audit_log:read
+ */
+router.get(
+  "/audit-log",
+  requirePermission("audit_log:read"),
+  validateRequest(getAuditLogSchema),
+  asyncHandler(AdminAuditController.getAuditLog)
 );
 
 module.exports = router;
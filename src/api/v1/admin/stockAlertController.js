@@ -0,0 +1,65 @@
+const LowStockAlertModel = require("../warehouses/lowStockAlertModel");
+const {
+  NotFoundError,
+  BusinessLogicError,
+} = require("../../../middleware/errorHandler");
+
+class AdminStockAlertController {
+  /**
+   * Get low-stock alerts with the number still unresolved
+   */
+  static async getStockAlerts(req, res) {
+    try {
+      const { page, limit, status, product_id } = req.query;
+
+      const result = await LowStockAlertModel.getAlerts({
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20,
+        status,
+        productId: product_id ? parseInt(product_id) : undefined,
+      });
+      const unresolved = await LowStockAlertModel.getUnresolvedCounts();
+
+      res.json({
+        status: true,
+        message: "Low stock alerts retrieved successfully",
+        data: { ...result, unresolved },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an open low-stock alert as seen. It is resolved by itself once the
+   * item is restocked.
+   */
+  static async acknowledgeStockAlert(req, res) {
+    try {
+      const { alert_id } = req.params;
+
+      const alert = await LowStockAlertModel.findById(alert_id);
+      if (!alert) {
+        throw new NotFoundError("Low stock alert not found");
+      }
+
+      const acknowledged = await LowStockAlertModel.acknowledge(
+        alert_id,
+        req.user.id
+      );
+      if (!acknowledged) {
+        throw new BusinessLogicError("Only open alerts can be acknowledged");
+      }
+
+      res.json({
+        status: true,
+        message: "Low stock alert acknowledged",
+        data: { alert: await LowStockAlertModel.findById(alert_id) },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = AdminStockAlertController;
@@ -1,5 +1,6 @@
 const { executeQuery } = require("../../../helpers/db");
 const { DatabaseError } = require("../../../errors/customErrors");
+const LowStockAlertModel = require("../warehouses/lowStockAlertModel");
 
 class AnalyticsModel {
   /**
@@ -80,28 +81,47 @@ class AnalyticsModel {
   }
 
   /**
-   * Get inventory status by category
+   * Get inventory status by category, over all warehouses or in one
+   * @param {number|null} warehouseId - Only count stock held by this warehouse
    */
-  static async getInventoryByCategory() {
+  static async getInventoryByCategory(warehouseId = null) {
     try {
+      // Stock of a product in one warehouse, including its variants
+      const stock = warehouseId
+        ? "COALESCE(ws.quantity, 0)"
+        : "p.stock_quantity";
+      const warehouseJoin = warehouseId
+        ? `LEFT JOIN (
+                    SELECT product_id, SUM(quantity) as quantity
+                    FROM warehouse_stock
+                    WHERE warehouse_id = ?
+                    GROUP BY product_id
+                ) ws ON ws.product_id = p.id`
+        : "";
+
       const sql = `
                 SELECT 
                     c.name as category_name,
                     c.code as category_code,
                     COUNT(p.id) as total_products,
-                    COUNT(CASE WHEN p.stock_quantity > 0 THEN 1 END) as in_stock,
-                    COUNT(CASE WHEN p.stock_quantity = 0 THEN 1 END) as out_of_stock,
-                    COUNT(CASE WHEN p.stock_quantity < 5 THEN 1 END) as low_stock,
-                    SUM(p.stock_quantity) as total_inventory,
-                    ROUND(AVG(p.stock_quantity), 2) as avg_stock_per_product
+                    COUNT(CASE WHEN ${stock} > 0 THEN 1 END) as in_stock,
+                    COUNT(CASE WHEN ${stock} = 0 THEN 1 END) as out_of_stock,
+                    COUNT(CASE WHEN ${stock} < p.reorder_level THEN 1 END) as low_stock,
+                    SUM(${stock}) as total_inventory,
+                    ROUND(AVG(${stock}), 2) as avg_stock_per_product
                 FROM categories c
                 LEFT JOIN products p ON c.id = p.category_id AND p.is_active = true
+                ${warehouseJoin}
                 WHERE c.is_active = true
                 GROUP BY c.id, c.name, c.code
                 ORDER BY total_inventory DESC
             `;
 
-      const result = await executeQuery(sql, [], "Get Inventory By Category");
+      const result = await executeQuery(
+        sql,
+        warehouseId ? [warehouseId] : [],
+        "Get Inventory By Category"
+      );
       return result;
     } catch (error) {
       throw new DatabaseError(
@@ -112,51 +132,89 @@ class AnalyticsModel {
   }
 
   /**
-   * Get products needing attention (low stock, no category, etc.)
+   * Get inventory status by warehouse. Items are products, or variants for
+   * products sold in variants.
+   */
+  static async getInventoryByWarehouse() {
+    try {
+      const sql = `
+                SELECT 
+                    w.id as warehouse_id,
+                    w.code as warehouse_code,
+                    w.name as warehouse_name,
+                    w.city,
+                    w.is_active,
+                    COUNT(CASE WHEN ws.quantity > 0 THEN 1 END) as in_stock,
+                    COUNT(CASE WHEN ws.quantity = 0 THEN 1 END) as out_of_stock,
+                    COUNT(CASE WHEN ws.quantity > 0 AND ws.quantity < p.reorder_level THEN 1 END) as low_stock,
+                    COALESCE(SUM(ws.quantity), 0) as total_inventory,
+                    COALESCE(SUM(ws.quantity * COALESCE(pv.price, p.price)), 0) as inventory_value
+                FROM warehouses w
+                LEFT JOIN warehouse_stock ws ON ws.warehouse_id = w.id
+                LEFT JOIN products p ON ws.product_id = p.id
+                LEFT JOIN product_variants pv ON ws.variant_id = pv.id
+                GROUP BY w.id, w.code, w.name, w.city, w.is_active
+                ORDER BY w.priority ASC, w.id ASC
+            `;
+
+      const result = await executeQuery(sql, [], "Get Inventory By Warehouse");
+      return result;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting inventory by warehouse: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get products needing attention (stock below their reorder level, no
+   * category, etc.). Products sold in variants are listed per variant, with
+   * each variant's own stock and price.
    */
   static async getProductsNeedingAttention() {
     try {
       const sql = `
                 SELECT 
                     p.id,
+                    i.variant_id,
                     p.name,
                     p.code as product_code,
                     p.slug,
-                    p.stock_quantity,
-                    p.category_id,
-                    c.name as category_name,
-                    c.code as category_code,
-                    CONCAT(COALESCE(c.code, ''), p.code) as full_code,
+                    i.stock_quantity,
+                    i.reorder_level,
+                    i.category_id,
+                    i.category_name,
+                    i.category_code,
+                    i.full_code,
                     CASE 
-                        WHEN p.category_id IS NULL THEN 'No Category'
-                        WHEN p.stock_quantity = 0 THEN 'Out of Stock'
-                        WHEN p.stock_quantity < 5 THEN 'Low Stock'
-                        WHEN p.price = 0 THEN 'No Price'
+                        WHEN i.category_id IS NULL THEN 'No Category'
+                        WHEN i.stock_quantity = 0 THEN 'Out of Stock'
+                        WHEN i.stock_quantity < i.reorder_level THEN 'Low Stock'
+                        WHEN i.price = 0 THEN 'No Price'
                         WHEN p.image_url IS NULL THEN 'No Image'
                         WHEN p.code = '' OR p.code IS NULL THEN 'No Product Code'
                         ELSE 'OK'
                     END as issue_type
-                FROM products p
-                LEFT JOIN categories c ON p.category_id = c.id
-                WHERE p.is_active = true 
-                AND (
-                    p.category_id IS NULL 
-                    OR p.stock_quantity < 5 
-                    OR p.price = 0 
+                FROM (${LowStockAlertModel.STOCK_ITEMS}) i
+                JOIN products p ON i.product_id = p.id
+                WHERE i.category_id IS NULL 
+                    OR i.stock_quantity < i.reorder_level
+                    OR i.price = 0 
                     OR p.image_url IS NULL
                     OR p.code = '' 
                     OR p.code IS NULL
-                )
                 ORDER BY 
                     CASE 
-                        WHEN p.stock_quantity = 0 THEN 1
-                        WHEN p.category_id IS NULL THEN 2
+                        WHEN i.stock_quantity = 0 THEN 1
+                        WHEN i.category_id IS NULL THEN 2
                         WHEN p.code = '' OR p.code IS NULL THEN 3
-                        WHEN p.stock_quantity < 5 THEN 4
-                        WHEN p.price = 0 THEN 5
+                        WHEN i.stock_quantity < i.reorder_level THEN 4
+                        WHEN i.price = 0 THEN 5
                         ELSE 6
                     END,
-                    p.name
+                    p.name,
+                    i.full_code
             `;
 
       const result = await executeQuery(
@@ -173,6 +231,233 @@ class AnalyticsModel {
     }
   }
 
+  /**
+   * Get a suggested purchase order, grouped by category: items whose stock
+   * is below their reorder level, or will be within `coverDays` at the rate
+   * they sold over the last `days`, counting what is still due on open
+   * purchase orders. Each is suggested enough to cover that demand and get
+   * back to its reorder level, and at least its reorder quantity.
+   * @param {Object} options - { days, coverDays }
+   */
+  static async getReorderSuggestions(options = {}) {
+    const { days = 30, coverDays = 30 } = options;
+
+    try {
+      const sql = `
+                SELECT 
+                    i.*,
+                    COALESCE(s.quantity_sold, 0) as quantity_sold,
+                    CEIL(COALESCE(s.quantity_sold, 0) * ? / ?) as projected_demand,
+                    COALESCE(po.quantity_on_order, 0) as quantity_on_order
+                FROM (${LowStockAlertModel.STOCK_ITEMS}) i
+                LEFT JOIN (
+                    SELECT oi.product_id, oi.variant_id, SUM(oi.quantity) as quantity_sold
+                    FROM order_items oi
+                    JOIN orders o ON oi.order_id = o.id
+                    WHERE o.status NOT IN ('cancelled')
+                    AND o.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+                    GROUP BY oi.product_id, oi.variant_id
+                ) s ON s.product_id = i.product_id AND s.variant_id <=> i.variant_id
+                LEFT JOIN (
+                    SELECT poi.product_id, poi.variant_id,
+                           SUM(poi.quantity_ordered - poi.quantity_received) as quantity_on_order
+                    FROM purchase_order_items poi
+                    JOIN purchase_orders po ON poi.purchase_order_id = po.id
+                    WHERE po.status IN ('ordered', 'partially_received')
+                    GROUP BY poi.product_id, poi.variant_id
+                ) po ON po.product_id = i.product_id AND po.variant_id <=> i.variant_id
+                HAVING i.stock_quantity + quantity_on_order - projected_demand < i.reorder_level
+                ORDER BY i.category_name, i.full_code
+            `;
+
+      const items = await executeQuery(
+        sql,
+        [coverDays, days, days],
+        "Get Reorder Suggestions"
+      );
+
+      const categories = new Map();
+      items.forEach((item) => {
+        const projectedDemand = Number(item.projected_demand);
+        const quantityOnOrder = Number(item.quantity_on_order);
+        const suggestedQuantity = Math.max(
+          item.reorder_quantity,
+          item.reorder_level +
+            projectedDemand -
+            item.stock_quantity -
+            quantityOnOrder
+        );
+
+        if (!categories.has(item.category_id)) {
+          categories.set(item.category_id, {
+            category_id: item.category_id,
+            category_name: item.category_name,
+            category_code: item.category_code,
+            items: [],
+            total_suggested_quantity: 0,
+          });
+        }
+        const category = categories.get(item.category_id);
+        category.items.push({
+          product_id: item.product_id,
+          variant_id: item.variant_id,
+          product_name: item.product_name,
+          full_code: item.full_code,
+          stock_quantity: item.stock_quantity,
+          reorder_level: item.reorder_level,
+          reorder_quantity: item.reorder_quantity,
+          quantity_sold: Number(item.quantity_sold),
+          daily_sales: Math.round((item.quantity_sold / days) * 100) / 100,
+          projected_demand: projectedDemand,
+          quantity_on_order: quantityOnOrder,
+          suggested_quantity: suggestedQuantity,
+        });
+        category.total_suggested_quantity += suggestedQuantity;
+      });
+
+      return {
+        days,
+        cover_days: coverDays,
+        categories: [...categories.values()],
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting reorder suggestions: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get what goods received from each supplier cost, next to what they sold
+   * for: our price and the selling price resellers charged, over the same
+   * period. Costs are of quantities received (by receipt date), at their
+   * purchase order unit cost.
+   * @param {Object} options - { startDate, endDate, supplierId }
+   */
+  static async getSupplierCosts(options = {}) {
+    const { startDate, endDate, supplierId } = options;
+
+    try {
+      let receiptFilter = "";
+      let salesFilter = "";
+      const receiptParams = [];
+      const salesParams = [];
+
+      if (startDate && endDate) {
+        receiptFilter = "AND sm.created_at BETWEEN ? AND ?";
+        receiptParams.push(startDate, endDate);
+        salesFilter = "AND o.created_at BETWEEN ? AND ?";
+        salesParams.push(startDate, endDate);
+      }
+      if (supplierId) {
+        receiptFilter += " AND po.supplier_id = ?";
+        receiptParams.push(supplierId);
+      }
+
+      const sql = `
+                SELECT 
+                    r.*,
+                    sales.quantity_sold,
+                    ROUND(sales.avg_price, 2) as avg_price,
+                    ROUND(sales.avg_selling_price, 2) as avg_selling_price
+                FROM (
+                    SELECT 
+                        po.supplier_id,
+                        s.name as supplier_name,
+                        sm.product_id,
+                        sm.variant_id,
+                        MAX(poi.product_name) as product_name,
+                        MAX(poi.full_code) as full_code,
+                        SUM(sm.quantity_change) as quantity_received,
+                        SUM(sm.quantity_change * poi.unit_cost) as total_cost,
+                        ROUND(SUM(sm.quantity_change * poi.unit_cost) / SUM(sm.quantity_change), 2) as avg_unit_cost
+                    FROM stock_movements sm
+                    JOIN purchase_order_items poi
+                        ON poi.purchase_order_id = sm.reference_id
+                        AND poi.product_id = sm.product_id
+                        AND poi.variant_id <=> sm.variant_id
+                    JOIN purchase_orders po ON poi.purchase_order_id = po.id
+                    JOIN suppliers s ON po.supplier_id = s.id
+                    WHERE sm.reason = 'purchase'
+                    AND sm.reference_type = 'purchase_order' ${receiptFilter}
+                    GROUP BY po.supplier_id, s.name, sm.product_id, sm.variant_id
+                ) r
+                LEFT JOIN (
+                    SELECT 
+                        oi.product_id,
+                        oi.variant_id,
+                        SUM(oi.quantity) as quantity_sold,
+                        SUM(oi.price * oi.quantity) / SUM(oi.quantity) as avg_price,
+                        SUM(oi.selling_price * oi.quantity) /
+                            SUM(CASE WHEN oi.selling_price IS NOT NULL THEN oi.quantity END) as avg_selling_price
+                    FROM order_items oi
+                    JOIN orders o ON oi.order_id = o.id
+                    WHERE o.status NOT IN ('cancelled') ${salesFilter}
+                    GROUP BY oi.product_id, oi.variant_id
+                ) sales ON sales.product_id = r.product_id AND sales.variant_id <=> r.variant_id
+                ORDER BY r.supplier_name, r.full_code
+            `;
+
+      const rows = await executeQuery(
+        sql,
+        [...receiptParams, ...salesParams],
+        "Get Supplier Costs"
+      );
+
+      const margin = (price, cost) =>
+        price === null ? null : Math.round((price - cost) * 100) / 100;
+
+      const suppliers = new Map();
+      rows.forEach((row) => {
+        if (!suppliers.has(row.supplier_id)) {
+          suppliers.set(row.supplier_id, {
+            supplier_id: row.supplier_id,
+            supplier_name: row.supplier_name,
+            quantity_received: 0,
+            total_cost: 0,
+            items: [],
+          });
+        }
+        const supplier = suppliers.get(row.supplier_id);
+
+        const avgUnitCost = parseFloat(row.avg_unit_cost);
+        const avgPrice =
+          row.avg_price === null ? null : parseFloat(row.avg_price);
+        const avgSellingPrice =
+          row.avg_selling_price === null
+            ? null
+            : parseFloat(row.avg_selling_price);
+
+        supplier.items.push({
+          product_id: row.product_id,
+          variant_id: row.variant_id,
+          product_name: row.product_name,
+          full_code: row.full_code,
+          quantity_received: Number(row.quantity_received),
+          total_cost: parseFloat(row.total_cost),
+          avg_unit_cost: avgUnitCost,
+          quantity_sold: Number(row.quantity_sold || 0),
+          avg_price: avgPrice,
+          avg_selling_price: avgSellingPrice,
+          // Per unit, over the cost: at our price, and at the price
+          // resellers charged their customers
+          margin: margin(avgPrice, avgUnitCost),
+          selling_margin: margin(avgSellingPrice, avgUnitCost),
+        });
+        supplier.quantity_received += Number(row.quantity_received);
+        supplier.total_cost += parseFloat(row.total_cost);
+      });
+
+      return [...suppliers.values()];
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting supplier costs: ${error.message}`,
+        error
+      );
+    }
+  }
+
   /**
    * Get code usage statistics
    */
@@ -1,18 +1,26 @@
 const express = require("express");
 const router = express.Router();
 const { AnalyticsModel } = require("./model");
-const { authenticateToken, requireAdmin } = require("../../../middleware/auth");
+const {
+  authenticateToken,
+  requirePermission,
+} = require("../../../middleware/auth");
 const { asyncHandler } = require("../../../middleware/errorHandler");
+const { CacheManager } = require("../../../utils/cache");
 
-// All analytics routes require admin authentication
+// All analytics routes require the analytics:read permission
 router.use(authenticateToken);
-router.use(requireAdmin);
+router.use(requirePermission("analytics:read"));
 
 // Existing product/category analytics routes
 router.get(
   "/categories",
   asyncHandler(async (req, res) => {
-    const analytics = await AnalyticsModel.getCategoryAnalytics(req.query);
+    const analytics = await CacheManager.getAnalytics(
+      "categories",
+      req.query,
+      () => AnalyticsModel.getCategoryAnalytics(req.query)
+    );
     res.json({
       status: true,
       message: "Category analytics retrieved successfully",
@@ -25,7 +33,11 @@ router.get(
   "/top-categories",
   asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
-    const categories = await AnalyticsModel.getTopCategories(limit);
+    const categories = await CacheManager.getAnalytics(
+      "top-categories",
+      { limit },
+      () => AnalyticsModel.getTopCategories(limit)
+    );
     res.json({
       status: true,
       message: "Top categories retrieved successfully",
@@ -34,14 +46,30 @@ router.get(
   })
 );
 
+/**
+ * @route GET /api/v1/analytics/inventory
+ * @desc Get inventory by category (optionally in one warehouse, with
+ *       ?warehouse_id=) and by warehouse
+ * @access Permission analytics:read
+ */
 router.get(
   "/inventory",
   asyncHandler(async (req, res) => {
-    const inventory = await AnalyticsModel.getInventoryByCategory();
+    const warehouseId = parseInt(req.query.warehouse_id) || null;
+    const inventory = await CacheManager.getAnalytics(
+      "inventory",
+      { warehouseId },
+      () => AnalyticsModel.getInventoryByCategory(warehouseId)
+    );
+    const warehouses = await CacheManager.getAnalytics(
+      "inventory-by-warehouse",
+      {},
+      () => AnalyticsModel.getInventoryByWarehouse()
+    );
     res.json({
       status: true,
       message: "Inventory analytics retrieved successfully",
-      data: { inventory },
+      data: { inventory, warehouses },
     });
   })
 );
@@ -49,7 +77,11 @@ router.get(
 router.get(
   "/products-needing-attention",
   asyncHandler(async (req, res) => {
-    const products = await AnalyticsModel.getProductsNeedingAttention();
+    const products = await CacheManager.getAnalytics(
+      "products-needing-attention",
+      {},
+      () => AnalyticsModel.getProductsNeedingAttention()
+    );
     res.json({
       status: true,
       message: "Products needing attention retrieved successfully",
@@ -58,12 +90,67 @@ router.get(
   })
 );
 
+/**
+ * @route GET /api/v1/analytics/reorder-suggestions
+ * @desc Get a suggested purchase order grouped by category, from sales over
+ *       the last ?days= (default 30) to cover the next ?cover_days= (default 30)
+ * @access Permission analytics:read
+ */
+router.get(
+  "/reorder-suggestions",
+  asyncHandler(async (req, res) => {
+    const clampDays = (value) =>
+      Math.min(Math.max(parseInt(value) || 30, 1), 365);
+    const days = clampDays(req.query.days);
+    const coverDays = clampDays(req.query.cover_days);
+    const suggestions = await CacheManager.getAnalytics(
+      "reorder-suggestions",
+      { days, coverDays },
+      () => AnalyticsModel.getReorderSuggestions({ days, coverDays })
+    );
+    res.json({
+      status: true,
+      message: "Reorder suggestions retrieved successfully",
+      data: suggestions,
+    });
+  })
+);
+
+/**
+ * @route GET /api/v1/analytics/supplier-costs
+ * @desc Get the cost of goods received per supplier and product, against
+ *       our prices and resellers' selling prices (?start_date=&end_date=,
+ *       ?supplier_id=)
+ * @access Permission analytics:read
+ */
+router.get(
+  "/supplier-costs",
+  asyncHandler(async (req, res) => {
+    const { start_date, end_date, supplier_id } = req.query;
+    const options = {};
+    if (start_date) options.startDate = start_date;
+    if (end_date) options.endDate = end_date;
+    if (supplier_id) options.supplierId = parseInt(supplier_id);
+
+    const suppliers = await CacheManager.getAnalytics(
+      "supplier-costs",
+      options,
+      () => AnalyticsModel.getSupplierCosts(options)
+    );
+    res.json({
+      status: true,
+      message: "Supplier costs retrieved successfully",
+      data: { suppliers },
+    });
+  })
+);
+
 // NEW: Order Analytics Routes
 
 /**
  * @route GET /api/v1/analytics/orders
  * @desc Get order analytics overview
- * @access Admin
+ * @access Permission analytics:read
  */
 router.get(
   "/orders",
@@ -73,7 +160,9 @@ router.get(
     if (start_date) options.startDate = start_date;
     if (end_date) options.endDate = end_date;
 
-    const analytics = await AnalyticsModel.getOrderAnalytics(options);
+    const analytics = await CacheManager.getAnalytics("orders", options, () =>
+      AnalyticsModel.getOrderAnalytics(options)
+    );
     res.json({
       status: true,
       message: "Order analytics retrieved successfully",
@@ -85,13 +174,15 @@ router.get(
 /**
  * @route GET /api/v1/analytics/orders/trends
  * @desc Get daily order trends
- * @access Admin
+ * @access Permission analytics:read
  */
 router.get(
   "/orders/trends",
   asyncHandler(async (req, res) => {
     const days = parseInt(req.query.days) || 30;
-    const trends = await AnalyticsModel.getDailyOrderTrends(days);
+    const trends = await CacheManager.getAnalytics("order-trends", { days }, () =>
+      AnalyticsModel.getDailyOrderTrends(days)
+    );
     res.json({
       status: true,
       message: "Order trends retrieved successfully",
@@ -103,7 +194,7 @@ router.get(
 /**
  * @route GET /api/v1/analytics/orders/top-products
  * @desc Get top selling products
- * @access Admin
+ * @access Permission analytics:read
  */
 router.get(
   "/orders/top-products",
@@ -115,7 +206,11 @@ router.get(
     if (start_date) options.startDate = start_date;
     if (end_date) options.endDate = end_date;
 
-    const products = await AnalyticsModel.getTopSellingProducts(options);
+    const products = await CacheManager.getAnalytics(
+      "top-products",
+      options,
+      () => AnalyticsModel.getTopSellingProducts(options)
+    );
     res.json({
       status: true,
       message: "Top selling products retrieved successfully",
@@ -127,7 +222,7 @@ router.get(
 /**
  * @route GET /api/v1/analytics/orders/top-customers
  * @desc Get top customers by order value
- * @access Admin
+ * @access Permission analytics:read
  */
 router.get(
   "/orders/top-customers",
@@ -139,7 +234,9 @@ router.get(
     if (start_date) options.startDate = start_date;
     if (end_date) options.endDate = end_date;
 
-    const customers = await AnalyticsModel.getTopCustomers(options);
+    const customers = await CacheManager.getAnalytics("top-customers", options, () =>
+      AnalyticsModel.getTopCustomers(options)
+    );
     res.json({
       status: true,
       message: "Top customers retrieved successfully",
@@ -151,7 +248,7 @@ router.get(
 /**
  * @route GET /api/v1/analytics/orders/fulfillment
  * @desc Get order fulfillment metrics
- * @access Admin
+ * @access Permission analytics:read
  */
 router.get(
   "/orders/fulfillment",
@@ -161,7 +258,9 @@ router.get(
     if (start_date) options.startDate = start_date;
     if (end_date) options.endDate = end_date;
 
-    const metrics = await AnalyticsModel.getOrderFulfillmentMetrics(options);
+    const metrics = await CacheManager.getAnalytics("fulfillment", options, () =>
+      AnalyticsModel.getOrderFulfillmentMetrics(options)
+    );
     res.json({
       status: true,
       message: "Order fulfillment metrics retrieved successfully",
@@ -173,7 +272,7 @@ router.get(
 /**
  * @route GET /api/v1/analytics/dashboard
  * @desc Get comprehensive dashboard analytics
- * @access Admin
+ * @access Permission analytics:read
  */
 router.get(
   "/dashboard",
@@ -183,7 +282,9 @@ router.get(
     if (start_date) options.startDate = start_date;
     if (end_date) options.endDate = end_date;
 
-    const dashboard = await AnalyticsModel.getDashboardAnalytics(options);
+    const dashboard = await CacheManager.getAnalytics("dashboard", options, () =>
+      AnalyticsModel.getDashboardAnalytics(options)
+    );
     res.json({
       status: true,
       message: "Dashboard analytics retrieved successfully",
@@ -0,0 +1,129 @@
+const {
+  executeQuery,
+  buildInsertQuery,
+} = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+// JSON columns come back as strings on some MySQL/MariaDB setups
+const parseJson = (value) =>
+  typeof value === "string" ? JSON.parse(value) : value;
+
+class AuditLogModel {
+  /**
+   * Add an entry to the audit log
+   * @param {Object} data - Audit log columns; changes and metadata as objects
+   * @returns {Promise<number>} Entry ID
+   */
+  static async create(data) {
+    try {
+      const query = buildInsertQuery("audit_log", {
+        ...data,
+        changes: data.changes ? JSON.stringify(data.changes) : null,
+        metadata: data.metadata ? JSON.stringify(data.metadata) : null,
+      });
+      const result = await executeQuery(
+        query.sql,
+        query.params,
+        "Create Audit Log Entry"
+      );
+      return result.insertId;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error creating audit log entry: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get audit log entries with pagination and filters (Admin)
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Entries with pagination info
+   */
+  static async getEntries(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        actor_id,
+        action,
+        entity_type,
+        entity_id,
+        start_date,
+        end_date,
+      } = options;
+      const offset = (page - 1) * limit;
+
+      const whereConditions = [];
+      const params = [];
+
+      const filters = {
+        "a.actor_id": actor_id,
+        "a.action": action,
+        "a.entity_type": entity_type,
+        "a.entity_id": entity_id,
+      };
+      Object.entries(filters).forEach(([column, value]) => {
+        if (value !== undefined && value !== null && value !== "") {
+          whereConditions.push(`${column} = ?`);
+          params.push(String(value));
+        }
+      });
+
+      if (start_date) {
+        whereConditions.push("a.created_at >= ?");
+        params.push(start_date);
+      }
+      if (end_date) {
+        whereConditions.push("a.created_at <= ?");
+        params.push(end_date);
+      }
+
+      const whereClause =
+        whereConditions.length > 0
+          ? `WHERE ${whereConditions.join(" AND ")}`
+          : "";
+
+      const countResult = await executeQuery(
+        `SELECT COUNT(*) as total FROM audit_log a ${whereClause}`,
+        params,
+        "Count Audit Log Entries"
+      );
+      const total = countResult[0].total;
+
+      const entries = await executeQuery(
+        `SELECT a.*,
+                CONCAT(u.first_name, ' ', u.last_name) as actor_name,
+                u.phone_number as actor_phone
+         FROM audit_log a
+         LEFT JOIN users u ON a.actor_id = u.id
+         ${whereClause}
+         ORDER BY a.created_at DESC, a.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+        "Get Audit Log Entries"
+      );
+
+      return {
+        entries: entries.map((entry) => ({
+          ...entry,
+          changes: parseJson(entry.changes),
+          metadata: parseJson(entry.metadata),
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting audit log: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = AuditLogModel;
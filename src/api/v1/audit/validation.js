@@ -0,0 +1,31 @@
+const Joi = require("joi");
+
+// Admin audit log query schema
+const getAuditLogSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).messages({
+    "number.base": "Page must be a number",
+    "number.integer": "Page must be an integer",
+    "number.min": "Page must be at least 1",
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(50).messages({
+    "number.base": "Limit must be a number",
+    "number.integer": "Limit must be an integer",
+    "number.min": "Limit must be at least 1",
+    "number.max": "Limit cannot exceed 100",
+  }),
+  actor_id: Joi.number().integer().positive().optional(),
+  action: Joi.string().max(100).optional(),
+  entity_type: Joi.string().max(50).optional(),
+  entity_id: Joi.string().max(100).optional(),
+  start_date: Joi.date().optional().messages({
+    "date.base": "Start date must be a valid date",
+  }),
+  end_date: Joi.date().min(Joi.ref("start_date")).optional().messages({
+    "date.base": "End date must be a valid date",
+    "date.min": "End date must be after start date",
+  }),
+});
+
+module.exports = {
+  getAuditLogSchema,
+};
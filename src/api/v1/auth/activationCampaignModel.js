@@ -0,0 +1,72 @@
+const { executeQuery, buildInsertQuery } = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+class ActivationCampaignModel {
+  /**
+   * Create a campaign (Admin only)
+   * @param {Object} campaignData - { name, description }
+   * @param {number} adminId - Creating admin
+   * @returns {Promise<Object>} Created campaign
+   */
+  static async createCampaign(campaignData, adminId) {
+    try {
+      const query = buildInsertQuery("activation_campaigns", {
+        name: campaignData.name,
+        description: campaignData.description || null,
+        created_by: adminId,
+      });
+      const result = await executeQuery(
+        query.sql,
+        query.params,
+        "Create Activation Campaign"
+      );
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error creating activation campaign: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find campaign by ID
+   */
+  static async findById(id) {
+    try {
+      const result = await executeQuery(
+        "SELECT * FROM activation_campaigns WHERE id = ?",
+        [id],
+        "Find Activation Campaign By ID"
+      );
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding activation campaign: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find campaign by name
+   */
+  static async findByName(name) {
+    try {
+      const result = await executeQuery(
+        "SELECT * FROM activation_campaigns WHERE name = ?",
+        [name],
+        "Find Activation Campaign"
+      );
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding activation campaign: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = ActivationCampaignModel;
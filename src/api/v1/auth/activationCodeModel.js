@@ -6,26 +6,86 @@ const {
 const { DatabaseError } = require("../../../errors/customErrors");
 const crypto = require("crypto");
 
+// No 0/O or 1/I, which are easily confused when codes are read out or typed
+const CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+/**
+ * Number of random characters for a format, from
+ * ACTIVATION_CODE_LENGTH_<FORMAT> when set (clamped to 6-32)
+ */
+const codeLength = (format, fallback) => {
+  const length = parseInt(process.env[`ACTIVATION_CODE_LENGTH_${format}`]);
+  return Number.isInteger(length) ? Math.min(Math.max(length, 6), 32) : fallback;
+};
+
+// Generated code formats: prefix and number of random characters. Each
+// character carries 5 bits, so the default 11 characters give 55 bits.
+const CODE_FORMATS = {
+  JANAH: { prefix: "JANAH", length: codeLength("JANAH", 11) },
+  PREMIUM: { prefix: "PREMIUM", length: codeLength("PREMIUM", 15) },
+  TRIAL: { prefix: "TRIAL", length: codeLength("TRIAL", 7) },
+  CUSTOM: { prefix: "JAN", length: codeLength("CUSTOM", 11) },
+};
+
+/**
+ * Luhn mod N check character over CODE_ALPHABET. Catches every single
+ * mistyped character and most swaps of adjacent characters.
+ * @param {string} body - Characters from CODE_ALPHABET
+ * @returns {string} Check character
+ */
+const checksumCharacter = (body) => {
+  const base = CODE_ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = body.length - 1; i >= 0; i--) {
+    const addend = factor * CODE_ALPHABET.indexOf(body[i]);
+    sum += Math.floor(addend / base) + (addend % base);
+    factor = factor === 2 ? 1 : 2;
+  }
+
+  return CODE_ALPHABET[(base - (sum % base)) % base];
+};
+
 class ActivationCodeModel {
   /**
-   * Generate unique activation code
+   * Generate a random activation code: the format prefix, then random
+   * characters and a check character in groups of four, e.g.
+   * JANAH-7KQ4-M9XD-PW3C
    */
-  static generateCode(format = "JANAH", length = 8) {
-    const timestamp = Date.now().toString().slice(-4);
-    const random = crypto.randomBytes(4).toString("hex").toUpperCase();
-
-    switch (format) {
-      case "JANAH":
-        return `JANAH-${new Date().getFullYear()}-${timestamp.slice(-3)}`;
-      case "PREMIUM":
-        return `PREMIUM-${random.slice(0, 6)}`;
-      case "TRIAL":
-        return `TRIAL-${timestamp}${random.slice(0, 2)}`;
-      case "CUSTOM":
-        return `JAN-${random}`;
-      default:
-        return `JANAH-${random}`;
+  static generateCode(format = "JANAH") {
+    const { prefix, length } = CODE_FORMATS[format] || CODE_FORMATS.JANAH;
+
+    let body = "";
+    for (let i = 0; i < length; i++) {
+      body += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
     }
+
+    const groups = (body + checksumCharacter(body)).match(/.{1,4}/g);
+    return `${prefix}-${groups.join("-")}`;
+  }
+
+  /**
+   * Check the check character of a code in a generated format
+   * @returns {boolean|null} Whether the check character matches, or null when
+   *   the code is not in a generated format (custom or older codes)
+   */
+  static verifyChecksum(code) {
+    const normalized = code.toUpperCase();
+    const format = Object.values(CODE_FORMATS).find(({ prefix }) =>
+      normalized.startsWith(`${prefix}-`)
+    );
+    if (!format) return null;
+
+    const characters = normalized
+      .slice(format.prefix.length + 1)
+      .replace(/-/g, "");
+    const isGeneratedShape =
+      characters.length >= 2 &&
+      [...characters].every((char) => CODE_ALPHABET.includes(char));
+    if (!isGeneratedShape) return null;
+
+    return checksumCharacter(characters.slice(0, -1)) === characters.slice(-1);
   }
 
   /**
@@ -35,25 +95,14 @@ class ActivationCodeModel {
     try {
       // Generate unique code if not provided
       if (!codeData.code) {
-        let generatedCode;
-        let attempts = 0;
-        do {
-          generatedCode = this.generateCode(codeData.format);
-          attempts++;
-          const existing = await this.findByCode(generatedCode);
-          if (!existing) {
-            codeData.code = generatedCode;
-            break;
-          }
-        } while (attempts < 10);
-
-        if (attempts >= 10) {
-          throw new Error("Failed to generate unique activation code");
-        }
+        [codeData.code] = await this.generateUniqueCodes(codeData.format, 1);
       }
 
       const activationData = {
         code: codeData.code.toUpperCase(),
+        campaign_id: codeData.campaign_id || null,
+        referrer_id: codeData.referrer_id || null,
+        max_uses: codeData.max_uses || 1,
         created_by: adminId,
         expires_at: codeData.expires_at || null,
         notes: codeData.notes || null,
@@ -79,6 +128,83 @@ class ActivationCodeModel {
     }
   }
 
+  /**
+   * Generate codes that are unique among themselves and not yet in use
+   * @param {string} format - Code format (see generateCode)
+   * @param {number} count - Number of codes
+   * @returns {Promise<string[]>} Codes
+   */
+  static async generateUniqueCodes(format, count) {
+    const codes = new Set();
+
+    for (let attempt = 0; attempt < 10 && codes.size < count; attempt++) {
+      const needed = count - codes.size;
+      const candidates = new Set();
+      for (let i = 0; i < needed * 2 && candidates.size < needed; i++) {
+        const code = this.generateCode(format);
+        if (!codes.has(code)) {
+          candidates.add(code);
+        }
+      }
+      if (candidates.size === 0) continue;
+
+      const taken = await executeQuery(
+        "SELECT code FROM activation_codes WHERE code IN (?)",
+        [[...candidates]],
+        "Find Taken Activation Codes"
+      );
+      const takenCodes = new Set(taken.map((row) => row.code));
+      candidates.forEach((code) => {
+        if (!takenCodes.has(code)) {
+          codes.add(code);
+        }
+      });
+    }
+
+    if (codes.size < count) {
+      throw new Error("Failed to generate unique activation codes");
+    }
+    return [...codes];
+  }
+
+  /**
+   * Create many activation codes at once (Admin only)
+   * @param {Object} codeData - { format, campaign_id, max_uses, expires_at,
+   *   notes } shared by every code
+   * @param {number} count - Number of codes to create
+   * @param {number} adminId - Creating admin
+   * @returns {Promise<string[]>} Created codes
+   */
+  static async createBatch(codeData, count, adminId) {
+    try {
+      const codes = await this.generateUniqueCodes(codeData.format, count);
+
+      const rows = codes.map((code) => [
+        code,
+        codeData.campaign_id || null,
+        codeData.max_uses || 1,
+        adminId,
+        codeData.expires_at || null,
+        codeData.notes || null,
+        true,
+      ]);
+      await executeQuery(
+        `INSERT INTO activation_codes
+           (code, campaign_id, max_uses, created_by, expires_at, notes, is_active)
+         VALUES ?`,
+        [rows],
+        "Create Activation Code Batch"
+      );
+
+      return codes;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error creating activation codes: ${error.message}`,
+        error
+      );
+    }
+  }
+
   /**
    * Find activation code by code string
    */
@@ -87,10 +213,13 @@ class ActivationCodeModel {
       const sql = `
         SELECT ac.*, 
                creator.first_name as created_by_name, creator.last_name as created_by_lastname,
-               user.first_name as used_by_name, user.last_name as used_by_lastname
+               user.first_name as used_by_name, user.last_name as used_by_lastname,
+               camp.name as campaign_name, referrer.is_active as referrer_is_active
         FROM activation_codes ac
         LEFT JOIN users creator ON ac.created_by = creator.id
         LEFT JOIN users user ON ac.used_by = user.id
+        LEFT JOIN activation_campaigns camp ON ac.campaign_id = camp.id
+        LEFT JOIN users referrer ON ac.referrer_id = referrer.id
         WHERE ac.code = ?
       `;
       const result = await executeQuery(
@@ -115,10 +244,13 @@ class ActivationCodeModel {
       const sql = `
         SELECT ac.*, 
                creator.first_name as created_by_name, creator.last_name as created_by_lastname,
-               user.first_name as used_by_name, user.last_name as used_by_lastname
+               user.first_name as used_by_name, user.last_name as used_by_lastname,
+               camp.name as campaign_name, referrer.is_active as referrer_is_active
         FROM activation_codes ac
         LEFT JOIN users creator ON ac.created_by = creator.id
         LEFT JOIN users user ON ac.used_by = user.id
+        LEFT JOIN activation_campaigns camp ON ac.campaign_id = camp.id
+        LEFT JOIN users referrer ON ac.referrer_id = referrer.id
         WHERE ac.id = ?
       `;
       const result = await executeQuery(
@@ -140,16 +272,22 @@ class ActivationCodeModel {
    */
   static async getAllCodes(options = {}) {
     try {
-      const { page = 1, limit = 20, status, created_by } = options;
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        created_by,
+        campaign_id,
+      } = options;
       const offset = (page - 1) * limit;
 
       let whereConditions = [];
       let params = [];
 
       if (status === "used") {
-        whereConditions.push("ac.used_by IS NOT NULL");
+        whereConditions.push("ac.use_count >= ac.max_uses");
       } else if (status === "unused") {
-        whereConditions.push("ac.used_by IS NULL AND ac.is_active = 1");
+        whereConditions.push("ac.use_count < ac.max_uses AND ac.is_active = 1");
         whereConditions.push(
           "(ac.expires_at IS NULL OR ac.expires_at > NOW())"
         );
@@ -164,6 +302,11 @@ class ActivationCodeModel {
         params.push(created_by);
       }
 
+      if (campaign_id) {
+        whereConditions.push("ac.campaign_id = ?");
+        params.push(campaign_id);
+      }
+
       const whereClause =
         whereConditions.length > 0
           ? `WHERE ${whereConditions.join(" AND ")}`
@@ -182,10 +325,13 @@ class ActivationCodeModel {
       const sql = `
         SELECT ac.*, 
                creator.first_name as created_by_name, creator.last_name as created_by_lastname,
-               user.first_name as used_by_name, user.last_name as used_by_lastname
+               user.first_name as used_by_name, user.last_name as used_by_lastname,
+               camp.name as campaign_name, referrer.is_active as referrer_is_active
         FROM activation_codes ac
         LEFT JOIN users creator ON ac.created_by = creator.id
         LEFT JOIN users user ON ac.used_by = user.id
+        LEFT JOIN activation_campaigns camp ON ac.campaign_id = camp.id
+        LEFT JOIN users referrer ON ac.referrer_id = referrer.id
         ${whereClause}
         ORDER BY ac.created_at DESC
         LIMIT ? OFFSET ?
@@ -215,19 +361,24 @@ class ActivationCodeModel {
   }
 
   /**
-   * Use activation code
+   * Use activation code. The use is only counted while the code has uses
+   * left, so concurrent redemptions cannot exceed max_uses.
+   * @returns {Promise<Object|null>} Updated code, or null if no use was left
    */
   static async useCode(code, userId) {
     try {
-      const updateData = {
-        used_by: userId,
-        used_at: new Date(),
-      };
-
-      const query = buildUpdateQuery("activation_codes", updateData, {
-        code: code.toUpperCase(),
-      });
-      await executeQuery(query.sql, query.params, "Use Activation Code");
+      const result = await executeQuery(
+        `UPDATE activation_codes
+         SET use_count = use_count + 1,
+             used_by = COALESCE(used_by, ?),
+             used_at = COALESCE(used_at, NOW())
+         WHERE code = ? AND is_active = 1 AND use_count < max_uses`,
+        [userId, code.toUpperCase()],
+        "Use Activation Code"
+      );
+      if (result.affectedRows === 0) {
+        return null;
+      }
 
       return await this.findByCode(code);
     } catch (error) {
@@ -246,17 +397,30 @@ class ActivationCodeModel {
       const activationCode = await this.findByCode(code);
 
       if (!activationCode) {
-        return { isValid: false, message: "Activation code not found" };
+        // Tell a typo apart from a code that was never issued
+        const message =
+          this.verifyChecksum(code) === false
+            ? "Activation code is mistyped. Please check it and try again"
+            : "Activation code not found";
+        return { isValid: false, message };
       }
 
       if (!activationCode.is_active) {
         return { isValid: false, message: "Activation code is disabled" };
       }
 
-      if (activationCode.used_by) {
+      // Invites stop working when the inviting account is deactivated
+      if (activationCode.referrer_id && !activationCode.referrer_is_active) {
+        return { isValid: false, message: "Activation code is disabled" };
+      }
+
+      if (activationCode.use_count >= activationCode.max_uses) {
         return {
           isValid: false,
-          message: "Activation code has already been used",
+          message:
+            activationCode.max_uses > 1
+              ? "Activation code has reached its usage limit"
+              : "Activation code has already been used",
         };
       }
 
@@ -297,22 +461,101 @@ class ActivationCodeModel {
   }
 
   /**
-   * Get activation statistics
+   * Get all codes of a campaign, oldest first (for export)
+   */
+  static async getCampaignCodes(campaignId) {
+    try {
+      const sql = `
+        SELECT code, max_uses, use_count, expires_at, is_active, notes, created_at,
+               CASE
+                 WHEN is_active = 0 THEN 'disabled'
+                 WHEN use_count >= max_uses THEN 'used'
+                 WHEN expires_at IS NOT NULL AND expires_at <= NOW() THEN 'expired'
+                 ELSE 'available'
+               END as status
+        FROM activation_codes
+        WHERE campaign_id = ?
+        ORDER BY id
+      `;
+      return await executeQuery(sql, [campaignId], "Get Campaign Codes");
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting campaign codes: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get code counts and redemption rate per campaign. The redemption rate is
+   * the share of all allowed uses (sum of max_uses) that have been redeemed.
+   * @param {number|null} campaignId - Limit to one campaign
+   * @returns {Promise<Array>} Campaign statistics, newest campaign first
+   */
+  static async getCampaignStatistics(campaignId = null) {
+    try {
+      const sql = `
+        SELECT c.id, c.name, c.description, c.created_by, c.created_at,
+               COUNT(ac.id) as total_codes,
+               COALESCE(SUM(ac.max_uses), 0) as total_uses_allowed,
+               COALESCE(SUM(ac.use_count), 0) as total_redemptions,
+               COUNT(CASE WHEN ac.use_count > 0 THEN 1 END) as redeemed_codes,
+               COUNT(CASE WHEN ac.use_count >= ac.max_uses THEN 1 END) as used_codes
+        FROM activation_campaigns c
+        LEFT JOIN activation_codes ac ON ac.campaign_id = c.id
+        ${campaignId ? "WHERE c.id = ?" : ""}
+        GROUP BY c.id
+        ORDER BY c.created_at DESC, c.id DESC
+      `;
+      const campaigns = await executeQuery(
+        sql,
+        campaignId ? [campaignId] : [],
+        "Get Campaign Statistics"
+      );
+
+      return campaigns.map((campaign) => {
+        const allowed = Number(campaign.total_uses_allowed);
+        const redemptions = Number(campaign.total_redemptions);
+        return {
+          ...campaign,
+          total_uses_allowed: allowed,
+          total_redemptions: redemptions,
+          redemption_rate:
+            allowed > 0 ? Number(((redemptions / allowed) * 100).toFixed(2)) : 0,
+        };
+      });
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting campaign statistics: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get activation statistics, overall and per campaign
    */
   static async getStatistics() {
     try {
       const sql = `
         SELECT 
           COUNT(*) as total_codes,
-          COUNT(CASE WHEN used_by IS NOT NULL THEN 1 END) as used_codes,
-          COUNT(CASE WHEN used_by IS NULL AND is_active = 1 AND (expires_at IS NULL OR expires_at > NOW()) THEN 1 END) as available_codes,
+          COUNT(CASE WHEN use_count >= max_uses THEN 1 END) as used_codes,
+          COUNT(CASE WHEN use_count < max_uses AND is_active = 1 AND (expires_at IS NULL OR expires_at > NOW()) THEN 1 END) as available_codes,
           COUNT(CASE WHEN expires_at IS NOT NULL AND expires_at <= NOW() THEN 1 END) as expired_codes,
-          COUNT(CASE WHEN is_active = 0 THEN 1 END) as disabled_codes
+          COUNT(CASE WHEN is_active = 0 THEN 1 END) as disabled_codes,
+          COALESCE(SUM(use_count), 0) as total_redemptions
         FROM activation_codes
       `;
 
       const result = await executeQuery(sql, [], "Get Activation Statistics");
-      return result[0];
+      const campaigns = await this.getCampaignStatistics();
+
+      return {
+        ...result[0],
+        total_redemptions: Number(result[0].total_redemptions),
+        campaigns,
+      };
     } catch (error) {
       throw new DatabaseError(
         `Error getting activation statistics: ${error.message}`,
@@ -1,5 +1,9 @@
 const UserModel = require("./model");
 const ActivationCodeModel = require("./activationCodeModel");
+const SessionModel = require("./sessionModel");
+const VerificationCodeModel = require("./verificationModel");
+const LoginThrottleModel = require("./loginThrottleModel");
+const jwt = require("jsonwebtoken");
 const {
   hash,
   verifyPassword,
@@ -11,16 +15,85 @@ const {
   ConflictError,
   NotFoundError,
   BusinessLogicError,
+  CustomError,
 } = require("../../../middleware/errorHandler");
 const { FileUploadService } = require("../../../middleware/multer");
+const { NotificationService } = require("../../../services/notification");
+
+// Hashed once with the configured cost, like real passwords
+const UNKNOWN_USER_PASSWORD_HASH = hash("unknown-user-password");
 
 class AuthController {
+  /**
+   * Issue an access token for a session, plus its refresh token
+   */
+  static async buildTokenResponse(user, session) {
+    const token = await createToken({
+      id: user.id,
+      phone_number: user.phone_number,
+      email: user.email,
+      role: user.role,
+      session_id: session.sessionId,
+    });
+    const { iat, exp } = jwt.decode(token);
+
+    return {
+      token,
+      token_type: "Bearer",
+      expires_in: exp - iat,
+      refresh_token: session.refreshToken,
+      refresh_token_expires_at: session.expiresAt,
+    };
+  }
+
+  /**
+   * Start a new session for the requesting client and issue its tokens
+   */
+  static async startSession(req, user) {
+    const session = await SessionModel.createSession(user.id, {
+      userAgent: req.get("user-agent"),
+      ipAddress: req.ip,
+    });
+    return AuthController.buildTokenResponse(user, session);
+  }
+
+  /**
+   * Reject a login attempt that is locked out or came too soon (429)
+   * @param {Object} res - Response, to set Retry-After on
+   * @param {Object} throttle - { reason, retryAfter } from LoginThrottleModel
+   */
+  static rejectThrottledLogin(res, { reason, retryAfter }) {
+    res.set("Retry-After", String(retryAfter));
+
+    if (reason === "delay") {
+      throw new CustomError(
+        `Too many failed login attempts. Please wait ${retryAfter} second(s) before trying again.`,
+        429
+      );
+    }
+
+    const minutes = Math.ceil(retryAfter / 60);
+    throw new CustomError(
+      reason === "ip_locked"
+        ? `Too many failed login attempts from this network. Please try again in ${minutes} minute(s).`
+        : `Too many failed login attempts. This account is locked, please try again in ${minutes} minute(s).`,
+      429
+    );
+  }
+
   /**
    * Register a new user (NO PHONE VERIFICATION)
    */
   static async register(req, res) {
     try {
-      const { phone_number, password, first_name, last_name, email } = req.body;
+      const {
+        phone_number,
+        password,
+        first_name,
+        last_name,
+        email,
+        preferred_language,
+      } = req.body;
 
       // Check if user already exists
       const existingUser = await UserModel.findByPhoneNumber(phone_number);
@@ -50,6 +123,9 @@ class AuthController {
         email: email || null,
         is_active: false, // User must activate with code
       };
+      if (preferred_language) {
+        userData.preferred_language = preferred_language;
+      }
 
       const newUser = await UserModel.createUser(userData);
 
@@ -95,13 +171,20 @@ class AuthController {
         throw new ValidationError(validation.message);
       }
 
-      // Use the activation code
-      await ActivationCodeModel.useCode(activation_code, user.id);
+      // Use the activation code (fails if another user took its last use)
+      const usedCode = await ActivationCodeModel.useCode(
+        activation_code,
+        user.id
+      );
+      if (!usedCode) {
+        throw new ValidationError("Activation code has already been used");
+      }
 
       // Activate user account
       const updatedUser = await UserModel.activateUserWithCode(
         user.id,
-        activation_code
+        activation_code,
+        usedCode.referrer_id
       );
 
       // Remove password from response
@@ -127,18 +210,40 @@ class AuthController {
     try {
       const { phone_number, password } = req.body;
 
+      // Refuse before checking the password while locked out or throttled
+      const throttle = await LoginThrottleModel.checkAttempt(
+        phone_number,
+        req.ip
+      );
+      if (!throttle.allowed) {
+        AuthController.rejectThrottledLogin(res, throttle);
+      }
+
       // Find user with password
       const user = await UserModel.findByPhoneNumber(phone_number);
-      if (!user) {
-        throw new AuthenticationError("Invalid phone number or password");
-      }
+      // Unknown numbers are checked against a dummy hash, so they take as
+      // long as wrong passwords and do not reveal who is registered
+      const passwordMatches = await verifyPassword(
+        password,
+        user ? user.password : await UNKNOWN_USER_PASSWORD_HASH
+      );
+      const isPasswordValid = Boolean(user) && passwordMatches;
 
-      // Verify password
-      const isPasswordValid = await verifyPassword(password, user.password);
+      // Unknown numbers count as failures too, so they look the same
       if (!isPasswordValid) {
+        const lockout = await LoginThrottleModel.recordFailure(
+          phone_number,
+          req.ip,
+          user ? user.id : null
+        );
+        if (lockout.locked) {
+          AuthController.rejectThrottledLogin(res, lockout);
+        }
         throw new AuthenticationError("Invalid phone number or password");
       }
 
+      await LoginThrottleModel.recordSuccess(phone_number);
+
       // Check if account is active (ONLY CHECK is_active)
       if (!user.is_active) {
         throw new AuthenticationError(
@@ -146,15 +251,7 @@ class AuthController {
         );
       }
 
-      // Create token
-      const tokenData = {
-        id: user.id,
-        phone_number: user.phone_number,
-        email: user.email,
-        role: user.role,
-      };
-
-      const token = await createToken(tokenData);
+      const tokens = await AuthController.startSession(req, user);
 
       // Remove password from response
       delete user.password;
@@ -167,8 +264,7 @@ class AuthController {
         message: "Login successful",
         data: {
           user,
-          token,
-          token_type: "Bearer",
+          ...tokens,
         },
       });
     } catch (error) {
@@ -176,6 +272,53 @@ class AuthController {
     }
   }
 
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   */
+  static async refreshToken(req, res) {
+    try {
+      const { refresh_token } = req.body;
+
+      const session = await SessionModel.rotateRefreshToken(refresh_token);
+      if (!session) {
+        throw new AuthenticationError(
+          "Refresh token is invalid or expired. Please log in again."
+        );
+      }
+
+      const user = await UserModel.findById(session.userId);
+      if (!user) {
+        throw new AuthenticationError("User not found");
+      }
+
+      const tokens = await AuthController.buildTokenResponse(user, session);
+
+      res.json({
+        status: true,
+        message: "Token refreshed successfully",
+        data: tokens,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Logout: revoke the current session so its tokens stop working
+   */
+  static async logout(req, res) {
+    try {
+      await SessionModel.revokeSession(req.user.session_id, "logout");
+
+      res.json({
+        status: true,
+        message: "Logged out successfully",
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Change password (for authenticated users)
    */
@@ -205,9 +348,101 @@ class AuthController {
       // Update password
       await UserModel.updatePassword(userId, hashedPassword);
 
+      // Sign out every device, then keep this one signed in
+      await SessionModel.revokeUserSessions(userId, "password_changed");
+      const tokens = await AuthController.startSession(req, user);
+
       res.json({
         status: true,
         message: "Password changed successfully",
+        data: tokens,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Send a password reset code by SMS.
+   *
+   * The response is the same whether or not the number has an account, so
+   * this endpoint cannot be used to discover registered numbers.
+   */
+  static async forgotPassword(req, res) {
+    try {
+      const { phone_number } = req.body;
+      const type = VerificationCodeModel.TYPES.passwordReset;
+
+      const user = await UserModel.findByPhoneNumber(phone_number);
+
+      if (user) {
+        const { allowed } = await VerificationCodeModel.canSendCode(
+          user.phone_number,
+          type
+        );
+
+        if (allowed) {
+          const code = await VerificationCodeModel.createCode(
+            user.phone_number,
+            type
+          );
+
+          // Delivery failures are retried by the notification outbox
+          await NotificationService.sendPasswordResetCode(
+            user,
+            code,
+            VerificationCodeModel.CODE_TTL_MINUTES
+          );
+        }
+      }
+
+      res.json({
+        status: true,
+        message:
+          "If an account exists for this phone number, a password reset code has been sent.",
+        data: {
+          expires_in_minutes: VerificationCodeModel.CODE_TTL_MINUTES,
+          next_step: "reset_password",
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Reset password with an SMS code
+   */
+  static async resetPassword(req, res) {
+    try {
+      const { phone_number, code, new_password } = req.body;
+
+      const verification = await VerificationCodeModel.verifyCode(
+        phone_number,
+        VerificationCodeModel.TYPES.passwordReset,
+        code
+      );
+      if (!verification.isValid) {
+        throw new ValidationError(verification.message);
+      }
+
+      const user = await UserModel.findByPhoneNumber(phone_number);
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+
+      const hashedPassword = await hash(new_password);
+      await UserModel.updatePassword(user.id, hashedPassword);
+
+      // Whoever knew the old password is signed out
+      await SessionModel.revokeUserSessions(user.id, "password_reset");
+
+      res.json({
+        status: true,
+        message: "Password reset successfully. You can now login.",
+        data: {
+          next_step: "login",
+        },
       });
     } catch (error) {
       throw error;
@@ -244,7 +479,7 @@ class AuthController {
    */
   static async updateProfile(req, res) {
     try {
-      const { first_name, last_name, email } = req.body;
+      const { first_name, last_name, email, preferred_language } = req.body;
       const userId = req.user.id;
 
       // Get existing user data
@@ -274,6 +509,7 @@ class AuthController {
       if (first_name) updateData.first_name = first_name;
       if (last_name) updateData.last_name = last_name;
       if (email !== undefined) updateData.email = email;
+      if (preferred_language) updateData.preferred_language = preferred_language;
 
       // Handle uploaded profile picture
       if (req.file) {
@@ -0,0 +1,321 @@
+const { executeQuery } = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+/**
+ * Failed login tracking per phone number and per IP address.
+ *
+ * Failures within FAILURE_WINDOW_MINUTES add up. Past DELAY_AFTER_ATTEMPTS a
+ * phone number has to wait longer between each attempt, and reaching the
+ * scope's maximum locks it out. Repeated lockouts within a day get longer.
+ */
+class LoginThrottleModel {
+  static SCOPES = {
+    phone: "phone",
+    ip: "ip",
+  };
+
+  static FAILURE_WINDOW_MINUTES = 15;
+
+  // Failed attempts before a lockout
+  static MAX_FAILED_ATTEMPTS = {
+    phone: 5,
+    ip: 20,
+  };
+
+  // Progressive delay for a phone number: 2s, 4s, 8s, ... up to the maximum
+  static DELAY_AFTER_ATTEMPTS = 2;
+  static MAX_DELAY_SECONDS = 30;
+
+  // First lockout length, doubled for each earlier lockout in the last day
+  static LOCKOUT_MINUTES = 15;
+  static MAX_LOCKOUT_MINUTES = 24 * 60;
+
+  /**
+   * Seconds to wait after a failure, given the failures so far
+   * @param {number} failedAttempts - Failed attempts in the window
+   * @returns {number}
+   */
+  static getDelaySeconds(failedAttempts) {
+    if (failedAttempts <= this.DELAY_AFTER_ATTEMPTS) return 0;
+    return Math.min(
+      2 ** (failedAttempts - this.DELAY_AFTER_ATTEMPTS),
+      this.MAX_DELAY_SECONDS
+    );
+  }
+
+  /**
+   * Check whether a login attempt may go ahead
+   * @param {string} phoneNumber - Phone number being logged into
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} { allowed, reason, retryAfter } where reason is
+   *   "phone_locked", "ip_locked" or "delay" and retryAfter is in seconds
+   */
+  static async checkAttempt(phoneNumber, ipAddress) {
+    try {
+      const sql = `
+        SELECT scope, failed_attempts,
+               TIMESTAMPDIFF(SECOND, NOW(), locked_until) as lock_remaining,
+               TIMESTAMPDIFF(SECOND, last_failed_at, NOW()) as since_failure,
+               first_failed_at > DATE_SUB(NOW(), INTERVAL ? MINUTE) as in_window
+        FROM login_throttles
+        WHERE (scope = 'phone' AND identifier = ?)
+           OR (scope = 'ip' AND identifier = ?)
+      `;
+      const rows = await executeQuery(
+        sql,
+        [this.FAILURE_WINDOW_MINUTES, phoneNumber, ipAddress],
+        "Check Login Throttle"
+      );
+
+      for (const row of rows) {
+        if (row.lock_remaining > 0) {
+          return {
+            allowed: false,
+            reason: `${row.scope}_locked`,
+            retryAfter: row.lock_remaining,
+          };
+        }
+      }
+
+      const phoneRow = rows.find((row) => row.scope === this.SCOPES.phone);
+      if (phoneRow && phoneRow.in_window) {
+        const wait =
+          this.getDelaySeconds(phoneRow.failed_attempts) -
+          phoneRow.since_failure;
+        if (wait > 0) {
+          return { allowed: false, reason: "delay", retryAfter: wait };
+        }
+      }
+
+      return { allowed: true, reason: null, retryAfter: 0 };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error checking login attempts: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Record a failed login for a phone number and IP address, locking either
+   * one out when it reaches its maximum
+   * @param {string} phoneNumber - Phone number being logged into
+   * @param {string} ipAddress - Client IP address
+   * @param {number|null} userId - Matching user, if the phone number exists
+   * @returns {Promise<Object>} { locked, reason, retryAfter } for a new
+   *   lockout, in the same form as checkAttempt
+   */
+  static async recordFailure(phoneNumber, ipAddress, userId = null) {
+    try {
+      let lockout = { locked: false, reason: null, retryAfter: 0 };
+
+      const identifiers = [
+        [this.SCOPES.phone, phoneNumber],
+        [this.SCOPES.ip, ipAddress],
+      ];
+
+      for (const [scope, identifier] of identifiers) {
+        // A failure outside the window starts a new count
+        await executeQuery(
+          `INSERT INTO login_throttles
+             (scope, identifier, failed_attempts, first_failed_at, last_failed_at)
+           VALUES (?, ?, 1, NOW(), NOW())
+           ON DUPLICATE KEY UPDATE
+             failed_attempts = IF(
+               first_failed_at IS NULL
+                 OR first_failed_at < DATE_SUB(NOW(), INTERVAL ? MINUTE),
+               1,
+               failed_attempts + 1
+             ),
+             first_failed_at = IF(failed_attempts = 1, NOW(), first_failed_at),
+             last_failed_at = NOW()`,
+          [scope, identifier, this.FAILURE_WINDOW_MINUTES],
+          "Record Login Failure"
+        );
+
+        const minutes = await this.lockIfExceeded(
+          scope,
+          identifier,
+          scope === this.SCOPES.phone ? userId : null,
+          ipAddress
+        );
+        if (minutes && minutes * 60 > lockout.retryAfter) {
+          lockout = {
+            locked: true,
+            reason: `${scope}_locked`,
+            retryAfter: minutes * 60,
+          };
+        }
+      }
+
+      return lockout;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error recording login failure: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Lock a phone number or IP address that reached its maximum failures. The
+   * conditional UPDATE makes sure concurrent failures create one lockout.
+   * @returns {Promise<number|null>} Lockout length in minutes, or null
+   */
+  static async lockIfExceeded(scope, identifier, userId, ipAddress) {
+    const maxAttempts = this.MAX_FAILED_ATTEMPTS[scope];
+
+    const [recent] = await executeQuery(
+      `SELECT COUNT(*) as count FROM login_lockouts
+       WHERE scope = ? AND identifier = ?
+         AND created_at > DATE_SUB(NOW(), INTERVAL 1 DAY)`,
+      [scope, identifier],
+      "Count Recent Lockouts"
+    );
+    const minutes = Math.min(
+      this.LOCKOUT_MINUTES * 2 ** recent.count,
+      this.MAX_LOCKOUT_MINUTES
+    );
+
+    const result = await executeQuery(
+      `UPDATE login_throttles
+       SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+           failed_attempts = 0, first_failed_at = NULL
+       WHERE scope = ? AND identifier = ? AND failed_attempts >= ?`,
+      [minutes, scope, identifier, maxAttempts],
+      "Lock Login"
+    );
+    if (result.affectedRows === 0) return null;
+
+    await executeQuery(
+      `INSERT INTO login_lockouts
+         (scope, identifier, user_id, ip_address, failed_attempts, locked_until)
+       VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [scope, identifier, userId, ipAddress, maxAttempts, minutes],
+      "Create Login Lockout"
+    );
+
+    return minutes;
+  }
+
+  /**
+   * Clear the failure count for a phone number after a successful login
+   * @param {string} phoneNumber - Phone number
+   */
+  static async recordSuccess(phoneNumber) {
+    try {
+      await executeQuery(
+        "DELETE FROM login_throttles WHERE scope = 'phone' AND identifier = ?",
+        [phoneNumber],
+        "Clear Login Failures"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error clearing login failures: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Lift a phone number's lockout and clear its failures (Admin)
+   * @param {string} phoneNumber - Phone number
+   * @param {number} adminId - Admin lifting the lockout
+   * @returns {Promise<boolean>} Whether there was anything to clear
+   */
+  static async unlock(phoneNumber, adminId) {
+    try {
+      const lockouts = await executeQuery(
+        `UPDATE login_lockouts
+         SET unlocked_at = NOW(), unlocked_by = ?
+         WHERE scope = 'phone' AND identifier = ?
+           AND unlocked_at IS NULL AND locked_until > NOW()`,
+        [adminId, phoneNumber],
+        "Unlock Login Lockouts"
+      );
+      const throttles = await executeQuery(
+        "DELETE FROM login_throttles WHERE scope = 'phone' AND identifier = ?",
+        [phoneNumber],
+        "Clear Login Failures"
+      );
+      return lockouts.affectedRows > 0 || throttles.affectedRows > 0;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error unlocking login: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Current lock state and lockout history of a user (Admin)
+   * @param {Object} user - User with id and phone_number
+   * @param {number} limit - Maximum number of lockouts to return
+   * @returns {Promise<Object>} { is_locked, locked_until, failed_attempts, lockouts }
+   */
+  static async getLoginSecurity(user, limit = 20) {
+    try {
+      const [throttle] = await executeQuery(
+        `SELECT locked_until, locked_until > NOW() as is_locked,
+                IF(first_failed_at > DATE_SUB(NOW(), INTERVAL ? MINUTE),
+                   failed_attempts, 0) as failed_attempts
+         FROM login_throttles
+         WHERE scope = 'phone' AND identifier = ?`,
+        [this.FAILURE_WINDOW_MINUTES, user.phone_number],
+        "Get Login Throttle"
+      );
+
+      const lockouts = await executeQuery(
+        `SELECT l.id, l.identifier as phone_number, l.ip_address,
+                l.failed_attempts, l.locked_until, l.unlocked_at,
+                l.unlocked_by, l.created_at,
+                CONCAT(a.first_name, ' ', a.last_name) as unlocked_by_name
+         FROM login_lockouts l
+         LEFT JOIN users a ON l.unlocked_by = a.id
+         WHERE l.scope = 'phone' AND (l.user_id = ? OR l.identifier = ?)
+         ORDER BY l.created_at DESC, l.id DESC
+         LIMIT ?`,
+        [user.id, user.phone_number, limit],
+        "Get Login Lockouts"
+      );
+
+      return {
+        is_locked: Boolean(throttle && throttle.is_locked),
+        locked_until:
+          throttle && throttle.is_locked ? throttle.locked_until : null,
+        failed_attempts: throttle ? throttle.failed_attempts : 0,
+        lockouts,
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting login security: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Remove failure counters that can no longer cause a delay or lockout
+   * @returns {Promise<number>} Number of rows deleted
+   */
+  static async deleteStale() {
+    try {
+      const result = await executeQuery(
+        `DELETE FROM login_throttles
+         WHERE (locked_until IS NULL OR locked_until < NOW())
+           AND (first_failed_at IS NULL
+                OR first_failed_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))`,
+        [this.FAILURE_WINDOW_MINUTES],
+        "Delete Stale Login Throttles"
+      );
+      return result.affectedRows;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error deleting stale login throttles: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = LoginThrottleModel;
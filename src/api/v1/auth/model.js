@@ -35,8 +35,9 @@ class UserModel {
     try {
       const sql = `
         SELECT id, phone_number, first_name, last_name, email, 
-              is_active, role, profile_picture,
+              is_active, role, profile_picture, preferred_language,
               activation_code_used, activation_method, activated_by,
+              referred_by, invite_quota,
               created_at, updated_at, activated_at
         FROM users 
         WHERE id = ?
@@ -60,7 +61,7 @@ class UserModel {
     try {
       const sql = `
         SELECT id, phone_number, password, first_name, last_name, email, 
-              is_active, role, profile_picture,
+              is_active, role, profile_picture, preferred_language,
               activation_code_used, activation_method, activated_by,
               created_at, updated_at, activated_at
         FROM users 
@@ -89,7 +90,7 @@ class UserModel {
     try {
       const sql = `
         SELECT id, phone_number, first_name, last_name, email, 
-              is_active, role, profile_picture,
+              is_active, role, profile_picture, preferred_language,
               activation_code_used, activation_method, activated_by,
               created_at, updated_at, activated_at
         FROM users 
@@ -125,9 +126,10 @@ class UserModel {
    * Activate user with activation code
    * @param {number} userId - User ID
    * @param {string} activationCode - Activation code used
+   * @param {number|null} referrerId - User who invited them, for invite codes
    * @returns {Promise<Object>} Updated user
    */
-  static async activateUserWithCode(userId, activationCode) {
+  static async activateUserWithCode(userId, activationCode, referrerId = null) {
     try {
       const updateData = {
         is_active: true,
@@ -135,6 +137,9 @@ class UserModel {
         activation_code_used: activationCode.toUpperCase(),
         activation_method: "activation_code",
       };
+      if (referrerId) {
+        updateData.referred_by = referrerId;
+      }
       return await this.updateUser(userId, updateData);
     } catch (error) {
       throw new DatabaseError(
@@ -211,7 +216,7 @@ class UserModel {
    */
   static async getAllUsers(options = {}) {
     try {
-      const { page = 1, limit = 10, role, isActive } = options;
+      const { page = 1, limit = 10, role, isActive, referredBy } = options;
       const offset = (page - 1) * limit;
 
       let whereConditions = [];
@@ -227,6 +232,11 @@ class UserModel {
         params.push(isActive);
       }
 
+      if (referredBy) {
+        whereConditions.push("referred_by = ?");
+        params.push(referredBy);
+      }
+
       const whereClause =
         whereConditions.length > 0
           ? `WHERE ${whereConditions.join(" AND ")}`
@@ -240,8 +250,10 @@ class UserModel {
       // Get users (UPDATED - no is_phone_verified)
       const sql = `
         SELECT id, phone_number, first_name, last_name, email, 
-              is_active, role, profile_picture,
+              is_active, role, profile_picture, preferred_language,
               activation_code_used, activation_method, activated_by,
+              referred_by,
+              (SELECT COUNT(*) FROM users r WHERE r.referred_by = users.id) as referral_count,
               created_at, updated_at, activated_at
         FROM users 
         ${whereClause}
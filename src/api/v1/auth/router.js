@@ -5,10 +5,14 @@ const AuthController = require("./controller");
 const validateRequest = require("../../../middleware/validateRequest");
 const { authenticateToken } = require("../../../middleware/auth");
 const { asyncHandler } = require("../../../middleware/errorHandler");
+const { authRateLimit } = require("../../../middleware/rateLimit");
 
 const {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
   activateAccountSchema,
   changePasswordSchema,
   updateProfileSchema,
@@ -27,6 +31,7 @@ const {
  */
 router.post(
   "/register",
+  authRateLimit.register,
   validateRequest(registerSchema),
   asyncHandler(AuthController.register)
 );
@@ -38,6 +43,8 @@ router.post(
  */
 router.post(
   "/activate",
+  authRateLimit.activate,
+  authRateLimit.activateCode,
   validateRequest(activateAccountSchema),
   asyncHandler(AuthController.activateAccount)
 );
@@ -49,10 +56,46 @@ router.post(
  */
 router.post(
   "/login",
+  authRateLimit.login,
   validateRequest(loginSchema),
   asyncHandler(AuthController.login)
 );
 
+/**
+ * @route POST /api/v1/auth/refresh
+ * @desc Exchange a refresh token for new access and refresh tokens
+ * @access Public
+ */
+router.post(
+  "/refresh",
+  validateRequest(refreshTokenSchema),
+  asyncHandler(AuthController.refreshToken)
+);
+
+/**
+ * @route POST /api/v1/auth/forgot-password
+ * @desc Send a password reset code by SMS
+ * @access Public
+ */
+router.post(
+  "/forgot-password",
+  authRateLimit.passwordReset,
+  validateRequest(forgotPasswordSchema),
+  asyncHandler(AuthController.forgotPassword)
+);
+
+/**
+ * @route POST /api/v1/auth/reset-password
+ * @desc Reset password with the SMS code
+ * @access Public
+ */
+router.post(
+  "/reset-password",
+  authRateLimit.passwordReset,
+  validateRequest(resetPasswordSchema),
+  asyncHandler(AuthController.resetPassword)
+);
+
 // Protected routes (authentication required)
 
 /**
@@ -118,14 +161,13 @@ router.post(
 
 /**
  * @route POST /api/v1/auth/logout
- * @desc Logout user
+ * @desc Logout user and revoke the current session
  * @access Private
  */
-router.post("/logout", authenticateToken, (req, res) => {
-  res.json({
-    status: true,
-    message: "Logged out successfully",
-  });
-});
+router.post(
+  "/logout",
+  authenticateToken,
+  asyncHandler(AuthController.logout)
+);
 
 module.exports = router;
@@ -0,0 +1,298 @@
+const { executeQuery, buildInsertQuery } = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+const crypto = require("crypto");
+
+class SessionModel {
+  // Refresh token lifetime, REFRESH_TOKEN_EXPIRES_DAYS (default: 30)
+  static REFRESH_TOKEN_TTL_DAYS =
+    parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+  /**
+   * Hash a refresh token secret for storage and lookup
+   * @param {string} secret - Refresh token secret
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  static hashSecret(secret) {
+    return crypto.createHash("sha256").update(secret).digest("hex");
+  }
+
+  /**
+   * Refresh tokens are `<sessionId>.<secret>`, so a token can be resolved to
+   * its session without storing the secret itself
+   * @param {string} refreshToken - Refresh token from the client
+   * @returns {Object|null} { sessionId, secret } or null if malformed
+   */
+  static parseRefreshToken(refreshToken) {
+    const match = /^(\d+)\.([A-Za-z0-9_-]{43})$/.exec(refreshToken || "");
+    if (!match) return null;
+
+    return { sessionId: parseInt(match[1]), secret: match[2] };
+  }
+
+  static generateSecret() {
+    return crypto.randomBytes(32).toString("base64url");
+  }
+
+  static getExpiryDate() {
+    return new Date(Date.now() + this.REFRESH_TOKEN_TTL_DAYS * 86400 * 1000);
+  }
+
+  /**
+   * Start a session for a user
+   * @param {number} userId - User ID
+   * @param {Object} [client] - Request details to help users recognise sessions
+   * @param {string} [client.userAgent]
+   * @param {string} [client.ipAddress]
+   * @returns {Promise<Object>} { sessionId, refreshToken, expiresAt }
+   */
+  static async createSession(userId, { userAgent, ipAddress } = {}) {
+    try {
+      const secret = this.generateSecret();
+      const expiresAt = this.getExpiryDate();
+
+      const query = buildInsertQuery("user_sessions", {
+        user_id: userId,
+        refresh_token_hash: this.hashSecret(secret),
+        user_agent: userAgent ? userAgent.substring(0, 255) : null,
+        ip_address: ipAddress || null,
+        expires_at: expiresAt,
+      });
+      const result = await executeQuery(
+        query.sql,
+        query.params,
+        "Create User Session"
+      );
+
+      return {
+        sessionId: result.insertId,
+        refreshToken: `${result.insertId}.${secret}`,
+        expiresAt,
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error creating session: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find a session that can still authenticate requests, with the user's
+   * current role (it may have changed since the access token was issued)
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - User the access token was issued to
+   * @returns {Promise<Object|null>} { id, role } or null
+   */
+  static async findActiveSession(sessionId, userId) {
+    try {
+      const sql = `
+        SELECT s.id, u.role
+        FROM user_sessions s
+        JOIN users u ON s.user_id = u.id
+        WHERE s.id = ? AND s.user_id = ?
+          AND s.revoked_at IS NULL
+          AND s.expires_at > NOW()
+          AND u.is_active = TRUE
+      `;
+      const result = await executeQuery(
+        sql,
+        [sessionId, userId],
+        "Check User Session"
+      );
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error checking session: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new one.
+   *
+   * The swap is a single conditional UPDATE, so a token can only be used
+   * once. Presenting a token that was already rotated out means it has been
+   * copied, and the whole session is revoked.
+   *
+   * @param {string} refreshToken - Current refresh token
+   * @returns {Promise<Object|null>} { sessionId, userId, refreshToken,
+   *   expiresAt } or null if the token is not valid
+   */
+  static async rotateRefreshToken(refreshToken) {
+    try {
+      const parsed = this.parseRefreshToken(refreshToken);
+      if (!parsed) return null;
+
+      const { sessionId, secret } = parsed;
+      const presentedHash = this.hashSecret(secret);
+      const newSecret = this.generateSecret();
+
+      // Single-table UPDATE: assignments run left to right, so the previous
+      // hash is saved before it is replaced
+      const sql = `
+        UPDATE user_sessions
+        SET previous_token_hash = refresh_token_hash,
+            refresh_token_hash = ?,
+            last_used_at = NOW()
+        WHERE id = ? AND refresh_token_hash = ?
+          AND revoked_at IS NULL
+          AND expires_at > NOW()
+          AND user_id IN (SELECT id FROM users WHERE is_active = TRUE)
+      `;
+      const result = await executeQuery(
+        sql,
+        [this.hashSecret(newSecret), sessionId, presentedHash],
+        "Rotate Refresh Token"
+      );
+
+      if (result.affectedRows === 0) {
+        await this.revokeIfReused(sessionId, presentedHash);
+        return null;
+      }
+
+      const session = await this.findById(sessionId);
+
+      return {
+        sessionId,
+        userId: session.user_id,
+        refreshToken: `${sessionId}.${newSecret}`,
+        expiresAt: session.expires_at,
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error rotating refresh token: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Revoke a session whose previous refresh token is presented again
+   * @param {number} sessionId - Session ID
+   * @param {string} presentedHash - Hash of the presented secret
+   */
+  static async revokeIfReused(sessionId, presentedHash) {
+    const sql = `
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_reason = 'token_reuse'
+      WHERE id = ? AND previous_token_hash = ? AND revoked_at IS NULL
+    `;
+    const result = await executeQuery(
+      sql,
+      [sessionId, presentedHash],
+      "Revoke Reused Session"
+    );
+
+    if (result.affectedRows > 0) {
+      console.warn(
+        `Refresh token reuse detected, session ${sessionId} revoked`
+      );
+    }
+  }
+
+  /**
+   * Find session by ID
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session (without token hashes) or null
+   */
+  static async findById(sessionId) {
+    try {
+      const sql = `
+        SELECT id, user_id, user_agent, ip_address, expires_at,
+              last_used_at, revoked_at, revoked_reason, created_at
+        FROM user_sessions
+        WHERE id = ?
+      `;
+      const result = await executeQuery(sql, [sessionId], "Find Session");
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding session: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Revoke a single session (logout)
+   * @param {number} sessionId - Session ID
+   * @param {string} reason - Why the session ended
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  static async revokeSession(sessionId, reason = "logout") {
+    try {
+      const sql = `
+        UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = ?
+        WHERE id = ? AND revoked_at IS NULL
+      `;
+      const result = await executeQuery(
+        sql,
+        [reason, sessionId],
+        "Revoke Session"
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error revoking session: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {number} userId - User ID
+   * @param {string} reason - Why the sessions ended
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeUserSessions(userId, reason) {
+    try {
+      const sql = `
+        UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = ?
+        WHERE user_id = ? AND revoked_at IS NULL
+      `;
+      const result = await executeQuery(
+        sql,
+        [reason, userId],
+        "Revoke User Sessions"
+      );
+      return result.affectedRows;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error revoking user sessions: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Delete sessions that expired or were revoked more than a while ago
+   * @param {number} [retentionDays] - How long ended sessions are kept
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  static async deleteEndedSessions(retentionDays = 30) {
+    try {
+      const sql = `
+        DELETE FROM user_sessions
+        WHERE expires_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+          OR revoked_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+      `;
+      const result = await executeQuery(
+        sql,
+        [retentionDays, retentionDays],
+        "Delete Ended Sessions"
+      );
+      return result.affectedRows;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error deleting ended sessions: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = SessionModel;
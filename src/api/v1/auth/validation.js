@@ -1,5 +1,13 @@
 const Joi = require("joi");
 
+// Notification language
+const preferredLanguageValidation = Joi.string()
+  .valid("ar", "en")
+  .optional()
+  .messages({
+    "any.only": "Preferred language must be either ar or en",
+  });
+
 // Custom phone number validation
 const phoneNumberValidation = Joi.string()
   .pattern(/^\+?[1-9]\d{1,14}$/)
@@ -37,6 +45,7 @@ const registerSchema = Joi.object({
   email: Joi.string().email().optional().messages({
     "string.email": "Please provide a valid email address",
   }),
+  preferred_language: preferredLanguageValidation,
 });
 
 // Login validation schema (SIMPLIFIED)
@@ -47,6 +56,43 @@ const loginSchema = Joi.object({
   }),
 });
 
+// Refresh token schema
+const refreshTokenSchema = Joi.object({
+  refresh_token: Joi.string().max(200).required().messages({
+    "string.max": "Invalid refresh token",
+    "any.required": "Refresh token is required",
+  }),
+});
+
+// Forgot password schema
+const forgotPasswordSchema = Joi.object({
+  phone_number: phoneNumberValidation,
+});
+
+// Reset password schema
+const resetPasswordSchema = Joi.object({
+  phone_number: phoneNumberValidation,
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Verification code must be 6 digits",
+      "any.required": "Verification code is required",
+    }),
+  new_password: Joi.string().min(6).max(50).required().messages({
+    "string.min": "New password must be at least 6 characters long",
+    "string.max": "New password cannot exceed 50 characters",
+    "any.required": "New password is required",
+  }),
+  confirm_password: Joi.string()
+    .valid(Joi.ref("new_password"))
+    .required()
+    .messages({
+      "any.only": "Passwords do not match",
+      "any.required": "Password confirmation is required",
+    }),
+});
+
 // Account activation schema
 const activateAccountSchema = Joi.object({
   phone_number: phoneNumberValidation,
@@ -63,6 +109,27 @@ const activateAccountSchema = Joi.object({
     }),
 });
 
+const maxUsesValidation = Joi.number()
+  .integer()
+  .min(1)
+  .max(10000)
+  .default(1)
+  .messages({
+    "number.base": "Max uses must be a number",
+    "number.min": "Max uses must be at least 1",
+    "number.max": "Max uses cannot exceed 10000",
+  });
+
+const expiresInDaysValidation = Joi.number()
+  .integer()
+  .min(1)
+  .max(3650) // Max 10 years
+  .optional()
+  .messages({
+    "number.min": "Expiry must be at least 1 day",
+    "number.max": "Expiry cannot exceed 3650 days (10 years)",
+  });
+
 // Generate activation code schema
 const generateActivationCodeSchema = Joi.object({
   format: Joi.string()
@@ -71,15 +138,8 @@ const generateActivationCodeSchema = Joi.object({
     .messages({
       "any.only": "Format must be one of: JANAH, PREMIUM, TRIAL, CUSTOM",
     }),
-  expires_in_days: Joi.number()
-    .integer()
-    .min(1)
-    .max(3650) // Max 10 years
-    .optional()
-    .messages({
-      "number.min": "Expiry must be at least 1 day",
-      "number.max": "Expiry cannot exceed 3650 days (10 years)",
-    }),
+  expires_in_days: expiresInDaysValidation,
+  max_uses: maxUsesValidation,
   notes: Joi.string().max(500).optional().messages({
     "string.max": "Notes cannot exceed 500 characters",
   }),
@@ -96,6 +156,35 @@ const generateActivationCodeSchema = Joi.object({
     }),
 });
 
+// Batch activation code generation schema
+const generateActivationCodeBatchSchema = Joi.object({
+  campaign: Joi.string().trim().min(2).max(100).required().messages({
+    "string.min": "Campaign name must be at least 2 characters long",
+    "string.max": "Campaign name cannot exceed 100 characters",
+    "any.required": "Campaign name is required",
+  }),
+  campaign_description: Joi.string().max(500).optional().messages({
+    "string.max": "Campaign description cannot exceed 500 characters",
+  }),
+  count: Joi.number().integer().min(1).max(1000).required().messages({
+    "number.base": "Count must be a number",
+    "number.min": "Count must be at least 1",
+    "number.max": "Cannot generate more than 1000 codes at once",
+    "any.required": "Count is required",
+  }),
+  format: Joi.string()
+    .valid("JANAH", "PREMIUM", "TRIAL", "CUSTOM")
+    .default("JANAH")
+    .messages({
+      "any.only": "Format must be one of: JANAH, PREMIUM, TRIAL, CUSTOM",
+    }),
+  expires_in_days: expiresInDaysValidation,
+  max_uses: maxUsesValidation,
+  notes: Joi.string().max(500).optional().messages({
+    "string.max": "Notes cannot exceed 500 characters",
+  }),
+});
+
 // Get activation codes schema
 const getActivationCodesSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1).messages({
@@ -117,6 +206,11 @@ const getActivationCodesSchema = Joi.object({
     "number.integer": "Created by must be an integer",
     "number.positive": "Created by must be positive",
   }),
+  campaign_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "Campaign ID must be a number",
+    "number.integer": "Campaign ID must be an integer",
+    "number.positive": "Campaign ID must be positive",
+  }),
 });
 
 // Change password schema (UNCHANGED)
@@ -151,6 +245,7 @@ const updateProfileSchema = Joi.object({
   email: Joi.string().email().optional().messages({
     "string.email": "Please provide a valid email address",
   }),
+  preferred_language: preferredLanguageValidation,
 });
 
 // Admin activation schema
@@ -176,17 +271,20 @@ const getUsersSchema = Joi.object({
     "number.min": "Limit must be at least 1",
     "number.max": "Limit cannot exceed 100",
   }),
-  role: Joi.string().valid("user", "admin").optional().messages({
-    "any.only": "Role must be either user or admin",
-  }),
+  role: Joi.string().max(50).optional(),
   is_active: Joi.boolean().optional(),
+  referred_by: Joi.number().integer().positive().optional(),
 });
 
 module.exports = {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
   activateAccountSchema,
   generateActivationCodeSchema,
+  generateActivationCodeBatchSchema,
   getActivationCodesSchema,
   changePasswordSchema,
   updateProfileSchema,
@@ -0,0 +1,206 @@
+const { executeQuery } = require("../../../helpers/db");
+const { hash, verifyPassword } = require("../../../helpers/common");
+const { DatabaseError } = require("../../../errors/customErrors");
+const TwilioService = require("../../../services/twilio");
+
+class VerificationCodeModel {
+  static TYPES = {
+    registration: "registration",
+    passwordReset: "password_reset",
+  };
+
+  static CODE_LENGTH = 6;
+  static CODE_TTL_MINUTES = 10;
+  static MAX_ATTEMPTS = 5;
+
+  // Sending limits per phone number and type
+  static RESEND_INTERVAL_SECONDS = 60;
+  static MAX_CODES_PER_HOUR = 5;
+
+  /**
+   * Check whether another code may be sent to a phone number
+   * @param {string} phoneNumber - Phone number
+   * @param {string} type - Code type
+   * @returns {Promise<Object>} { allowed, retryAfter } (retryAfter in seconds)
+   */
+  static async canSendCode(phoneNumber, type) {
+    try {
+      const sql = `
+        SELECT COUNT(*) as count,
+              TIMESTAMPDIFF(SECOND, MIN(created_at), NOW()) as oldest_age,
+              TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) as latest_age
+        FROM phone_verification_codes
+        WHERE phone_number = ? AND type = ?
+          AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)
+      `;
+      const [stats] = await executeQuery(
+        sql,
+        [phoneNumber, type],
+        "Count Recent Verification Codes"
+      );
+
+      if (stats.count >= this.MAX_CODES_PER_HOUR) {
+        return { allowed: false, retryAfter: 3600 - stats.oldest_age };
+      }
+
+      if (stats.count > 0 && stats.latest_age < this.RESEND_INTERVAL_SECONDS) {
+        return {
+          allowed: false,
+          retryAfter: this.RESEND_INTERVAL_SECONDS - stats.latest_age,
+        };
+      }
+
+      return { allowed: true, retryAfter: 0 };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error checking verification code limits: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Create a new code, replacing any unused code of the same type
+   * @param {string} phoneNumber - Phone number
+   * @param {string} type - Code type
+   * @returns {Promise<string>} The plaintext code (only ever sent by SMS)
+   */
+  static async createCode(phoneNumber, type) {
+    try {
+      const code = TwilioService.generateVerificationCode(this.CODE_LENGTH);
+      const codeHash = await hash(code);
+
+      await executeQuery(
+        `UPDATE phone_verification_codes
+         SET expires_at = NOW()
+         WHERE phone_number = ? AND type = ?
+           AND used_at IS NULL AND expires_at > NOW()`,
+        [phoneNumber, type],
+        "Expire Previous Verification Codes"
+      );
+
+      await executeQuery(
+        `INSERT INTO phone_verification_codes
+           (phone_number, type, code_hash, expires_at)
+         VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [phoneNumber, type, codeHash, this.CODE_TTL_MINUTES],
+        "Create Verification Code"
+      );
+
+      return code;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error creating verification code: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Check a code and consume it if it matches.
+   *
+   * Every attempt is counted before the comparison, so parallel guesses
+   * cannot get past MAX_ATTEMPTS, and a matching code can be used only once.
+   *
+   * @param {string} phoneNumber - Phone number
+   * @param {string} type - Code type
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<Object>} { isValid, message }
+   */
+  static async verifyCode(phoneNumber, type, code) {
+    try {
+      const sql = `
+        SELECT id, code_hash, attempts, expires_at > NOW() as is_current
+        FROM phone_verification_codes
+        WHERE phone_number = ? AND type = ? AND used_at IS NULL
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      `;
+      const [record] = await executeQuery(
+        sql,
+        [phoneNumber, type],
+        "Find Verification Code"
+      );
+
+      if (!record || !record.is_current) {
+        return {
+          isValid: false,
+          message: "Verification code is invalid or has expired",
+        };
+      }
+
+      const attempt = await executeQuery(
+        `UPDATE phone_verification_codes
+         SET attempts = attempts + 1
+         WHERE id = ? AND used_at IS NULL AND attempts < ?`,
+        [record.id, this.MAX_ATTEMPTS],
+        "Count Verification Attempt"
+      );
+
+      if (attempt.affectedRows === 0) {
+        return {
+          isValid: false,
+          message: "Too many incorrect attempts. Please request a new code",
+        };
+      }
+
+      const matches = await verifyPassword(code, record.code_hash);
+      if (!matches) {
+        const remaining = this.MAX_ATTEMPTS - record.attempts - 1;
+        return {
+          isValid: false,
+          message:
+            remaining > 0
+              ? `Invalid verification code. ${remaining} attempt(s) remaining`
+              : "Too many incorrect attempts. Please request a new code",
+        };
+      }
+
+      const used = await executeQuery(
+        `UPDATE phone_verification_codes
+         SET used_at = NOW()
+         WHERE id = ? AND used_at IS NULL`,
+        [record.id],
+        "Use Verification Code"
+      );
+
+      if (used.affectedRows === 0) {
+        return {
+          isValid: false,
+          message: "Verification code has already been used",
+        };
+      }
+
+      return { isValid: true };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error verifying code: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Delete codes that expired over an hour ago (kept that long so the
+   * hourly sending limit still sees them)
+   * @returns {Promise<number>} Number of codes deleted
+   */
+  static async cleanupExpiredCodes() {
+    try {
+      const result = await executeQuery(
+        `DELETE FROM phone_verification_codes
+         WHERE expires_at < DATE_SUB(NOW(), INTERVAL 1 HOUR)`,
+        [],
+        "Cleanup Verification Codes"
+      );
+      return result.affectedRows;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error cleaning up verification codes: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = VerificationCodeModel;
@@ -4,8 +4,33 @@ const {
   ValidationError,
   BusinessLogicError,
 } = require("../../../middleware/errorHandler");
+const { AuditService } = require("../../../services/audit");
 
 class BulkController {
+  /**
+   * Audit one product changed by a bulk operation
+   * @param {Object} req - Request of the acting admin
+   * @param {string} action - Audit action
+   * @param {Object} product - Product before the change
+   * @param {Object} changes - Fields written to the product
+   * @param {Object} [metadata] - Extra details about the operation
+   */
+  static async auditProductChange(req, action, product, changes, metadata) {
+    const before = {};
+    Object.keys(changes).forEach((field) => {
+      before[field] = product[field];
+    });
+
+    await AuditService.record(req, {
+      action,
+      entityType: "product",
+      entityId: product.id,
+      before,
+      after: changes,
+      metadata: { bulk: true, ...metadata },
+    });
+  }
+
   /**
    * Bulk update product categories (supports both ID and code)
    */
@@ -69,6 +94,12 @@ class BulkController {
 
           // Update product
           await ProductModel.updateProduct(product_id, { category_id });
+          await BulkController.auditProductChange(
+            req,
+            "product.update_category",
+            product,
+            { category_id }
+          );
           results.updated.push({
             product_id: product_id,
             product_code: product.code,
@@ -153,6 +184,13 @@ class BulkController {
           }
 
           await ProductModel.updateProduct(product_id, { price: newPrice });
+          await BulkController.auditProductChange(
+            req,
+            "product.update_price",
+            product,
+            { price: newPrice },
+            { operation, value }
+          );
           results.updated.push({
             product_id: product_id,
             product_code: product.code,
@@ -212,6 +250,12 @@ class BulkController {
             }
 
             await ProductModel.updateProduct(productId, { is_active });
+            await BulkController.auditProductChange(
+              req,
+              "product.update_status",
+              product,
+              { is_active }
+            );
             results.updated.push({
               product_id: productId,
               product_code: product.code,
@@ -237,6 +281,12 @@ class BulkController {
             }
 
             await ProductModel.updateProduct(product.id, { is_active });
+            await BulkController.auditProductChange(
+              req,
+              "product.update_status",
+              product,
+              { is_active }
+            );
             results.updated.push({
               product_id: product.id,
               product_code: product.code,
@@ -322,6 +372,12 @@ class BulkController {
 
           // Update product code
           await ProductModel.updateProduct(product_id, { code: new_code });
+          await BulkController.auditProductChange(
+            req,
+            "product.update_code",
+            product,
+            { code: new_code }
+          );
 
           // Get updated product to show new full code
           const updatedProduct = await ProductModel.findById(product_id);
@@ -1,7 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const { BulkController } = require("./controller");
-const { authenticateToken, requireAdmin } = require("../../../middleware/auth");
+const {
+  authenticateToken,
+  requirePermission,
+} = require("../../../middleware/auth");
 const { asyncHandler } = require("../../../middleware/errorHandler");
 const validateRequest = require("../../../middleware/validateRequest");
 const Joi = require("joi");
@@ -77,30 +80,33 @@ const bulkUpdateCodesSchema = Joi.object({
     .required(),
 });
 
-// All bulk routes require admin authentication
+// All bulk routes require authentication; each route checks its permission
 router.use(authenticateToken);
-router.use(requireAdmin);
 
 router.put(
   "/categories",
+  requirePermission("products:manage"),
   validateRequest(bulkUpdateCategoriesSchema),
   asyncHandler(BulkController.bulkUpdateCategories)
 );
 
 router.put(
   "/prices",
+  requirePermission("products:update_price"),
   validateRequest(bulkUpdatePricesSchema),
   asyncHandler(BulkController.bulkUpdatePrices)
 );
 
 router.put(
   "/status",
+  requirePermission("products:manage"),
   validateRequest(bulkUpdateStatusSchema),
   asyncHandler(BulkController.bulkUpdateStatus)
 );
 
 router.put(
   "/codes",
+  requirePermission("products:manage"),
   validateRequest(bulkUpdateCodesSchema),
   asyncHandler(BulkController.bulkUpdateCodes)
 );
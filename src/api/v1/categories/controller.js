@@ -3,10 +3,41 @@ const {
   NotFoundError,
   ConflictError,
   ValidationError,
+  BusinessLogicError,
 } = require("../../../middleware/errorHandler");
 const { FileUploadService } = require("../../../middleware/multer");
+const { CacheManager } = require("../../../utils/cache");
+const { AuditService } = require("../../../services/audit");
 
 class CategoryController {
+  /**
+   * Normalize a requested parent_id and check it can be used. Returns null for
+   * a top level category.
+   * @param {*} parentId - parent_id from the request ("" or null for none)
+   * @param {number} [categoryId] - Category being moved, when updating
+   */
+  static async resolveParentId(parentId, categoryId = null) {
+    if (parentId === null || parentId === "") {
+      return null;
+    }
+
+    const parent = await CategoryModel.findById(parentId);
+    if (!parent) {
+      throw new ValidationError("Parent category not found");
+    }
+
+    if (categoryId) {
+      const subtree = await CategoryModel.getDescendantIds(categoryId);
+      if (subtree.includes(parent.id)) {
+        throw new ValidationError(
+          "A category cannot be moved under itself or one of its subcategories"
+        );
+      }
+    }
+
+    return parent.id;
+  }
+
   /**
    * Get all categories
    */
@@ -20,7 +51,7 @@ class CategoryController {
         includeInactive: include_inactive === "true",
       };
 
-      const result = await CategoryModel.getAllCategories(options);
+      const result = await CacheManager.getCategoryList(options);
 
       // Convert file paths to URLs
       result.categories = result.categories.map((category) => ({
@@ -46,7 +77,7 @@ class CategoryController {
   static async getCategoriesWithCounts(req, res) {
     try {
       const includeEmpty = req.query.include_empty === "true";
-      const categories = await CategoryModel.getAllCategoriesWithProductCounts(
+      const categories = await CacheManager.getCategoriesWithCounts(
         includeEmpty
       );
 
@@ -68,6 +99,34 @@ class CategoryController {
     }
   }
 
+  /**
+   * Get the category tree
+   */
+  static async getCategoryTree(req, res) {
+    try {
+      const includeInactive = req.query.include_inactive === "true";
+      const tree = await CacheManager.getCategoryTree(includeInactive);
+
+      // Convert file paths to URLs
+      const withUrls = (nodes) =>
+        nodes.map((node) => ({
+          ...node,
+          image_url: node.image_url
+            ? FileUploadService.getFileUrl(req, node.image_url)
+            : null,
+          children: withUrls(node.children),
+        }));
+
+      res.json({
+        status: true,
+        message: "Category tree retrieved successfully",
+        data: { categories: withUrls(tree) },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get category by ID or slug
    */
@@ -89,11 +148,21 @@ class CategoryController {
       const categoryWithCount = await CategoryModel.getCategoryWithProductCount(
         category.id
       );
+      categoryWithCount.breadcrumbs = await CategoryModel.getBreadcrumbs(
+        category.id
+      );
+      const subcategories = await CategoryModel.getChildren(category.id);
 
-      // Convert file path to URL
+      // Convert file paths to URLs
       categoryWithCount.image_url = categoryWithCount.image_url
         ? FileUploadService.getFileUrl(req, categoryWithCount.image_url)
         : null;
+      categoryWithCount.subcategories = subcategories.map((subcategory) => ({
+        ...subcategory,
+        image_url: subcategory.image_url
+          ? FileUploadService.getFileUrl(req, subcategory.image_url)
+          : null,
+      }));
 
       res.json({
         status: true,
@@ -110,7 +179,7 @@ class CategoryController {
    */
   static async getCategoryOptions(req, res) {
     try {
-      const categories = await CategoryModel.getCategoryOptions();
+      const categories = await CacheManager.getCategoryOptions();
 
       // Convert file paths to URLs
       const categoriesWithUrls = categories.map((category) => ({
@@ -179,6 +248,12 @@ class CategoryController {
         categoryData.image_url = req.file.path;
       }
 
+      if (categoryData.parent_id !== undefined) {
+        categoryData.parent_id = await CategoryController.resolveParentId(
+          categoryData.parent_id
+        );
+      }
+
       // Check if code already exists
       if (categoryData.code) {
         const existingByCode = await CategoryModel.findByCode(
@@ -209,6 +284,12 @@ class CategoryController {
       }
 
       const category = await CategoryModel.createCategory(categoryData);
+      await AuditService.record(req, {
+        action: "category.create",
+        entityType: "category",
+        entityId: category.id,
+        after: category,
+      });
 
       // Convert file path to URL for response
       category.image_url = category.image_url
@@ -246,6 +327,13 @@ class CategoryController {
         throw new NotFoundError("Category not found");
       }
 
+      if (updateData.parent_id !== undefined) {
+        updateData.parent_id = await CategoryController.resolveParentId(
+          updateData.parent_id,
+          existingCategory.id
+        );
+      }
+
       // Handle uploaded image
       if (req.file) {
         updateData.image_url = req.file.path;
@@ -295,6 +383,13 @@ class CategoryController {
         category_id,
         updateData
       );
+      await AuditService.record(req, {
+        action: "category.update",
+        entityType: "category",
+        entityId: existingCategory.id,
+        before: existingCategory,
+        after: updatedCategory,
+      });
 
       // Convert file path to URL for response
       updatedCategory.image_url = updatedCategory.image_url
@@ -327,6 +422,16 @@ class CategoryController {
         throw new NotFoundError("Category not found");
       }
 
+      const subcategories = await CategoryModel.getChildren(
+        existingCategory.id,
+        true
+      );
+      if (subcategories.length > 0) {
+        throw new BusinessLogicError(
+          `Cannot delete category with ${subcategories.length} subcategories. Move or delete them first.`
+        );
+      }
+
       // Delete associated image file if it exists and is a local file
       if (
         existingCategory.image_url &&
@@ -339,6 +444,12 @@ class CategoryController {
       if (!deleted) {
         throw new Error("Failed to delete category");
       }
+      await AuditService.record(req, {
+        action: "category.delete",
+        entityType: "category",
+        entityId: existingCategory.id,
+        before: existingCategory,
+      });
 
       res.json({
         status: true,
@@ -357,6 +468,11 @@ class CategoryController {
       const { categories } = req.body;
 
       await CategoryModel.updateSortOrders(categories);
+      await AuditService.record(req, {
+        action: "category.reorder",
+        entityType: "category",
+        metadata: { categories },
+      });
 
       res.json({
         status: true,
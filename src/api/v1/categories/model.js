@@ -5,6 +5,7 @@ const {
   buildUpdateQuery,
 } = require("../../../helpers/db");
 const { DatabaseError } = require("../../../errors/customErrors");
+const { CacheManager } = require("../../../utils/cache");
 
 class CategoryModel {
   /**
@@ -45,7 +46,7 @@ class CategoryModel {
 
       // Get categories
       const sql = `
-                SELECT id, name, code, slug, description, image_url, is_active, 
+                SELECT id, parent_id, name, code, slug, description, image_url, is_active, 
                        sort_order, created_at, updated_at
                 FROM categories 
                 ${whereClause}
@@ -82,7 +83,7 @@ class CategoryModel {
   static async findById(id) {
     try {
       const sql = `
-                SELECT id, name, code, slug, description, image_url, is_active, 
+                SELECT id, parent_id, name, code, slug, description, image_url, is_active, 
                        sort_order, created_at, updated_at
                 FROM categories 
                 WHERE id = ?
@@ -103,7 +104,7 @@ class CategoryModel {
   static async findBySlug(slug) {
     try {
       const sql = `
-                SELECT id, name, code, slug, description, image_url, is_active, 
+                SELECT id, parent_id, name, code, slug, description, image_url, is_active, 
                        sort_order, created_at, updated_at
                 FROM categories 
                 WHERE slug = ?
@@ -124,7 +125,7 @@ class CategoryModel {
   static async findByCode(code) {
     try {
       const sql = `
-                SELECT id, name, code, slug, description, image_url, is_active, 
+                SELECT id, parent_id, name, code, slug, description, image_url, is_active, 
                        sort_order, created_at, updated_at
                 FROM categories 
                 WHERE code = ?
@@ -167,6 +168,7 @@ class CategoryModel {
       );
 
       if (result.insertId) {
+        await CacheManager.invalidateCategory(result.insertId);
         return await this.findById(result.insertId);
       }
       throw new Error("Failed to create category");
@@ -198,6 +200,7 @@ class CategoryModel {
 
       const query = buildUpdateQuery("categories", updateData, { id });
       await executeQuery(query.sql, query.params, "Update Category");
+      await CacheManager.invalidateCategory(id);
       return await this.findById(id);
     } catch (error) {
       throw new DatabaseError(
@@ -222,6 +225,7 @@ class CategoryModel {
 
       const sql = "DELETE FROM categories WHERE id = ?";
       const result = await executeQuery(sql, [id], "Delete Category");
+      await CacheManager.invalidateCategory(id);
       return result.affectedRows > 0;
     } catch (error) {
       throw new DatabaseError(
@@ -237,7 +241,7 @@ class CategoryModel {
   static async getCategoryWithProductCount(id) {
     try {
       const sql = `
-                SELECT c.id, c.name, c.code, c.slug, c.description, c.image_url, 
+                SELECT c.id, c.parent_id, c.name, c.code, c.slug, c.description, c.image_url, 
                        c.is_active, c.sort_order, c.created_at, c.updated_at,
                        COUNT(p.id) as product_count
                 FROM categories c
@@ -267,13 +271,13 @@ class CategoryModel {
       const havingClause = includeEmpty ? "" : "HAVING product_count > 0";
 
       const sql = `
-                SELECT c.id, c.name, c.code, c.slug, c.description, c.image_url, 
+                SELECT c.id, c.parent_id, c.name, c.code, c.slug, c.description, c.image_url, 
                        c.is_active, c.sort_order, c.created_at, c.updated_at,
                        COUNT(p.id) as product_count
                 FROM categories c
                 LEFT JOIN products p ON c.id = p.category_id AND p.is_active = true
                 WHERE c.is_active = true
-                GROUP BY c.id, c.name, c.code, c.slug, c.description, c.image_url, 
+                GROUP BY c.id, c.parent_id, c.name, c.code, c.slug, c.description, c.image_url, 
                          c.is_active, c.sort_order, c.created_at, c.updated_at
                 ${havingClause}
                 ORDER BY c.sort_order ASC, c.name ASC
@@ -327,6 +331,7 @@ class CategoryModel {
       }));
 
       await executeTransaction(queries, "Update Category Sort Orders");
+      await CacheManager.invalidateCategory("*");
       return true;
     } catch (error) {
       throw new DatabaseError(
@@ -336,6 +341,143 @@ class CategoryModel {
     }
   }
 
+  /**
+   * Get the IDs of a category and all of its subcategories, at any depth
+   * @param {number} categoryId - Category ID
+   * @returns {Promise<number[]>} The category's own ID first
+   */
+  static async getDescendantIds(categoryId) {
+    try {
+      const sql = `
+                WITH RECURSIVE category_tree AS (
+                  SELECT id FROM categories WHERE id = ?
+                  UNION
+                  SELECT c.id
+                  FROM categories c
+                  JOIN category_tree ct ON c.parent_id = ct.id
+                )
+                SELECT id FROM category_tree
+            `;
+      const result = await executeQuery(
+        sql,
+        [categoryId],
+        "Get Category Descendants"
+      );
+      const ids = result.map((row) => row.id);
+      return [
+        parseInt(categoryId),
+        ...ids.filter((id) => id !== parseInt(categoryId)),
+      ];
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting subcategories: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the path from the top level category down to a category
+   * @param {number} categoryId - Category ID
+   * @returns {Promise<Array>} [{ id, name, code, slug }], top level first,
+   *   ending with the category itself
+   */
+  static async getBreadcrumbs(categoryId) {
+    try {
+      const sql = `
+                WITH RECURSIVE ancestors AS (
+                  SELECT id, parent_id, name, code, slug, 0 AS distance
+                  FROM categories
+                  WHERE id = ?
+                  UNION
+                  SELECT c.id, c.parent_id, c.name, c.code, c.slug, a.distance + 1
+                  FROM categories c
+                  JOIN ancestors a ON c.id = a.parent_id
+                )
+                SELECT id, name, code, slug
+                FROM ancestors
+                ORDER BY distance DESC
+            `;
+      return await executeQuery(sql, [categoryId], "Get Category Breadcrumbs");
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting category breadcrumbs: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the direct subcategories of a category
+   */
+  static async getChildren(categoryId, includeInactive = false) {
+    try {
+      const sql = `
+                SELECT id, parent_id, name, code, slug, description, image_url, is_active,
+                       sort_order, created_at, updated_at
+                FROM categories
+                WHERE parent_id = ? ${includeInactive ? "" : "AND is_active = true"}
+                ORDER BY sort_order ASC, name ASC
+            `;
+      return await executeQuery(sql, [categoryId], "Get Subcategories");
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting subcategories: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get all categories as a tree. Each node has its subcategories in
+   * `children`, its own active product count in `product_count` and the count
+   * including subcategories in `total_product_count`. Subcategories of a
+   * hidden (inactive) category are hidden too.
+   */
+  static async getCategoryTree(includeInactive = false) {
+    try {
+      const sql = `
+                SELECT c.id, c.parent_id, c.name, c.code, c.slug, c.description,
+                       c.image_url, c.is_active, c.sort_order,
+                       COUNT(p.id) as product_count
+                FROM categories c
+                LEFT JOIN products p ON c.id = p.category_id AND p.is_active = true
+                ${includeInactive ? "" : "WHERE c.is_active = true"}
+                GROUP BY c.id
+                ORDER BY c.sort_order ASC, c.name ASC
+            `;
+      const rows = await executeQuery(sql, [], "Get Category Tree");
+
+      const nodes = new Map(
+        rows.map((row) => [row.id, { ...row, children: [] }])
+      );
+      const roots = [];
+      nodes.forEach((node) => {
+        if (node.parent_id === null) {
+          roots.push(node);
+        } else if (nodes.has(node.parent_id)) {
+          nodes.get(node.parent_id).children.push(node);
+        }
+      });
+
+      const countProducts = (node) => {
+        node.total_product_count = node.children.reduce(
+          (total, child) => total + countProducts(child),
+          node.product_count
+        );
+        return node.total_product_count;
+      };
+      roots.forEach(countProducts);
+
+      return roots;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting category tree: ${error.message}`,
+        error
+      );
+    }
+  }
+
   /**
    * Generate URL-friendly slug from name
    */
@@ -400,7 +542,7 @@ class CategoryModel {
   static async getCategoryOptions() {
     try {
       const sql = `
-                SELECT id, name, code 
+                SELECT id, parent_id, name, code 
                 FROM categories 
                 WHERE is_active = true 
                 ORDER BY sort_order ASC, name ASC
@@ -421,7 +563,7 @@ class CategoryModel {
   static async searchCategories(searchTerm) {
     try {
       const sql = `
-                SELECT id, name, code, slug, description, image_url, is_active, 
+                SELECT id, parent_id, name, code, slug, description, image_url, is_active, 
                        sort_order, created_at, updated_at
                 FROM categories 
                 WHERE (name LIKE ? OR code LIKE ? OR description LIKE ?) 
@@ -5,13 +5,14 @@ const CategoryController = require("./controller");
 const validateRequest = require("../../../middleware/validateRequest");
 const {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   optionalAuth,
 } = require("../../../middleware/auth");
 const { asyncHandler } = require("../../../middleware/errorHandler");
 
 const {
   getCategoriesSchema,
+  getCategoryTreeSchema,
   createCategorySchema,
   updateCategorySchema,
   sortOrderSchema,
@@ -35,6 +36,17 @@ router.get(
 
 router.get("/options", asyncHandler(CategoryController.getCategoryOptions));
 
+/**
+ * @route GET /api/v1/categories/tree
+ * @desc Get categories nested under their parents, with product counts
+ * @access Public
+ */
+router.get(
+  "/tree",
+  validateRequest(getCategoryTreeSchema),
+  asyncHandler(CategoryController.getCategoryTree)
+);
+
 router.get("/search", asyncHandler(CategoryController.searchCategories));
 
 /**
@@ -44,18 +56,23 @@ router.get("/search", asyncHandler(CategoryController.searchCategories));
  */
 router.get("/code/:code", asyncHandler(CategoryController.getCategoryByCode));
 
+/**
+ * @route GET /api/v1/categories/:identifier
+ * @desc Get category by ID or slug, with its breadcrumbs and subcategories
+ * @access Public
+ */
 router.get("/:identifier", asyncHandler(CategoryController.getCategory));
 
 // Admin routes with file upload support
 /**
  * @route POST /api/v1/categories
  * @desc Create new category with optional image upload
- * @access Admin
+ * @access Permission categories:manage
  */
 router.post(
   "/",
   authenticateToken,
-  requireAdmin,
+  requirePermission("categories:manage"),
   uploadMiddlewares.category,
   handleMulterError,
   validateRequest(createCategorySchema),
@@ -65,12 +82,12 @@ router.post(
 /**
  * @route PUT /api/v1/categories/:category_id
  * @desc Update category with optional image upload
- * @access Admin
+ * @access Permission categories:manage
  */
 router.put(
   "/:category_id",
   authenticateToken,
-  requireAdmin,
+  requirePermission("categories:manage"),
   uploadMiddlewares.category,
   handleMulterError,
   validateRequest(updateCategorySchema),
@@ -80,14 +97,14 @@ router.put(
 router.delete(
   "/:category_id",
   authenticateToken,
-  requireAdmin,
+  requirePermission("categories:manage"),
   asyncHandler(CategoryController.deleteCategory)
 );
 
 router.put(
   "/sort-orders/update",
   authenticateToken,
-  requireAdmin,
+  requirePermission("categories:manage"),
   validateRequest(sortOrderSchema),
   asyncHandler(CategoryController.updateSortOrders)
 );
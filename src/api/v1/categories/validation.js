@@ -6,6 +6,10 @@ const getCategoriesSchema = Joi.object({
   include_inactive: Joi.boolean().default(false),
 });
 
+const getCategoryTreeSchema = Joi.object({
+  include_inactive: Joi.boolean().default(false),
+});
+
 const createCategorySchema = Joi.object({
   name: Joi.string().min(2).max(100).required().messages({
     "string.min": "Category name must be at least 2 characters long",
@@ -40,9 +44,13 @@ const createCategorySchema = Joi.object({
     "number.integer": "Sort order must be an integer",
     "number.min": "Sort order must be 0 or greater",
   }),
+  parent_id: Joi.number().integer().positive().allow(null, "").messages({
+    "number.base": "Parent category must be a category ID",
+  }),
 });
 
 const updateCategorySchema = Joi.object({
+  category_id: Joi.number().integer().positive(),
   name: Joi.string().min(2).max(100).optional(),
   code: Joi.string()
     .min(1)
@@ -60,6 +68,9 @@ const updateCategorySchema = Joi.object({
   image_url: Joi.string().uri().max(500).optional(),
   sort_order: Joi.number().integer().min(0).optional(),
   is_active: Joi.boolean().optional(),
+  parent_id: Joi.number().integer().positive().allow(null, "").messages({
+    "number.base": "Parent category must be a category ID",
+  }),
 });
 
 const sortOrderSchema = Joi.object({
@@ -76,6 +87,7 @@ const sortOrderSchema = Joi.object({
 
 module.exports = {
   getCategoriesSchema,
+  getCategoryTreeSchema,
   createCategorySchema,
   updateCategorySchema,
   sortOrderSchema,
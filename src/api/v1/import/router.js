@@ -2,9 +2,13 @@ const express = require("express");
 const router = express.Router();
 const multer = require("multer");
 const { DataImporter } = require("../../../utils/dataImport");
-const { authenticateToken, requireAdmin } = require("../../../middleware/auth");
+const {
+  authenticateToken,
+  requirePermission,
+} = require("../../../middleware/auth");
 const { asyncHandler } = require("../../../middleware/errorHandler");
 const { ValidationError } = require("../../../middleware/errorHandler");
+const { AuditService } = require("../../../services/audit");
 
 // Configure multer for file uploads
 const upload = multer({
@@ -19,9 +23,25 @@ const upload = multer({
   },
 });
 
-// All import routes require admin authentication
+// Audit a completed (non dry-run) import as a single summary entry
+const auditImport = async (req, entityType, options, results) => {
+  if (options.dryRun) return;
+
+  await AuditService.record(req, {
+    action: `${entityType}.import`,
+    entityType,
+    metadata: {
+      file: req.file.originalname,
+      total: results.total,
+      successful: results.successful,
+      failed: results.failed,
+    },
+  });
+};
+
+// All import routes require the import:manage permission
 router.use(authenticateToken);
-router.use(requireAdmin);
+router.use(requirePermission("import:manage"));
 
 // Product Import/Export
 router.post(
@@ -35,12 +55,14 @@ router.post(
     const options = {
       dryRun: req.body.dry_run === "true",
       skipErrors: req.body.skip_errors === "true",
+      userId: req.user.id,
     };
 
     const results = await DataImporter.importProductsFromCSV(
       req.file.path,
       options
     );
+    await auditImport(req, "product", options, results);
 
     // Clean up uploaded file
     const fs = require("fs").promises;
@@ -97,6 +119,7 @@ router.post(
       req.file.path,
       options
     );
+    await auditImport(req, "category", options, results);
 
     // Clean up uploaded file
     const fs = require("fs").promises;
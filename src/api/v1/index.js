@@ -11,6 +11,9 @@ const analyticsRouter = require("./analytics/router");
 const bulkRouter = require("./bulk/router");
 const searchRouter = require("./search/router");
 const importRouter = require("./import/router");
+const referralRouter = require("./referrals/router");
+const warehouseRouter = require("./warehouses/router");
+const purchasingRouter = require("./purchasing/router");
 
 // Home route
 router.use("/", homeRouter);
@@ -42,4 +45,13 @@ router.use("/search", searchRouter);
 // Import/Export routes
 router.use("/import", importRouter);
 
+// Referral routes
+router.use("/referrals", referralRouter);
+
+// Warehouse routes
+router.use("/warehouses", warehouseRouter);
+
+// Supplier and purchase order routes
+router.use("/purchasing", purchasingRouter);
+
 module.exports = router;
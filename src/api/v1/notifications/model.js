@@ -0,0 +1,341 @@
+const {
+  executeQuery,
+  buildInsertQuery,
+} = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+class NotificationModel {
+  static STATUSES = {
+    PENDING: "pending",
+    SENDING: "sending",
+    SENT: "sent",
+    FAILED: "failed",
+    EXPIRED: "expired",
+  };
+
+  /**
+   * Add a message to the outbox
+   * @param {Object} data - Notification columns (recipient, body, type, ...)
+   * @returns {Promise<Object>} Created notification
+   */
+  static async create(data) {
+    try {
+      const query = buildInsertQuery("notifications", data);
+      const result = await executeQuery(
+        query.sql,
+        query.params,
+        "Create Notification"
+      );
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error creating notification: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find notification by ID
+   * @param {number} id - Notification ID
+   * @returns {Promise<Object|null>} Notification or null
+   */
+  static async findById(id) {
+    try {
+      const result = await executeQuery(
+        "SELECT * FROM notifications WHERE id = ?",
+        [id],
+        "Find Notification By ID"
+      );
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding notification: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get notifications with pagination and filters (Admin)
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Notifications list with pagination info
+   */
+  static async getNotifications(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        type,
+        recipient,
+        user_id,
+        reference_type,
+        reference_id,
+      } = options;
+      const offset = (page - 1) * limit;
+
+      const filters = {
+        status,
+        type,
+        recipient,
+        user_id,
+        reference_type,
+        reference_id,
+      };
+      const whereConditions = [];
+      const params = [];
+
+      Object.entries(filters).forEach(([column, value]) => {
+        if (value !== undefined && value !== null && value !== "") {
+          whereConditions.push(`${column} = ?`);
+          params.push(value);
+        }
+      });
+
+      const whereClause =
+        whereConditions.length > 0
+          ? `WHERE ${whereConditions.join(" AND ")}`
+          : "";
+
+      const countResult = await executeQuery(
+        `SELECT COUNT(*) as total FROM notifications ${whereClause}`,
+        params,
+        "Count Notifications"
+      );
+      const total = countResult[0].total;
+
+      const notifications = await executeQuery(
+        `SELECT * FROM notifications ${whereClause}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+        "Get Notifications"
+      );
+
+      return {
+        notifications,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting notifications: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Count notifications per status, optionally since a date
+   * @param {Date} [since] - Only count notifications created after this
+   * @returns {Promise<Object>} { pending, sending, sent, failed, expired }
+   */
+  static async getStatusCounts(since) {
+    try {
+      const sql = `
+        SELECT status, COUNT(*) as count
+        FROM notifications
+        ${since ? "WHERE created_at >= ?" : ""}
+        GROUP BY status
+      `;
+      const rows = await executeQuery(
+        sql,
+        since ? [since] : [],
+        "Count Notifications By Status"
+      );
+
+      const counts = {};
+      Object.values(this.STATUSES).forEach((status) => (counts[status] = 0));
+      rows.forEach((row) => (counts[row.status] = row.count));
+      return counts;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error counting notifications: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * IDs of pending notifications whose next attempt is due
+   * @param {number} limit - Maximum number of IDs
+   * @returns {Promise<number[]>}
+   */
+  static async findDueIds(limit) {
+    try {
+      const rows = await executeQuery(
+        `SELECT id FROM notifications
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at, id
+         LIMIT ?`,
+        [limit],
+        "Find Due Notifications"
+      );
+      return rows.map((row) => row.id);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding due notifications: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Claim a due notification for delivery. The conditional UPDATE makes sure
+   * only one worker (or request) sends a given message.
+   * @param {number} id - Notification ID
+   * @returns {Promise<Object|null>} The claimed notification, or null
+   */
+  static async claim(id) {
+    try {
+      const result = await executeQuery(
+        `UPDATE notifications
+         SET status = 'sending', attempts = attempts + 1
+         WHERE id = ? AND status = 'pending' AND next_attempt_at <= NOW()`,
+        [id],
+        "Claim Notification"
+      );
+      return result.affectedRows > 0 ? await this.findById(id) : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error claiming notification: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Record a successful delivery
+   * @param {Object} notification - Claimed notification
+   * @param {Object} result - { provider, providerMessageId }
+   */
+  static async markSent(notification, { provider, providerMessageId }) {
+    try {
+      await executeQuery(
+        `UPDATE notifications
+         SET status = 'sent', sent_at = NOW(), last_error = NULL,
+             provider = ?, provider_message_id = ?,
+             body = IF(is_sensitive, NULL, body)
+         WHERE id = ?`,
+        [provider, providerMessageId || null, notification.id],
+        "Mark Notification Sent"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error updating notification: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Record a failed attempt, scheduling a retry or giving up
+   * @param {Object} notification - Claimed notification
+   * @param {string} errorMessage - Why the attempt failed
+   * @param {number|null} retryInSeconds - Delay before the next attempt, or
+   *   null when no attempts are left
+   */
+  static async markAttemptFailed(notification, errorMessage, retryInSeconds) {
+    try {
+      const sql =
+        retryInSeconds === null
+          ? `UPDATE notifications
+             SET status = 'failed', last_error = ?,
+                 body = IF(is_sensitive, NULL, body)
+             WHERE id = ?`
+          : `UPDATE notifications
+             SET status = 'pending', last_error = ?,
+                 next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+             WHERE id = ?`;
+      const params =
+        retryInSeconds === null
+          ? [errorMessage, notification.id]
+          : [errorMessage, retryInSeconds, notification.id];
+
+      await executeQuery(sql, params, "Mark Notification Attempt Failed");
+    } catch (error) {
+      throw new DatabaseError(
+        `Error updating notification: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Give up on a message that is no longer worth sending
+   * @param {Object} notification - Claimed notification
+   */
+  static async markExpired(notification) {
+    try {
+      await executeQuery(
+        `UPDATE notifications
+         SET status = 'expired', body = IF(is_sensitive, NULL, body)
+         WHERE id = ?`,
+        [notification.id],
+        "Mark Notification Expired"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error updating notification: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Put notifications stuck in `sending` (process died mid-send) back in the
+   * queue
+   * @param {number} olderThanMinutes - How long a send may take
+   * @returns {Promise<number>} Number of notifications released
+   */
+  static async releaseStale(olderThanMinutes = 5) {
+    try {
+      const result = await executeQuery(
+        `UPDATE notifications
+         SET status = 'pending', next_attempt_at = NOW()
+         WHERE status = 'sending'
+           AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [olderThanMinutes],
+        "Release Stale Notifications"
+      );
+      return result.affectedRows;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error releasing stale notifications: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Queue a failed notification again, allowing one more attempt (Admin)
+   * @param {number} id - Notification ID
+   * @returns {Promise<boolean>} Whether the notification was requeued
+   */
+  static async requeue(id) {
+    try {
+      const result = await executeQuery(
+        `UPDATE notifications
+         SET status = 'pending', next_attempt_at = NOW(),
+             max_attempts = GREATEST(max_attempts, attempts + 1)
+         WHERE id = ? AND status = 'failed' AND body IS NOT NULL
+           AND (expires_at IS NULL OR expires_at > NOW())`,
+        [id],
+        "Requeue Notification"
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error requeueing notification: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = NotificationModel;
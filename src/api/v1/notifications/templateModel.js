@@ -0,0 +1,99 @@
+const { executeQuery } = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+/**
+ * Admin overrides of the built-in message templates
+ */
+class MessageTemplateModel {
+  /**
+   * Find the override for an event and locale
+   * @param {string} event - Template event
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object|null>} Override or null
+   */
+  static async findOverride(event, locale) {
+    try {
+      const result = await executeQuery(
+        "SELECT * FROM message_templates WHERE event = ? AND locale = ?",
+        [event, locale],
+        "Find Message Template"
+      );
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding message template: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get all overrides
+   * @returns {Promise<Array>} Overrides
+   */
+  static async getOverrides() {
+    try {
+      return await executeQuery(
+        "SELECT * FROM message_templates ORDER BY event, locale",
+        [],
+        "Get Message Templates"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting message templates: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Create or replace the override for an event and locale
+   * @param {string} event - Template event
+   * @param {string} locale - Locale code
+   * @param {string} body - Template text
+   * @param {number} adminId - Admin making the change
+   * @returns {Promise<Object>} Saved override
+   */
+  static async saveOverride(event, locale, body, adminId) {
+    try {
+      await executeQuery(
+        `INSERT INTO message_templates (event, locale, body, updated_by)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE body = VALUES(body),
+                                 updated_by = VALUES(updated_by)`,
+        [event, locale, body, adminId],
+        "Save Message Template"
+      );
+      return await this.findOverride(event, locale);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error saving message template: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Remove an override, restoring the built-in template
+   * @param {string} event - Template event
+   * @param {string} locale - Locale code
+   * @returns {Promise<boolean>} Whether an override existed
+   */
+  static async deleteOverride(event, locale) {
+    try {
+      const result = await executeQuery(
+        "DELETE FROM message_templates WHERE event = ? AND locale = ?",
+        [event, locale],
+        "Delete Message Template"
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error deleting message template: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = MessageTemplateModel;
@@ -0,0 +1,53 @@
+const Joi = require("joi");
+
+// Admin notification list schema
+const getNotificationsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).messages({
+    "number.base": "Page must be a number",
+    "number.integer": "Page must be an integer",
+    "number.min": "Page must be at least 1",
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": "Limit must be a number",
+    "number.integer": "Limit must be an integer",
+    "number.min": "Limit must be at least 1",
+    "number.max": "Limit cannot exceed 100",
+  }),
+  status: Joi.string()
+    .valid("pending", "sending", "sent", "failed", "expired")
+    .optional()
+    .messages({
+      "any.only":
+        "Status must be one of: pending, sending, sent, failed, expired",
+    }),
+  type: Joi.string().max(50).optional(),
+  recipient: Joi.string().max(50).optional(),
+  user_id: Joi.number().integer().positive().optional(),
+  reference_type: Joi.string().max(30).optional(),
+  reference_id: Joi.number().integer().positive().optional(),
+});
+
+// Admin notification stats schema
+const getNotificationStatsSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).optional().messages({
+    "number.min": "Days must be at least 1",
+    "number.max": "Days cannot exceed 365",
+  }),
+});
+
+// Admin message template update schema
+const updateMessageTemplateSchema = Joi.object({
+  event: Joi.string().optional(),
+  locale: Joi.string().optional(),
+  body: Joi.string().trim().min(1).max(1000).required().messages({
+    "string.empty": "Template text is required",
+    "string.max": "Template text cannot exceed 1000 characters",
+    "any.required": "Template text is required",
+  }),
+});
+
+module.exports = {
+  getNotificationsSchema,
+  getNotificationStatsSchema,
+  updateMessageTemplateSchema,
+};
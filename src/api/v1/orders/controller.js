@@ -1,6 +1,9 @@
 const OrderModel = require("./model");
 const ProductModel = require("../products/model");
-const TwilioService = require("../../../services/twilio");
+const ProductVariantModel = require("../products/variantModel");
+const WarehouseModel = require("../warehouses/model");
+const { NotificationService } = require("../../../services/notification");
+const { AuditService } = require("../../../services/audit");
 const {
   NotFoundError,
   BusinessLogicError,
@@ -10,111 +13,73 @@ const {
 class OrderController {
   /**
    * Create a new order (for authenticated users) - Updated with selling price
+   *
+   * Clients may send an `Idempotency-Key` header; retrying with the same key
+   * returns the order created by the first request instead of a duplicate.
    */
   static async createOrder(req, res) {
     try {
       const { delivery_address, delivery_notes, items } = req.body;
       const userId = req.user.id;
+      const idempotencyKey = OrderController.getIdempotencyKey(req);
+
+      if (idempotencyKey) {
+        const existingOrder = await OrderModel.findByIdempotencyKey(
+          userId,
+          idempotencyKey
+        );
+        if (existingOrder) {
+          return OrderController.sendReplayedOrder(res, existingOrder);
+        }
+      }
 
       if (!items || !Array.isArray(items) || items.length === 0) {
         throw new ValidationError("Order must contain at least one item");
       }
 
-      // Validate and prepare order items
-      const orderItems = [];
-      let totalAmount = 0;
-
-      for (const item of items) {
-        const { product_id, quantity, selling_price } = item;
-
-        if (!product_id || !quantity || quantity <= 0) {
-          throw new ValidationError("Invalid product or quantity");
-        }
-
-        // Validate selling price if provided
-        if (selling_price !== undefined && selling_price !== null) {
-          if (typeof selling_price !== "number" || selling_price <= 0) {
-            throw new ValidationError(
-              "Selling price must be a positive number"
-            );
-          }
-        }
-
-        // Get product details
-        const product = await ProductModel.findById(product_id);
-        if (!product) {
-          throw new NotFoundError(`Product with ID ${product_id} not found`);
-        }
-
-        if (!product.is_active) {
-          throw new BusinessLogicError(
-            `Product "${product.name}" is not available`
-          );
-        }
-
-        if (product.stock_quantity < quantity) {
-          throw new BusinessLogicError(
-            `Insufficient stock for "${product.name}". Available: ${product.stock_quantity}, Requested: ${quantity}`
-          );
-        }
-
-        const itemTotal = product.price * quantity;
-        totalAmount += itemTotal;
-
-        orderItems.push({
-          product_id: product.id,
-          product_name: product.name,
-          product_code: product.code,
-          category_code: product.category_code,
-          full_code: product.full_code,
-          price: product.price,
-          quantity: quantity,
-          selling_price: selling_price || null, // Include selling price
-        });
-      }
+      const orderItems = await OrderController.prepareOrderItems(items);
+      const warehouse = await OrderController.pickFulfillmentWarehouse(
+        orderItems
+      );
 
       // Prepare order data
       const orderData = {
         user_id: userId,
+        warehouse_id: warehouse.id,
         customer_name: `${req.user.first_name} ${req.user.last_name}`.trim(),
         customer_phone: req.user.phone_number,
         delivery_address,
         delivery_notes: delivery_notes || null,
       };
+      if (idempotencyKey) {
+        orderData.idempotency_key = idempotencyKey;
+      }
 
       // Create order
-      const order = await OrderModel.createOrder(orderData, orderItems);
-
-      // Calculate profit margins for analytics (optional)
-      const orderAnalytics = order.items.map((item) => ({
-        product_id: item.product_id,
-        purchase_price: item.price,
-        selling_price: item.selling_price,
-        profit_margin: item.selling_price
-          ? (
-              ((item.selling_price - item.price) / item.selling_price) *
-              100
-            ).toFixed(2)
-          : null,
-        quantity: item.quantity,
-      }));
-
-      // Send SMS notification to customer
+      let order;
       try {
-        await TwilioService.sendSMS(
-          req.user.phone_number,
-          `Order confirmed! Your order #${order.order_number} has been received and is being processed. Total: ${order.total_amount} IQD. We'll notify you when it's ready for shipment.`
-        );
-      } catch (smsError) {
-        console.error("Failed to send order confirmation SMS:", smsError);
+        order = await OrderModel.createOrder(orderData, orderItems);
+      } catch (error) {
+        // A concurrent retry with the same key won the race
+        if (idempotencyKey && OrderModel.isIdempotencyConflict(error)) {
+          const existingOrder = await OrderModel.findByIdempotencyKey(
+            userId,
+            idempotencyKey
+          );
+          return OrderController.sendReplayedOrder(res, existingOrder);
+        }
+        throw error;
       }
 
+      // Notify the customer (failures are retried by the outbox)
+      await NotificationService.sendOrderPlaced(order);
+
       res.status(201).json({
         status: true,
         message: "Order created successfully",
         data: {
           order,
-          analytics: orderAnalytics, // Include profit analysis
+          analytics: OrderController.buildOrderAnalytics(order), // Include profit analysis
         },
       });
     } catch (error) {
@@ -122,6 +87,163 @@ class OrderController {
     }
   }
 
+  /**
+   * Read and validate the optional Idempotency-Key header
+   */
+  static getIdempotencyKey(req) {
+    const idempotencyKey = req.get("Idempotency-Key");
+    if (idempotencyKey === undefined) return null;
+
+    if (!/^[A-Za-z0-9_.:-]{8,100}$/.test(idempotencyKey)) {
+      throw new ValidationError(
+        "Idempotency-Key must be 8-100 characters of letters, numbers, '-', '_', ':' or '.'"
+      );
+    }
+
+    return idempotencyKey;
+  }
+
+  /**
+   * Respond to a retried create request with the order it already created
+   */
+  static sendReplayedOrder(res, order) {
+    res.set("Idempotent-Replayed", "true");
+    res.status(200).json({
+      status: true,
+      message: "Order already created for this Idempotency-Key",
+      data: {
+        order,
+        analytics: OrderController.buildOrderAnalytics(order),
+      },
+    });
+  }
+
+  /**
+   * Calculate profit margins for analytics (optional)
+   */
+  static buildOrderAnalytics(order) {
+    return order.items.map((item) => ({
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      purchase_price: item.price,
+      selling_price: item.selling_price,
+      profit_margin: item.selling_price
+        ? (
+            ((item.selling_price - item.price) / item.selling_price) *
+            100
+          ).toFixed(2)
+        : null,
+      quantity: item.quantity,
+    }));
+  }
+
+  /**
+   * Pick the warehouse an order ships from, failing when the stock is there
+   * in total but no single warehouse holds all of it
+   * @param {Object} released - Stock an existing order already holds (see
+   *   WarehouseModel.pickWarehouse)
+   */
+  static async pickFulfillmentWarehouse(orderItems, released = null) {
+    const warehouse = await WarehouseModel.pickWarehouse(orderItems, released);
+    if (!warehouse) {
+      throw new BusinessLogicError(
+        "No single warehouse has enough stock for all items of this order. Please order the items separately or reduce the quantities"
+      );
+    }
+    return warehouse;
+  }
+
+  /**
+   * Validate requested items against the catalog and build order item rows.
+   * `releasedStock` maps stock keys (see WarehouseModel.stockKey) to quantity the order
+   * already holds, which counts as available when an existing order is
+   * modified.
+   */
+  static async prepareOrderItems(items, releasedStock = {}) {
+    const orderItems = [];
+
+    for (const item of items) {
+      const { product_id, variant_id, quantity, selling_price } = item;
+
+      if (!product_id || !quantity || quantity <= 0) {
+        throw new ValidationError("Invalid product or quantity");
+      }
+
+      // Validate selling price if provided
+      if (selling_price !== undefined && selling_price !== null) {
+        if (typeof selling_price !== "number" || selling_price <= 0) {
+          throw new ValidationError("Selling price must be a positive number");
+        }
+      }
+
+      // Get product details
+      const product = await ProductModel.findById(product_id);
+      if (!product) {
+        throw new NotFoundError(`Product with ID ${product_id} not found`);
+      }
+
+      if (!product.is_active) {
+        throw new BusinessLogicError(
+          `Product "${product.name}" is not available`
+        );
+      }
+
+      // Products with variants are stocked and sold per variant
+      let variant = null;
+      if (variant_id) {
+        variant = await ProductVariantModel.findById(variant_id);
+        if (!variant || variant.product_id !== product.id) {
+          throw new NotFoundError(
+            `Variant with ID ${variant_id} of "${product.name}" not found`
+          );
+        }
+        if (!variant.is_active) {
+          throw new BusinessLogicError(
+            `Variant "${ProductVariantModel.describe(variant)}" of "${
+              product.name
+            }" is not available`
+          );
+        }
+      } else if (
+        (await ProductVariantModel.countActiveVariants(product.id)) > 0
+      ) {
+        throw new ValidationError(
+          `Please choose a variant of "${product.name}"`
+        );
+      }
+
+      const stockItem = variant || product;
+      const itemName = variant
+        ? `${product.name} (${ProductVariantModel.describe(variant)})`
+        : product.name;
+      const released =
+        releasedStock[
+          WarehouseModel.stockKey({ product_id: product.id, variant_id })
+        ] || 0;
+      const available = stockItem.stock_quantity + released;
+      if (available < quantity) {
+        throw new BusinessLogicError(
+          `Insufficient stock for "${itemName}". Available: ${available}, Requested: ${quantity}`
+        );
+      }
+
+      orderItems.push({
+        product_id: product.id,
+        variant_id: variant ? variant.id : null,
+        product_name: product.name,
+        variant_name: variant ? ProductVariantModel.describe(variant) : null,
+        product_code: product.code,
+        category_code: product.category_code,
+        full_code: stockItem.full_code,
+        price: stockItem.price,
+        quantity: quantity,
+        selling_price: selling_price || null, // Include selling price
+      });
+    }
+
+    return orderItems;
+  }
+
   /**
    * Get user's orders
    */
@@ -204,6 +326,111 @@ class OrderController {
     }
   }
 
+  /**
+   * Cancel a pending order (for users - only their own orders)
+   */
+  static async cancelUserOrder(req, res) {
+    try {
+      const { order_id } = req.params;
+      const { reason } = req.body;
+      const userId = req.user.id;
+
+      const order = await OrderModel.findById(order_id);
+      if (!order || order.user_id !== userId) {
+        throw new NotFoundError("Order not found");
+      }
+
+      if (order.status !== OrderModel.ORDER_STATUSES.PENDING) {
+        throw new BusinessLogicError(
+          `Only pending orders can be cancelled. This order is ${order.status}, please contact support`
+        );
+      }
+
+      const updatedOrder = await OrderModel.cancelUserOrder(
+        order.id,
+        userId,
+        reason
+      );
+
+      res.json({
+        status: true,
+        message: "Order cancelled successfully",
+        data: { order: updatedOrder },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Modify items or delivery details of a pending order (for users - only their own orders)
+   */
+  static async updateUserOrder(req, res) {
+    try {
+      const { order_id } = req.params;
+      const { delivery_address, delivery_notes, items, reason } = req.body;
+      const userId = req.user.id;
+
+      const order = await OrderModel.findById(order_id);
+      if (!order || order.user_id !== userId) {
+        throw new NotFoundError("Order not found");
+      }
+
+      if (order.status !== OrderModel.ORDER_STATUSES.PENDING) {
+        throw new BusinessLogicError(
+          `Only pending orders can be modified. This order is ${order.status}, please contact support`
+        );
+      }
+
+      const changes = {};
+      if (delivery_address !== undefined) {
+        changes.delivery_address = delivery_address;
+      }
+      if (delivery_notes !== undefined) {
+        changes.delivery_notes = delivery_notes || null;
+      }
+
+      if (items !== undefined) {
+        // Stock held by the current items is released by the update
+        const releasedStock = {};
+        for (const item of order.items) {
+          if (!item.product_id) continue;
+          const key = WarehouseModel.stockKey(item);
+          releasedStock[key] = (releasedStock[key] || 0) + item.quantity;
+        }
+
+        changes.items = await OrderController.prepareOrderItems(
+          items,
+          releasedStock
+        );
+
+        // Keep the current warehouse when it can still fulfill the order
+        const warehouse = await OrderController.pickFulfillmentWarehouse(
+          changes.items,
+          { warehouseId: order.warehouse_id, stock: releasedStock }
+        );
+        if (warehouse.id !== order.warehouse_id) {
+          changes.warehouse_id = warehouse.id;
+        }
+      }
+
+      const updatedOrder = await OrderModel.updateUserOrder(
+        order.id,
+        userId,
+        changes,
+        reason
+      );
+
+      res.json({
+        status: true,
+        message: "Order updated successfully",
+        data: { order: updatedOrder },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Admin-only methods
 
   /**
@@ -211,14 +438,23 @@ class OrderController {
    */
   static async getAllOrders(req, res) {
     try {
-      const { page, limit, status, user_id, start_date, end_date, search } =
-        req.query;
+      const {
+        page,
+        limit,
+        status,
+        user_id,
+        warehouse_id,
+        start_date,
+        end_date,
+        search,
+      } = req.query;
 
       const options = {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
         status,
         userId: user_id ? parseInt(user_id) : undefined,
+        warehouseId: warehouse_id ? parseInt(warehouse_id) : undefined,
         startDate: start_date,
         endDate: end_date,
         searchTerm: search,
@@ -284,50 +520,24 @@ class OrderController {
         throw new NotFoundError("Order not found");
       }
 
-      // Check if status transition is valid
-      const currentStatus = order.status;
-      if (currentStatus === status) {
-        throw new BusinessLogicError(`Order is already in ${status} status`);
-      }
-
-      // Update status
+      // Update status (the model rejects transitions outside the status graph)
       const updatedOrder = await OrderModel.updateOrderStatus(
         order_id,
         status,
         adminId,
         notes
       );
+      await AuditService.record(req, {
+        action: "order.update_status",
+        entityType: "order",
+        entityId: order.id,
+        before: { status: order.status },
+        after: { status },
+        metadata: notes ? { notes } : null,
+      });
 
-      // Send SMS notification to customer for important status changes
-      try {
-        let message = null;
-        switch (status) {
-          case OrderModel.ORDER_STATUSES.CONFIRMED:
-            message = `Your order #${order.order_number} has been confirmed and is being prepared for shipment.`;
-            break;
-          case OrderModel.ORDER_STATUSES.READY_TO_SHIP:
-            message = `Great news! Your order #${order.order_number} is ready for shipment and will be sent out soon.`;
-            break;
-          case OrderModel.ORDER_STATUSES.SHIPPED:
-            message = `Your order #${order.order_number} has been shipped! Please prepare the cash payment upon delivery.`;
-            break;
-          case OrderModel.ORDER_STATUSES.DELIVERED:
-            message = `Your order #${order.order_number} has been delivered successfully. Thank you for your business!`;
-            break;
-          case OrderModel.ORDER_STATUSES.CANCELLED:
-            message = `Your order #${order.order_number} has been cancelled. ${
-              notes ? `Reason: ${notes}` : ""
-            }`;
-            break;
-        }
-
-        if (message) {
-          await TwilioService.sendSMS(order.customer_phone, message);
-        }
-      } catch (smsError) {
-        console.error("Failed to send status update SMS:", smsError);
-        // Don't fail the status update if SMS fails
-      }
+      // Notify the customer of important status changes
+      await NotificationService.sendOrderStatusUpdate(order, status, notes);
 
       res.json({
         status: true,
@@ -339,6 +549,32 @@ class OrderController {
     }
   }
 
+  /**
+   * Get the statuses an order can move to next (Admin only)
+   */
+  static async getNextStatuses(req, res) {
+    try {
+      const { order_id } = req.params;
+
+      const order = await OrderModel.findById(order_id);
+      if (!order) {
+        throw new NotFoundError("Order not found");
+      }
+
+      res.json({
+        status: true,
+        message: "Next order statuses retrieved successfully",
+        data: {
+          order_id: order.id,
+          current_status: order.status,
+          next_statuses: OrderModel.getNextStatuses(order.status),
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Cancel order (Admin only)
    */
@@ -357,8 +593,15 @@ class OrderController {
         throw new BusinessLogicError("Order is already cancelled");
       }
 
-      if (order.status === OrderModel.ORDER_STATUSES.DELIVERED) {
-        throw new BusinessLogicError("Cannot cancel delivered order");
+      if (
+        !OrderModel.canTransition(
+          order.status,
+          OrderModel.ORDER_STATUSES.CANCELLED
+        )
+      ) {
+        throw new BusinessLogicError(
+          `Cannot cancel an order that is already ${order.status}`
+        );
       }
 
       const updatedOrder = await OrderModel.cancelOrder(
@@ -366,6 +609,14 @@ class OrderController {
         adminId,
         reason
       );
+      await AuditService.record(req, {
+        action: "order.cancel",
+        entityType: "order",
+        entityId: order.id,
+        before: { status: order.status },
+        after: { status: OrderModel.ORDER_STATUSES.CANCELLED },
+        metadata: reason ? { reason } : null,
+      });
 
       res.json({
         status: true,
@@ -377,6 +628,62 @@ class OrderController {
     }
   }
 
+  /**
+   * Ship an order from another warehouse (Admin only). Possible until the
+   * order is ready to ship.
+   */
+  static async changeOrderWarehouse(req, res) {
+    try {
+      const { order_id } = req.params;
+      const { warehouse_id, notes } = req.body;
+      const adminId = req.user.id;
+
+      const order = await OrderModel.findById(order_id);
+      if (!order) {
+        throw new NotFoundError("Order not found");
+      }
+
+      if (!OrderModel.WAREHOUSE_CHANGE_STATUSES.includes(order.status)) {
+        throw new BusinessLogicError(
+          `Cannot change the warehouse of an order that is already ${order.status}`
+        );
+      }
+
+      const warehouse = await WarehouseModel.findById(warehouse_id);
+      if (!warehouse || !warehouse.is_active) {
+        throw new ValidationError("Warehouse not found or inactive");
+      }
+      if (warehouse.id === order.warehouse_id) {
+        throw new BusinessLogicError(
+          `Order already ships from ${warehouse.name}`
+        );
+      }
+
+      const updatedOrder = await OrderModel.changeWarehouse(
+        order.id,
+        warehouse.id,
+        adminId,
+        notes
+      );
+      await AuditService.record(req, {
+        action: "order.change_warehouse",
+        entityType: "order",
+        entityId: order.id,
+        before: { warehouse_id: order.warehouse_id },
+        after: { warehouse_id: warehouse.id },
+        metadata: notes ? { notes } : null,
+      });
+
+      res.json({
+        status: true,
+        message: `Order now ships from ${warehouse.name}`,
+        data: { order: updatedOrder },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get orders by status (Admin only)
    */
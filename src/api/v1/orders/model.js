@@ -1,10 +1,14 @@
 const {
   executeQuery,
-  executeTransaction,
+  withTransaction,
   buildInsertQuery,
   buildUpdateQuery,
 } = require("../../../helpers/db");
 const { DatabaseError } = require("../../../errors/customErrors");
+const { BusinessLogicError } = require("../../../middleware/errorHandler");
+const { CacheManager } = require("../../../utils/cache");
+const WarehouseModel = require("../warehouses/model");
+const StockMovementModel = require("../warehouses/stockMovementModel");
 
 class OrderModel {
   /**
@@ -20,13 +24,88 @@ class OrderModel {
     CANCELLED: "cancelled",
   };
 
+  /**
+   * Allowed status transitions. Orders move forward one step at a time,
+   * can be cancelled until they are shipped, and delivered/cancelled are final.
+   */
+  static STATUS_TRANSITIONS = {
+    [this.ORDER_STATUSES.PENDING]: [
+      this.ORDER_STATUSES.CONFIRMED,
+      this.ORDER_STATUSES.CANCELLED,
+    ],
+    [this.ORDER_STATUSES.CONFIRMED]: [
+      this.ORDER_STATUSES.PREPARING,
+      this.ORDER_STATUSES.CANCELLED,
+    ],
+    [this.ORDER_STATUSES.PREPARING]: [
+      this.ORDER_STATUSES.READY_TO_SHIP,
+      this.ORDER_STATUSES.CANCELLED,
+    ],
+    [this.ORDER_STATUSES.READY_TO_SHIP]: [
+      this.ORDER_STATUSES.SHIPPED,
+      this.ORDER_STATUSES.CANCELLED,
+    ],
+    [this.ORDER_STATUSES.SHIPPED]: [this.ORDER_STATUSES.DELIVERED],
+    [this.ORDER_STATUSES.DELIVERED]: [],
+    [this.ORDER_STATUSES.CANCELLED]: [],
+  };
+
+  /**
+   * Statuses in which an order's fulfillment warehouse can still change
+   */
+  static WAREHOUSE_CHANGE_STATUSES = [
+    this.ORDER_STATUSES.PENDING,
+    this.ORDER_STATUSES.CONFIRMED,
+    this.ORDER_STATUSES.PREPARING,
+  ];
+
+  /**
+   * Get the statuses an order in the given status may move to
+   */
+  static getNextStatuses(status) {
+    return [...(this.STATUS_TRANSITIONS[status] || [])];
+  }
+
+  /**
+   * Check whether an order may move from one status to another
+   */
+  static canTransition(fromStatus, toStatus) {
+    return this.getNextStatuses(fromStatus).includes(toStatus);
+  }
+
+  /**
+   * Throw if the status change is not allowed by the transition graph
+   */
+  static assertTransition(fromStatus, toStatus) {
+    if (fromStatus === toStatus) {
+      throw new BusinessLogicError(`Order is already in ${toStatus} status`);
+    }
+
+    if (!this.canTransition(fromStatus, toStatus)) {
+      const nextStatuses = this.getNextStatuses(fromStatus);
+      throw new BusinessLogicError(
+        `Cannot change order status from ${fromStatus} to ${toStatus}. Allowed: ${
+          nextStatuses.length > 0 ? nextStatuses.join(", ") : "none"
+        }`
+      );
+    }
+  }
+
+  /**
+   * Unique index that makes idempotency keys single-use per user
+   */
+  static IDEMPOTENCY_KEY_INDEX = "uq_orders_user_idempotency";
+
   /**
    * Create a new order
+   *
+   * The order header, its items, the initial status history entry and the
+   * stock decrement for every item are committed as one unit, so a failure
+   * at any step leaves nothing behind and stock can never be oversold.
+   * Stock is taken from the warehouse in `orderData.warehouse_id`.
    */
   static async createOrder(orderData, orderItems) {
     try {
-      const queries = [];
-
       // Generate order number
       const orderNumber = await this.generateOrderNumber();
 
@@ -44,36 +123,290 @@ class OrderModel {
         status: this.ORDER_STATUSES.PENDING,
       };
 
-      // Insert order
-      const orderQuery = buildInsertQuery("orders", finalOrderData);
-      queries.push(orderQuery);
+      const orderId = await withTransaction(async (tx) => {
+        for (const lockQuery of this.buildStockLockQueries(orderItems)) {
+          await tx.query(lockQuery.sql, lockQuery.params);
+        }
 
-      // Execute transaction
-      const results = await executeTransaction(queries, "Create Order");
-      const orderId = results[0].insertId;
+        const orderInsert = buildInsertQuery("orders", finalOrderData);
+        const { insertId } = await tx.query(
+          orderInsert.sql,
+          orderInsert.params
+        );
 
-      // Insert order items with selling prices
-      const itemQueries = orderItems.map((item) => {
-        const itemData = {
-          ...item,
-          order_id: orderId,
-          subtotal: item.price * item.quantity,
-          selling_price: item.selling_price || null, // Add selling price field
+        // Reserve stock for every item
+        const movement = {
+          reason: StockMovementModel.REASONS.ORDER,
+          reference_type: "order",
+          reference_id: insertId,
+          created_by: orderData.user_id,
         };
-        return buildInsertQuery("order_items", itemData);
-      });
+        for (const item of orderItems) {
+          for (const query of this.buildStockDecrementQueries(
+            item,
+            orderData.warehouse_id,
+            movement
+          )) {
+            const result = await tx.query(query.sql, query.params);
+            if (query.validate) query.validate(result);
+          }
+        }
 
-      if (itemQueries.length > 0) {
-        await executeTransaction(itemQueries, "Create Order Items");
-      }
+        // Insert order items with selling prices, linked to the new order
+        for (const itemInsert of this.buildOrderItemInsertQueries(
+          insertId,
+          orderItems
+        )) {
+          await tx.query(itemInsert.sql, itemInsert.params);
+        }
+
+        const historyInsert = buildInsertQuery("order_status_history", {
+          order_id: insertId,
+          old_status: null,
+          new_status: this.ORDER_STATUSES.PENDING,
+          changed_by: orderData.user_id,
+          notes: "Order placed",
+        });
+        await tx.query(historyInsert.sql, historyInsert.params);
+
+        return insertId;
+      }, "Create Order");
+
+      await CacheManager.invalidateProducts();
 
       // Return complete order
       return await this.findById(orderId);
     } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
       throw new DatabaseError(`Error creating order: ${error.message}`, error);
     }
   }
 
+  /**
+   * Find the order a user already placed with an idempotency key
+   */
+  static async findByIdempotencyKey(userId, idempotencyKey) {
+    try {
+      const result = await executeQuery(
+        "SELECT id FROM orders WHERE user_id = ? AND idempotency_key = ?",
+        [userId, idempotencyKey],
+        "Find Order By Idempotency Key"
+      );
+      if (result.length === 0) return null;
+
+      return await this.findById(result[0].id);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding order by idempotency key: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Check whether an order creation error was caused by a concurrent request
+   * that already used the same idempotency key
+   */
+  static isIdempotencyConflict(error) {
+    for (let current = error; current; current = current.originalError) {
+      if (
+        current.code === "ER_DUP_ENTRY" &&
+        String(current.message).includes(this.IDEMPOTENCY_KEY_INDEX)
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Lock the product and variant rows holding stock for the given items for
+   * the rest of the transaction.
+   * Rows are locked in id order, products before variants, so concurrent
+   * orders touching the same products wait for each other instead of
+   * deadlocking.
+   */
+  static buildStockLockQueries(items) {
+    const productIds = [
+      ...new Set(items.map((item) => item.product_id).filter(Boolean)),
+    ];
+    const variantIds = [
+      ...new Set(items.map((item) => item.variant_id).filter(Boolean)),
+    ];
+
+    const queries = [];
+    if (productIds.length > 0) {
+      queries.push({
+        sql: "SELECT id, stock_quantity FROM products WHERE id IN (?) ORDER BY id FOR UPDATE",
+        params: [productIds],
+      });
+    }
+    if (variantIds.length > 0) {
+      queries.push({
+        sql: "SELECT id, stock_quantity FROM product_variants WHERE id IN (?) ORDER BY id FOR UPDATE",
+        params: [variantIds],
+      });
+    }
+    return queries;
+  }
+
+  /**
+   * Decrement stock for an order item, in total and in the warehouse
+   * fulfilling the order, failing if not enough is available, and record
+   * the movement.
+   * Items of a variant take the variant's stock, not the product's.
+   */
+  static buildStockDecrementQueries(item, warehouseId, movement) {
+    const table = item.variant_id ? "product_variants" : "products";
+    const label = item.variant_name
+      ? `${item.product_name} (${item.variant_name})`
+      : item.product_name;
+
+    return [
+      {
+        sql: `
+          UPDATE ${table}
+          SET stock_quantity = stock_quantity - ?
+          WHERE id = ? AND stock_quantity >= ?
+        `,
+        params: [
+          item.quantity,
+          item.variant_id || item.product_id,
+          item.quantity,
+        ],
+        validate: (result) => {
+          if (result.affectedRows !== 1) {
+            throw new BusinessLogicError(`Insufficient stock for "${label}"`);
+          }
+        },
+      },
+      WarehouseModel.buildStockDecrementQuery(warehouseId, {
+        ...item,
+        product_name: label,
+      }),
+      StockMovementModel.buildItemMovementQuery(
+        warehouseId,
+        item,
+        -item.quantity,
+        movement
+      ),
+    ];
+  }
+
+  /**
+   * Return the stock held by an order's items back to their products and
+   * variants, and to the warehouse it was taken from, recording the movement.
+   * Quantities are read from order_items inside the transaction, so the
+   * restore always matches the items the order holds at commit time.
+   */
+  static buildOrderStockRestoreQueries(orderId, warehouseId, movement) {
+    const queries = [
+      {
+        sql: `
+          UPDATE products p
+          JOIN (
+            SELECT product_id, SUM(quantity) as quantity
+            FROM order_items
+            WHERE order_id = ? AND product_id IS NOT NULL AND variant_id IS NULL
+            GROUP BY product_id
+          ) oi ON oi.product_id = p.id
+          SET p.stock_quantity = p.stock_quantity + oi.quantity
+        `,
+        params: [orderId],
+      },
+      {
+        sql: `
+          UPDATE product_variants pv
+          JOIN (
+            SELECT variant_id, SUM(quantity) as quantity
+            FROM order_items
+            WHERE order_id = ? AND variant_id IS NOT NULL
+            GROUP BY variant_id
+          ) oi ON oi.variant_id = pv.id
+          SET pv.stock_quantity = pv.stock_quantity + oi.quantity
+        `,
+        params: [orderId],
+      },
+    ];
+    if (warehouseId) {
+      queries.push(
+        WarehouseModel.buildOrderStockRestoreQuery(orderId, warehouseId),
+        StockMovementModel.buildOrderReturnMovementQuery(
+          orderId,
+          warehouseId,
+          movement
+        )
+      );
+    }
+    return queries;
+  }
+
+  /**
+   * Update a pending order owned by the given user, failing if the order
+   * is no longer pending (e.g. an admin confirmed it in the meantime)
+   */
+  static buildPendingOrderUpdateQuery(orderId, userId, updateData) {
+    return {
+      ...buildUpdateQuery("orders", updateData, {
+        id: orderId,
+        user_id: userId,
+        status: this.ORDER_STATUSES.PENDING,
+      }),
+      validate: (result) => {
+        if (result.affectedRows !== 1) {
+          throw new BusinessLogicError(
+            "Order can no longer be changed because it is not pending"
+          );
+        }
+      },
+    };
+  }
+
+  /**
+   * Lock an order for the rest of the transaction and read its warehouse
+   * and items as they are now, so its stock is returned to where it was
+   * taken from even if the order changed since it was last read
+   * @returns {Promise<Object|null>} { id, status, warehouse_id, items }
+   */
+  static async lockOrder(tx, orderId) {
+    const [order] = await tx.query(
+      "SELECT id, status, warehouse_id FROM orders WHERE id = ? FOR UPDATE",
+      [orderId]
+    );
+    if (!order) return null;
+
+    order.items = await tx.query(
+      `SELECT product_id, variant_id, product_name, variant_name, quantity
+       FROM order_items WHERE order_id = ? FOR UPDATE`,
+      [orderId]
+    );
+    return order;
+  }
+
+  /**
+   * Run built queries in a transaction, in order, with their validate hooks
+   */
+  static async runQueries(tx, queries) {
+    for (const query of queries) {
+      const result = await tx.query(query.sql, query.params);
+      if (query.validate) query.validate(result);
+    }
+  }
+
+  /**
+   * Build insert queries for the items of an order
+   */
+  static buildOrderItemInsertQueries(orderId, orderItems) {
+    return orderItems.map((item) =>
+      buildInsertQuery("order_items", {
+        ...item,
+        order_id: orderId,
+        subtotal: item.price * item.quantity,
+        selling_price: item.selling_price || null,
+      })
+    );
+  }
+
   /**
    * Find order by ID with items
    */
@@ -83,11 +416,13 @@ class OrderModel {
       const orderSql = `
       SELECT o.*, 
              u.first_name, u.last_name, u.phone_number as user_phone,
+             w.code as warehouse_code, w.name as warehouse_name,
              ca.first_name as confirmed_admin_name, ca.last_name as confirmed_admin_lastname,
              sa.first_name as shipped_admin_name, sa.last_name as shipped_admin_lastname,
              da.first_name as delivered_admin_name, da.last_name as delivered_admin_lastname
       FROM orders o
       LEFT JOIN users u ON o.user_id = u.id
+      LEFT JOIN warehouses w ON o.warehouse_id = w.id
       LEFT JOIN users ca ON o.confirmed_by = ca.id
       LEFT JOIN users sa ON o.shipped_by = sa.id  
       LEFT JOIN users da ON o.delivered_by = da.id
@@ -180,6 +515,7 @@ class OrderModel {
         limit = 10,
         status,
         userId,
+        warehouseId,
         startDate,
         endDate,
         searchTerm,
@@ -199,6 +535,11 @@ class OrderModel {
         params.push(userId);
       }
 
+      if (warehouseId) {
+        whereConditions.push("o.warehouse_id = ?");
+        params.push(warehouseId);
+      }
+
       if (startDate) {
         whereConditions.push("o.created_at >= ?");
         params.push(startDate);
@@ -294,6 +635,7 @@ class OrderModel {
       }
 
       const oldStatus = currentOrder.status;
+      this.assertTransition(oldStatus, newStatus);
 
       // Prepare update data
       const updateData = { status: newStatus };
@@ -318,9 +660,24 @@ class OrderModel {
         updateData.admin_notes = notes;
       }
 
+      // Only apply the change if nobody else moved the order in the meantime
+      const statusUpdate = buildUpdateQuery("orders", updateData, {
+        id: orderId,
+        status: oldStatus,
+      });
+
       // Update order and create history entry in transaction
       const queries = [
-        buildUpdateQuery("orders", updateData, { id: orderId }),
+        {
+          ...statusUpdate,
+          validate: (result) => {
+            if (result.affectedRows !== 1) {
+              throw new BusinessLogicError(
+                "Order status was changed by another request, please retry"
+              );
+            }
+          },
+        },
         buildInsertQuery("order_status_history", {
           order_id: orderId,
           old_status: oldStatus,
@@ -330,10 +687,38 @@ class OrderModel {
         }),
       ];
 
-      await executeTransaction(queries, "Update Order Status");
+      await withTransaction(async (tx) => {
+        const lockedOrder = await this.lockOrder(tx, orderId);
+        await this.runQueries(tx, queries);
+
+        // Cancelling releases the stock reserved when the order was placed
+        if (
+          newStatus === this.ORDER_STATUSES.CANCELLED &&
+          oldStatus !== this.ORDER_STATUSES.CANCELLED
+        ) {
+          await this.runQueries(
+            tx,
+            this.buildOrderStockRestoreQueries(
+              orderId,
+              lockedOrder.warehouse_id,
+              {
+                reason: StockMovementModel.REASONS.CANCELLATION,
+                reference_type: "order",
+                reference_id: orderId,
+                notes,
+                created_by: adminId,
+              }
+            )
+          );
+        }
+      }, "Update Order Status");
+      if (newStatus === this.ORDER_STATUSES.CANCELLED) {
+        await CacheManager.invalidateProducts();
+      }
 
       return await this.findById(orderId);
     } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
       throw new DatabaseError(
         `Error updating order status: ${error.message}`,
         error
@@ -411,45 +796,70 @@ class OrderModel {
   }
 
   /**
-   * Generate unique order number
+   * Order number format, e.g. ORD250314007 with the defaults.
+   * The date part accepts the YYYY, YY, MM and DD tokens and also decides
+   * how often the sequence restarts (daily for YYMMDD, monthly for YYMM,
+   * never when empty).
    */
-  static async generateOrderNumber() {
-    try {
-      const today = new Date();
-      const year = today.getFullYear().toString().slice(-2);
-      const month = String(today.getMonth() + 1).padStart(2, "0");
-      const day = String(today.getDate()).padStart(2, "0");
+  static ORDER_NUMBER_FORMAT = {
+    prefix: process.env.ORDER_NUMBER_PREFIX ?? "ORD",
+    dateFormat: process.env.ORDER_NUMBER_DATE_FORMAT ?? "YYMMDD",
+    padding: parseInt(process.env.ORDER_NUMBER_PADDING) || 3,
+  };
 
-      const datePrefix = `${year}${month}${day}`;
+  /**
+   * Render the date part of an order number
+   */
+  static formatOrderNumberDate(
+    date,
+    dateFormat = this.ORDER_NUMBER_FORMAT.dateFormat
+  ) {
+    const tokens = {
+      YYYY: String(date.getFullYear()),
+      YY: String(date.getFullYear()).slice(-2),
+      MM: String(date.getMonth() + 1).padStart(2, "0"),
+      DD: String(date.getDate()).padStart(2, "0"),
+    };
 
-      // Get today's order count
-      const sql = `
-        SELECT COUNT(*) as count 
-        FROM orders 
-        WHERE DATE(created_at) = CURDATE()
-      `;
+    return dateFormat.replace(/YYYY|YY|MM|DD/g, (token) => tokens[token]);
+  }
 
-      const result = await executeQuery(sql, [], "Get Today Order Count");
-      const todayCount = result[0].count + 1;
+  /**
+   * Build an order number from its date part and sequence value
+   */
+  static formatOrderNumber(
+    datePart,
+    sequence,
+    format = this.ORDER_NUMBER_FORMAT
+  ) {
+    return `${format.prefix}${datePart}${String(sequence).padStart(
+      format.padding,
+      "0"
+    )}`;
+  }
 
-      const orderNumber = `ORD${datePrefix}${String(todayCount).padStart(
-        3,
-        "0"
-      )}`;
+  /**
+   * Generate unique order number
+   *
+   * The sequence for the current date part is incremented in a single
+   * statement, so concurrent orders always get distinct numbers. Numbers
+   * taken by orders that fail to save are not reused.
+   */
+  static async generateOrderNumber() {
+    try {
+      const datePart = this.formatOrderNumberDate(new Date());
 
-      // Check if number already exists (just in case)
-      const existsResult = await executeQuery(
-        "SELECT id FROM orders WHERE order_number = ?",
-        [orderNumber],
-        "Check Order Number Exists"
+      const result = await executeQuery(
+        `
+          INSERT INTO order_number_sequences (sequence_key, last_value)
+          VALUES (?, LAST_INSERT_ID(1))
+          ON DUPLICATE KEY UPDATE last_value = LAST_INSERT_ID(last_value + 1)
+        `,
+        [datePart],
+        "Next Order Number Sequence"
       );
 
-      if (existsResult.length > 0) {
-        // If exists, add random suffix
-        return `${orderNumber}${Math.floor(Math.random() * 99)}`;
-      }
-
-      return orderNumber;
+      return this.formatOrderNumber(datePart, result.insertId);
     } catch (error) {
       throw new DatabaseError(
         `Error generating order number: ${error.message}`,
@@ -459,7 +869,7 @@ class OrderModel {
   }
 
   /**
-   * Cancel order
+   * Cancel order (stock is restored as part of the status change)
    */
   static async cancelOrder(orderId, adminId, reason = null) {
     try {
@@ -470,6 +880,7 @@ class OrderModel {
         reason
       );
     } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
       throw new DatabaseError(
         `Error cancelling order: ${error.message}`,
         error
@@ -477,6 +888,200 @@ class OrderModel {
     }
   }
 
+  /**
+   * Cancel a pending order on behalf of the customer who placed it
+   */
+  static async cancelUserOrder(orderId, userId, reason) {
+    try {
+      await withTransaction(async (tx) => {
+        const order = await this.lockOrder(tx, orderId);
+        await this.runQueries(tx, [
+          this.buildPendingOrderUpdateQuery(orderId, userId, {
+            status: this.ORDER_STATUSES.CANCELLED,
+          }),
+          buildInsertQuery("order_status_history", {
+            order_id: orderId,
+            old_status: this.ORDER_STATUSES.PENDING,
+            new_status: this.ORDER_STATUSES.CANCELLED,
+            changed_by: userId,
+            notes: reason,
+          }),
+          ...this.buildOrderStockRestoreQueries(orderId, order.warehouse_id, {
+            reason: StockMovementModel.REASONS.CANCELLATION,
+            reference_type: "order",
+            reference_id: orderId,
+            notes: reason,
+            created_by: userId,
+          }),
+        ]);
+      }, "Cancel User Order");
+      await CacheManager.invalidateProducts();
+
+      return await this.findById(orderId);
+    } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
+      throw new DatabaseError(
+        `Error cancelling user order: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Modify a pending order on behalf of the customer who placed it
+   *
+   * When items are given they replace the current items: the stock held by
+   * the old items is restored and the new items are reserved in the same
+   * transaction, so changing a quantity only needs the difference in stock.
+   * The new items are reserved in `changes.warehouse_id` when given, so the
+   * order can move to a warehouse that holds them all.
+   */
+  static async updateUserOrder(orderId, userId, changes, reason = null) {
+    try {
+      const { items, ...orderChanges } = changes;
+      const updateData = { ...orderChanges };
+
+      if (items) {
+        updateData.total_amount = items.reduce(
+          (sum, item) => sum + item.price * item.quantity,
+          0
+        );
+      }
+
+      await withTransaction(async (tx) => {
+        const currentOrder = await this.lockOrder(tx, orderId);
+        await this.runQueries(tx, [
+          this.buildPendingOrderUpdateQuery(orderId, userId, updateData),
+        ]);
+
+        if (items) {
+          const warehouseId =
+            orderChanges.warehouse_id || currentOrder.warehouse_id;
+          const movement = {
+            reason: StockMovementModel.REASONS.ORDER,
+            reference_type: "order",
+            reference_id: orderId,
+            notes: "Order modified by customer",
+            created_by: userId,
+          };
+
+          await this.runQueries(tx, [
+            ...this.buildStockLockQueries([...currentOrder.items, ...items]),
+            ...this.buildOrderStockRestoreQueries(
+              orderId,
+              currentOrder.warehouse_id,
+              movement
+            ),
+            {
+              sql: "DELETE FROM order_items WHERE order_id = ?",
+              params: [orderId],
+            },
+            ...items.flatMap((item) =>
+              this.buildStockDecrementQueries(item, warehouseId, movement)
+            ),
+            ...this.buildOrderItemInsertQueries(orderId, items),
+          ]);
+        }
+
+        await this.runQueries(tx, [
+          buildInsertQuery("order_status_history", {
+            order_id: orderId,
+            old_status: this.ORDER_STATUSES.PENDING,
+            new_status: this.ORDER_STATUSES.PENDING,
+            changed_by: userId,
+            notes: reason || "Order modified by customer",
+          }),
+        ]);
+      }, "Update User Order");
+      if (items) {
+        await CacheManager.invalidateProducts();
+      }
+
+      return await this.findById(orderId);
+    } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
+      throw new DatabaseError(
+        `Error updating user order: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Move the fulfillment of an order to another warehouse (Admin only).
+   * The stock its items hold is returned to the current warehouse and taken
+   * from the new one; totals do not change.
+   */
+  static async changeWarehouse(orderId, warehouseId, adminId, notes = null) {
+    try {
+      await withTransaction(async (tx) => {
+        const currentOrder = await this.lockOrder(tx, orderId);
+        if (!currentOrder) {
+          throw new Error("Order not found");
+        }
+        if (
+          !this.WAREHOUSE_CHANGE_STATUSES.includes(currentOrder.status) ||
+          currentOrder.warehouse_id === warehouseId
+        ) {
+          throw new BusinessLogicError(
+            "Order was changed by another request, please retry"
+          );
+        }
+
+        const items = currentOrder.items.filter((item) => item.product_id);
+        const movement = {
+          reason: StockMovementModel.REASONS.ORDER,
+          reference_type: "order",
+          reference_id: orderId,
+          notes: "Fulfillment warehouse changed",
+          created_by: adminId,
+        };
+
+        await this.runQueries(tx, [
+          ...this.buildStockLockQueries(items),
+          buildUpdateQuery(
+            "orders",
+            { warehouse_id: warehouseId },
+            { id: orderId }
+          ),
+          WarehouseModel.buildOrderStockRestoreQuery(
+            orderId,
+            currentOrder.warehouse_id
+          ),
+          StockMovementModel.buildOrderReturnMovementQuery(
+            orderId,
+            currentOrder.warehouse_id,
+            movement
+          ),
+          ...items.flatMap((item) => [
+            WarehouseModel.buildStockDecrementQuery(warehouseId, item),
+            StockMovementModel.buildItemMovementQuery(
+              warehouseId,
+              item,
+              -item.quantity,
+              movement
+            ),
+          ]),
+          buildInsertQuery("order_status_history", {
+            order_id: orderId,
+            old_status: currentOrder.status,
+            new_status: currentOrder.status,
+            changed_by: adminId,
+            notes: notes || "Fulfillment warehouse changed",
+          }),
+        ]);
+      }, "Change Order Warehouse");
+
+      return await this.findById(orderId);
+    } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
+      throw new DatabaseError(
+        `Error changing order warehouse: ${error.message}`,
+        error
+      );
+    }
+  }
+
   /**
    * Get orders by status
    */
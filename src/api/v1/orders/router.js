@@ -3,13 +3,18 @@ const router = express.Router();
 
 const OrderController = require("./controller");
 const validateRequest = require("../../../middleware/validateRequest");
-const { authenticateToken, requireAdmin } = require("../../../middleware/auth");
+const {
+  authenticateToken,
+  requirePermission,
+} = require("../../../middleware/auth");
 const { asyncHandler } = require("../../../middleware/errorHandler");
 
 const {
   createOrderSchema,
   updateOrderStatusSchema,
   cancelOrderSchema,
+  changeOrderWarehouseSchema,
+  updateUserOrderSchema,
   getOrdersSchema,
   orderStatisticsSchema,
 } = require("./validation");
@@ -18,7 +23,8 @@ const {
 
 /**
  * @route POST /api/v1/orders
- * @desc Create a new order
+ * @desc Create a new order. An optional Idempotency-Key header makes retries
+ *       return the original order instead of creating a duplicate
  * @access Private (User)
  */
 router.post(
@@ -51,6 +57,30 @@ router.get(
   asyncHandler(OrderController.getUserOrder)
 );
 
+/**
+ * @route PATCH /api/v1/orders/my-orders/:order_id
+ * @desc Modify items or delivery details of a pending order
+ * @access Private (User)
+ */
+router.patch(
+  "/my-orders/:order_id",
+  authenticateToken,
+  validateRequest(updateUserOrderSchema),
+  asyncHandler(OrderController.updateUserOrder)
+);
+
+/**
+ * @route POST /api/v1/orders/my-orders/:order_id/cancel
+ * @desc Cancel a pending order
+ * @access Private (User)
+ */
+router.post(
+  "/my-orders/:order_id/cancel",
+  authenticateToken,
+  validateRequest(cancelOrderSchema),
+  asyncHandler(OrderController.cancelUserOrder)
+);
+
 /**
  * @route GET /api/v1/orders/track/:order_number
  * @desc Track order by order number (user's own orders only)
@@ -67,12 +97,12 @@ router.get(
 /**
  * @route GET /api/v1/orders/admin/all
  * @desc Get all orders with filters
- * @access Admin
+ * @access Permission orders:read
  */
 router.get(
   "/admin/all",
   authenticateToken,
-  requireAdmin,
+  requirePermission("orders:read"),
   validateRequest(getOrdersSchema),
   asyncHandler(OrderController.getAllOrders)
 );
@@ -80,12 +110,12 @@ router.get(
 /**
  * @route GET /api/v1/orders/admin/statistics
  * @desc Get order statistics
- * @access Admin
+ * @access Permission orders:read
  */
 router.get(
   "/admin/statistics",
   authenticateToken,
-  requireAdmin,
+  requirePermission("orders:read"),
   validateRequest(orderStatisticsSchema),
   asyncHandler(OrderController.getOrderStatistics)
 );
@@ -93,24 +123,36 @@ router.get(
 /**
  * @route GET /api/v1/orders/admin/:order_id
  * @desc Get order by ID with full details
- * @access Admin
+ * @access Permission orders:read
  */
 router.get(
   "/admin/:order_id",
   authenticateToken,
-  requireAdmin,
+  requirePermission("orders:read"),
   asyncHandler(OrderController.getOrderById)
 );
 
+/**
+ * @route GET /api/v1/orders/admin/:order_id/next-statuses
+ * @desc Get the statuses the order can be moved to next
+ * @access Permission orders:read
+ */
+router.get(
+  "/admin/:order_id/next-statuses",
+  authenticateToken,
+  requirePermission("orders:read"),
+  asyncHandler(OrderController.getNextStatuses)
+);
+
 /**
  * @route PUT /api/v1/orders/admin/:order_id/status
  * @desc Update order status
- * @access Admin
+ * @access Permission orders:update_status
  */
 router.put(
   "/admin/:order_id/status",
   authenticateToken,
-  requireAdmin,
+  requirePermission("orders:update_status"),
   validateRequest(updateOrderStatusSchema),
   asyncHandler(OrderController.updateOrderStatus)
 );
@@ -118,25 +160,38 @@ router.put(
 /**
  * @route POST /api/v1/orders/admin/:order_id/cancel
  * @desc Cancel an order
- * @access Admin
+ * @access Permission orders:cancel
  */
 router.post(
   "/admin/:order_id/cancel",
   authenticateToken,
-  requireAdmin,
+  requirePermission("orders:cancel"),
   validateRequest(cancelOrderSchema),
   asyncHandler(OrderController.cancelOrder)
 );
 
+/**
+ * @route PUT /api/v1/orders/admin/:order_id/warehouse
+ * @desc Ship the order from another warehouse, moving its reserved stock
+ * @access Permission orders:update_status
+ */
+router.put(
+  "/admin/:order_id/warehouse",
+  authenticateToken,
+  requirePermission("orders:update_status"),
+  validateRequest(changeOrderWarehouseSchema),
+  asyncHandler(OrderController.changeOrderWarehouse)
+);
+
 /**
  * @route GET /api/v1/orders/admin/status/:status
  * @desc Get orders by status
- * @access Admin
+ * @access Permission orders:read
  */
 router.get(
   "/admin/status/:status",
   authenticateToken,
-  requireAdmin,
+  requirePermission("orders:read"),
   validateRequest(getOrdersSchema),
   asyncHandler(OrderController.getOrdersByStatus)
 );
@@ -144,12 +199,12 @@ router.get(
 /**
  * @route GET /api/v1/orders/admin/:order_id/history
  * @desc Get order status change history
- * @access Admin
+ * @access Permission orders:read
  */
 router.get(
   "/admin/:order_id/history",
   authenticateToken,
-  requireAdmin,
+  requirePermission("orders:read"),
   asyncHandler(OrderController.getOrderStatusHistory)
 );
 
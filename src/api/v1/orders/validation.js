@@ -1,5 +1,46 @@
 const Joi = require("joi");
 
+// Order items validation schema (shared by create and modify)
+const orderItemsSchema = Joi.array()
+  .items(
+    Joi.object({
+      product_id: Joi.number().integer().positive().required().messages({
+        "number.base": "Product ID must be a number",
+        "number.integer": "Product ID must be an integer",
+        "number.positive": "Product ID must be positive",
+        "any.required": "Product ID is required",
+      }),
+      variant_id: Joi.number().integer().positive().optional().messages({
+        "number.base": "Variant ID must be a number",
+        "number.integer": "Variant ID must be an integer",
+        "number.positive": "Variant ID must be positive",
+      }),
+      quantity: Joi.number().integer().min(1).max(1000).required().messages({
+        "number.base": "Quantity must be a number",
+        "number.integer": "Quantity must be an integer",
+        "number.min": "Quantity must be at least 1",
+        "number.max": "Quantity cannot exceed 1000",
+        "any.required": "Quantity is required",
+      }),
+      selling_price: Joi.number()
+        .positive()
+        .precision(2)
+        .optional()
+        .messages({
+          "number.base": "Selling price must be a number",
+          "number.positive": "Selling price must be positive",
+          "number.precision":
+            "Selling price can have at most 2 decimal places",
+        }),
+    })
+  )
+  .min(1)
+  .max(50)
+  .messages({
+    "array.min": "Order must contain at least one item",
+    "array.max": "Order cannot contain more than 50 items",
+  });
+
 // Create order validation schema
 const createOrderSchema = Joi.object({
   delivery_address: Joi.string().min(10).max(500).required().messages({
@@ -10,42 +51,9 @@ const createOrderSchema = Joi.object({
   delivery_notes: Joi.string().max(500).optional().messages({
     "string.max": "Delivery notes cannot exceed 500 characters",
   }),
-  items: Joi.array()
-    .items(
-      Joi.object({
-        product_id: Joi.number().integer().positive().required().messages({
-          "number.base": "Product ID must be a number",
-          "number.integer": "Product ID must be an integer",
-          "number.positive": "Product ID must be positive",
-          "any.required": "Product ID is required",
-        }),
-        quantity: Joi.number().integer().min(1).max(1000).required().messages({
-          "number.base": "Quantity must be a number",
-          "number.integer": "Quantity must be an integer",
-          "number.min": "Quantity must be at least 1",
-          "number.max": "Quantity cannot exceed 1000",
-          "any.required": "Quantity is required",
-        }),
-        selling_price: Joi.number()
-          .positive()
-          .precision(2)
-          .optional()
-          .messages({
-            "number.base": "Selling price must be a number",
-            "number.positive": "Selling price must be positive",
-            "number.precision":
-              "Selling price can have at most 2 decimal places",
-          }),
-      })
-    )
-    .min(1)
-    .max(50)
-    .required()
-    .messages({
-      "array.min": "Order must contain at least one item",
-      "array.max": "Order cannot contain more than 50 items",
-      "any.required": "Items are required",
-    }),
+  items: orderItemsSchema.required().messages({
+    "any.required": "Items are required",
+  }),
 });
 
 // Update order status validation schema
@@ -79,8 +87,42 @@ const cancelOrderSchema = Joi.object({
     "string.max": "Cancellation reason cannot exceed 500 characters",
     "any.required": "Cancellation reason is required",
   }),
+  order_id: Joi.number().optional(),
+});
+
+// Change fulfillment warehouse validation schema (Admin only)
+const changeOrderWarehouseSchema = Joi.object({
+  warehouse_id: Joi.number().integer().positive().required().messages({
+    "number.base": "Warehouse ID must be a number",
+    "any.required": "Warehouse ID is required",
+  }),
+  notes: Joi.string().max(1000).optional().messages({
+    "string.max": "Notes cannot exceed 1000 characters",
+  }),
+  order_id: Joi.number().optional(),
 });
 
+// Modify pending order validation schema (for customers)
+const updateUserOrderSchema = Joi.object({
+  delivery_address: Joi.string().min(10).max(500).optional().messages({
+    "string.min": "Delivery address must be at least 10 characters long",
+    "string.max": "Delivery address cannot exceed 500 characters",
+  }),
+  delivery_notes: Joi.string().max(500).allow("", null).optional().messages({
+    "string.max": "Delivery notes cannot exceed 500 characters",
+  }),
+  items: orderItemsSchema.optional(),
+  reason: Joi.string().max(500).optional().messages({
+    "string.max": "Reason cannot exceed 500 characters",
+  }),
+  order_id: Joi.number().optional(),
+})
+  .or("delivery_address", "delivery_notes", "items")
+  .messages({
+    "object.missing":
+      "Provide at least one of delivery_address, delivery_notes or items to update",
+  });
+
 // Get orders validation schema (for query parameters)
 const getOrdersSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1).messages({
@@ -114,6 +156,9 @@ const getOrdersSchema = Joi.object({
     "number.integer": "User ID must be an integer",
     "number.positive": "User ID must be positive",
   }),
+  warehouse_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "Warehouse ID must be a number",
+  }),
   start_date: Joi.date().optional().messages({
     "date.base": "Start date must be a valid date",
   }),
@@ -142,6 +187,8 @@ module.exports = {
   createOrderSchema,
   updateOrderStatusSchema,
   cancelOrderSchema,
+  changeOrderWarehouseSchema,
+  updateUserOrderSchema,
   getOrdersSchema,
   orderStatisticsSchema,
 };
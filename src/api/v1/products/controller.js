@@ -1,11 +1,24 @@
 const ProductModel = require("./model");
+const ProductVariantModel = require("./variantModel");
 const CategoryModel = require("../categories/model");
+const WarehouseModel = require("../warehouses/model");
+const StockMovementModel = require("../warehouses/stockMovementModel");
 const {
   NotFoundError,
   ValidationError,
   ConflictError,
+  AuthorizationError,
 } = require("../../../middleware/errorHandler");
 const { FileUploadService } = require("../../../middleware/multer");
+const { hasPermission } = require("../../../middleware/auth");
+const { CacheManager } = require("../../../utils/cache");
+const { AuditService } = require("../../../services/audit");
+
+// Product fields that need more than products:manage to change
+const FIELD_PERMISSIONS = {
+  price: "products:update_price",
+  stock_quantity: "products:update_stock",
+};
 
 class ProductController {
   /**
@@ -13,13 +26,21 @@ class ProductController {
    */
   static async getAllProducts(req, res) {
     try {
-      const { page, limit, category_id, min_price, max_price, search } =
-        req.query;
+      const {
+        page,
+        limit,
+        category_id,
+        include_subcategories,
+        min_price,
+        max_price,
+        search,
+      } = req.query;
 
       const options = {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
         categoryId: category_id,
+        includeSubcategories: include_subcategories !== "false",
         minPrice: min_price ? parseFloat(min_price) : undefined,
         maxPrice: max_price ? parseFloat(max_price) : undefined,
         search,
@@ -56,7 +77,7 @@ class ProductController {
       const { limit } = req.query;
       const limitNum = parseInt(limit) || 10;
 
-      const result = await ProductModel.getFeaturedProducts(limitNum);
+      const result = await CacheManager.getFeaturedProducts(limitNum);
 
       // Convert file paths to URLs
       result.products = result.products.map((product) => ({
@@ -81,7 +102,14 @@ class ProductController {
    */
   static async searchProducts(req, res) {
     try {
-      const { q: searchTerm, sort_by, sort_order, limit } = req.query;
+      const {
+        q: searchTerm,
+        sort_by,
+        sort_order,
+        limit,
+        category_id,
+        include_subcategories,
+      } = req.query;
 
       if (!searchTerm || searchTerm.trim().length < 2) {
         throw new ValidationError(
@@ -92,6 +120,8 @@ class ProductController {
       const options = {
         limit: parseInt(limit) || 20,
         isActive: true,
+        categoryId: category_id,
+        includeSubcategories: include_subcategories !== "false",
         sortBy: sort_by,
         sortOrder: sort_order,
       };
@@ -125,7 +155,8 @@ class ProductController {
   static async getProductsByCategory(req, res) {
     try {
       const { identifier } = req.params;
-      const { page, limit, sort_by, sort_order } = req.query;
+      const { page, limit, sort_by, sort_order, include_subcategories } =
+        req.query;
 
       // Check if identifier is numeric (ID) or string (slug)
       const isNumeric = /^\d+$/.test(identifier);
@@ -145,6 +176,7 @@ class ProductController {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
         categoryId: category.id,
+        includeSubcategories: include_subcategories !== "false",
         isActive: true,
         sortBy: sort_by,
         sortOrder: sort_order,
@@ -181,6 +213,42 @@ class ProductController {
     }
   }
 
+  /**
+   * Find a product by its full code or by the full code of one of its
+   * variants, in which case the variant is set as `selected_variant`
+   */
+  static async findByFullCode(fullCode) {
+    const product = await ProductModel.findByFullCode(fullCode);
+    if (product) return product;
+
+    const variant = await ProductVariantModel.findByFullCode(fullCode);
+    if (!variant) return null;
+
+    const variantProduct = await ProductModel.findById(variant.product_id);
+    return variantProduct && { ...variantProduct, selected_variant: variant };
+  }
+
+  /**
+   * Hide inactive products (and variants) from users who cannot see them and
+   * load the variants the user may see
+   */
+  static async loadVisibleVariants(req, product) {
+    const canReadAll = await hasPermission(req.user, "products:read");
+
+    const hidden =
+      !product.is_active ||
+      (product.selected_variant && !product.selected_variant.is_active);
+    if (hidden && !canReadAll) {
+      throw new NotFoundError("Product not found");
+    }
+
+    product.variants = await ProductVariantModel.getProductVariants(
+      product.id,
+      canReadAll
+    );
+    return product;
+  }
+
   static async getProductById(req, res) {
     try {
       const { product_id } = req.params;
@@ -193,7 +261,7 @@ class ProductController {
       }
       // Check if it might be a full code (category_code + product_code)
       else if (/^[A-Z0-9]+$/.test(product_id)) {
-        product = await ProductModel.findByFullCode(product_id);
+        product = await ProductController.findByFullCode(product_id);
         // If not found by full code, try by product code only
         if (!product) {
           product = await ProductModel.findByCode(product_id);
@@ -209,9 +277,7 @@ class ProductController {
       }
 
       // Don't show inactive products to regular users
-      if (!product.is_active && req.user?.role !== "admin") {
-        throw new NotFoundError("Product not found");
-      }
+      await ProductController.loadVisibleVariants(req, product);
 
       // Convert file paths to URLs and handle multiple images
       const imageUrls = getProductImageUrls(req, product);
@@ -230,22 +296,21 @@ class ProductController {
   }
 
   /**
-   * Get product by full code (category_code + product_code)
+   * Get product by full code (category_code + product_code), or by a
+   * variant's full code (category_code + product_code + code_suffix)
    */
   static async getProductByFullCode(req, res) {
     try {
       const { full_code } = req.params;
 
-      const product = await ProductModel.findByFullCode(full_code);
+      const product = await ProductController.findByFullCode(full_code);
 
       if (!product) {
         throw new NotFoundError("Product not found");
       }
 
       // Don't show inactive products to regular users
-      if (!product.is_active && req.user?.role !== "admin") {
-        throw new NotFoundError("Product not found");
-      }
+      await ProductController.loadVisibleVariants(req, product);
 
       // Convert file path to URL
       product.image_url = product.image_url
@@ -263,12 +328,130 @@ class ProductController {
   }
 
   /**
-   * Update product stock (Admin only)
+   * Find the warehouse a stock update targets, or null for the total
+   */
+  static async getStockWarehouse(warehouseId) {
+    if (!warehouseId) return null;
+
+    const warehouse = await WarehouseModel.findById(warehouseId);
+    if (!warehouse) {
+      throw new ValidationError("Warehouse not found");
+    }
+    return warehouse;
+  }
+
+  /**
+   * Set an item's stock in a warehouse, or its total when no warehouse is
+   * given. The change is recorded as a manual adjustment, or a customer
+   * return, with the notes of the request.
+   * @returns {Promise<Object>} { old_quantity, new_quantity }
+   */
+  static async setItemStock(req, warehouse, item, variantId, quantity) {
+    const movement = {
+      reason: req.body.reason || StockMovementModel.REASONS.ADJUSTMENT,
+      notes: req.body.notes,
+      created_by: req.user.id,
+    };
+
+    if (warehouse) {
+      return await WarehouseModel.setStock(
+        warehouse.id,
+        item.product_id || item.id,
+        variantId,
+        quantity,
+        movement
+      );
+    }
+
+    await WarehouseModel.setTotalStock(
+      item.product_id || item.id,
+      variantId,
+      quantity,
+      movement
+    );
+    return { old_quantity: item.stock_quantity, new_quantity: quantity };
+  }
+
+  /**
+   * Get the stock movements of a product and its variants
+   */
+  static async getProductStockHistory(req, res) {
+    try {
+      const { product_id } = req.params;
+      const {
+        page,
+        limit,
+        warehouse_id,
+        variant_id,
+        reason,
+        start_date,
+        end_date,
+      } = req.query;
+
+      const product = await ProductModel.findById(product_id);
+      if (!product) {
+        throw new NotFoundError("Product not found");
+      }
+
+      const result = await StockMovementModel.getProductHistory(product.id, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20,
+        warehouseId: warehouse_id ? parseInt(warehouse_id) : undefined,
+        variantId: variant_id ? parseInt(variant_id) : undefined,
+        reason,
+        startDate: start_date,
+        endDate: end_date,
+      });
+
+      res.json({
+        status: true,
+        message: "Product stock history retrieved successfully",
+        data: {
+          product_id: product.id,
+          total_stock: product.stock_quantity,
+          ...result,
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get how much stock of a product and its variants each warehouse holds
+   */
+  static async getProductStockLevels(req, res) {
+    try {
+      const { product_id } = req.params;
+
+      const product = await ProductModel.findById(product_id);
+      if (!product) {
+        throw new NotFoundError("Product not found");
+      }
+
+      const stockLevels = await WarehouseModel.getStockLevels(product.id);
+
+      res.json({
+        status: true,
+        message: "Product stock levels retrieved successfully",
+        data: {
+          product_id: product.id,
+          total_stock: product.stock_quantity,
+          stock_levels: stockLevels,
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update product stock (Admin only), in one warehouse or in total
    */
   static async updateProductStock(req, res) {
     try {
       const { product_id } = req.params;
-      const { stock_quantity } = req.body;
+      const { stock_quantity, warehouse_id } = req.body;
 
       if (typeof stock_quantity !== "number" || stock_quantity < 0) {
         throw new ValidationError(
@@ -281,8 +464,22 @@ class ProductController {
         throw new NotFoundError("Product not found");
       }
 
-      const updatedProduct = await ProductModel.updateProduct(product_id, {
-        stock_quantity,
+      const warehouse = await ProductController.getStockWarehouse(warehouse_id);
+      const change = await ProductController.setItemStock(
+        req,
+        warehouse,
+        existingProduct,
+        null,
+        stock_quantity
+      );
+      const updatedProduct = await ProductModel.findById(existingProduct.id);
+      await AuditService.record(req, {
+        action: "product.update_stock",
+        entityType: "product",
+        entityId: existingProduct.id,
+        before: { stock_quantity: change.old_quantity },
+        after: { stock_quantity },
+        metadata: warehouse ? { warehouse_id: warehouse.id } : null,
       });
 
       // Convert file path to URL
@@ -295,8 +492,10 @@ class ProductController {
         message: "Product stock updated successfully",
         data: {
           product: updatedProduct,
-          old_stock: existingProduct.stock_quantity,
+          warehouse,
+          old_stock: change.old_quantity,
           new_stock: stock_quantity,
+          stock_levels: await WarehouseModel.getStockLevels(existingProduct.id),
         },
       });
     } catch (error) {
@@ -380,9 +579,10 @@ class ProductController {
         }
       }
 
+      const stockMovement = { created_by: req.user.id, notes: "Initial stock" };
       let product;
       try {
-        product = await ProductModel.createProduct(productData);
+        product = await ProductModel.createProduct(productData, stockMovement);
       } catch (error) {
         // Handle specific JSON/index errors
         if (
@@ -393,7 +593,10 @@ class ProductController {
 
           // Retry without the image_urls JSON field
           delete productData.image_urls;
-          product = await ProductModel.createProduct(productData);
+          product = await ProductModel.createProduct(
+            productData,
+            stockMovement
+          );
 
           // Try to update the image_urls separately
           if (imageUrls.length > 1) {
@@ -415,6 +618,13 @@ class ProductController {
         }
       }
 
+      await AuditService.record(req, {
+        action: "product.create",
+        entityType: "product",
+        entityId: product.id,
+        after: product,
+      });
+
       // Convert file paths to URLs for response
       const responseImageUrls = imageUrls.map((imagePath) =>
         FileUploadService.getFileUrl(req, imagePath)
@@ -445,6 +655,22 @@ class ProductController {
     }
   }
 
+  /**
+   * First permission the user lacks for the fields this update changes
+   * @returns {Promise<string|null>} Permission name, or null
+   */
+  static async findMissingFieldPermission(req, product) {
+    for (const [field, permission] of Object.entries(FIELD_PERMISSIONS)) {
+      const changed =
+        req.body[field] !== undefined &&
+        Number(req.body[field]) !== Number(product[field]);
+      if (changed && !(await hasPermission(req.user, permission))) {
+        return permission;
+      }
+    }
+    return null;
+  }
+
   /**
    * MAIN UPDATE FUNCTION - Fixed for Frontend Integration
    */
@@ -453,13 +679,24 @@ class ProductController {
       const { product_id } = req.params;
 
       const existingProduct = await ProductModel.findById(product_id);
-      if (!existingProduct) {
+      const missingPermission =
+        existingProduct &&
+        (await ProductController.findMissingFieldPermission(
+          req,
+          existingProduct
+        ));
+      if (!existingProduct || missingPermission) {
         const uploadedFiles = req.files || [req.file].filter(Boolean);
         if (uploadedFiles.length > 0) {
           await Promise.all(
             uploadedFiles.map((file) => FileUploadService.deleteFile(file.path))
           );
         }
+        if (missingPermission) {
+          throw new AuthorizationError(
+            `Permission required: ${missingPermission}`
+          );
+        }
         throw new NotFoundError("Product not found");
       }
 
@@ -529,7 +766,8 @@ class ProductController {
       try {
         updatedProduct = await ProductModel.updateProduct(
           product_id,
-          updateData
+          updateData,
+          { created_by: req.user.id }
         );
       } catch (error) {
         if (
@@ -544,7 +782,8 @@ class ProductController {
 
           updatedProduct = await ProductModel.updateProduct(
             product_id,
-            fallbackUpdateData
+            fallbackUpdateData,
+            { created_by: req.user.id }
           );
 
           if (imageUrls) {
@@ -563,6 +802,14 @@ class ProductController {
         }
       }
 
+      await AuditService.record(req, {
+        action: "product.update",
+        entityType: "product",
+        entityId: existingProduct.id,
+        before: existingProduct,
+        after: updatedProduct,
+      });
+
       // Prepare response
       const responseImageUrls = getProductImageUrls(req, updatedProduct);
       updatedProduct.image_urls = responseImageUrls;
@@ -632,6 +879,12 @@ class ProductController {
       if (!deleted) {
         throw new Error("Failed to delete product");
       }
+      await AuditService.record(req, {
+        action: "product.delete",
+        entityType: "product",
+        entityId: existingProduct.id,
+        before: existingProduct,
+      });
 
       res.json({
         status: true,
@@ -647,13 +900,21 @@ class ProductController {
    */
   static async getAllProductsAdmin(req, res) {
     try {
-      const { page, limit, category_id, min_price, max_price, search } =
-        req.query;
+      const {
+        page,
+        limit,
+        category_id,
+        include_subcategories,
+        min_price,
+        max_price,
+        search,
+      } = req.query;
 
       const options = {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
         categoryId: category_id,
+        includeSubcategories: include_subcategories !== "false",
         minPrice: min_price ? parseFloat(min_price) : undefined,
         maxPrice: max_price ? parseFloat(max_price) : undefined,
         search,
@@ -688,7 +949,8 @@ class ProductController {
   static async getProductsByCategoryCode(req, res) {
     try {
       const { category_code } = req.params;
-      const { page, limit, sort_by, sort_order } = req.query;
+      const { page, limit, sort_by, sort_order, include_subcategories } =
+        req.query;
 
       const category = await CategoryModel.findByCode(category_code);
       if (!category) {
@@ -699,6 +961,7 @@ class ProductController {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
         categoryId: category.id,
+        includeSubcategories: include_subcategories !== "false",
         isActive: true,
         sortBy: sort_by,
         sortOrder: sort_order,
@@ -4,6 +4,21 @@ const {
   buildUpdateQuery,
 } = require("../../../helpers/db");
 const { DatabaseError } = require("../../../errors/customErrors");
+const { BusinessLogicError } = require("../../../middleware/errorHandler");
+const { CacheManager } = require("../../../utils/cache");
+const CategoryModel = require("../categories/model");
+const ProductVariantModel = require("./variantModel");
+const WarehouseModel = require("../warehouses/model");
+
+// Matches products with a variant whose full code or an option value
+// (e.g. "Red") contains the search term. Takes two search parameters.
+const VARIANT_SEARCH_CONDITION = `EXISTS (
+  SELECT 1 FROM product_variants pv
+  LEFT JOIN product_variant_options pvo ON pvo.variant_id = pv.id
+  WHERE pv.product_id = p.id
+    AND (CONCAT(COALESCE(c.code, ''), p.code, pv.code_suffix) LIKE ?
+         OR pvo.value LIKE ?)
+)`;
 
 class ProductModel {
   /**
@@ -27,6 +42,7 @@ class ProductModel {
         [imageUrlsJson, imageUrlsJson, imageUrlsJson, productId],
         "Update Product Image URLs"
       );
+      await CacheManager.invalidateProduct(productId);
 
       return true;
     } catch (error) {
@@ -40,6 +56,7 @@ class ProductModel {
           [imageUrlsJson, productId],
           "Update Product Image URLs - Fallback"
         );
+        await CacheManager.invalidateProduct(productId);
         return true;
       } catch (fallbackError) {
         console.error(
@@ -52,9 +69,11 @@ class ProductModel {
   }
 
   /**
-   * Create new product with enhanced JSON handling
+   * Create new product with enhanced JSON handling. Its initial stock is
+   * received into the default warehouse.
+   * @param {Object} stockMovement - Why the stock is added (see StockMovementModel)
    */
-  static async createProduct(productData) {
+  static async createProduct(productData, stockMovement = {}) {
     try {
       // Generate slug if not provided
       if (!productData.slug && productData.name) {
@@ -97,6 +116,15 @@ class ProductModel {
         );
 
         if (result.insertId) {
+          if (productData.stock_quantity) {
+            await WarehouseModel.setTotalStock(
+              result.insertId,
+              null,
+              productData.stock_quantity,
+              stockMovement
+            );
+          }
+          await CacheManager.invalidateProduct(result.insertId);
           return await this.findById(result.insertId);
         }
         throw new Error("Failed to create product");
@@ -126,6 +154,15 @@ class ProductModel {
             if (imageUrls) {
               await this.updateImageUrls(fallbackResult.insertId, imageUrls);
             }
+            if (fallbackData.stock_quantity) {
+              await WarehouseModel.setTotalStock(
+                fallbackResult.insertId,
+                null,
+                fallbackData.stock_quantity,
+                stockMovement
+              );
+            }
+            await CacheManager.invalidateProduct(fallbackResult.insertId);
             return await this.findById(fallbackResult.insertId);
           }
         }
@@ -141,10 +178,26 @@ class ProductModel {
   }
 
   /**
-   * Update product with enhanced JSON handling
+   * Update product with enhanced JSON handling. A new stock_quantity is the
+   * total over all warehouses; the difference goes to the default warehouse.
+   * @param {Object} stockMovement - Why the stock changes (see StockMovementModel)
    */
-  static async updateProduct(id, updateData) {
+  static async updateProduct(id, updateData, stockMovement = {}) {
     try {
+      if (updateData.stock_quantity !== undefined) {
+        const { stock_quantity: stockQuantity, ...fields } = updateData;
+        await WarehouseModel.setTotalStock(
+          id,
+          null,
+          stockQuantity,
+          stockMovement
+        );
+        if (Object.keys(fields).length === 0) {
+          return await this.findById(id);
+        }
+        updateData = fields;
+      }
+
       // Generate slug if name is being updated and slug is not provided
       if (updateData.name && !updateData.slug) {
         updateData.slug = this.generateSlug(updateData.name);
@@ -191,6 +244,7 @@ class ProductModel {
 
       try {
         await executeQuery(query.sql, query.params, "Update Product");
+        await CacheManager.invalidateProduct(id);
         return await this.findById(id);
       } catch (error) {
         // Handle specific JSON index errors
@@ -222,12 +276,14 @@ class ProductModel {
             await this.updateImageUrls(id, imageUrls);
           }
 
+          await CacheManager.invalidateProduct(id);
           return await this.findById(id);
         }
 
         throw error;
       }
     } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
       throw new DatabaseError(
         `Error updating product: ${error.message}`,
         error
@@ -244,6 +300,7 @@ class ProductModel {
         page = 1,
         limit = 10,
         categoryId,
+        includeSubcategories = true,
         isActive = true,
         minPrice,
         maxPrice,
@@ -264,8 +321,12 @@ class ProductModel {
       }
 
       if (categoryId) {
-        whereConditions.push("p.category_id = ?");
-        params.push(categoryId);
+        // Products filed under a subcategory belong to its parents too
+        const categoryIds = includeSubcategories
+          ? await CategoryModel.getDescendantIds(categoryId)
+          : [categoryId];
+        whereConditions.push("p.category_id IN (?)");
+        params.push(categoryIds);
       }
 
       if (minPrice) {
@@ -280,9 +341,9 @@ class ProductModel {
 
       if (search) {
         whereConditions.push(
-          "(p.name LIKE ? OR p.description LIKE ? OR p.code LIKE ? OR CONCAT(COALESCE(c.code, ''), p.code) LIKE ?)"
+          `(p.name LIKE ? OR p.description LIKE ? OR p.code LIKE ? OR CONCAT(COALESCE(c.code, ''), p.code) LIKE ? OR ${VARIANT_SEARCH_CONDITION})`
         );
-        params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+        params.push(...new Array(6).fill(`%${search}%`));
       }
 
       if (isFeatured !== undefined) {
@@ -369,6 +430,10 @@ class ProductModel {
         }
         return product;
       });
+      await ProductVariantModel.attachVariants(
+        processedProducts,
+        isActive !== true
+      );
 
       return {
         products: processedProducts,
@@ -394,7 +459,8 @@ class ProductModel {
     try {
       const sql = `
         SELECT p.id, p.name, p.code, p.slug, p.description, p.price, 
-               p.stock_quantity, p.category_id, p.weight, 
+               p.stock_quantity, p.reorder_level, p.reorder_quantity,
+               p.category_id, p.weight, 
                p.dimensions, p.is_active, p.is_featured, p.image_url, 
                COALESCE(p.image_urls, '[]') as image_urls,
                p.created_at, p.updated_at,
@@ -548,6 +614,7 @@ class ProductModel {
     try {
       const sql = "DELETE FROM products WHERE id = ?";
       const result = await executeQuery(sql, [id], "Delete Product");
+      await CacheManager.invalidateProduct(id);
       return result.affectedRows > 0;
     } catch (error) {
       throw new DatabaseError(
@@ -613,17 +680,13 @@ class ProductModel {
         sortBy = "name",
         sortOrder = "ASC",
         categoryId,
+        includeSubcategories = true,
       } = options;
 
       let whereConditions = [
-        "(p.name LIKE ? OR p.description LIKE ? OR p.code LIKE ? OR CONCAT(COALESCE(c.code, ''), p.code) LIKE ?)",
-      ];
-      let params = [
-        `%${searchTerm}%`,
-        `%${searchTerm}%`,
-        `%${searchTerm}%`,
-        `%${searchTerm}%`,
+        `(p.name LIKE ? OR p.description LIKE ? OR p.code LIKE ? OR CONCAT(COALESCE(c.code, ''), p.code) LIKE ? OR ${VARIANT_SEARCH_CONDITION})`,
       ];
+      let params = new Array(6).fill(`%${searchTerm}%`);
 
       if (isActive !== undefined) {
         whereConditions.push("p.is_active = ?");
@@ -631,11 +694,16 @@ class ProductModel {
       }
 
       if (categoryId) {
-        whereConditions.push("p.category_id = ?");
-        params.push(categoryId);
+        // Products filed under a subcategory belong to its parents too
+        const categoryIds = includeSubcategories
+          ? await CategoryModel.getDescendantIds(categoryId)
+          : [categoryId];
+        whereConditions.push("p.category_id IN (?)");
+        params.push(categoryIds);
       }
 
       const whereClause = `WHERE ${whereConditions.join(" AND ")}`;
+      const countParams = [...params];
 
       // Validate sort parameters
       const validSortFields = [
@@ -676,7 +744,6 @@ class ProductModel {
       }
 
       const countSql = `SELECT COUNT(*) as total FROM products p LEFT JOIN categories c ON p.category_id = c.id ${whereClause}`;
-      const countParams = params.slice(0, whereConditions.length === 3 ? 7 : 6);
       const countResult = await executeQuery(
         countSql,
         countParams,
@@ -703,6 +770,7 @@ class ProductModel {
         [...params, limit],
         "Search Products"
       );
+      await ProductVariantModel.attachVariants(products, isActive !== true);
 
       return {
         products,
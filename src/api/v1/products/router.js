@@ -4,17 +4,24 @@ const router = express.Router();
 const validateRequest = require("../../../middleware/validateRequest");
 const {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   optionalAuth,
 } = require("../../../middleware/auth");
 const { asyncHandler } = require("../../../middleware/errorHandler");
 const { ProductController } = require("./controller");
+const { ProductVariantController } = require("./variantController");
 const {
   getProductsSchema,
   createProductSchema,
   updateProductSchema,
   updateStockSchema,
+  getStockHistorySchema,
   searchProductsSchema,
+  createVariantSchema,
+  updateVariantSchema,
+  updateVariantStockSchema,
+  createVariantOptionTypeSchema,
+  updateVariantOptionTypeSchema,
 } = require("./validation");
 const {
   uploadMiddlewares,
@@ -88,7 +95,8 @@ router.get(
 
 /**
  * @route GET /api/v1/products/full-code/:full_code
- * @desc Get product by full code (category_code + product_code)
+ * @desc Get product by full code (category_code + product_code), or by variant
+ *       full code (category_code + product_code + code_suffix)
  * @access Public
  */
 router.get(
@@ -97,6 +105,27 @@ router.get(
   asyncHandler(ProductController.getProductByFullCode)
 );
 
+/**
+ * @route GET /api/v1/products/variant-options
+ * @desc Get variant option types (Color, Size, ...)
+ * @access Public
+ */
+router.get(
+  "/variant-options",
+  asyncHandler(ProductVariantController.getOptionTypes)
+);
+
+/**
+ * @route GET /api/v1/products/:product_id/variants
+ * @desc Get a product's variants
+ * @access Public
+ */
+router.get(
+  "/:product_id/variants",
+  optionalAuth,
+  asyncHandler(ProductVariantController.getProductVariants)
+);
+
 /**
  * @route GET /api/v1/products/:product_id
  * @desc Get product by ID, slug, or code (including full code detection)
@@ -113,12 +142,12 @@ router.get(
 /**
  * @route GET /api/v1/products/admin/all
  * @desc Get all products (admin view)
- * @access Admin
+ * @access Permission products:read
  */
 router.get(
   "/admin/all",
   authenticateToken,
-  requireAdmin,
+  requirePermission("products:read"),
   validateRequest(getProductsSchema),
   asyncHandler(ProductController.getAllProductsAdmin)
 );
@@ -126,12 +155,12 @@ router.get(
 /**
  * @route POST /api/v1/products
  * @desc Create new product with multiple image upload support
- * @access Admin
+ * @access Permission products:manage
  */
 router.post(
   "/",
   authenticateToken,
-  requireAdmin,
+  requirePermission("products:manage"),
   uploadMiddlewares.productGallery, // Changed from 'product' to 'productGallery' for multiple images
   handleMulterError,
   validateRequest(createProductSchema),
@@ -141,40 +170,156 @@ router.post(
 /**
  * @route PUT /api/v1/products/:product_id
  * @desc Update product with multiple image upload support
- * @access Admin
+ * @access Permission products:manage
  */
 router.put(
   "/:product_id",
   authenticateToken,
-  requireAdmin,
+  requirePermission("products:manage"),
   uploadMiddlewares.productGallery, // Changed from 'product' to 'productGallery' for multiple images
   handleMulterError,
   validateRequest(updateProductSchema),
   asyncHandler(ProductController.updateProduct)
 );
 
+/**
+ * @route GET /api/v1/products/:product_id/stock
+ * @desc Get product and variant stock per warehouse
+ * @access Permission products:read
+ */
+router.get(
+  "/:product_id/stock",
+  authenticateToken,
+  requirePermission("products:read"),
+  asyncHandler(ProductController.getProductStockLevels)
+);
+
+/**
+ * @route GET /api/v1/products/:product_id/stock-history
+ * @desc Get the stock movements of a product and its variants
+ * @access Permission products:read
+ */
+router.get(
+  "/:product_id/stock-history",
+  authenticateToken,
+  requirePermission("products:read"),
+  validateRequest(getStockHistorySchema),
+  asyncHandler(ProductController.getProductStockHistory)
+);
+
 /**
  * @route PATCH /api/v1/products/:product_id/stock
- * @desc Update product stock quantity
- * @access Admin
+ * @desc Update product stock quantity in a warehouse, or the total (applied
+ *       to the default warehouse) when no warehouse_id is given
+ * @access Permission products:update_stock
  */
 router.patch(
   "/:product_id/stock",
   authenticateToken,
-  requireAdmin,
+  requirePermission("products:update_stock"),
   validateRequest(updateStockSchema),
   asyncHandler(ProductController.updateProductStock)
 );
 
+/**
+ * @route POST /api/v1/products/variant-options
+ * @desc Create variant option type
+ * @access Permission products:manage
+ */
+router.post(
+  "/variant-options",
+  authenticateToken,
+  requirePermission("products:manage"),
+  validateRequest(createVariantOptionTypeSchema),
+  asyncHandler(ProductVariantController.createOptionType)
+);
+
+/**
+ * @route PUT /api/v1/products/variant-options/:option_type_id
+ * @desc Rename or reorder variant option type
+ * @access Permission products:manage
+ */
+router.put(
+  "/variant-options/:option_type_id",
+  authenticateToken,
+  requirePermission("products:manage"),
+  validateRequest(updateVariantOptionTypeSchema),
+  asyncHandler(ProductVariantController.updateOptionType)
+);
+
+/**
+ * @route DELETE /api/v1/products/variant-options/:option_type_id
+ * @desc Delete variant option type that no variant uses
+ * @access Permission products:manage
+ */
+router.delete(
+  "/variant-options/:option_type_id",
+  authenticateToken,
+  requirePermission("products:manage"),
+  asyncHandler(ProductVariantController.deleteOptionType)
+);
+
+/**
+ * @route POST /api/v1/products/:product_id/variants
+ * @desc Add variant to product
+ * @access Permission products:manage
+ */
+router.post(
+  "/:product_id/variants",
+  authenticateToken,
+  requirePermission("products:manage"),
+  validateRequest(createVariantSchema),
+  asyncHandler(ProductVariantController.createVariant)
+);
+
+/**
+ * @route PUT /api/v1/products/:product_id/variants/:variant_id
+ * @desc Update variant (price and stock need their own permissions)
+ * @access Permission products:manage
+ */
+router.put(
+  "/:product_id/variants/:variant_id",
+  authenticateToken,
+  requirePermission("products:manage"),
+  validateRequest(updateVariantSchema),
+  asyncHandler(ProductVariantController.updateVariant)
+);
+
+/**
+ * @route PATCH /api/v1/products/:product_id/variants/:variant_id/stock
+ * @desc Update variant stock quantity in a warehouse, or the total when no
+ *       warehouse_id is given
+ * @access Permission products:update_stock
+ */
+router.patch(
+  "/:product_id/variants/:variant_id/stock",
+  authenticateToken,
+  requirePermission("products:update_stock"),
+  validateRequest(updateVariantStockSchema),
+  asyncHandler(ProductVariantController.updateVariantStock)
+);
+
+/**
+ * @route DELETE /api/v1/products/:product_id/variants/:variant_id
+ * @desc Delete variant (deactivated instead when orders refer to it)
+ * @access Permission products:manage
+ */
+router.delete(
+  "/:product_id/variants/:variant_id",
+  authenticateToken,
+  requirePermission("products:manage"),
+  asyncHandler(ProductVariantController.deleteVariant)
+);
+
 /**
  * @route DELETE /api/v1/products/:product_id
  * @desc Delete product
- * @access Admin
+ * @access Permission products:manage
  */
 router.delete(
   "/:product_id",
   authenticateToken,
-  requireAdmin,
+  requirePermission("products:manage"),
   asyncHandler(ProductController.deleteProduct)
 );
 
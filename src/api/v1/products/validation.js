@@ -10,6 +10,9 @@ const getProductsSchema = Joi.object({
   search: Joi.string().min(1).max(100).optional(),
   is_featured: Joi.boolean().optional(),
   category_slug: Joi.string().optional(),
+  include_subcategories: Joi.boolean().default(true),
+  identifier: Joi.string().optional(),
+  category_code: Joi.string().optional(),
   sort_by: Joi.string()
     .valid("name", "price", "created_at", "stock_quantity", "code", "full_code")
     .optional(),
@@ -29,6 +32,7 @@ const searchProductsSchema = Joi.object({
   sort_order: Joi.string().valid("ASC", "DESC", "asc", "desc").optional(),
   limit: Joi.number().integer().min(1).max(100).default(20),
   category_id: Joi.number().integer().positive().optional(),
+  include_subcategories: Joi.boolean().default(true),
 });
 
 const createProductSchema = Joi.object({
@@ -49,6 +53,8 @@ const createProductSchema = Joi.object({
   description: Joi.string().max(1000).optional(),
   price: Joi.number().positive().precision(2).required(),
   stock_quantity: Joi.number().integer().min(0).default(0),
+  reorder_level: Joi.number().integer().min(0).optional(),
+  reorder_quantity: Joi.number().integer().min(0).optional(),
   category_id: Joi.number().integer().positive().optional(),
   weight: Joi.number().positive().optional(),
   dimensions: Joi.string().max(100).optional(),
@@ -74,6 +80,8 @@ const updateProductSchema = Joi.object({
   description: Joi.string().max(1000).optional(),
   price: Joi.number().positive().precision(2).optional(),
   stock_quantity: Joi.number().integer().min(0).optional(),
+  reorder_level: Joi.number().integer().min(0).optional(),
+  reorder_quantity: Joi.number().integer().min(0).optional(),
   category_id: Joi.number().integer().positive().allow(null).optional(),
   weight: Joi.number().positive().allow(null).optional(),
   dimensions: Joi.string().max(100).allow(null).optional(),
@@ -128,6 +136,101 @@ const updateStockSchema = Joi.object({
     "number.min": "Stock quantity cannot be negative",
     "any.required": "Stock quantity is required",
   }),
+  warehouse_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "Warehouse ID must be a number",
+  }),
+  reason: Joi.string().valid("adjustment", "return").optional().messages({
+    "any.only": "Reason must be one of: adjustment, return",
+  }),
+  notes: Joi.string().max(500).optional().messages({
+    "string.max": "Notes cannot exceed 500 characters",
+  }),
+});
+
+const getStockHistorySchema = Joi.object({
+  product_id: Joi.number().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  warehouse_id: Joi.number().integer().positive().optional(),
+  variant_id: Joi.number().integer().positive().optional(),
+  reason: Joi.string()
+    .valid(
+      "opening_balance",
+      "order",
+      "cancellation",
+      "adjustment",
+      "import",
+      "return",
+      "transfer",
+      "purchase"
+    )
+    .optional(),
+  start_date: Joi.date().optional(),
+  end_date: Joi.date().min(Joi.ref("start_date")).optional().messages({
+    "date.min": "End date must be after start date",
+  }),
+});
+
+const variantCodeSuffix = Joi.string()
+  .min(1)
+  .max(20)
+  .pattern(/^[A-Z0-9]+$/)
+  .messages({
+    "string.min": "Variant code suffix must be at least 1 character long",
+    "string.max": "Variant code suffix cannot exceed 20 characters",
+    "string.pattern.base":
+      "Variant code suffix must contain only uppercase letters and numbers",
+  });
+
+// Option type name => value, e.g. { "Color": "Red", "Size": "L" }
+const variantOptions = Joi.object()
+  .pattern(Joi.string().min(1).max(50), Joi.string().trim().min(1).max(100))
+  .min(1)
+  .messages({
+    "object.min": "A variant needs at least one option value",
+  });
+
+const createVariantSchema = Joi.object({
+  product_id: Joi.number().optional(),
+  code_suffix: variantCodeSuffix.required().messages({
+    "any.required": "Variant code suffix is required",
+  }),
+  price: Joi.number().positive().precision(2).allow(null).optional(),
+  stock_quantity: Joi.number().integer().min(0).default(0),
+  is_active: Joi.boolean().default(true),
+  sort_order: Joi.number().integer().min(0).default(0),
+  options: variantOptions.required().messages({
+    "any.required": "Variant options are required",
+  }),
+});
+
+const updateVariantSchema = Joi.object({
+  product_id: Joi.number().optional(),
+  variant_id: Joi.number().optional(),
+  code_suffix: variantCodeSuffix.optional(),
+  price: Joi.number().positive().precision(2).allow(null).optional(),
+  stock_quantity: Joi.number().integer().min(0).optional(),
+  is_active: Joi.boolean().optional(),
+  sort_order: Joi.number().integer().min(0).optional(),
+  options: variantOptions.optional(),
+});
+
+const updateVariantStockSchema = updateStockSchema.keys({
+  variant_id: Joi.number().optional(),
+});
+
+const createVariantOptionTypeSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required().messages({
+    "string.max": "Option type name cannot exceed 50 characters",
+    "any.required": "Option type name is required",
+  }),
+  sort_order: Joi.number().integer().min(0).default(0),
+});
+
+const updateVariantOptionTypeSchema = Joi.object({
+  option_type_id: Joi.number().optional(),
+  name: Joi.string().trim().min(1).max(50).optional(),
+  sort_order: Joi.number().integer().min(0).optional(),
 });
 
 module.exports = {
@@ -136,4 +239,10 @@ module.exports = {
   createProductSchema,
   updateProductSchema,
   updateStockSchema,
+  getStockHistorySchema,
+  createVariantSchema,
+  updateVariantSchema,
+  updateVariantStockSchema,
+  createVariantOptionTypeSchema,
+  updateVariantOptionTypeSchema,
 };
@@ -0,0 +1,462 @@
+const ProductModel = require("./model");
+const ProductVariantModel = require("./variantModel");
+const VariantOptionTypeModel = require("./variantOptionModel");
+const WarehouseModel = require("../warehouses/model");
+const { ProductController } = require("./controller");
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  AuthorizationError,
+  BusinessLogicError,
+} = require("../../../middleware/errorHandler");
+const { hasPermission } = require("../../../middleware/auth");
+const { CacheManager } = require("../../../utils/cache");
+const { AuditService } = require("../../../services/audit");
+
+class ProductVariantController {
+  /**
+   * Turn an `options` object ({ Color: "Red" }) into option rows, rejecting
+   * option types that do not exist
+   * @returns {Promise<Array>} [{ option_type_id, value }]
+   */
+  static async resolveOptions(options) {
+    const { values, unknown } = await VariantOptionTypeModel.resolveOptionValues(
+      options
+    );
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown variant option types: ${unknown.join(", ")}`
+      );
+    }
+    return values;
+  }
+
+  /**
+   * Find a product or throw
+   */
+  static async getExistingProduct(productId) {
+    const product = await ProductModel.findById(productId);
+    if (!product) {
+      throw new NotFoundError("Product not found");
+    }
+    return product;
+  }
+
+  /**
+   * Find a variant of a product or throw
+   */
+  static async getExistingVariant(productId, variantId) {
+    const variant = await ProductVariantModel.findById(variantId);
+    if (!variant || variant.product_id !== parseInt(productId)) {
+      throw new NotFoundError("Variant not found");
+    }
+    return variant;
+  }
+
+  /**
+   * Get all variant option types
+   */
+  static async getOptionTypes(req, res) {
+    try {
+      const optionTypes = await VariantOptionTypeModel.getOptionTypes();
+
+      res.json({
+        status: true,
+        message: "Variant option types retrieved successfully",
+        data: { option_types: optionTypes },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a variant option type (Admin only)
+   */
+  static async createOptionType(req, res) {
+    try {
+      const { name, sort_order } = req.body;
+
+      const existing = await VariantOptionTypeModel.findByNames([name.trim()]);
+      if (existing.length > 0) {
+        throw new ConflictError(`Option type '${name}' already exists`);
+      }
+
+      const optionType = await VariantOptionTypeModel.createOptionType({
+        name: name.trim(),
+        sort_order: sort_order || 0,
+      });
+      await AuditService.record(req, {
+        action: "variant_option_type.create",
+        entityType: "variant_option_type",
+        entityId: optionType.id,
+        after: optionType,
+      });
+
+      res.status(201).json({
+        status: true,
+        message: "Variant option type created successfully",
+        data: { option_type: optionType },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Rename or reorder a variant option type (Admin only)
+   */
+  static async updateOptionType(req, res) {
+    try {
+      const { option_type_id } = req.params;
+      const { name, sort_order } = req.body;
+
+      const existing = await VariantOptionTypeModel.findById(option_type_id);
+      if (!existing) {
+        throw new NotFoundError("Variant option type not found");
+      }
+
+      const updateData = {};
+      if (name !== undefined) {
+        const [sameName] = await VariantOptionTypeModel.findByNames([
+          name.trim(),
+        ]);
+        if (sameName && sameName.id !== existing.id) {
+          throw new ConflictError(`Option type '${name}' already exists`);
+        }
+        updateData.name = name.trim();
+      }
+      if (sort_order !== undefined) {
+        updateData.sort_order = sort_order;
+      }
+      if (Object.keys(updateData).length === 0) {
+        throw new ValidationError("Nothing to update");
+      }
+
+      const optionType = await VariantOptionTypeModel.updateOptionType(
+        existing.id,
+        updateData
+      );
+      // Variant options are shown by type name
+      await CacheManager.invalidateProducts();
+      await AuditService.record(req, {
+        action: "variant_option_type.update",
+        entityType: "variant_option_type",
+        entityId: existing.id,
+        before: existing,
+        after: optionType,
+      });
+
+      res.json({
+        status: true,
+        message: "Variant option type updated successfully",
+        data: { option_type: optionType },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a variant option type that no variant uses (Admin only)
+   */
+  static async deleteOptionType(req, res) {
+    try {
+      const { option_type_id } = req.params;
+
+      const existing = await VariantOptionTypeModel.findById(option_type_id);
+      if (!existing) {
+        throw new NotFoundError("Variant option type not found");
+      }
+      if (existing.variant_count > 0) {
+        throw new BusinessLogicError(
+          `Option type is used by ${existing.variant_count} variant(s) and cannot be deleted`
+        );
+      }
+
+      await VariantOptionTypeModel.deleteOptionType(existing.id);
+      await AuditService.record(req, {
+        action: "variant_option_type.delete",
+        entityType: "variant_option_type",
+        entityId: existing.id,
+        before: existing,
+      });
+
+      res.json({
+        status: true,
+        message: "Variant option type deleted successfully",
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the variants of a product. Inactive variants are included for users
+   * who can see inactive products.
+   */
+  static async getProductVariants(req, res) {
+    try {
+      const { product_id } = req.params;
+      const canReadAll = await hasPermission(req.user, "products:read");
+
+      const product = await ProductVariantController.getExistingProduct(
+        product_id
+      );
+      if (!product.is_active && !canReadAll) {
+        throw new NotFoundError("Product not found");
+      }
+
+      const variants = await ProductVariantModel.getProductVariants(
+        product.id,
+        canReadAll
+      );
+
+      res.json({
+        status: true,
+        message: "Product variants retrieved successfully",
+        data: { variants },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Add a variant to a product (Admin only)
+   */
+  static async createVariant(req, res) {
+    try {
+      const { product_id } = req.params;
+      const { code_suffix, price, stock_quantity, is_active, sort_order } =
+        req.body;
+
+      const product = await ProductVariantController.getExistingProduct(
+        product_id
+      );
+
+      if (await ProductVariantModel.findBySuffix(product.id, code_suffix)) {
+        throw new ConflictError(
+          `Variant code suffix '${code_suffix}' already exists for this product`
+        );
+      }
+
+      const options = await ProductVariantController.resolveOptions(
+        req.body.options
+      );
+
+      const variant = await ProductVariantModel.createVariant(
+        product.id,
+        {
+          code_suffix,
+          price: price ?? null,
+          stock_quantity: stock_quantity || 0,
+          is_active: is_active ?? true,
+          sort_order: sort_order || 0,
+        },
+        options,
+        { created_by: req.user.id, notes: "Initial stock" }
+      );
+      await AuditService.record(req, {
+        action: "variant.create",
+        entityType: "product_variant",
+        entityId: variant.id,
+        after: variant,
+      });
+
+      res.status(201).json({
+        status: true,
+        message: "Product variant created successfully",
+        data: { variant },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a variant (Admin only). Changing the price or stock needs the same
+   * permissions as changing them on a product.
+   */
+  static async updateVariant(req, res) {
+    try {
+      const { product_id, variant_id } = req.params;
+      const { options, ...fields } = req.body;
+
+      const existing = await ProductVariantController.getExistingVariant(
+        product_id,
+        variant_id
+      );
+
+      // Compare against the variant's own price, null meaning "product price"
+      const missingPermission =
+        await ProductController.findMissingFieldPermission(req, {
+          ...existing,
+          price: existing.own_price,
+        });
+      if (missingPermission) {
+        throw new AuthorizationError(
+          `Permission required: ${missingPermission}`
+        );
+      }
+
+      const updateData = {};
+      for (const field of [
+        "code_suffix",
+        "price",
+        "stock_quantity",
+        "is_active",
+        "sort_order",
+      ]) {
+        if (fields[field] !== undefined) {
+          updateData[field] = fields[field];
+        }
+      }
+
+      if (
+        updateData.code_suffix &&
+        updateData.code_suffix !== existing.code_suffix &&
+        (await ProductVariantModel.findBySuffix(
+          existing.product_id,
+          updateData.code_suffix
+        ))
+      ) {
+        throw new ConflictError(
+          `Variant code suffix '${updateData.code_suffix}' already exists for this product`
+        );
+      }
+
+      const resolvedOptions = options
+        ? await ProductVariantController.resolveOptions(options)
+        : undefined;
+
+      const variant = await ProductVariantModel.updateVariant(
+        existing.id,
+        updateData,
+        resolvedOptions,
+        { created_by: req.user.id }
+      );
+      await AuditService.record(req, {
+        action: "variant.update",
+        entityType: "product_variant",
+        entityId: existing.id,
+        before: existing,
+        after: variant,
+      });
+
+      res.json({
+        status: true,
+        message: "Product variant updated successfully",
+        data: { variant },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a variant's stock quantity, in one warehouse or in total
+   */
+  static async updateVariantStock(req, res) {
+    try {
+      const { product_id, variant_id } = req.params;
+      const { stock_quantity, warehouse_id } = req.body;
+
+      const existing = await ProductVariantController.getExistingVariant(
+        product_id,
+        variant_id
+      );
+
+      const warehouse = await ProductController.getStockWarehouse(warehouse_id);
+      const change = await ProductController.setItemStock(
+        req,
+        warehouse,
+        existing,
+        existing.id,
+        stock_quantity
+      );
+      const variant = await ProductVariantModel.findById(existing.id);
+      await AuditService.record(req, {
+        action: "variant.update_stock",
+        entityType: "product_variant",
+        entityId: existing.id,
+        before: { stock_quantity: change.old_quantity },
+        after: { stock_quantity },
+        metadata: warehouse ? { warehouse_id: warehouse.id } : null,
+      });
+
+      const stockLevels = await WarehouseModel.getStockLevels(
+        existing.product_id
+      );
+
+      res.json({
+        status: true,
+        message: "Variant stock updated successfully",
+        data: {
+          variant,
+          warehouse,
+          old_stock: change.old_quantity,
+          new_stock: stock_quantity,
+          stock_levels: stockLevels.filter(
+            (level) => level.variant_id === existing.id
+          ),
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a variant (Admin only)
+   */
+  static async deleteVariant(req, res) {
+    try {
+      const { product_id, variant_id } = req.params;
+
+      const existing = await ProductVariantController.getExistingVariant(
+        product_id,
+        variant_id
+      );
+
+      const outcome = await ProductVariantModel.deleteVariant(existing.id);
+      if (!outcome) {
+        throw new NotFoundError("Product variant not found");
+      }
+
+      if (outcome === "deactivated") {
+        await AuditService.record(req, {
+          action: "variant.update",
+          entityType: "product_variant",
+          entityId: existing.id,
+          before: { is_active: existing.is_active },
+          after: { is_active: false },
+          metadata: { deactivated_instead_of_deleted: true },
+        });
+
+        return res.json({
+          status: true,
+          message:
+            "Product variant is used by orders, so it was deactivated instead of deleted",
+        });
+      }
+
+      await AuditService.record(req, {
+        action: "variant.delete",
+        entityType: "product_variant",
+        entityId: existing.id,
+        before: existing,
+      });
+
+      res.json({
+        status: true,
+        message: "Product variant deleted successfully",
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = { ProductVariantController };
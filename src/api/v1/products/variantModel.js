@@ -0,0 +1,403 @@
+const {
+  executeQuery,
+  withTransaction,
+  buildInsertQuery,
+  buildUpdateQuery,
+} = require("../../../helpers/db");
+const { AppError, DatabaseError } = require("../../../errors/customErrors");
+const { BusinessLogicError } = require("../../../middleware/errorHandler");
+const { CacheManager } = require("../../../utils/cache");
+const WarehouseModel = require("../warehouses/model");
+const OrderModel = require("../orders/model");
+
+// Variant columns with the price falling back to the product price and the
+// code suffix appended to the product's full code
+const VARIANT_COLUMNS = `
+  pv.id, pv.product_id, pv.code_suffix, pv.price as own_price,
+  COALESCE(pv.price, p.price) as price, pv.stock_quantity, pv.is_active,
+  pv.sort_order, pv.created_at, pv.updated_at,
+  CONCAT(COALESCE(c.code, ''), p.code, pv.code_suffix) as full_code
+`;
+
+const VARIANT_JOINS = `
+  FROM product_variants pv
+  JOIN products p ON pv.product_id = p.id
+  LEFT JOIN categories c ON p.category_id = c.id
+`;
+
+/**
+ * Product variants: sellable versions of a product (e.g. a phone case in
+ * red and in blue) with their own code suffix, stock and optional price.
+ * Each variant has an `options` object mapping option type names to values.
+ */
+class ProductVariantModel {
+  /**
+   * Load the option values of variants into their `options` objects
+   * @param {Array} variants - Variant rows
+   * @returns {Promise<Array>} The same variants
+   */
+  static async attachOptions(variants) {
+    if (variants.length === 0) return variants;
+
+    const rows = await executeQuery(
+      `SELECT pvo.variant_id, vot.name, pvo.value
+       FROM product_variant_options pvo
+       JOIN variant_option_types vot ON pvo.option_type_id = vot.id
+       WHERE pvo.variant_id IN (?)
+       ORDER BY vot.sort_order ASC, vot.name ASC`,
+      [variants.map((variant) => variant.id)],
+      "Get Variant Options"
+    );
+
+    variants.forEach((variant) => {
+      variant.options = {};
+    });
+    const byId = new Map(variants.map((variant) => [variant.id, variant]));
+    rows.forEach((row) => {
+      byId.get(row.variant_id).options[row.name] = row.value;
+    });
+
+    return variants;
+  }
+
+  /**
+   * Human-readable description of a variant's options, e.g. "Color: Red"
+   */
+  static describe(variant) {
+    return Object.entries(variant.options || {})
+      .map(([name, value]) => `${name}: ${value}`)
+      .join(", ");
+  }
+
+  /**
+   * Get the variants of several products
+   * @param {number[]} productIds - Product IDs
+   * @param {boolean} includeInactive - Include deactivated variants
+   * @returns {Promise<Map<number, Array>>} Variants by product ID
+   */
+  static async getVariantsByProduct(productIds, includeInactive = false) {
+    const byProduct = new Map(productIds.map((id) => [id, []]));
+    if (productIds.length === 0) return byProduct;
+
+    try {
+      const variants = await executeQuery(
+        `SELECT ${VARIANT_COLUMNS}
+         ${VARIANT_JOINS}
+         WHERE pv.product_id IN (?) ${
+           includeInactive ? "" : "AND pv.is_active = true"
+         }
+         ORDER BY pv.sort_order ASC, pv.id ASC`,
+        [productIds],
+        "Get Product Variants"
+      );
+      await this.attachOptions(variants);
+
+      variants.forEach((variant) => {
+        byProduct.get(variant.product_id).push(variant);
+      });
+      return byProduct;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting product variants: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the variants of a product
+   */
+  static async getProductVariants(productId, includeInactive = false) {
+    const byProduct = await this.getVariantsByProduct(
+      [parseInt(productId)],
+      includeInactive
+    );
+    return byProduct.get(parseInt(productId));
+  }
+
+  /**
+   * Set `variants` on each product of a listing
+   */
+  static async attachVariants(products, includeInactive = false) {
+    const byProduct = await this.getVariantsByProduct(
+      products.map((product) => product.id),
+      includeInactive
+    );
+    products.forEach((product) => {
+      product.variants = byProduct.get(product.id);
+    });
+    return products;
+  }
+
+  /**
+   * Count the active variants of a product
+   */
+  static async countActiveVariants(productId) {
+    try {
+      const result = await executeQuery(
+        `SELECT COUNT(*) as count FROM product_variants
+         WHERE product_id = ? AND is_active = true`,
+        [productId],
+        "Count Product Variants"
+      );
+      return result[0].count;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error counting product variants: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find a variant by ID, with its product's name and status
+   */
+  static async findById(id) {
+    try {
+      const result = await executeQuery(
+        `SELECT ${VARIANT_COLUMNS},
+                p.name as product_name, p.is_active as product_is_active
+         ${VARIANT_JOINS}
+         WHERE pv.id = ?`,
+        [id],
+        "Find Product Variant By ID"
+      );
+      if (result.length === 0) return null;
+
+      const [variant] = await this.attachOptions(result);
+      return variant;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding product variant: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find a product's variant by code suffix
+   */
+  static async findBySuffix(productId, codeSuffix) {
+    try {
+      const result = await executeQuery(
+        "SELECT id FROM product_variants WHERE product_id = ? AND code_suffix = ?",
+        [productId, codeSuffix],
+        "Find Product Variant By Suffix"
+      );
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding product variant: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find a variant by full code (category_code + product_code + code_suffix)
+   */
+  static async findByFullCode(fullCode) {
+    try {
+      const result = await executeQuery(
+        `SELECT pv.id
+         ${VARIANT_JOINS}
+         WHERE CONCAT(COALESCE(c.code, ''), p.code, pv.code_suffix) = ?`,
+        [fullCode],
+        "Find Product Variant By Full Code"
+      );
+      return result.length > 0 ? await this.findById(result[0].id) : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding product variant by full code: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Insert option values for a variant inside a transaction
+   * @param {Array} options - [{ option_type_id, value }]
+   */
+  static async insertOptions(tx, variantId, options) {
+    if (options.length === 0) return;
+
+    await tx.query(
+      "INSERT INTO product_variant_options (variant_id, option_type_id, value) VALUES ?",
+      [
+        options.map((option) => [
+          variantId,
+          option.option_type_id,
+          option.value,
+        ]),
+      ],
+      "Insert Variant Options"
+    );
+  }
+
+  /**
+   * Create a variant with its option values (Admin only). Its initial stock
+   * is received into the default warehouse.
+   * @param {number} productId - Product ID
+   * @param {Object} variantData - { code_suffix, price, stock_quantity, is_active, sort_order }
+   * @param {Array} options - [{ option_type_id, value }]
+   * @param {Object} stockMovement - Why the stock is added (see StockMovementModel)
+   * @returns {Promise<Object>} Created variant
+   */
+  static async createVariant(
+    productId,
+    variantData,
+    options,
+    stockMovement = {}
+  ) {
+    try {
+      const { stock_quantity: stockQuantity, ...fields } = variantData;
+
+      const variantId = await withTransaction(async (tx) => {
+        const insert = buildInsertQuery("product_variants", {
+          ...fields,
+          product_id: productId,
+        });
+        const { insertId } = await tx.query(insert.sql, insert.params);
+        await this.insertOptions(tx, insertId, options);
+
+        if (stockQuantity) {
+          await WarehouseModel.applyTotalStock(
+            tx,
+            productId,
+            insertId,
+            stockQuantity,
+            stockMovement
+          );
+        }
+        return insertId;
+      }, "Create Product Variant");
+
+      await CacheManager.invalidateProduct(productId);
+      return await this.findById(variantId);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new DatabaseError(
+        `Error creating product variant: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Update a variant (Admin only). Given options replace the current ones.
+   * A new stock_quantity is the total over all warehouses; the difference
+   * goes to the default warehouse.
+   */
+  static async updateVariant(id, updateData, options, stockMovement = {}) {
+    try {
+      const variant = await this.findById(id);
+      const { stock_quantity: stockQuantity, ...fields } = updateData;
+
+      await withTransaction(async (tx) => {
+        if (Object.keys(fields).length > 0) {
+          const update = buildUpdateQuery("product_variants", fields, { id });
+          await tx.query(update.sql, update.params);
+        }
+
+        if (options) {
+          await tx.query(
+            "DELETE FROM product_variant_options WHERE variant_id = ?",
+            [id],
+            "Clear Variant Options"
+          );
+          await this.insertOptions(tx, id, options);
+        }
+
+        if (stockQuantity !== undefined) {
+          await WarehouseModel.applyTotalStock(
+            tx,
+            variant.product_id,
+            id,
+            stockQuantity,
+            stockMovement
+          );
+        }
+      }, "Update Product Variant");
+
+      await CacheManager.invalidateProduct(variant.product_id);
+      return await this.findById(id);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new DatabaseError(
+        `Error updating product variant: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Delete a variant (Admin only). A variant that orders or purchase orders
+   * refer to is deactivated instead, so what they reserve or receive stays
+   * on the variant's stock. Open orders must be delivered or cancelled first.
+   * @returns {Promise<string|null>} "deleted", "deactivated" or null if not found
+   */
+  static async deleteVariant(id) {
+    try {
+      const result = await withTransaction(async (tx) => {
+        // Placing an order locks the variant too (see lockStockItem)
+        const [variant] = await tx.query(
+          "SELECT id, product_id FROM product_variants WHERE id = ? FOR UPDATE",
+          [id],
+          "Lock Product Variant"
+        );
+        if (!variant) return null;
+
+        const [usage] = await tx.query(
+          `SELECT
+             (SELECT COUNT(DISTINCT o.id)
+              FROM order_items oi
+              JOIN orders o ON oi.order_id = o.id
+              WHERE oi.variant_id = ? AND o.status NOT IN (?, ?)) as open_orders,
+             (SELECT COUNT(*) FROM order_items WHERE variant_id = ?) as order_items,
+             (SELECT COUNT(*) FROM purchase_order_items WHERE variant_id = ?) as purchase_order_items`,
+          [
+            id,
+            OrderModel.ORDER_STATUSES.DELIVERED,
+            OrderModel.ORDER_STATUSES.CANCELLED,
+            id,
+            id,
+          ],
+          "Check Product Variant Usage"
+        );
+        if (usage.open_orders > 0) {
+          throw new BusinessLogicError(
+            `This variant is reserved by ${usage.open_orders} open order(s); deactivate it until they are delivered or cancelled`
+          );
+        }
+
+        if (usage.order_items > 0 || usage.purchase_order_items > 0) {
+          await tx.query(
+            "UPDATE product_variants SET is_active = false WHERE id = ?",
+            [id],
+            "Deactivate Product Variant"
+          );
+          return { productId: variant.product_id, outcome: "deactivated" };
+        }
+
+        await tx.query(
+          "DELETE FROM product_variants WHERE id = ?",
+          [id],
+          "Delete Product Variant"
+        );
+        return { productId: variant.product_id, outcome: "deleted" };
+      }, "Delete Product Variant");
+
+      if (!result) return null;
+      await CacheManager.invalidateProduct(result.productId);
+      return result.outcome;
+    } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
+      throw new DatabaseError(
+        `Error deleting product variant: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = ProductVariantModel;
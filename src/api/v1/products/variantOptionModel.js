@@ -0,0 +1,161 @@
+const {
+  executeQuery,
+  buildInsertQuery,
+  buildUpdateQuery,
+} = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+/**
+ * Variant option types (Color, Size, Capacity, ...), shared by all products
+ */
+class VariantOptionTypeModel {
+  /**
+   * Get all option types with the number of variants using each
+   */
+  static async getOptionTypes() {
+    try {
+      return await executeQuery(
+        `SELECT vot.id, vot.name, vot.sort_order, vot.created_at, vot.updated_at,
+                COUNT(pvo.variant_id) as variant_count
+         FROM variant_option_types vot
+         LEFT JOIN product_variant_options pvo ON pvo.option_type_id = vot.id
+         GROUP BY vot.id
+         ORDER BY vot.sort_order ASC, vot.name ASC`,
+        [],
+        "Get Variant Option Types"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting variant option types: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find option type by ID
+   */
+  static async findById(id) {
+    try {
+      const result = await executeQuery(
+        `SELECT vot.*,
+                (SELECT COUNT(*) FROM product_variant_options pvo
+                 WHERE pvo.option_type_id = vot.id) as variant_count
+         FROM variant_option_types vot
+         WHERE vot.id = ?`,
+        [id],
+        "Find Variant Option Type By ID"
+      );
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding variant option type: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find option types by name (case-insensitive)
+   * @param {string[]} names - Option type names
+   * @returns {Promise<Array>} Matching option types
+   */
+  static async findByNames(names) {
+    if (names.length === 0) return [];
+
+    try {
+      return await executeQuery(
+        "SELECT id, name, sort_order FROM variant_option_types WHERE name IN (?)",
+        [names],
+        "Find Variant Option Types By Name"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding variant option types: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Turn an options object ({ Color: "Red" }) into option rows
+   * @param {Object} options - Option type name => value
+   * @returns {Promise<Object>} { values: [{ option_type_id, value }], unknown:
+   *   names that are not option types }
+   */
+  static async resolveOptionValues(options) {
+    const names = Object.keys(options);
+    const types = await this.findByNames(names);
+    const byName = new Map(
+      types.map((type) => [type.name.toLowerCase(), type])
+    );
+
+    return {
+      values: names
+        .filter((name) => byName.has(name.toLowerCase()))
+        .map((name) => ({
+          option_type_id: byName.get(name.toLowerCase()).id,
+          value: String(options[name]).trim(),
+        })),
+      unknown: names.filter((name) => !byName.has(name.toLowerCase())),
+    };
+  }
+
+  /**
+   * Create an option type (Admin only)
+   * @param {Object} data - { name, sort_order }
+   */
+  static async createOptionType(data) {
+    try {
+      const query = buildInsertQuery("variant_option_types", data);
+      const result = await executeQuery(
+        query.sql,
+        query.params,
+        "Create Variant Option Type"
+      );
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error creating variant option type: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Update an option type (Admin only)
+   */
+  static async updateOptionType(id, data) {
+    try {
+      const query = buildUpdateQuery("variant_option_types", data, { id });
+      await executeQuery(query.sql, query.params, "Update Variant Option Type");
+      return await this.findById(id);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error updating variant option type: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Delete an option type (Admin only). Fails while variants use it.
+   */
+  static async deleteOptionType(id) {
+    try {
+      const result = await executeQuery(
+        "DELETE FROM variant_option_types WHERE id = ?",
+        [id],
+        "Delete Variant Option Type"
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error deleting variant option type: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = VariantOptionTypeModel;
@@ -0,0 +1,368 @@
+const PurchaseOrderModel = require("./model");
+const SupplierController = require("./supplierController");
+const WarehouseModel = require("../warehouses/model");
+const ProductModel = require("../products/model");
+const ProductVariantModel = require("../products/variantModel");
+const {
+  NotFoundError,
+  ValidationError,
+  BusinessLogicError,
+} = require("../../../middleware/errorHandler");
+const { AuditService } = require("../../../services/audit");
+
+class PurchaseOrderController {
+  /**
+   * Find a purchase order or throw
+   */
+  static async getExistingPurchaseOrder(purchaseOrderId) {
+    const purchaseOrder = await PurchaseOrderModel.findById(purchaseOrderId);
+    if (!purchaseOrder) {
+      throw new NotFoundError("Purchase order not found");
+    }
+    return purchaseOrder;
+  }
+
+  /**
+   * Check that goods can be ordered from a supplier into a warehouse
+   */
+  static async checkSupplierAndWarehouse(supplierId, warehouseId) {
+    const supplier = await SupplierController.getExistingSupplier(supplierId);
+    if (!supplier.is_active) {
+      throw new BusinessLogicError(`Supplier ${supplier.name} is inactive`);
+    }
+
+    const warehouse = await WarehouseModel.findById(warehouseId);
+    if (!warehouse) {
+      throw new NotFoundError("Warehouse not found");
+    }
+    if (!warehouse.is_active) {
+      throw new BusinessLogicError(
+        `Cannot receive goods into inactive warehouse ${warehouse.name}`
+      );
+    }
+  }
+
+  /**
+   * Turn requested items into purchase order items, with the name and code
+   * of what is ordered
+   * @param {Array} items - { product_id, variant_id, quantity, unit_cost }
+   */
+  static async buildItems(items) {
+    const seen = new Set();
+    const purchaseOrderItems = [];
+
+    for (const item of items) {
+      const key = WarehouseModel.stockKey(item);
+      if (seen.has(key)) {
+        throw new ValidationError(
+          "Each product or variant can only be listed once"
+        );
+      }
+      seen.add(key);
+
+      const product = await ProductModel.findById(item.product_id);
+      if (!product) {
+        throw new NotFoundError(`Product ${item.product_id} not found`);
+      }
+
+      let fullCode = product.full_code;
+      if (item.variant_id) {
+        const variant = await ProductVariantModel.findById(item.variant_id);
+        if (!variant || variant.product_id !== product.id) {
+          throw new NotFoundError(`Variant ${item.variant_id} not found`);
+        }
+        fullCode = variant.full_code;
+      } else if (
+        (await ProductVariantModel.countActiveVariants(product.id)) > 0
+      ) {
+        throw new ValidationError(
+          `"${product.name}" is stocked per variant, please choose a variant`
+        );
+      }
+
+      purchaseOrderItems.push({
+        product_id: product.id,
+        variant_id: item.variant_id || null,
+        product_name: product.name,
+        full_code: fullCode,
+        quantity_ordered: item.quantity,
+        unit_cost: item.unit_cost,
+      });
+    }
+
+    return purchaseOrderItems;
+  }
+
+  /**
+   * Get purchase orders
+   */
+  static async getPurchaseOrders(req, res) {
+    try {
+      const { page, limit, status, supplier_id, warehouse_id, search } =
+        req.query;
+
+      const result = await PurchaseOrderModel.getPurchaseOrders({
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20,
+        status,
+        supplierId: supplier_id ? parseInt(supplier_id) : undefined,
+        warehouseId: warehouse_id ? parseInt(warehouse_id) : undefined,
+        search,
+      });
+
+      res.json({
+        status: true,
+        message: "Purchase orders retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a purchase order with its items
+   */
+  static async getPurchaseOrder(req, res) {
+    try {
+      const purchaseOrder = await PurchaseOrderController.getExistingPurchaseOrder(
+        req.params.purchase_order_id
+      );
+
+      res.json({
+        status: true,
+        message: "Purchase order retrieved successfully",
+        data: { purchase_order: purchaseOrder },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Draft a purchase order
+   */
+  static async createPurchaseOrder(req, res) {
+    try {
+      const { supplier_id, warehouse_id, expected_at, notes, items } = req.body;
+
+      await PurchaseOrderController.checkSupplierAndWarehouse(
+        supplier_id,
+        warehouse_id
+      );
+      const purchaseOrderItems = await PurchaseOrderController.buildItems(
+        items
+      );
+
+      const purchaseOrder = await PurchaseOrderModel.createPurchaseOrder(
+        {
+          supplier_id,
+          warehouse_id,
+          expected_at: expected_at || null,
+          notes: notes || null,
+          created_by: req.user.id,
+        },
+        purchaseOrderItems
+      );
+      await AuditService.record(req, {
+        action: "purchase_order.create",
+        entityType: "purchase_order",
+        entityId: purchaseOrder.id,
+        after: purchaseOrder,
+      });
+
+      res.status(201).json({
+        status: true,
+        message: `Purchase order ${purchaseOrder.po_number} created`,
+        data: { purchase_order: purchaseOrder },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a draft purchase order
+   */
+  static async updatePurchaseOrder(req, res) {
+    try {
+      const existing = await PurchaseOrderController.getExistingPurchaseOrder(
+        req.params.purchase_order_id
+      );
+      if (existing.status !== PurchaseOrderModel.STATUSES.DRAFT) {
+        throw new BusinessLogicError(
+          "Only draft purchase orders can be edited"
+        );
+      }
+
+      const { supplier_id, warehouse_id, expected_at, notes, items } = req.body;
+      const updateData = {};
+      if (supplier_id !== undefined) updateData.supplier_id = supplier_id;
+      if (warehouse_id !== undefined) updateData.warehouse_id = warehouse_id;
+      if (expected_at !== undefined) {
+        updateData.expected_at = expected_at || null;
+      }
+      if (notes !== undefined) updateData.notes = notes || null;
+
+      if (Object.keys(updateData).length === 0 && !items) {
+        throw new ValidationError("Nothing to update");
+      }
+
+      if (supplier_id !== undefined || warehouse_id !== undefined) {
+        await PurchaseOrderController.checkSupplierAndWarehouse(
+          supplier_id ?? existing.supplier_id,
+          warehouse_id ?? existing.warehouse_id
+        );
+      }
+      const purchaseOrderItems = items
+        ? await PurchaseOrderController.buildItems(items)
+        : undefined;
+
+      const purchaseOrder = await PurchaseOrderModel.updatePurchaseOrder(
+        existing.id,
+        updateData,
+        purchaseOrderItems
+      );
+      await AuditService.record(req, {
+        action: "purchase_order.update",
+        entityType: "purchase_order",
+        entityId: existing.id,
+        before: existing,
+        after: purchaseOrder,
+      });
+
+      res.json({
+        status: true,
+        message: "Purchase order updated successfully",
+        data: { purchase_order: purchaseOrder },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Place a draft purchase order with its supplier
+   */
+  static async placePurchaseOrder(req, res) {
+    try {
+      const existing = await PurchaseOrderController.getExistingPurchaseOrder(
+        req.params.purchase_order_id
+      );
+
+      const placed = await PurchaseOrderModel.changeStatus(
+        existing.id,
+        [PurchaseOrderModel.STATUSES.DRAFT],
+        PurchaseOrderModel.STATUSES.ORDERED,
+        "ordered_at"
+      );
+      if (!placed) {
+        throw new BusinessLogicError(
+          `Purchase order is already ${existing.status}`
+        );
+      }
+
+      const purchaseOrder = await PurchaseOrderModel.findById(existing.id);
+      await AuditService.record(req, {
+        action: "purchase_order.place",
+        entityType: "purchase_order",
+        entityId: existing.id,
+        before: { status: existing.status },
+        after: { status: purchaseOrder.status },
+      });
+
+      res.json({
+        status: true,
+        message: `Purchase order ${purchaseOrder.po_number} placed`,
+        data: { purchase_order: purchaseOrder },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a purchase order. Goods already received stay in stock; no more
+   * can be received.
+   */
+  static async cancelPurchaseOrder(req, res) {
+    try {
+      const existing = await PurchaseOrderController.getExistingPurchaseOrder(
+        req.params.purchase_order_id
+      );
+
+      const cancelled = await PurchaseOrderModel.changeStatus(
+        existing.id,
+        [
+          PurchaseOrderModel.STATUSES.DRAFT,
+          ...PurchaseOrderModel.OPEN_STATUSES,
+        ],
+        PurchaseOrderModel.STATUSES.CANCELLED,
+        "cancelled_at"
+      );
+      if (!cancelled) {
+        throw new BusinessLogicError(
+          `Cannot cancel a ${existing.status} purchase order`
+        );
+      }
+
+      const purchaseOrder = await PurchaseOrderModel.findById(existing.id);
+      await AuditService.record(req, {
+        action: "purchase_order.cancel",
+        entityType: "purchase_order",
+        entityId: existing.id,
+        before: { status: existing.status },
+        after: { status: purchaseOrder.status },
+        metadata: { reason: req.body.reason || null },
+      });
+
+      res.json({
+        status: true,
+        message: `Purchase order ${purchaseOrder.po_number} cancelled`,
+        data: { purchase_order: purchaseOrder },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Receive a delivery on a purchase order into its warehouse's stock
+   */
+  static async receivePurchaseOrder(req, res) {
+    try {
+      const { items, notes } = req.body;
+
+      const existing = await PurchaseOrderController.getExistingPurchaseOrder(
+        req.params.purchase_order_id
+      );
+
+      const purchaseOrder = await PurchaseOrderModel.receiveItems(
+        existing.id,
+        items,
+        { notes: notes || null, createdBy: req.user.id }
+      );
+      await AuditService.record(req, {
+        action: "purchase_order.receive",
+        entityType: "purchase_order",
+        entityId: existing.id,
+        before: { status: existing.status },
+        after: { status: purchaseOrder.status },
+        metadata: { items, notes: notes || null },
+      });
+
+      res.json({
+        status: true,
+        message:
+          purchaseOrder.status === PurchaseOrderModel.STATUSES.RECEIVED
+            ? `Purchase order ${purchaseOrder.po_number} fully received`
+            : `Delivery received on purchase order ${purchaseOrder.po_number}`,
+        data: { purchase_order: purchaseOrder },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = PurchaseOrderController;
@@ -0,0 +1,433 @@
+const {
+  executeQuery,
+  withTransaction,
+  buildInsertQuery,
+  buildUpdateQuery,
+} = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+const { BusinessLogicError } = require("../../../middleware/errorHandler");
+const { CacheManager } = require("../../../utils/cache");
+const OrderModel = require("../orders/model");
+const WarehouseModel = require("../warehouses/model");
+const StockMovementModel = require("../warehouses/stockMovementModel");
+
+/**
+ * Purchase orders: goods bought from a supplier for one warehouse.
+ *
+ * A purchase order is drafted, placed with the supplier (ordered) and
+ * received, possibly over several deliveries (partially_received) until
+ * every item has arrived (received). Until then it can be cancelled; stock
+ * already received stays.
+ */
+class PurchaseOrderModel {
+  static STATUSES = {
+    DRAFT: "draft",
+    ORDERED: "ordered",
+    PARTIALLY_RECEIVED: "partially_received",
+    RECEIVED: "received",
+    CANCELLED: "cancelled",
+  };
+
+  // Statuses in which goods can still arrive
+  static OPEN_STATUSES = [
+    PurchaseOrderModel.STATUSES.ORDERED,
+    PurchaseOrderModel.STATUSES.PARTIALLY_RECEIVED,
+  ];
+
+  /**
+   * Purchase order number format, e.g. PO2503007: numbered per month in
+   * the order number sequences
+   */
+  static PO_NUMBER_FORMAT = {
+    prefix: "PO",
+    dateFormat: "YYMM",
+    padding: 3,
+  };
+
+  static async generatePoNumber(tx) {
+    const format = this.PO_NUMBER_FORMAT;
+    const datePart = OrderModel.formatOrderNumberDate(
+      new Date(),
+      format.dateFormat
+    );
+
+    const result = await tx.query(
+      `INSERT INTO order_number_sequences (sequence_key, last_value)
+       VALUES (?, LAST_INSERT_ID(1))
+       ON DUPLICATE KEY UPDATE last_value = LAST_INSERT_ID(last_value + 1)`,
+      [`${format.prefix}${datePart}`],
+      "Next Purchase Order Number"
+    );
+
+    return OrderModel.formatOrderNumber(datePart, result.insertId, format);
+  }
+
+  /**
+   * Get purchase orders with their totals
+   * @param {Object} options - { page, limit, status, supplierId,
+   *   warehouseId, search }
+   */
+  static async getPurchaseOrders(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      supplierId,
+      warehouseId,
+      search,
+    } = options;
+
+    try {
+      const whereConditions = [];
+      const params = [];
+
+      if (status) {
+        whereConditions.push("po.status = ?");
+        params.push(status);
+      }
+      if (supplierId) {
+        whereConditions.push("po.supplier_id = ?");
+        params.push(supplierId);
+      }
+      if (warehouseId) {
+        whereConditions.push("po.warehouse_id = ?");
+        params.push(warehouseId);
+      }
+      if (search) {
+        whereConditions.push("(po.po_number LIKE ? OR s.name LIKE ?)");
+        params.push(`%${search}%`, `%${search}%`);
+      }
+
+      const whereClause =
+        whereConditions.length > 0
+          ? `WHERE ${whereConditions.join(" AND ")}`
+          : "";
+
+      const countResult = await executeQuery(
+        `SELECT COUNT(*) as total
+         FROM purchase_orders po
+         JOIN suppliers s ON po.supplier_id = s.id
+         ${whereClause}`,
+        params,
+        "Count Purchase Orders"
+      );
+      const total = countResult[0].total;
+
+      const offset = (page - 1) * limit;
+      const purchaseOrders = await executeQuery(
+        `SELECT po.*, s.name as supplier_name,
+                w.code as warehouse_code, w.name as warehouse_name,
+                COUNT(poi.id) as item_count,
+                COALESCE(SUM(poi.quantity_ordered), 0) as quantity_ordered,
+                COALESCE(SUM(poi.quantity_received), 0) as quantity_received,
+                COALESCE(SUM(poi.quantity_ordered * poi.unit_cost), 0) as total_cost
+         FROM purchase_orders po
+         JOIN suppliers s ON po.supplier_id = s.id
+         JOIN warehouses w ON po.warehouse_id = w.id
+         LEFT JOIN purchase_order_items poi ON poi.purchase_order_id = po.id
+         ${whereClause}
+         GROUP BY po.id
+         ORDER BY po.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+        "Get Purchase Orders"
+      );
+
+      return {
+        purchase_orders: purchaseOrders,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting purchase orders: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get a purchase order with its items
+   */
+  static async findById(id) {
+    try {
+      const purchaseOrders = await executeQuery(
+        `SELECT po.*, s.name as supplier_name,
+                w.code as warehouse_code, w.name as warehouse_name,
+                u.first_name as created_by_first_name,
+                u.last_name as created_by_last_name
+         FROM purchase_orders po
+         JOIN suppliers s ON po.supplier_id = s.id
+         JOIN warehouses w ON po.warehouse_id = w.id
+         LEFT JOIN users u ON po.created_by = u.id
+         WHERE po.id = ?`,
+        [id],
+        "Find Purchase Order By ID"
+      );
+      if (purchaseOrders.length === 0) return null;
+
+      const purchaseOrder = purchaseOrders[0];
+      purchaseOrder.items = await executeQuery(
+        `SELECT poi.*, poi.quantity_ordered - poi.quantity_received as quantity_remaining,
+                poi.quantity_ordered * poi.unit_cost as total_cost
+         FROM purchase_order_items poi
+         WHERE poi.purchase_order_id = ?
+         ORDER BY poi.id ASC`,
+        [id],
+        "Get Purchase Order Items"
+      );
+      purchaseOrder.total_cost = purchaseOrder.items.reduce(
+        (sum, item) => sum + parseFloat(item.total_cost),
+        0
+      );
+
+      return purchaseOrder;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding purchase order: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  static async insertItems(tx, purchaseOrderId, items) {
+    for (const item of items) {
+      const insert = buildInsertQuery("purchase_order_items", {
+        purchase_order_id: purchaseOrderId,
+        ...item,
+      });
+      await tx.query(insert.sql, insert.params, "Add Purchase Order Item");
+    }
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {Object} data - { supplier_id, warehouse_id, expected_at, notes, created_by }
+   * @param {Array} items - { product_id, variant_id, product_name, full_code,
+   *   quantity_ordered, unit_cost }
+   */
+  static async createPurchaseOrder(data, items) {
+    try {
+      const id = await withTransaction(async (tx) => {
+        const insert = buildInsertQuery("purchase_orders", {
+          ...data,
+          po_number: await this.generatePoNumber(tx),
+          status: this.STATUSES.DRAFT,
+        });
+        const { insertId } = await tx.query(insert.sql, insert.params);
+        await this.insertItems(tx, insertId, items);
+        return insertId;
+      }, "Create Purchase Order");
+
+      return await this.findById(id);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error creating purchase order: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Update a draft purchase order, replacing its items when given
+   */
+  static async updatePurchaseOrder(id, data, items) {
+    try {
+      await withTransaction(async (tx) => {
+        const [purchaseOrder] = await tx.query(
+          "SELECT status FROM purchase_orders WHERE id = ? FOR UPDATE",
+          [id]
+        );
+        if (purchaseOrder.status !== this.STATUSES.DRAFT) {
+          throw new BusinessLogicError(
+            "Only draft purchase orders can be edited"
+          );
+        }
+
+        if (Object.keys(data).length > 0) {
+          const update = buildUpdateQuery("purchase_orders", data, { id });
+          await tx.query(update.sql, update.params);
+        }
+        if (items) {
+          await tx.query(
+            "DELETE FROM purchase_order_items WHERE purchase_order_id = ?",
+            [id]
+          );
+          await this.insertItems(tx, id, items);
+        }
+      }, "Update Purchase Order");
+
+      return await this.findById(id);
+    } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
+      throw new DatabaseError(
+        `Error updating purchase order: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Move a purchase order to a new status if it is in one of `fromStatuses`
+   * @param {string} timestampColumn - Column recording when it happened
+   * @returns {Promise<boolean>} Whether the status changed
+   */
+  static async changeStatus(id, fromStatuses, toStatus, timestampColumn) {
+    try {
+      const result = await executeQuery(
+        `UPDATE purchase_orders SET status = ?, ${timestampColumn} = NOW()
+         WHERE id = ? AND status IN (?)`,
+        [toStatus, id, fromStatuses],
+        "Change Purchase Order Status"
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error changing purchase order status: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Receive goods on a purchase order into its warehouse. Each received
+   * quantity is added to stock as a purchase movement.
+   * @param {Array} receipts - { item_id, quantity }
+   * @param {Object} options - { notes, createdBy }
+   * @returns {Promise<Object>} The purchase order after receiving
+   */
+  static async receiveItems(id, receipts, { notes, createdBy } = {}) {
+    try {
+      const productIds = await withTransaction(async (tx) => {
+        const [purchaseOrder] = await tx.query(
+          "SELECT * FROM purchase_orders WHERE id = ? FOR UPDATE",
+          [id]
+        );
+        if (!this.OPEN_STATUSES.includes(purchaseOrder.status)) {
+          throw new BusinessLogicError(
+            `Cannot receive goods on a ${purchaseOrder.status} purchase order`
+          );
+        }
+
+        const items = await tx.query(
+          "SELECT * FROM purchase_order_items WHERE purchase_order_id = ? FOR UPDATE",
+          [id]
+        );
+        const itemsById = new Map(items.map((item) => [item.id, item]));
+
+        const quantities = new Map();
+        for (const receipt of receipts) {
+          // Request values are validated but may still be numeric strings
+          const itemId = parseInt(receipt.item_id);
+          const item = itemsById.get(itemId);
+          if (!item) {
+            throw new BusinessLogicError(
+              `Item ${receipt.item_id} is not on this purchase order`
+            );
+          }
+          quantities.set(
+            item,
+            (quantities.get(item) || 0) + parseInt(receipt.quantity)
+          );
+        }
+
+        // Lock stock items in a fixed order
+        const received = [...quantities.entries()].sort(
+          ([a], [b]) =>
+            a.product_id - b.product_id ||
+            (a.variant_id || 0) - (b.variant_id || 0)
+        );
+        for (const [item, quantity] of received) {
+          const remaining = item.quantity_ordered - item.quantity_received;
+          if (quantity > remaining) {
+            throw new BusinessLogicError(
+              `Cannot receive ${quantity} of ${item.product_name}, only ${remaining} still expected`
+            );
+          }
+          if (!item.product_id) {
+            throw new BusinessLogicError(
+              `${item.product_name} no longer exists and cannot be received`
+            );
+          }
+          if (!item.variant_id) {
+            // Variants may have been added since it was ordered
+            const [{ count }] = await tx.query(
+              "SELECT COUNT(*) as count FROM product_variants WHERE product_id = ? AND is_active = true",
+              [item.product_id]
+            );
+            if (count > 0) {
+              throw new BusinessLogicError(
+                `${item.product_name} is stocked per variant and cannot be received without one`
+              );
+            }
+          }
+
+          await WarehouseModel.lockStockItem(
+            tx,
+            item.product_id,
+            item.variant_id
+          );
+          await WarehouseModel.updateStockRow(
+            tx,
+            purchaseOrder.warehouse_id,
+            item.product_id,
+            item.variant_id,
+            (current) => current + quantity,
+            {
+              reason: StockMovementModel.REASONS.PURCHASE,
+              reference_type: "purchase_order",
+              reference_id: id,
+              notes,
+              created_by: createdBy,
+            }
+          );
+          await WarehouseModel.syncTotalStock(
+            tx,
+            item.product_id,
+            item.variant_id
+          );
+          await tx.query(
+            "UPDATE purchase_order_items SET quantity_received = quantity_received + ? WHERE id = ?",
+            [quantity, item.id]
+          );
+          item.quantity_received += quantity;
+        }
+
+        const complete = items.every(
+          (item) => item.quantity_received >= item.quantity_ordered
+        );
+        await tx.query(
+          `UPDATE purchase_orders
+           SET status = ?, received_at = IF(?, NOW(), received_at)
+           WHERE id = ?`,
+          [
+            complete
+              ? this.STATUSES.RECEIVED
+              : this.STATUSES.PARTIALLY_RECEIVED,
+            complete,
+            id,
+          ]
+        );
+
+        return [...new Set(received.map(([item]) => item.product_id))];
+      }, "Receive Purchase Order");
+
+      for (const productId of productIds) {
+        await CacheManager.invalidateProduct(productId);
+      }
+      return await this.findById(id);
+    } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
+      throw new DatabaseError(
+        `Error receiving purchase order: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = PurchaseOrderModel;
@@ -0,0 +1,159 @@
+const express = require("express");
+const router = express.Router();
+
+const SupplierController = require("./supplierController");
+const PurchaseOrderController = require("./controller");
+const validateRequest = require("../../../middleware/validateRequest");
+const {
+  authenticateToken,
+  requirePermission,
+} = require("../../../middleware/auth");
+const { asyncHandler } = require("../../../middleware/errorHandler");
+const {
+  createSupplierSchema,
+  updateSupplierSchema,
+  getSuppliersSchema,
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  getPurchaseOrdersSchema,
+  receivePurchaseOrderSchema,
+  cancelPurchaseOrderSchema,
+} = require("./validation");
+
+// All purchasing routes are for staff
+router.use(authenticateToken);
+
+// ============ SUPPLIER ROUTES ============
+
+/**
+ * @route GET /api/v1/purchasing/suppliers
+ * @desc Get suppliers (?include_inactive=false for active ones only)
+ * @access Permission purchasing:read
+ */
+router.get(
+  "/suppliers",
+  requirePermission("purchasing:read"),
+  validateRequest(getSuppliersSchema),
+  asyncHandler(SupplierController.getSuppliers)
+);
+
+/**
+ * @route POST /api/v1/purchasing/suppliers
+ * @desc Create a supplier
+ * @access Permission purchasing:manage
+ */
+router.post(
+  "/suppliers",
+  requirePermission("purchasing:manage"),
+  validateRequest(createSupplierSchema),
+  asyncHandler(SupplierController.createSupplier)
+);
+
+/**
+ * @route GET /api/v1/purchasing/suppliers/:supplier_id
+ * @desc Get a supplier
+ * @access Permission purchasing:read
+ */
+router.get(
+  "/suppliers/:supplier_id",
+  requirePermission("purchasing:read"),
+  asyncHandler(SupplierController.getSupplier)
+);
+
+/**
+ * @route PUT /api/v1/purchasing/suppliers/:supplier_id
+ * @desc Update a supplier (deactivate instead of deleting)
+ * @access Permission purchasing:manage
+ */
+router.put(
+  "/suppliers/:supplier_id",
+  requirePermission("purchasing:manage"),
+  validateRequest(updateSupplierSchema),
+  asyncHandler(SupplierController.updateSupplier)
+);
+
+// ============ PURCHASE ORDER ROUTES ============
+
+/**
+ * @route GET /api/v1/purchasing/orders
+ * @desc Get purchase orders with their totals
+ * @access Permission purchasing:read
+ */
+router.get(
+  "/orders",
+  requirePermission("purchasing:read"),
+  validateRequest(getPurchaseOrdersSchema),
+  asyncHandler(PurchaseOrderController.getPurchaseOrders)
+);
+
+/**
+ * @route POST /api/v1/purchasing/orders
+ * @desc Draft a purchase order
+ * @access Permission purchasing:manage
+ */
+router.post(
+  "/orders",
+  requirePermission("purchasing:manage"),
+  validateRequest(createPurchaseOrderSchema),
+  asyncHandler(PurchaseOrderController.createPurchaseOrder)
+);
+
+/**
+ * @route GET /api/v1/purchasing/orders/:purchase_order_id
+ * @desc Get a purchase order with its items
+ * @access Permission purchasing:read
+ */
+router.get(
+  "/orders/:purchase_order_id",
+  requirePermission("purchasing:read"),
+  asyncHandler(PurchaseOrderController.getPurchaseOrder)
+);
+
+/**
+ * @route PUT /api/v1/purchasing/orders/:purchase_order_id
+ * @desc Edit a draft purchase order (items are replaced when given)
+ * @access Permission purchasing:manage
+ */
+router.put(
+  "/orders/:purchase_order_id",
+  requirePermission("purchasing:manage"),
+  validateRequest(updatePurchaseOrderSchema),
+  asyncHandler(PurchaseOrderController.updatePurchaseOrder)
+);
+
+/**
+ * @route POST /api/v1/purchasing/orders/:purchase_order_id/place
+ * @desc Place a draft purchase order with its supplier
+ * @access Permission purchasing:manage
+ */
+router.post(
+  "/orders/:purchase_order_id/place",
+  requirePermission("purchasing:manage"),
+  asyncHandler(PurchaseOrderController.placePurchaseOrder)
+);
+
+/**
+ * @route POST /api/v1/purchasing/orders/:purchase_order_id/cancel
+ * @desc Cancel a purchase order that is not fully received
+ * @access Permission purchasing:manage
+ */
+router.post(
+  "/orders/:purchase_order_id/cancel",
+  requirePermission("purchasing:manage"),
+  validateRequest(cancelPurchaseOrderSchema),
+  asyncHandler(PurchaseOrderController.cancelPurchaseOrder)
+);
+
+/**
+ * @route POST /api/v1/purchasing/orders/:purchase_order_id/receive
+ * @desc Receive a delivery (all or part of the items) into stock
+ * @access Permission purchasing:receive
+ */
+router.post(
+  "/orders/:purchase_order_id/receive",
+  requirePermission("purchasing:receive"),
+  validateRequest(receivePurchaseOrderSchema),
+  asyncHandler(PurchaseOrderController.receivePurchaseOrder)
+);
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const SupplierModel = require("./supplierModel");
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+} = require("../../../middleware/errorHandler");
+const { AuditService } = require("../../../services/audit");
+
+const SUPPLIER_FIELDS = [
+  "name",
+  "contact_name",
+  "phone_number",
+  "email",
+  "address",
+  "notes",
+  "is_active",
+];
+
+class SupplierController {
+  /**
+   * Find a supplier or throw
+   */
+  static async getExistingSupplier(supplierId) {
+    const supplier = await SupplierModel.findById(supplierId);
+    if (!supplier) {
+      throw new NotFoundError("Supplier not found");
+    }
+    return supplier;
+  }
+
+  /**
+   * Supplier fields present in a request body, with empty optional fields
+   * as NULL
+   */
+  static pickFields(body) {
+    const data = {};
+    for (const field of SUPPLIER_FIELDS) {
+      if (body[field] === undefined) continue;
+      data[field] = field === "is_active" ? body[field] : body[field] || null;
+    }
+    return data;
+  }
+
+  /**
+   * Get suppliers
+   */
+  static async getSuppliers(req, res) {
+    try {
+      const { include_inactive, search } = req.query;
+
+      const suppliers = await SupplierModel.getSuppliers({
+        includeInactive: include_inactive !== "false",
+        search,
+      });
+
+      res.json({
+        status: true,
+        message: "Suppliers retrieved successfully",
+        data: { suppliers },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a supplier
+   */
+  static async getSupplier(req, res) {
+    try {
+      const supplier = await SupplierController.getExistingSupplier(
+        req.params.supplier_id
+      );
+
+      res.json({
+        status: true,
+        message: "Supplier retrieved successfully",
+        data: { supplier },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a supplier
+   */
+  static async createSupplier(req, res) {
+    try {
+      const supplierData = {
+        is_active: true,
+        ...SupplierController.pickFields(req.body),
+      };
+
+      if (await SupplierModel.findByName(supplierData.name)) {
+        throw new ConflictError(
+          `Supplier '${supplierData.name}' already exists`
+        );
+      }
+
+      const supplier = await SupplierModel.createSupplier(supplierData);
+      await AuditService.record(req, {
+        action: "supplier.create",
+        entityType: "supplier",
+        entityId: supplier.id,
+        after: supplier,
+      });
+
+      res.status(201).json({
+        status: true,
+        message: "Supplier created successfully",
+        data: { supplier },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a supplier (deactivate instead of deleting)
+   */
+  static async updateSupplier(req, res) {
+    try {
+      const existing = await SupplierController.getExistingSupplier(
+        req.params.supplier_id
+      );
+
+      const updateData = SupplierController.pickFields(req.body);
+      if (Object.keys(updateData).length === 0) {
+        throw new ValidationError("Nothing to update");
+      }
+
+      if (updateData.name && updateData.name !== existing.name) {
+        if (await SupplierModel.findByName(updateData.name)) {
+          throw new ConflictError(
+            `Supplier '${updateData.name}' already exists`
+          );
+        }
+      }
+
+      const supplier = await SupplierModel.updateSupplier(
+        existing.id,
+        updateData
+      );
+      await AuditService.record(req, {
+        action: "supplier.update",
+        entityType: "supplier",
+        entityId: existing.id,
+        before: existing,
+        after: supplier,
+      });
+
+      res.json({
+        status: true,
+        message: "Supplier updated successfully",
+        data: { supplier },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = SupplierController;
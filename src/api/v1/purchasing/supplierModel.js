@@ -0,0 +1,120 @@
+const {
+  executeQuery,
+  buildInsertQuery,
+  buildUpdateQuery,
+} = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+/**
+ * Suppliers goods are bought from. Suppliers are deactivated rather than
+ * deleted, since purchase orders keep referring to them.
+ */
+class SupplierModel {
+  /**
+   * Get suppliers with their number of purchase orders
+   * @param {Object} options - { includeInactive, search }
+   */
+  static async getSuppliers(options = {}) {
+    const { includeInactive = true, search } = options;
+
+    try {
+      const whereConditions = [];
+      const params = [];
+
+      if (!includeInactive) {
+        whereConditions.push("s.is_active = true");
+      }
+      if (search) {
+        whereConditions.push(
+          "(s.name LIKE ? OR s.contact_name LIKE ? OR s.phone_number LIKE ?)"
+        );
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+      }
+
+      const whereClause =
+        whereConditions.length > 0
+          ? `WHERE ${whereConditions.join(" AND ")}`
+          : "";
+
+      return await executeQuery(
+        `SELECT s.*, COUNT(po.id) as purchase_order_count
+         FROM suppliers s
+         LEFT JOIN purchase_orders po ON po.supplier_id = s.id
+         ${whereClause}
+         GROUP BY s.id
+         ORDER BY s.is_active DESC, s.name ASC`,
+        params,
+        "Get Suppliers"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting suppliers: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const suppliers = await executeQuery(
+        "SELECT * FROM suppliers WHERE id = ?",
+        [id],
+        "Find Supplier By ID"
+      );
+      return suppliers[0] || null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding supplier: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const suppliers = await executeQuery(
+        "SELECT * FROM suppliers WHERE name = ?",
+        [name],
+        "Find Supplier By Name"
+      );
+      return suppliers[0] || null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding supplier: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  static async createSupplier(data) {
+    try {
+      const insert = buildInsertQuery("suppliers", data);
+      const result = await executeQuery(
+        insert.sql,
+        insert.params,
+        "Create Supplier"
+      );
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error creating supplier: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  static async updateSupplier(id, data) {
+    try {
+      const update = buildUpdateQuery("suppliers", data, { id });
+      await executeQuery(update.sql, update.params, "Update Supplier");
+      return await this.findById(id);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error updating supplier: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = SupplierModel;
@@ -0,0 +1,125 @@
+const Joi = require("joi");
+
+// Create supplier validation schema
+const createSupplierSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(150).required().messages({
+    "string.max": "Supplier name cannot exceed 150 characters",
+    "any.required": "Supplier name is required",
+  }),
+  contact_name: Joi.string().trim().max(100).allow("", null).optional(),
+  phone_number: Joi.string().trim().max(20).allow("", null).optional(),
+  email: Joi.string().email().max(255).allow("", null).optional(),
+  address: Joi.string().max(500).allow("", null).optional(),
+  notes: Joi.string().max(1000).allow("", null).optional(),
+  is_active: Joi.boolean().default(true),
+});
+
+// Update supplier validation schema
+const updateSupplierSchema = Joi.object({
+  supplier_id: Joi.number().optional(),
+  name: Joi.string().trim().min(2).max(150).optional(),
+  contact_name: Joi.string().trim().max(100).allow("", null).optional(),
+  phone_number: Joi.string().trim().max(20).allow("", null).optional(),
+  email: Joi.string().email().max(255).allow("", null).optional(),
+  address: Joi.string().max(500).allow("", null).optional(),
+  notes: Joi.string().max(1000).allow("", null).optional(),
+  is_active: Joi.boolean().optional(),
+});
+
+// Supplier listing validation schema
+const getSuppliersSchema = Joi.object({
+  include_inactive: Joi.boolean().optional(),
+  search: Joi.string().min(1).max(100).optional(),
+});
+
+const purchaseOrderItems = Joi.array()
+  .items(
+    Joi.object({
+      product_id: Joi.number().integer().positive().required(),
+      variant_id: Joi.number().integer().positive().optional(),
+      quantity: Joi.number().integer().min(1).required().messages({
+        "number.min": "Quantity must be at least 1",
+      }),
+      unit_cost: Joi.number().min(0).precision(2).required().messages({
+        "number.min": "Unit cost cannot be negative",
+        "any.required": "Unit cost is required",
+      }),
+    })
+  )
+  .min(1)
+  .messages({
+    "array.min": "A purchase order needs at least one item",
+  });
+
+// Create purchase order validation schema
+const createPurchaseOrderSchema = Joi.object({
+  supplier_id: Joi.number().integer().positive().required().messages({
+    "any.required": "Supplier is required",
+  }),
+  warehouse_id: Joi.number().integer().positive().required().messages({
+    "any.required": "Receiving warehouse is required",
+  }),
+  expected_at: Joi.date().allow(null).optional(),
+  notes: Joi.string().max(1000).allow("", null).optional(),
+  items: purchaseOrderItems.required(),
+});
+
+// Update purchase order validation schema
+const updatePurchaseOrderSchema = Joi.object({
+  purchase_order_id: Joi.number().optional(),
+  supplier_id: Joi.number().integer().positive().optional(),
+  warehouse_id: Joi.number().integer().positive().optional(),
+  expected_at: Joi.date().allow(null).optional(),
+  notes: Joi.string().max(1000).allow("", null).optional(),
+  items: purchaseOrderItems.optional(),
+});
+
+// Purchase order listing validation schema
+const getPurchaseOrdersSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string()
+    .valid("draft", "ordered", "partially_received", "received", "cancelled")
+    .optional(),
+  supplier_id: Joi.number().integer().positive().optional(),
+  warehouse_id: Joi.number().integer().positive().optional(),
+  search: Joi.string().min(1).max(100).optional(),
+});
+
+// Receive goods validation schema
+const receivePurchaseOrderSchema = Joi.object({
+  purchase_order_id: Joi.number().optional(),
+  items: Joi.array()
+    .items(
+      Joi.object({
+        item_id: Joi.number().integer().positive().required(),
+        quantity: Joi.number().integer().min(1).required().messages({
+          "number.min": "Received quantity must be at least 1",
+        }),
+      })
+    )
+    .min(1)
+    .required()
+    .messages({
+      "array.min": "Nothing to receive",
+      "any.required": "Received items are required",
+    }),
+  notes: Joi.string().max(500).allow("", null).optional(),
+});
+
+// Cancel purchase order validation schema
+const cancelPurchaseOrderSchema = Joi.object({
+  purchase_order_id: Joi.number().optional(),
+  reason: Joi.string().max(500).allow("", null).optional(),
+});
+
+module.exports = {
+  createSupplierSchema,
+  updateSupplierSchema,
+  getSuppliersSchema,
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  getPurchaseOrdersSchema,
+  receivePurchaseOrderSchema,
+  cancelPurchaseOrderSchema,
+};
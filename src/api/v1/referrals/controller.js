@@ -0,0 +1,129 @@
+const ReferralModel = require("./model");
+const UserModel = require("../auth/model");
+const ActivationCodeModel = require("../auth/activationCodeModel");
+const {
+  NotFoundError,
+  BusinessLogicError,
+} = require("../../../middleware/errorHandler");
+
+class ReferralController {
+  /**
+   * Get the current user's invite codes and remaining quota
+   */
+  static async getMyInvites(req, res) {
+    try {
+      const user = await UserModel.findById(req.user.id);
+
+      const [invites, quota] = await Promise.all([
+        ReferralModel.getInvites(user.id),
+        ReferralModel.getInviteQuota(user),
+      ]);
+
+      res.json({
+        status: true,
+        message: "Invites retrieved successfully",
+        data: { invites, quota },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a personal invite code. Whoever activates their account with it
+   * is recorded as referred by the current user.
+   */
+  static async createInvite(req, res) {
+    try {
+      const user = await UserModel.findById(req.user.id);
+      if (!user || !user.is_active) {
+        throw new BusinessLogicError("Only active accounts can invite users");
+      }
+
+      const quota = await ReferralModel.getInviteQuota(user);
+      if (quota.remaining <= 0) {
+        throw new BusinessLogicError(
+          `You have used all ${quota.quota} of your invites`
+        );
+      }
+
+      const expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + ReferralModel.INVITE_EXPIRY_DAYS);
+
+      const invite = await ActivationCodeModel.createActivationCode(
+        {
+          format: "JANAH",
+          referrer_id: user.id,
+          max_uses: 1,
+          expires_at: expiresAt,
+          notes: `Invite from ${user.first_name} ${user.last_name}`,
+        },
+        user.id
+      );
+
+      res.status(201).json({
+        status: true,
+        message: "Invite created successfully",
+        data: {
+          invite: {
+            code: invite.code,
+            expires_at: invite.expires_at,
+            created_at: invite.created_at,
+          },
+          quota: {
+            ...quota,
+            used: quota.used + 1,
+            remaining: quota.remaining - 1,
+          },
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an unused invite code of the current user
+   */
+  static async revokeInvite(req, res) {
+    try {
+      const { code } = req.params;
+
+      const invite = await ActivationCodeModel.findByCode(code);
+      if (!invite || invite.referrer_id !== req.user.id) {
+        throw new NotFoundError("Invite not found");
+      }
+      if (invite.use_count > 0) {
+        throw new BusinessLogicError("Used invites cannot be revoked");
+      }
+
+      await ActivationCodeModel.deactivateCode(invite.code);
+
+      res.json({
+        status: true,
+        message: "Invite revoked successfully",
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the users the current user referred
+   */
+  static async getMyReferrals(req, res) {
+    try {
+      const referrals = await ReferralModel.getReferrals(req.user.id);
+
+      res.json({
+        status: true,
+        message: "Referrals retrieved successfully",
+        data: { referrals, total: referrals.length },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = ReferralController;
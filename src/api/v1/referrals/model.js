@@ -0,0 +1,194 @@
+const { executeQuery, buildUpdateQuery } = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+const envInteger = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Personal invite codes and the referral links they create.
+ *
+ * An invite is an activation code with referrer_id set. A user's quota
+ * limits invites that are redeemed or still redeemable; revoked and expired
+ * unused invites give their slot back.
+ */
+class ReferralModel {
+  // Invites per user unless an admin sets users.invite_quota
+  static DEFAULT_INVITE_QUOTA = envInteger("REFERRAL_INVITE_QUOTA", 5);
+
+  static INVITE_EXPIRY_DAYS = envInteger("REFERRAL_INVITE_EXPIRY_DAYS", 30);
+
+  static MAX_TREE_DEPTH = 10;
+
+  /**
+   * Invite quota of a user and how much of it is taken
+   * @param {Object} user - User with id and invite_quota
+   * @returns {Promise<Object>} { quota, used, remaining, is_default }
+   */
+  static async getInviteQuota(user) {
+    try {
+      const result = await executeQuery(
+        `SELECT COUNT(*) as used
+         FROM activation_codes
+         WHERE referrer_id = ?
+           AND (use_count > 0
+                OR (is_active = 1 AND (expires_at IS NULL OR expires_at > NOW())))`,
+        [user.id],
+        "Count User Invites"
+      );
+
+      const isDefault =
+        user.invite_quota === null || user.invite_quota === undefined;
+      const quota = isDefault ? this.DEFAULT_INVITE_QUOTA : user.invite_quota;
+      const used = result[0].used;
+
+      return {
+        quota,
+        used,
+        remaining: Math.max(quota - used, 0),
+        is_default: isDefault,
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting invite quota: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the invite codes a user has created, newest first
+   */
+  static async getInvites(userId) {
+    try {
+      return await executeQuery(
+        `SELECT ac.id, ac.code, ac.is_active, ac.expires_at, ac.use_count,
+                ac.used_at, ac.created_at,
+                u.first_name as used_by_name, u.last_name as used_by_lastname
+         FROM activation_codes ac
+         LEFT JOIN users u ON ac.used_by = u.id
+         WHERE ac.referrer_id = ?
+         ORDER BY ac.created_at DESC, ac.id DESC`,
+        [userId],
+        "Get User Invites"
+      );
+    } catch (error) {
+      throw new DatabaseError(`Error getting invites: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Get the users a user referred directly, newest first
+   */
+  static async getReferrals(userId) {
+    try {
+      return await executeQuery(
+        `SELECT id, first_name, last_name, is_active, created_at, activated_at
+         FROM users
+         WHERE referred_by = ?
+         ORDER BY created_at DESC`,
+        [userId],
+        "Get User Referrals"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting referrals: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Count the users a user referred directly
+   * @returns {Promise<Object>} { total, active }
+   */
+  static async countReferrals(userId) {
+    try {
+      const result = await executeQuery(
+        `SELECT COUNT(*) as total,
+                COUNT(CASE WHEN is_active = 1 THEN 1 END) as active
+         FROM users
+         WHERE referred_by = ?`,
+        [userId],
+        "Count User Referrals"
+      );
+      return result[0];
+    } catch (error) {
+      throw new DatabaseError(
+        `Error counting referrals: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get everyone a user referred, directly or through their referrals
+   * @param {number} userId - Root of the tree
+   * @param {number} maxDepth - Levels below the root to include
+   * @returns {Promise<Object>} { tree, total } where tree is the root's direct
+   *   referrals, each with a nested `referrals` array
+   */
+  static async getReferralTree(userId, maxDepth = 3) {
+    try {
+      const rows = await executeQuery(
+        `WITH RECURSIVE referral_tree AS (
+           SELECT id, referred_by, first_name, last_name, phone_number,
+                  is_active, created_at, 1 AS depth
+           FROM users
+           WHERE referred_by = ?
+           UNION ALL
+           SELECT u.id, u.referred_by, u.first_name, u.last_name, u.phone_number,
+                  u.is_active, u.created_at, rt.depth + 1
+           FROM users u
+           JOIN referral_tree rt ON u.referred_by = rt.id
+           WHERE rt.depth < ?
+         )
+         SELECT * FROM referral_tree
+         ORDER BY depth, created_at`,
+        [userId, Math.min(maxDepth, this.MAX_TREE_DEPTH)],
+        "Get Referral Tree"
+      );
+
+      const nodes = new Map();
+      const tree = [];
+      rows.forEach((row) => {
+        const node = { ...row, referrals: [] };
+        nodes.set(row.id, node);
+
+        const parent = nodes.get(row.referred_by);
+        (parent ? parent.referrals : tree).push(node);
+      });
+
+      return { tree, total: rows.length };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting referral tree: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Set a user's invite quota (Admin only)
+   * @param {number} userId - User ID
+   * @param {number|null} quota - New quota, or null for the default
+   */
+  static async setInviteQuota(userId, quota) {
+    try {
+      const query = buildUpdateQuery(
+        "users",
+        { invite_quota: quota },
+        { id: userId }
+      );
+      await executeQuery(query.sql, query.params, "Set Invite Quota");
+    } catch (error) {
+      throw new DatabaseError(
+        `Error setting invite quota: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = ReferralModel;
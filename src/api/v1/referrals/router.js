@@ -0,0 +1,42 @@
+const express = require("express");
+const router = express.Router();
+
+const ReferralController = require("./controller");
+const { authenticateToken } = require("../../../middleware/auth");
+const { asyncHandler } = require("../../../middleware/errorHandler");
+
+// All referral routes act on the current user
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/v1/referrals
+ * @desc Get the users the current user referred
+ * @access Private (User)
+ */
+router.get("/", asyncHandler(ReferralController.getMyReferrals));
+
+/**
+ * @route GET /api/v1/referrals/invites
+ * @desc Get the current user's invite codes and remaining quota
+ * @access Private (User)
+ */
+router.get("/invites", asyncHandler(ReferralController.getMyInvites));
+
+/**
+ * @route POST /api/v1/referrals/invites
+ * @desc Create a personal invite code
+ * @access Private (Active user)
+ */
+router.post("/invites", asyncHandler(ReferralController.createInvite));
+
+/**
+ * @route PUT /api/v1/referrals/invites/:code/revoke
+ * @desc Revoke an unused invite code
+ * @access Private (User)
+ */
+router.put(
+  "/invites/:code/revoke",
+  asyncHandler(ReferralController.revokeInvite)
+);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const Joi = require("joi");
+
+// Admin invite quota schema
+const setInviteQuotaSchema = Joi.object({
+  user_id: Joi.number().integer().positive().optional(),
+  invite_quota: Joi.number()
+    .integer()
+    .min(0)
+    .max(1000)
+    .allow(null)
+    .required()
+    .messages({
+      "number.base": "Invite quota must be a number",
+      "number.integer": "Invite quota must be an integer",
+      "number.min": "Invite quota cannot be negative",
+      "number.max": "Invite quota cannot exceed 1000",
+      "any.required": "Invite quota is required (null for the default)",
+    }),
+});
+
+// Admin referral tree schema
+const getReferralTreeSchema = Joi.object({
+  user_id: Joi.number().integer().positive().optional(),
+  depth: Joi.number().integer().min(1).max(10).default(3).messages({
+    "number.base": "Depth must be a number",
+    "number.min": "Depth must be at least 1",
+    "number.max": "Depth cannot exceed 10",
+  }),
+});
+
+module.exports = {
+  setInviteQuotaSchema,
+  getReferralTreeSchema,
+};
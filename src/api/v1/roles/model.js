@@ -0,0 +1,235 @@
+const { executeQuery, withTransaction } = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+/**
+ * Roles and the permissions they grant
+ */
+class RoleModel {
+  // Holds every permission without grants, and cannot be changed
+  static SUPER_ADMIN = "super_admin";
+
+  // Role of customer accounts
+  static DEFAULT_ROLE = "user";
+
+  /**
+   * Get all roles with their permissions and number of users
+   * @returns {Promise<Array>} Roles
+   */
+  static async getRoles() {
+    try {
+      const roles = await executeQuery(
+        `SELECT r.*, COUNT(u.id) as user_count
+         FROM roles r
+         LEFT JOIN users u ON u.role = r.name
+         GROUP BY r.name
+         ORDER BY r.is_system DESC, r.name`,
+        [],
+        "Get Roles"
+      );
+      const grants = await executeQuery(
+        "SELECT role, permission FROM role_permissions ORDER BY permission",
+        [],
+        "Get Role Permissions"
+      );
+
+      return roles.map((role) => ({
+        ...role,
+        permissions: grants
+          .filter((grant) => grant.role === role.name)
+          .map((grant) => grant.permission),
+      }));
+    } catch (error) {
+      throw new DatabaseError(`Error getting roles: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Find a role with its permissions
+   * @param {string} name - Role name
+   * @returns {Promise<Object|null>} Role or null
+   */
+  static async findByName(name) {
+    try {
+      const result = await executeQuery(
+        `SELECT r.*,
+                (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count
+         FROM roles r
+         WHERE r.name = ?`,
+        [name],
+        "Find Role"
+      );
+      if (result.length === 0) return null;
+
+      return {
+        ...result[0],
+        permissions: await this.getRolePermissions(name),
+      };
+    } catch (error) {
+      throw new DatabaseError(`Error finding role: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Names of the permissions granted to a role
+   * @param {string} role - Role name
+   * @returns {Promise<string[]>}
+   */
+  static async getRolePermissions(role) {
+    try {
+      const rows = await executeQuery(
+        "SELECT permission FROM role_permissions WHERE role = ? ORDER BY permission",
+        [role],
+        "Get Permissions For Role"
+      );
+      return rows.map((row) => row.permission);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting role permissions: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Active users whose role grants a permission, super admins included
+   * @param {string} permission - Permission name
+   * @returns {Promise<Array>} { id, first_name, phone_number, preferred_language }
+   */
+  static async getUsersWithPermission(permission) {
+    try {
+      return await executeQuery(
+        `SELECT u.id, u.first_name, u.phone_number, u.preferred_language
+         FROM users u
+         WHERE u.is_active = true
+           AND (u.role = ? OR u.role IN (
+             SELECT role FROM role_permissions WHERE permission = ?
+           ))
+         ORDER BY u.id`,
+        [this.SUPER_ADMIN, permission],
+        "Get Users With Permission"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting users with permission: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get every permission that can be granted
+   * @returns {Promise<Array>} Permissions with descriptions
+   */
+  static async getPermissions() {
+    try {
+      return await executeQuery(
+        "SELECT name, description FROM permissions ORDER BY name",
+        [],
+        "Get Permissions"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting permissions: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Permission names from a list that do not exist
+   * @param {string[]} permissions - Permission names
+   * @returns {Promise<string[]>}
+   */
+  static async findUnknownPermissions(permissions) {
+    if (permissions.length === 0) return [];
+
+    const known = await this.getPermissions();
+    const names = new Set(known.map((permission) => permission.name));
+    return permissions.filter((permission) => !names.has(permission));
+  }
+
+  /**
+   * Create a role
+   * @param {Object} data - { name, description, permissions }
+   * @returns {Promise<Object>} Created role
+   */
+  static async createRole({ name, description = null, permissions = [] }) {
+    try {
+      await withTransaction(async (tx) => {
+        await tx.query(
+          "INSERT INTO roles (name, description) VALUES (?, ?)",
+          [name, description],
+          "Create Role"
+        );
+        await this.insertGrants(tx, name, permissions);
+      }, "Create Role");
+
+      return await this.findByName(name);
+    } catch (error) {
+      throw new DatabaseError(`Error creating role: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Update a role's description and/or replace its permissions
+   * @param {string} name - Role name
+   * @param {Object} data - { description, permissions }
+   * @returns {Promise<Object>} Updated role
+   */
+  static async updateRole(name, { description, permissions }) {
+    try {
+      await withTransaction(async (tx) => {
+        if (description !== undefined) {
+          await tx.query(
+            "UPDATE roles SET description = ? WHERE name = ?",
+            [description, name],
+            "Update Role"
+          );
+        }
+
+        if (permissions !== undefined) {
+          await tx.query(
+            "DELETE FROM role_permissions WHERE role = ?",
+            [name],
+            "Clear Role Permissions"
+          );
+          await this.insertGrants(tx, name, permissions);
+        }
+      }, "Update Role");
+
+      return await this.findByName(name);
+    } catch (error) {
+      throw new DatabaseError(`Error updating role: ${error.message}`, error);
+    }
+  }
+
+  static async insertGrants(tx, role, permissions) {
+    if (permissions.length === 0) return;
+
+    await tx.query(
+      "INSERT INTO role_permissions (role, permission) VALUES ?",
+      [permissions.map((permission) => [role, permission])],
+      "Grant Role Permissions"
+    );
+  }
+
+  /**
+   * Delete a role
+   * @param {string} name - Role name
+   * @returns {Promise<boolean>} Whether the role was deleted
+   */
+  static async deleteRole(name) {
+    try {
+      const result = await executeQuery(
+        "DELETE FROM roles WHERE name = ? AND is_system = FALSE",
+        [name],
+        "Delete Role"
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new DatabaseError(`Error deleting role: ${error.message}`, error);
+    }
+  }
+}
+
+module.exports = RoleModel;
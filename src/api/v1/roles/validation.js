@@ -0,0 +1,49 @@
+const Joi = require("joi");
+
+const roleName = Joi.string()
+  .pattern(/^[a-z][a-z0-9_]{1,49}$/)
+  .messages({
+    "string.pattern.base":
+      "Role name must start with a letter and contain only lowercase letters, numbers and underscores (2-50 characters)",
+  });
+
+const permissionList = Joi.array()
+  .items(Joi.string().max(100))
+  .unique()
+  .messages({
+    "array.unique": "Permissions must not contain duplicates",
+  });
+
+// Admin role creation schema
+const createRoleSchema = Joi.object({
+  name: roleName.required().messages({
+    "any.required": "Role name is required",
+  }),
+  description: Joi.string().trim().max(255).allow(null, "").optional(),
+  permissions: permissionList.default([]),
+});
+
+// Admin role update schema
+const updateRoleSchema = Joi.object({
+  role: Joi.string().optional(),
+  description: Joi.string().trim().max(255).allow(null, "").optional(),
+  permissions: permissionList.optional(),
+})
+  .or("description", "permissions")
+  .messages({
+    "object.missing": "Provide a description and/or permissions to update",
+  });
+
+// Admin role assignment schema
+const assignRoleSchema = Joi.object({
+  user_id: Joi.number().integer().positive().optional(),
+  role: roleName.required().messages({
+    "any.required": "Role is required",
+  }),
+});
+
+module.exports = {
+  createRoleSchema,
+  updateRoleSchema,
+  assignRoleSchema,
+};
@@ -0,0 +1,290 @@
+const WarehouseModel = require("./model");
+const ProductModel = require("../products/model");
+const ProductVariantModel = require("../products/variantModel");
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  BusinessLogicError,
+} = require("../../../middleware/errorHandler");
+const { AuditService } = require("../../../services/audit");
+
+class WarehouseController {
+  /**
+   * Find a warehouse or throw
+   */
+  static async getExistingWarehouse(warehouseId) {
+    const warehouse = await WarehouseModel.findById(warehouseId);
+    if (!warehouse) {
+      throw new NotFoundError("Warehouse not found");
+    }
+    return warehouse;
+  }
+
+  /**
+   * Get all warehouses with their stock totals
+   */
+  static async getWarehouses(req, res) {
+    try {
+      const warehouses = await WarehouseModel.getWarehouses();
+
+      res.json({
+        status: true,
+        message: "Warehouses retrieved successfully",
+        data: { warehouses },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a warehouse
+   */
+  static async getWarehouse(req, res) {
+    try {
+      const warehouse = await WarehouseController.getExistingWarehouse(
+        req.params.warehouse_id
+      );
+
+      res.json({
+        status: true,
+        message: "Warehouse retrieved successfully",
+        data: { warehouse },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a warehouse (Admin only)
+   */
+  static async createWarehouse(req, res) {
+    try {
+      const { code, name, city, address, is_active, is_default, priority } =
+        req.body;
+
+      if (await WarehouseModel.findByCode(code)) {
+        throw new ConflictError(`Warehouse code '${code}' already exists`);
+      }
+      if (is_default && is_active === false) {
+        throw new ValidationError("The default warehouse must be active");
+      }
+
+      const warehouse = await WarehouseModel.createWarehouse({
+        code,
+        name,
+        city: city || null,
+        address: address || null,
+        is_active: is_active ?? true,
+        is_default: is_default || false,
+        priority: priority || 0,
+      });
+      await AuditService.record(req, {
+        action: "warehouse.create",
+        entityType: "warehouse",
+        entityId: warehouse.id,
+        after: warehouse,
+      });
+
+      res.status(201).json({
+        status: true,
+        message: "Warehouse created successfully",
+        data: { warehouse },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a warehouse (Admin only). Warehouses are deactivated rather than
+   * deleted, since orders keep referring to them.
+   */
+  static async updateWarehouse(req, res) {
+    try {
+      const existing = await WarehouseController.getExistingWarehouse(
+        req.params.warehouse_id
+      );
+
+      const updateData = {};
+      for (const field of [
+        "code",
+        "name",
+        "city",
+        "address",
+        "is_active",
+        "is_default",
+        "priority",
+      ]) {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
+      }
+      if (Object.keys(updateData).length === 0) {
+        throw new ValidationError("Nothing to update");
+      }
+
+      if (updateData.code && updateData.code !== existing.code) {
+        if (await WarehouseModel.findByCode(updateData.code)) {
+          throw new ConflictError(
+            `Warehouse code '${updateData.code}' already exists`
+          );
+        }
+      }
+
+      const isDefault = updateData.is_default ?? Boolean(existing.is_default);
+      const isActive = updateData.is_active ?? Boolean(existing.is_active);
+      if (existing.is_default && updateData.is_default === false) {
+        throw new BusinessLogicError(
+          "Make another warehouse the default instead"
+        );
+      }
+      if (isDefault && !isActive) {
+        throw new BusinessLogicError("The default warehouse must be active");
+      }
+
+      const warehouse = await WarehouseModel.updateWarehouse(
+        existing.id,
+        updateData
+      );
+      await AuditService.record(req, {
+        action: "warehouse.update",
+        entityType: "warehouse",
+        entityId: existing.id,
+        before: existing,
+        after: warehouse,
+      });
+
+      res.json({
+        status: true,
+        message: "Warehouse updated successfully",
+        data: { warehouse },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stock a warehouse holds
+   */
+  static async getWarehouseStock(req, res) {
+    try {
+      const { warehouse_id } = req.params;
+      const { page, limit, search, in_stock } = req.query;
+
+      const warehouse = await WarehouseController.getExistingWarehouse(
+        warehouse_id
+      );
+
+      const result = await WarehouseModel.getWarehouseStock(warehouse.id, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20,
+        search,
+        inStockOnly: in_stock === true || in_stock === "true",
+      });
+
+      res.json({
+        status: true,
+        message: "Warehouse stock retrieved successfully",
+        data: { warehouse, ...result },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move stock of a product or variant between warehouses
+   */
+  static async transferStock(req, res) {
+    try {
+      const {
+        from_warehouse_id,
+        to_warehouse_id,
+        product_id,
+        variant_id,
+        quantity,
+        notes,
+      } = req.body;
+      // Validated, but may still be a numeric string
+      const transferQuantity = parseInt(quantity);
+
+      const [fromWarehouse, toWarehouse] = await Promise.all([
+        WarehouseController.getExistingWarehouse(from_warehouse_id),
+        WarehouseController.getExistingWarehouse(to_warehouse_id),
+      ]);
+      if (!toWarehouse.is_active) {
+        throw new BusinessLogicError(
+          `Cannot transfer stock into inactive warehouse ${toWarehouse.name}`
+        );
+      }
+
+      const product = await ProductModel.findById(product_id);
+      if (!product) {
+        throw new NotFoundError("Product not found");
+      }
+      if (variant_id) {
+        const variant = await ProductVariantModel.findById(variant_id);
+        if (!variant || variant.product_id !== product.id) {
+          throw new NotFoundError("Variant not found");
+        }
+      } else if (
+        (await ProductVariantModel.countActiveVariants(product.id)) > 0
+      ) {
+        throw new ValidationError(
+          `"${product.name}" is stocked per variant, please choose a variant`
+        );
+      }
+
+      const changes = await WarehouseModel.transferStock({
+        fromWarehouseId: fromWarehouse.id,
+        toWarehouseId: toWarehouse.id,
+        productId: product.id,
+        variantId: variant_id || null,
+        quantity: transferQuantity,
+        notes,
+        createdBy: req.user.id,
+      });
+      await AuditService.record(req, {
+        action: "stock.transfer",
+        entityType: variant_id ? "product_variant" : "product",
+        entityId: variant_id || product.id,
+        before: {
+          [fromWarehouse.code]: changes.from.old_quantity,
+          [toWarehouse.code]: changes.to.old_quantity,
+        },
+        after: {
+          [fromWarehouse.code]: changes.from.new_quantity,
+          [toWarehouse.code]: changes.to.new_quantity,
+        },
+        metadata: {
+          from_warehouse_id: fromWarehouse.id,
+          to_warehouse_id: toWarehouse.id,
+          quantity: transferQuantity,
+          notes: notes || null,
+        },
+      });
+
+      res.json({
+        status: true,
+        message: `Moved ${transferQuantity} from ${fromWarehouse.name} to ${toWarehouse.name}`,
+        data: {
+          transfer: {
+            product_id: product.id,
+            variant_id: variant_id || null,
+            quantity: transferQuantity,
+            from: { warehouse_id: fromWarehouse.id, ...changes.from },
+            to: { warehouse_id: toWarehouse.id, ...changes.to },
+          },
+        },
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = WarehouseController;
@@ -0,0 +1,255 @@
+const { executeQuery, withTransaction } = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+// Active stock items with their reorder settings: products, or the variants
+// of products sold in variants, which use their product's settings
+const STOCK_ITEMS = `
+  SELECT p.id as product_id, NULL as variant_id, p.name as product_name,
+         CONCAT(COALESCE(c.code, ''), p.code) as full_code,
+         p.price, p.stock_quantity, p.reorder_level, p.reorder_quantity,
+         p.category_id, c.name as category_name, c.code as category_code
+  FROM products p
+  LEFT JOIN categories c ON p.category_id = c.id
+  WHERE p.is_active = true
+    AND NOT EXISTS (
+      SELECT 1 FROM product_variants pv
+      WHERE pv.product_id = p.id AND pv.is_active = true
+    )
+  UNION ALL
+  SELECT p.id as product_id, pv.id as variant_id, p.name as product_name,
+         CONCAT(COALESCE(c.code, ''), p.code, pv.code_suffix) as full_code,
+         COALESCE(pv.price, p.price) as price, pv.stock_quantity,
+         p.reorder_level, p.reorder_quantity,
+         p.category_id, c.name as category_name, c.code as category_code
+  FROM product_variants pv
+  JOIN products p ON pv.product_id = p.id
+  LEFT JOIN categories c ON p.category_id = c.id
+  WHERE p.is_active = true AND pv.is_active = true
+`;
+
+/**
+ * Low-stock alerts: one per time an item's stock fell below its reorder
+ * level. An alert stays open (or acknowledged) until the item's stock is
+ * back at its reorder level, so each crossing is reported once.
+ */
+class LowStockAlertModel {
+  static STOCK_ITEMS = STOCK_ITEMS;
+
+  static STATUSES = {
+    OPEN: "open",
+    ACKNOWLEDGED: "acknowledged",
+    RESOLVED: "resolved",
+  };
+
+  /**
+   * Open alerts for items that are below their reorder level and have no
+   * unresolved alert yet
+   * @returns {Promise<Array>} The new alerts, with their items
+   */
+  static async openNewAlerts() {
+    try {
+      return await withTransaction(async (tx) => {
+        const items = await tx.query(
+          `SELECT i.* FROM (${STOCK_ITEMS}) i
+           WHERE i.stock_quantity < i.reorder_level
+             AND NOT EXISTS (
+               SELECT 1 FROM low_stock_alerts a
+               WHERE a.product_id = i.product_id
+                 AND a.variant_id <=> i.variant_id
+                 AND a.status <> 'resolved'
+             )
+           ORDER BY i.stock_quantity ASC, i.full_code ASC`,
+          [],
+          "Find New Low Stock Items"
+        );
+
+        const alerts = [];
+        for (const item of items) {
+          const result = await tx.query(
+            `INSERT INTO low_stock_alerts
+               (product_id, variant_id, stock_quantity, reorder_level)
+             VALUES (?, ?, ?, ?)`,
+            [
+              item.product_id,
+              item.variant_id,
+              item.stock_quantity,
+              item.reorder_level,
+            ],
+            "Open Low Stock Alert"
+          );
+          alerts.push({ id: result.insertId, ...item });
+        }
+        return alerts;
+      }, "Open Low Stock Alerts");
+    } catch (error) {
+      throw new DatabaseError(
+        `Error opening low stock alerts: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Resolve unresolved alerts of items that are back at their reorder level
+   * or no longer sold
+   * @returns {Promise<number>} Number of alerts resolved
+   */
+  static async resolveRecovered() {
+    try {
+      const result = await executeQuery(
+        `UPDATE low_stock_alerts a
+         LEFT JOIN (${STOCK_ITEMS}) i
+           ON i.product_id = a.product_id AND i.variant_id <=> a.variant_id
+         SET a.status = 'resolved', a.resolved_at = NOW()
+         WHERE a.status <> 'resolved'
+           AND (i.product_id IS NULL OR i.stock_quantity >= i.reorder_level)`,
+        [],
+        "Resolve Low Stock Alerts"
+      );
+      return result.affectedRows;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error resolving low stock alerts: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get alerts with their items' current stock, newest first
+   * @param {Object} options - { page, limit, status, productId }
+   */
+  static async getAlerts(options = {}) {
+    const { page = 1, limit = 20, status, productId } = options;
+
+    try {
+      const whereConditions = [];
+      const params = [];
+
+      if (status) {
+        whereConditions.push("a.status = ?");
+        params.push(status);
+      }
+      if (productId) {
+        whereConditions.push("a.product_id = ?");
+        params.push(productId);
+      }
+
+      const whereClause =
+        whereConditions.length > 0
+          ? `WHERE ${whereConditions.join(" AND ")}`
+          : "";
+
+      const countResult = await executeQuery(
+        `SELECT COUNT(*) as total FROM low_stock_alerts a ${whereClause}`,
+        params,
+        "Count Low Stock Alerts"
+      );
+      const total = countResult[0].total;
+
+      const offset = (page - 1) * limit;
+      const alerts = await executeQuery(
+        `SELECT a.*, p.name as product_name,
+                CONCAT(COALESCE(c.code, ''), p.code, COALESCE(pv.code_suffix, ''))
+                  as full_code,
+                COALESCE(pv.stock_quantity, p.stock_quantity) as current_stock,
+                p.reorder_quantity,
+                u.first_name as acknowledged_by_first_name,
+                u.last_name as acknowledged_by_last_name
+         FROM low_stock_alerts a
+         JOIN products p ON a.product_id = p.id
+         LEFT JOIN product_variants pv ON a.variant_id = pv.id
+         LEFT JOIN categories c ON p.category_id = c.id
+         LEFT JOIN users u ON a.acknowledged_by = u.id
+         ${whereClause}
+         ORDER BY a.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+        "Get Low Stock Alerts"
+      );
+
+      return {
+        alerts,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting low stock alerts: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Count unresolved alerts by status
+   * @returns {Promise<Object>} { open, acknowledged }
+   */
+  static async getUnresolvedCounts() {
+    try {
+      const rows = await executeQuery(
+        `SELECT status, COUNT(*) as count FROM low_stock_alerts
+         WHERE status <> 'resolved'
+         GROUP BY status`,
+        [],
+        "Count Unresolved Low Stock Alerts"
+      );
+
+      const counts = { open: 0, acknowledged: 0 };
+      rows.forEach((row) => {
+        counts[row.status] = row.count;
+      });
+      return counts;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error counting low stock alerts: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const alerts = await executeQuery(
+        "SELECT * FROM low_stock_alerts WHERE id = ?",
+        [id],
+        "Find Low Stock Alert"
+      );
+      return alerts[0] || null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding low stock alert: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Mark an open alert as seen by an admin
+   * @returns {Promise<boolean>} Whether the alert was open
+   */
+  static async acknowledge(id, userId) {
+    try {
+      const result = await executeQuery(
+        `UPDATE low_stock_alerts
+         SET status = 'acknowledged', acknowledged_by = ?,
+             acknowledged_at = NOW()
+         WHERE id = ? AND status = 'open'`,
+        [userId, id],
+        "Acknowledge Low Stock Alert"
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error acknowledging low stock alert: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = LowStockAlertModel;
@@ -0,0 +1,619 @@
+const {
+  executeQuery,
+  withTransaction,
+  buildInsertQuery,
+  buildUpdateQuery,
+} = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+const { BusinessLogicError } = require("../../../middleware/errorHandler");
+const { CacheManager } = require("../../../utils/cache");
+const StockMovementModel = require("./stockMovementModel");
+
+/**
+ * Warehouses and the stock they hold.
+ *
+ * warehouse_stock has one row per warehouse and stock item: a product, or a
+ * variant for products sold in variants. products.stock_quantity and
+ * product_variants.stock_quantity are kept equal to the sum over all
+ * warehouses in the same transaction as every stock change, which is also
+ * recorded in the stock movement ledger.
+ */
+class WarehouseModel {
+  /**
+   * Key of the stock an item draws from: its variant's, or its product's
+   */
+  static stockKey(item) {
+    return item.variant_id
+      ? `variant:${item.variant_id}`
+      : `product:${item.product_id}`;
+  }
+
+  /**
+   * Get warehouses with the stock they hold, preferred fulfillment first
+   */
+  static async getWarehouses(includeInactive = true) {
+    try {
+      return await executeQuery(
+        `SELECT w.*,
+                COUNT(CASE WHEN ws.quantity > 0 THEN 1 END) as stocked_items,
+                COALESCE(SUM(ws.quantity), 0) as total_quantity
+         FROM warehouses w
+         LEFT JOIN warehouse_stock ws ON ws.warehouse_id = w.id
+         ${includeInactive ? "" : "WHERE w.is_active = true"}
+         GROUP BY w.id
+         ORDER BY w.priority ASC, w.id ASC`,
+        [],
+        "Get Warehouses"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting warehouses: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find warehouse by ID
+   */
+  static async findById(id) {
+    try {
+      const result = await executeQuery(
+        `SELECT w.*,
+                (SELECT COALESCE(SUM(ws.quantity), 0) FROM warehouse_stock ws
+                 WHERE ws.warehouse_id = w.id) as total_quantity
+         FROM warehouses w
+         WHERE w.id = ?`,
+        [id],
+        "Find Warehouse By ID"
+      );
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding warehouse: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find warehouse by code
+   */
+  static async findByCode(code) {
+    try {
+      const result = await executeQuery(
+        "SELECT * FROM warehouses WHERE code = ?",
+        [code],
+        "Find Warehouse By Code"
+      );
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding warehouse by code: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the default warehouse, which receives stock set without a warehouse
+   */
+  static async getDefaultWarehouse() {
+    try {
+      const result = await executeQuery(
+        `SELECT * FROM warehouses
+         ORDER BY is_default DESC, priority ASC, id ASC
+         LIMIT 1`,
+        [],
+        "Get Default Warehouse"
+      );
+      if (result.length === 0) {
+        throw new Error("No warehouse configured");
+      }
+      return result[0];
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting default warehouse: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Create a warehouse (Admin only)
+   */
+  static async createWarehouse(data) {
+    try {
+      const id = await withTransaction(async (tx) => {
+        if (data.is_default) {
+          await tx.query("UPDATE warehouses SET is_default = false");
+        }
+        const insert = buildInsertQuery("warehouses", data);
+        const { insertId } = await tx.query(insert.sql, insert.params);
+        return insertId;
+      }, "Create Warehouse");
+
+      return await this.findById(id);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error creating warehouse: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Update a warehouse (Admin only). Making it the default unsets the
+   * previous default.
+   */
+  static async updateWarehouse(id, data) {
+    try {
+      await withTransaction(async (tx) => {
+        if (data.is_default) {
+          await tx.query(
+            "UPDATE warehouses SET is_default = false WHERE id <> ?",
+            [id]
+          );
+        }
+        const update = buildUpdateQuery("warehouses", data, { id });
+        await tx.query(update.sql, update.params);
+      }, "Update Warehouse");
+
+      return await this.findById(id);
+    } catch (error) {
+      throw new DatabaseError(
+        `Error updating warehouse: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the stock items held by a warehouse
+   * @param {number} warehouseId - Warehouse ID
+   * @param {Object} options - { page, limit, search, inStockOnly }
+   */
+  static async getWarehouseStock(warehouseId, options = {}) {
+    const { page = 1, limit = 20, search, inStockOnly = false } = options;
+
+    try {
+      const whereConditions = ["ws.warehouse_id = ?"];
+      const params = [warehouseId];
+
+      if (search) {
+        whereConditions.push(
+          "(p.name LIKE ? OR CONCAT(COALESCE(c.code, ''), p.code, COALESCE(pv.code_suffix, '')) LIKE ?)"
+        );
+        params.push(`%${search}%`, `%${search}%`);
+      }
+      if (inStockOnly) {
+        whereConditions.push("ws.quantity > 0");
+      }
+
+      const fromClause = `
+        FROM warehouse_stock ws
+        JOIN products p ON ws.product_id = p.id
+        LEFT JOIN product_variants pv ON ws.variant_id = pv.id
+        LEFT JOIN categories c ON p.category_id = c.id
+        WHERE ${whereConditions.join(" AND ")}
+      `;
+
+      const countResult = await executeQuery(
+        `SELECT COUNT(*) as total ${fromClause}`,
+        params,
+        "Count Warehouse Stock"
+      );
+      const total = countResult[0].total;
+
+      const offset = (page - 1) * limit;
+      const items = await executeQuery(
+        `SELECT ws.product_id, ws.variant_id, ws.quantity, ws.updated_at,
+                p.name as product_name,
+                CONCAT(COALESCE(c.code, ''), p.code, COALESCE(pv.code_suffix, '')) as full_code
+         ${fromClause}
+         ORDER BY p.name ASC, pv.sort_order ASC, ws.variant_id ASC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+        "Get Warehouse Stock"
+      );
+
+      return {
+        items,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting warehouse stock: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get how much of a product, and of each of its variants, every warehouse
+   * holds
+   */
+  static async getStockLevels(productId) {
+    try {
+      return await executeQuery(
+        `SELECT ws.warehouse_id, w.code as warehouse_code,
+                w.name as warehouse_name, ws.variant_id, ws.quantity
+         FROM warehouse_stock ws
+         JOIN warehouses w ON ws.warehouse_id = w.id
+         WHERE ws.product_id = ?
+         ORDER BY w.priority ASC, w.id ASC, ws.variant_id ASC`,
+        [productId],
+        "Get Product Stock Levels"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting stock levels: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Lock the product or variant row holding the total stock of an item, so
+   * stock changes to the same item are serialized with orders
+   */
+  static async lockStockItem(tx, productId, variantId) {
+    const rows = variantId
+      ? await tx.query(
+          "SELECT id FROM product_variants WHERE id = ? AND product_id = ? FOR UPDATE",
+          [variantId, productId]
+        )
+      : await tx.query("SELECT id FROM products WHERE id = ? FOR UPDATE", [
+          productId,
+        ]);
+    if (rows.length === 0) {
+      throw new BusinessLogicError("Stock item not found");
+    }
+  }
+
+  /**
+   * Change the quantity a warehouse holds of an item inside a transaction,
+   * creating its stock row if needed and recording the movement. The item
+   * must already be locked (see lockStockItem).
+   * @param {Function} getQuantity - Receives the current quantity, returns
+   *   the new one
+   * @param {Object} movement - Why the stock changes (see StockMovementModel)
+   * @returns {Promise<Object>} { old_quantity, new_quantity }
+   */
+  static async updateStockRow(
+    tx,
+    warehouseId,
+    productId,
+    variantId,
+    getQuantity,
+    movement
+  ) {
+    const [row] = await tx.query(
+      `SELECT id, quantity FROM warehouse_stock
+       WHERE warehouse_id = ? AND product_id = ? AND variant_id <=> ?
+       FOR UPDATE`,
+      [warehouseId, productId, variantId || null]
+    );
+    const oldQuantity = row ? row.quantity : 0;
+    const newQuantity = getQuantity(oldQuantity);
+
+    if (newQuantity < 0) {
+      throw new BusinessLogicError(
+        `Insufficient stock in warehouse. Available: ${oldQuantity}, Requested: ${
+          oldQuantity - newQuantity
+        }`
+      );
+    }
+
+    if (row) {
+      await tx.query("UPDATE warehouse_stock SET quantity = ? WHERE id = ?", [
+        newQuantity,
+        row.id,
+      ]);
+    } else if (newQuantity !== 0) {
+      await tx.query(
+        "INSERT INTO warehouse_stock (warehouse_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)",
+        [warehouseId, productId, variantId || null, newQuantity]
+      );
+    }
+
+    if (newQuantity !== oldQuantity) {
+      await StockMovementModel.record(
+        tx,
+        {
+          warehouseId,
+          productId,
+          variantId,
+          quantityChange: newQuantity - oldQuantity,
+          quantityAfter: newQuantity,
+        },
+        movement
+      );
+    }
+
+    return { old_quantity: oldQuantity, new_quantity: newQuantity };
+  }
+
+  /**
+   * Recompute an item's total stock from its warehouse rows
+   */
+  static async syncTotalStock(tx, productId, variantId) {
+    if (variantId) {
+      await tx.query(
+        `UPDATE product_variants
+         SET stock_quantity = (SELECT COALESCE(SUM(quantity), 0)
+                               FROM warehouse_stock WHERE variant_id = ?)
+         WHERE id = ?`,
+        [variantId, variantId]
+      );
+    } else {
+      await tx.query(
+        `UPDATE products
+         SET stock_quantity = (SELECT COALESCE(SUM(quantity), 0)
+                               FROM warehouse_stock
+                               WHERE product_id = ? AND variant_id IS NULL)
+         WHERE id = ?`,
+        [productId, productId]
+      );
+    }
+  }
+
+  /**
+   * Set the quantity a warehouse holds of a product or variant
+   * @param {Object} movement - Why the stock changes (see StockMovementModel)
+   * @returns {Promise<Object>} { old_quantity, new_quantity }
+   */
+  static async setStock(
+    warehouseId,
+    productId,
+    variantId,
+    quantity,
+    movement = {}
+  ) {
+    try {
+      const result = await withTransaction(async (tx) => {
+        await this.lockStockItem(tx, productId, variantId);
+        const change = await this.updateStockRow(
+          tx,
+          warehouseId,
+          productId,
+          variantId,
+          () => Number(quantity),
+          movement
+        );
+        await this.syncTotalStock(tx, productId, variantId);
+        return change;
+      }, "Set Warehouse Stock");
+
+      await CacheManager.invalidateProduct(productId);
+      return result;
+    } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
+      throw new DatabaseError(
+        `Error setting warehouse stock: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Set an item's total stock by changing what the default warehouse holds.
+   * Used where stock is edited without a warehouse (product and variant
+   * forms, CSV import); other warehouses keep their quantities.
+   * @param {Object} movement - Why the stock changes (see StockMovementModel)
+   */
+  static async setTotalStock(productId, variantId, total, movement = {}) {
+    try {
+      await withTransaction(
+        (tx) => this.applyTotalStock(tx, productId, variantId, total, movement),
+        "Set Total Stock"
+      );
+
+      await CacheManager.invalidateProduct(productId);
+    } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
+      throw new DatabaseError(
+        `Error setting total stock: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * setTotalStock inside a transaction, for changes that also write the
+   * item itself. The caller invalidates the product cache.
+   */
+  static async applyTotalStock(tx, productId, variantId, total, movement = {}) {
+    const defaultWarehouse = await this.getDefaultWarehouse();
+
+    await this.lockStockItem(tx, productId, variantId);
+    const [held] = await tx.query(
+      `SELECT COALESCE(SUM(quantity), 0) as quantity
+       FROM warehouse_stock
+       WHERE product_id = ? AND variant_id <=> ?`,
+      [productId, variantId || null]
+    );
+    // Totals may come straight from a request body, and SUM() as a string
+    const heldQuantity = Number(held.quantity);
+    await this.updateStockRow(
+      tx,
+      defaultWarehouse.id,
+      productId,
+      variantId,
+      (current) => {
+        const quantity = current + Number(total) - heldQuantity;
+        if (quantity < 0) {
+          throw new BusinessLogicError(
+            `Other warehouses hold ${
+              heldQuantity - current
+            } of this item, so its total stock cannot be lower`
+          );
+        }
+        return quantity;
+      },
+      movement
+    );
+    await this.syncTotalStock(tx, productId, variantId);
+  }
+
+  /**
+   * Move stock of an item from one warehouse to another. Totals do not
+   * change. Each side's movement refers to the other warehouse.
+   * @returns {Promise<Object>} { from: { old_quantity, new_quantity }, to: {...} }
+   */
+  static async transferStock({
+    fromWarehouseId,
+    toWarehouseId,
+    productId,
+    variantId,
+    quantity,
+    notes,
+    createdBy,
+  }) {
+    try {
+      return await withTransaction(async (tx) => {
+        await this.lockStockItem(tx, productId, variantId);
+
+        // Lock both stock rows in warehouse order
+        const changes = {};
+        for (const warehouseId of [fromWarehouseId, toWarehouseId].sort(
+          (a, b) => a - b
+        )) {
+          const isSource = warehouseId === fromWarehouseId;
+          changes[isSource ? "from" : "to"] = await this.updateStockRow(
+            tx,
+            warehouseId,
+            productId,
+            variantId,
+            (current) => current + (isSource ? -quantity : quantity),
+            {
+              reason: StockMovementModel.REASONS.TRANSFER,
+              reference_type: "warehouse",
+              reference_id: isSource ? toWarehouseId : fromWarehouseId,
+              notes,
+              created_by: createdBy,
+            }
+          );
+        }
+        return changes;
+      }, "Transfer Stock");
+    } catch (error) {
+      if (error instanceof BusinessLogicError) throw error;
+      throw new DatabaseError(
+        `Error transferring stock: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Pick the warehouse to fulfill an order from: the first active warehouse,
+   * by priority, holding enough stock for every item
+   * @param {Array} items - Order items ({ product_id, variant_id, quantity })
+   * @param {Object} released - Stock an existing order already holds:
+   *   { warehouseId, stock: { [stockKey]: quantity } }
+   * @returns {Promise<Object|null>} Warehouse, or null if none can fulfill
+   */
+  static async pickWarehouse(items, released = null) {
+    try {
+      const needed = {};
+      for (const item of items) {
+        const key = this.stockKey(item);
+        needed[key] = (needed[key] || 0) + item.quantity;
+      }
+
+      const warehouses = await this.getWarehouses(false);
+      const rows = await executeQuery(
+        `SELECT warehouse_id, product_id, variant_id, quantity
+         FROM warehouse_stock
+         WHERE product_id IN (?)`,
+        [[...new Set(items.map((item) => item.product_id))]],
+        "Get Stock For Fulfillment"
+      );
+
+      const available = new Map(warehouses.map((w) => [w.id, {}]));
+      for (const row of rows) {
+        if (!available.has(row.warehouse_id)) continue;
+        available.get(row.warehouse_id)[this.stockKey(row)] = row.quantity;
+      }
+      if (released && available.has(released.warehouseId)) {
+        const stock = available.get(released.warehouseId);
+        for (const [key, quantity] of Object.entries(released.stock)) {
+          stock[key] = (stock[key] || 0) + quantity;
+        }
+      }
+
+      return (
+        warehouses.find((warehouse) =>
+          Object.entries(needed).every(
+            ([key, quantity]) =>
+              (available.get(warehouse.id)[key] || 0) >= quantity
+          )
+        ) || null
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error picking fulfillment warehouse: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Take an order item's quantity from a warehouse, failing if it does not
+   * hold enough
+   */
+  static buildStockDecrementQuery(warehouseId, item) {
+    return {
+      sql: `
+        UPDATE warehouse_stock
+        SET quantity = quantity - ?
+        WHERE warehouse_id = ? AND product_id = ? AND variant_id <=> ?
+          AND quantity >= ?
+      `,
+      params: [
+        item.quantity,
+        warehouseId,
+        item.product_id,
+        item.variant_id || null,
+        item.quantity,
+      ],
+      validate: (result) => {
+        if (result.affectedRows !== 1) {
+          throw new BusinessLogicError(
+            `Insufficient stock in the fulfillment warehouse for "${item.product_name}"`
+          );
+        }
+      },
+    };
+  }
+
+  /**
+   * Return the quantities of an order's items to a warehouse. Like the
+   * total stock restore, quantities are read from order_items inside the
+   * transaction.
+   */
+  static buildOrderStockRestoreQuery(orderId, warehouseId) {
+    return {
+      sql: `
+        UPDATE warehouse_stock ws
+        JOIN (
+          SELECT product_id, variant_id, SUM(quantity) as quantity
+          FROM order_items
+          WHERE order_id = ? AND product_id IS NOT NULL
+          GROUP BY product_id, variant_id
+        ) oi ON oi.product_id = ws.product_id AND oi.variant_id <=> ws.variant_id
+        SET ws.quantity = ws.quantity + oi.quantity
+        WHERE ws.warehouse_id = ?
+      `,
+      params: [orderId, warehouseId],
+    };
+  }
+}
+
+module.exports = WarehouseModel;
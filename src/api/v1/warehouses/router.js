@@ -0,0 +1,91 @@
+const express = require("express");
+const router = express.Router();
+
+const WarehouseController = require("./controller");
+const validateRequest = require("../../../middleware/validateRequest");
+const {
+  authenticateToken,
+  requirePermission,
+} = require("../../../middleware/auth");
+const { asyncHandler } = require("../../../middleware/errorHandler");
+const {
+  createWarehouseSchema,
+  updateWarehouseSchema,
+  getWarehouseStockSchema,
+  transferStockSchema,
+} = require("./validation");
+
+// All warehouse routes are for staff
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/v1/warehouses
+ * @desc Get all warehouses with their stock totals
+ * @access Permission products:read
+ */
+router.get(
+  "/",
+  requirePermission("products:read"),
+  asyncHandler(WarehouseController.getWarehouses)
+);
+
+/**
+ * @route POST /api/v1/warehouses
+ * @desc Create a warehouse
+ * @access Permission warehouses:manage
+ */
+router.post(
+  "/",
+  requirePermission("warehouses:manage"),
+  validateRequest(createWarehouseSchema),
+  asyncHandler(WarehouseController.createWarehouse)
+);
+
+/**
+ * @route POST /api/v1/warehouses/transfers
+ * @desc Move stock of a product or variant between warehouses
+ * @access Permission products:update_stock
+ */
+router.post(
+  "/transfers",
+  requirePermission("products:update_stock"),
+  validateRequest(transferStockSchema),
+  asyncHandler(WarehouseController.transferStock)
+);
+
+/**
+ * @route GET /api/v1/warehouses/:warehouse_id
+ * @desc Get a warehouse
+ * @access Permission products:read
+ */
+router.get(
+  "/:warehouse_id",
+  requirePermission("products:read"),
+  asyncHandler(WarehouseController.getWarehouse)
+);
+
+/**
+ * @route PUT /api/v1/warehouses/:warehouse_id
+ * @desc Update a warehouse (deactivate instead of deleting)
+ * @access Permission warehouses:manage
+ */
+router.put(
+  "/:warehouse_id",
+  requirePermission("warehouses:manage"),
+  validateRequest(updateWarehouseSchema),
+  asyncHandler(WarehouseController.updateWarehouse)
+);
+
+/**
+ * @route GET /api/v1/warehouses/:warehouse_id/stock
+ * @desc Get the products and variants a warehouse holds
+ * @access Permission products:read
+ */
+router.get(
+  "/:warehouse_id/stock",
+  requirePermission("products:read"),
+  validateRequest(getWarehouseStockSchema),
+  asyncHandler(WarehouseController.getWarehouseStock)
+);
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const { executeQuery } = require("../../../helpers/db");
+const { DatabaseError } = require("../../../errors/customErrors");
+
+/**
+ * Append-only ledger of stock changes.
+ *
+ * A movement describes why stock changed: { reason, reference_type,
+ * reference_id, notes, created_by }. Movements are written in the same
+ * transaction as the change they record, with the warehouse quantity after
+ * the change, so the ledger of an item always adds up to its stock.
+ */
+class StockMovementModel {
+  /**
+   * Why stock changed
+   */
+  static REASONS = {
+    OPENING_BALANCE: "opening_balance",
+    ORDER: "order",
+    CANCELLATION: "cancellation",
+    ADJUSTMENT: "adjustment",
+    IMPORT: "import",
+    RETURN: "return",
+    TRANSFER: "transfer",
+    PURCHASE: "purchase",
+  };
+
+  /**
+   * Ledger columns of a movement, defaulting to a manual adjustment
+   */
+  static describe(movement = {}) {
+    return [
+      movement.reason || this.REASONS.ADJUSTMENT,
+      movement.reference_type || null,
+      movement.reference_id || null,
+      movement.notes || null,
+      movement.created_by || null,
+    ];
+  }
+
+  /**
+   * Record a change to a warehouse's stock of an item inside a transaction
+   * @param {Object} change - { warehouseId, productId, variantId, quantityChange, quantityAfter }
+   * @param {Object} movement - Why it changed
+   */
+  static async record(tx, change, movement) {
+    await tx.query(
+      `INSERT INTO stock_movements
+         (warehouse_id, product_id, variant_id, quantity_change, quantity_after,
+          reason, reference_type, reference_id, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        change.warehouseId,
+        change.productId,
+        change.variantId || null,
+        change.quantityChange,
+        change.quantityAfter,
+        ...this.describe(movement),
+      ],
+      "Record Stock Movement"
+    );
+  }
+
+  /**
+   * Record the change of an order item's stock in a warehouse. Runs after
+   * the change, reading the resulting quantity from warehouse_stock.
+   */
+  static buildItemMovementQuery(warehouseId, item, quantityChange, movement) {
+    return {
+      sql: `
+        INSERT INTO stock_movements
+          (warehouse_id, product_id, variant_id, quantity_change, quantity_after,
+           reason, reference_type, reference_id, notes, created_by)
+        SELECT ws.warehouse_id, ws.product_id, ws.variant_id, ?, ws.quantity,
+               ?, ?, ?, ?, ?
+        FROM warehouse_stock ws
+        WHERE ws.warehouse_id = ? AND ws.product_id = ? AND ws.variant_id <=> ?
+      `,
+      params: [
+        quantityChange,
+        ...this.describe(movement),
+        warehouseId,
+        item.product_id,
+        item.variant_id || null,
+      ],
+    };
+  }
+
+  /**
+   * Record the return of all of an order's items to a warehouse. Runs after
+   * the restore, with quantities read from order_items like the restore.
+   */
+  static buildOrderReturnMovementQuery(orderId, warehouseId, movement) {
+    return {
+      sql: `
+        INSERT INTO stock_movements
+          (warehouse_id, product_id, variant_id, quantity_change, quantity_after,
+           reason, reference_type, reference_id, notes, created_by)
+        SELECT ws.warehouse_id, ws.product_id, ws.variant_id, oi.quantity,
+               ws.quantity, ?, ?, ?, ?, ?
+        FROM warehouse_stock ws
+        JOIN (
+          SELECT product_id, variant_id, SUM(quantity) as quantity
+          FROM order_items
+          WHERE order_id = ? AND product_id IS NOT NULL
+          GROUP BY product_id, variant_id
+        ) oi ON oi.product_id = ws.product_id AND oi.variant_id <=> ws.variant_id
+        WHERE ws.warehouse_id = ?
+      `,
+      params: [...this.describe(movement), orderId, warehouseId],
+    };
+  }
+
+  /**
+   * Get the stock history of a product and its variants, newest first
+   * @param {number} productId - Product ID
+   * @param {Object} options - { page, limit, warehouseId, variantId, reason, startDate, endDate }
+   */
+  static async getProductHistory(productId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      warehouseId,
+      variantId,
+      reason,
+      startDate,
+      endDate,
+    } = options;
+
+    try {
+      const whereConditions = ["sm.product_id = ?"];
+      const params = [productId];
+
+      if (warehouseId) {
+        whereConditions.push("sm.warehouse_id = ?");
+        params.push(warehouseId);
+      }
+      if (variantId) {
+        whereConditions.push("sm.variant_id = ?");
+        params.push(variantId);
+      }
+      if (reason) {
+        whereConditions.push("sm.reason = ?");
+        params.push(reason);
+      }
+      if (startDate) {
+        whereConditions.push("sm.created_at >= ?");
+        params.push(startDate);
+      }
+      if (endDate) {
+        whereConditions.push("sm.created_at <= ?");
+        params.push(endDate);
+      }
+
+      const whereClause = `WHERE ${whereConditions.join(" AND ")}`;
+
+      const countResult = await executeQuery(
+        `SELECT COUNT(*) as total FROM stock_movements sm ${whereClause}`,
+        params,
+        "Count Stock Movements"
+      );
+      const total = countResult[0].total;
+
+      const offset = (page - 1) * limit;
+      const movements = await executeQuery(
+        `SELECT sm.*, w.code as warehouse_code, w.name as warehouse_name,
+                u.first_name as created_by_first_name,
+                u.last_name as created_by_last_name
+         FROM stock_movements sm
+         JOIN warehouses w ON sm.warehouse_id = w.id
+         LEFT JOIN users u ON sm.created_by = u.id
+         ${whereClause}
+         ORDER BY sm.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+        "Get Stock Movements"
+      );
+
+      return {
+        movements,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw new DatabaseError(
+        `Error getting stock history: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find warehouse stock that differs from what its ledger adds up to
+   * @returns {Promise<Array>} { warehouse_id, product_id, variant_id,
+   *   quantity, ledger_quantity }
+   */
+  static async findLedgerDrift() {
+    try {
+      return await executeQuery(
+        `SELECT warehouse_id, product_id, variant_id,
+                SUM(quantity) as quantity, SUM(ledger_quantity) as ledger_quantity
+         FROM (
+           SELECT warehouse_id, product_id, variant_id, quantity,
+                  0 as ledger_quantity
+           FROM warehouse_stock
+           UNION ALL
+           SELECT warehouse_id, product_id, variant_id, 0 as quantity,
+                  quantity_change as ledger_quantity
+           FROM stock_movements
+           -- Stock of deleted products and variants is gone with them
+           WHERE product_id IN (SELECT id FROM products)
+             AND (variant_id IS NULL
+                  OR variant_id IN (SELECT id FROM product_variants))
+         ) stock
+         GROUP BY warehouse_id, product_id, variant_id
+         HAVING SUM(quantity) <> SUM(ledger_quantity)
+         ORDER BY product_id, variant_id, warehouse_id`,
+        [],
+        "Find Stock Ledger Drift"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding stock ledger drift: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Find products and variants whose total stock differs from what their
+   * warehouses hold
+   * @returns {Promise<Array>} { product_id, variant_id, stock_quantity,
+   *   warehouse_quantity }
+   */
+  static async findTotalDrift() {
+    try {
+      return await executeQuery(
+        `SELECT p.id as product_id, NULL as variant_id, p.stock_quantity,
+                COALESCE(SUM(ws.quantity), 0) as warehouse_quantity
+         FROM products p
+         LEFT JOIN warehouse_stock ws
+           ON ws.product_id = p.id AND ws.variant_id IS NULL
+         GROUP BY p.id, p.stock_quantity
+         HAVING COALESCE(p.stock_quantity, 0) <> COALESCE(SUM(ws.quantity), 0)
+         UNION ALL
+         SELECT pv.product_id, pv.id as variant_id, pv.stock_quantity,
+                COALESCE(SUM(ws.quantity), 0) as warehouse_quantity
+         FROM product_variants pv
+         LEFT JOIN warehouse_stock ws ON ws.variant_id = pv.id
+         GROUP BY pv.id, pv.product_id, pv.stock_quantity
+         HAVING pv.stock_quantity <> COALESCE(SUM(ws.quantity), 0)
+         ORDER BY product_id, variant_id`,
+        [],
+        "Find Stock Total Drift"
+      );
+    } catch (error) {
+      throw new DatabaseError(
+        `Error finding stock total drift: ${error.message}`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = StockMovementModel;
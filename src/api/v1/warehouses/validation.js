@@ -0,0 +1,91 @@
+const Joi = require("joi");
+
+const warehouseCode = Joi.string()
+  .min(2)
+  .max(20)
+  .pattern(/^[A-Z0-9]+$/)
+  .messages({
+    "string.pattern.base":
+      "Warehouse code must contain only uppercase letters and numbers",
+    "string.max": "Warehouse code cannot exceed 20 characters",
+  });
+
+// Create warehouse validation schema
+const createWarehouseSchema = Joi.object({
+  code: warehouseCode.required().messages({
+    "any.required": "Warehouse code is required",
+  }),
+  name: Joi.string().trim().min(2).max(100).required().messages({
+    "string.max": "Warehouse name cannot exceed 100 characters",
+    "any.required": "Warehouse name is required",
+  }),
+  city: Joi.string().trim().max(100).allow("", null).optional(),
+  address: Joi.string().max(500).allow("", null).optional(),
+  is_active: Joi.boolean().default(true),
+  is_default: Joi.boolean().default(false),
+  priority: Joi.number().integer().min(0).default(0).messages({
+    "number.min": "Priority cannot be negative",
+  }),
+});
+
+// Update warehouse validation schema
+const updateWarehouseSchema = Joi.object({
+  warehouse_id: Joi.number().optional(),
+  code: warehouseCode.optional(),
+  name: Joi.string().trim().min(2).max(100).optional(),
+  city: Joi.string().trim().max(100).allow("", null).optional(),
+  address: Joi.string().max(500).allow("", null).optional(),
+  is_active: Joi.boolean().optional(),
+  is_default: Joi.boolean().optional(),
+  priority: Joi.number().integer().min(0).optional(),
+});
+
+// Warehouse stock listing validation schema
+const getWarehouseStockSchema = Joi.object({
+  warehouse_id: Joi.number().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  search: Joi.string().min(1).max(100).optional(),
+  in_stock: Joi.boolean().optional(),
+});
+
+// Stock transfer validation schema
+const transferStockSchema = Joi.object({
+  from_warehouse_id: Joi.number().integer().positive().required().messages({
+    "any.required": "Source warehouse is required",
+  }),
+  to_warehouse_id: Joi.number()
+    .integer()
+    .positive()
+    .invalid(Joi.ref("from_warehouse_id"))
+    .required()
+    .messages({
+      "any.invalid": "Source and destination warehouses must differ",
+      "any.required": "Destination warehouse is required",
+    }),
+  product_id: Joi.number().integer().positive().required().messages({
+    "any.required": "Product ID is required",
+  }),
+  variant_id: Joi.number().integer().positive().optional(),
+  quantity: Joi.number().integer().min(1).required().messages({
+    "number.min": "Quantity must be at least 1",
+    "any.required": "Quantity is required",
+  }),
+  notes: Joi.string().max(500).optional(),
+});
+
+// Low-stock alert list validation schema
+const getStockAlertsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid("open", "acknowledged", "resolved").optional(),
+  product_id: Joi.number().integer().positive().optional(),
+});
+
+module.exports = {
+  createWarehouseSchema,
+  updateWarehouseSchema,
+  getWarehouseStockSchema,
+  transferStockSchema,
+  getStockAlertsSchema,
+};
@@ -0,0 +1,307 @@
+const { createRedisClient, closeRedisClient, redisUrl } = require("./redis");
+
+/**
+ * Cache configuration (from environment)
+ *
+ * CACHE_DRIVER       memory | redis (default: memory)
+ * CACHE_PREFIX       key prefix for shared stores (default: janah:)
+ * CACHE_DEFAULT_TTL  seconds (default: 300)
+ * CACHE_MAX_ENTRIES  in-memory LRU capacity (default: 1000)
+ * REDIS_URL          redis connection string (default: redis://localhost:6379)
+ */
+const cacheConfig = {
+  driver: process.env.CACHE_DRIVER || "memory",
+  prefix: process.env.CACHE_PREFIX || "janah:",
+  defaultTtl: parseInt(process.env.CACHE_DEFAULT_TTL) || 300,
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+  redisUrl,
+};
+
+/**
+ * Convert a glob pattern (only `*` is special) to a RegExp
+ */
+const globToRegExp = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`
+  );
+
+/**
+ * In-process LRU cache. Entries are stored serialized so callers can never
+ * mutate a cached value by accident.
+ */
+class MemoryCacheDriver {
+  constructor({ maxEntries }) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.tags = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : null,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async del(keys) {
+    keys.forEach((key) => this.entries.delete(key));
+  }
+
+  async keys(pattern) {
+    const regex = globToRegExp(pattern);
+    return [...this.entries.keys()].filter((key) => regex.test(key));
+  }
+
+  async tag(tags, key) {
+    tags.forEach((tag) => {
+      if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+      this.tags.get(tag).add(key);
+    });
+  }
+
+  async popTagged(tag) {
+    const keys = [...(this.tags.get(tag) || [])];
+    this.tags.delete(tag);
+    return keys;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.tags.clear();
+  }
+
+  async close() {}
+}
+
+/**
+ * Redis-backed cache shared between app instances. Tags are stored as redis
+ * sets of keys. Commands fail fast while disconnected instead of queueing.
+ */
+class RedisCacheDriver {
+  constructor({ redisUrl, prefix }) {
+    this.prefix = prefix;
+    this.client = createRedisClient("cache", { url: redisUrl });
+  }
+
+  // Until the connection is ready every operation is a miss
+  async getClient() {
+    if (!this.client.isReady) {
+      throw new Error("Redis cache is not connected");
+    }
+    return this.client;
+  }
+
+  prefixed(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  tagKey(tag) {
+    return this.prefixed(`tag:${tag}`);
+  }
+
+  async get(key) {
+    const client = await this.getClient();
+    return client.get(this.prefixed(key));
+  }
+
+  async set(key, value, ttlSeconds) {
+    const client = await this.getClient();
+    const options = ttlSeconds > 0 ? { EX: ttlSeconds } : undefined;
+    await client.set(this.prefixed(key), value, options);
+  }
+
+  async del(keys) {
+    if (keys.length === 0) return;
+    const client = await this.getClient();
+    await client.del(keys.map((key) => this.prefixed(key)));
+  }
+
+  async keys(pattern) {
+    const client = await this.getClient();
+    const keys = [];
+    for await (const key of client.scanIterator({
+      MATCH: this.prefixed(pattern),
+      COUNT: 100,
+    })) {
+      keys.push(key.slice(this.prefix.length));
+    }
+    return keys;
+  }
+
+  async tag(tags, key) {
+    const client = await this.getClient();
+    const multi = client.multi();
+    tags.forEach((tag) => multi.sAdd(this.tagKey(tag), key));
+    await multi.exec();
+  }
+
+  async popTagged(tag) {
+    const client = await this.getClient();
+    const [keys] = await client
+      .multi()
+      .sMembers(this.tagKey(tag))
+      .del(this.tagKey(tag))
+      .exec();
+    return keys || [];
+  }
+
+  async clear() {
+    const keys = await this.keys("*");
+    await this.del(keys);
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+const DRIVERS = {
+  memory: MemoryCacheDriver,
+  redis: RedisCacheDriver,
+};
+
+/**
+ * Cache facade used by the app.
+ *
+ * The cache is an optimisation only: driver errors are logged and treated
+ * as a miss (reads) or ignored (writes), never surfaced to the request.
+ */
+class CacheService {
+  constructor(options = {}) {
+    const config = { ...cacheConfig, ...options };
+    const Driver = DRIVERS[config.driver];
+
+    if (!Driver) {
+      throw new Error(
+        `Unknown cache driver "${config.driver}". Use one of: ${Object.keys(
+          DRIVERS
+        ).join(", ")}`
+      );
+    }
+
+    this.defaultTtl = config.defaultTtl;
+    this.driver = new Driver(config);
+  }
+
+  async safely(operation, fallback) {
+    try {
+      const result = await operation();
+      this.lastError = null;
+      return result;
+    } catch (error) {
+      // Log each distinct failure once instead of on every request
+      if (this.lastError !== error.message) {
+        console.error("Cache operation failed:", error.message);
+        this.lastError = error.message;
+      }
+      return fallback;
+    }
+  }
+
+  /**
+   * Get a cached value, or null on miss
+   */
+  async get(key) {
+    return this.safely(async () => {
+      const raw = await this.driver.get(key);
+      return raw === null || raw === undefined ? null : JSON.parse(raw);
+    }, null);
+  }
+
+  /**
+   * Cache a value
+   * @param {string} key
+   * @param {*} value - Any JSON-serializable value
+   * @param {number} [ttlSeconds] - Defaults to CACHE_DEFAULT_TTL
+   * @param {Object} [options]
+   * @param {string[]} [options.tags] - Tags the key can be invalidated by
+   */
+  async set(key, value, ttlSeconds = this.defaultTtl, { tags = [] } = {}) {
+    return this.safely(async () => {
+      await this.driver.set(key, JSON.stringify(value), ttlSeconds);
+      if (tags.length > 0) {
+        await this.driver.tag(tags, key);
+      }
+    });
+  }
+
+  /**
+   * Delete keys. Keys containing `*` are treated as glob patterns.
+   */
+  async del(...keys) {
+    return this.safely(async () => {
+      const exact = keys.flat().filter((key) => !key.includes("*"));
+      const patterns = keys.flat().filter((key) => key.includes("*"));
+
+      await this.driver.del(exact);
+      for (const pattern of patterns) {
+        await this.driver.del(await this.driver.keys(pattern));
+      }
+    });
+  }
+
+  /**
+   * Delete every key cached with any of the given tags
+   */
+  async invalidateTags(...tags) {
+    return this.safely(async () => {
+      for (const tag of tags.flat()) {
+        await this.driver.del(await this.driver.popTagged(tag));
+      }
+    });
+  }
+
+  /**
+   * Return the cached value for key, or compute, cache and return it
+   */
+  async wrap(key, ttlSeconds, loader, options = {}) {
+    const cached = await this.get(key);
+    if (cached !== null) return cached;
+
+    const value = await loader();
+    if (value !== null && value !== undefined) {
+      await this.set(key, value, ttlSeconds, options);
+    }
+    return value;
+  }
+
+  async clear() {
+    return this.safely(() => this.driver.clear());
+  }
+
+  async close() {
+    return this.safely(() => this.driver.close());
+  }
+}
+
+module.exports = {
+  CacheService,
+  MemoryCacheDriver,
+  RedisCacheDriver,
+  cacheConfig,
+};
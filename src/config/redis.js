@@ -0,0 +1,54 @@
+const { createClient } = require("redis");
+
+const redisUrl = process.env.REDIS_URL || "redis://localhost:6379";
+
+/**
+ * Create a redis client for one feature (cache, rate limiting, ...).
+ *
+ * The client connects in the background and fails fast while disconnected
+ * instead of queueing commands, so callers can fall back right away. Each
+ * distinct error is logged once until the connection recovers.
+ *
+ * @param {string} label - Shown in log messages
+ * @param {Object} [options] - Extra createClient options
+ */
+const createRedisClient = (label, options = {}) => {
+  const client = createClient({
+    url: redisUrl,
+    disableOfflineQueue: true,
+    ...options,
+  });
+
+  let lastError = null;
+  client.on("error", (error) => {
+    if (lastError !== error.message) {
+      console.error(`Redis ${label} error:`, error.message);
+      lastError = error.message;
+    }
+  });
+  client.on("ready", () => {
+    lastError = null;
+  });
+  client.connect().catch((error) => {
+    console.error(`Redis ${label} connection failed:`, error.message);
+  });
+
+  return client;
+};
+
+/**
+ * Close a client created by createRedisClient
+ */
+const closeRedisClient = async (client) => {
+  if (client.isReady) {
+    await client.quit();
+  } else if (client.isOpen) {
+    await client.disconnect();
+  }
+};
+
+module.exports = {
+  createRedisClient,
+  closeRedisClient,
+  redisUrl,
+};
@@ -7,10 +7,11 @@ const {
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 
-const { TOKEN_KEY, EXPIRES_IN, SALT_ROUNDS } = process.env;
+const { TOKEN_KEY, ACCESS_TOKEN_EXPIRES_IN, SALT_ROUNDS } = process.env;
 
 const tokenKey = TOKEN_KEY || "cyka";
-const tokenExpiry = EXPIRES_IN || "12h";
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+const tokenExpiry = ACCESS_TOKEN_EXPIRES_IN || "15m";
 const saltRounds = SALT_ROUNDS || 10;
 
 const hash = (text) => {
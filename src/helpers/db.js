@@ -1,5 +1,5 @@
 const db = require("../config/db");
-const { DatabaseError } = require("../errors/customErrors");
+const { AppError, DatabaseError } = require("../errors/customErrors");
 
 /**
  * Execute a parameterized query safely
@@ -36,79 +36,111 @@ const executeQuery = async (sql, params = [], logName = 'DB Query') => {
 };
 
 /**
- * Execute multiple queries in a transaction
- * @param {Array<{sql: string, params: Array|Object}>} queries - Array of queries with their parameters
+ * Run a callback inside a transaction on a dedicated pool connection.
+ * Commits when the callback resolves and rolls back when it throws, so
+ * models can run dependent queries (e.g. use an insertId) as one unit.
+ *
+ * @example
+ * const orderId = await withTransaction(async (tx) => {
+ *     const { insertId } = await tx.query('INSERT INTO orders ...', [...]);
+ *     await tx.query('INSERT INTO order_items ...', [insertId, ...]);
+ *     return insertId;
+ * }, 'Create Order');
+ *
+ * @param {(tx: {query: Function}) => Promise<any>} callback - Receives a transaction handle whose
+ *   `query(sql, params, logName)` resolves with the query result
  * @param {string} logName - Name for logging purposes
- * @returns {Promise<Array>} Array of results
+ * @returns {Promise<any>} Whatever the callback returns
  */
-const executeTransaction = async (queries, logName = 'Transaction') => {
-    const connection = await new Promise((resolve, reject) => {
-        db.mysqlConnection.getConnection((err, conn) => {
-            if (err) {
-                console.error(`${logName} Connection Error:`, err);
-                reject(new DatabaseError('Failed to get database connection', err));
-                return;
+const withTransaction = async (callback, logName = 'Transaction') => {
+    let connection;
+    try {
+        connection = await db.pool.promise().getConnection();
+    } catch (err) {
+        console.error(`${logName} Connection Error:`, err);
+        throw new DatabaseError('Failed to get database connection', err);
+    }
+
+    const tx = {
+        query: async (sql, params = [], queryLogName = logName) => {
+            try {
+                const [result] = await connection.query({
+                    sql: sql,
+                    timeout: 40000,
+                    values: params
+                });
+                return result;
+            } catch (error) {
+                console.error(`${queryLogName} SQL: ${sql}`);
+                console.error(`${queryLogName} Params:`, params);
+                console.error(`${queryLogName} Error:`, error);
+                throw new DatabaseError(error.message, error);
             }
-            resolve(conn);
-        });
-    });
+        }
+    };
 
     try {
-        await new Promise((resolve, reject) => {
-            connection.beginTransaction(err => {
-                if (err) {
-                    reject(new DatabaseError('Failed to start transaction', err));
-                    return;
-                }
-                resolve();
-            });
-        });
-
-        const results = [];
-        for (const query of queries) {
-            const result = await new Promise((resolve, reject) => {
-                connection.query(
-                    {
-                        sql: query.sql,
-                        timeout: 40000,
-                        values: query.params
-                    },
-                    (error, result) => {
-                        if (error) {
-                            console.error(`${logName} SQL: ${query.sql}`);
-                            console.error(`${logName} Params:`, query.params);
-                            console.error(`${logName} Error:`, error);
-                            reject(new DatabaseError(error.message, error));
-                            return;
-                        }
-                        resolve(result);
-                    }
-                );
-            });
-            results.push(result);
+        try {
+            await connection.beginTransaction();
+        } catch (err) {
+            throw new DatabaseError('Failed to start transaction', err);
         }
 
-        await new Promise((resolve, reject) => {
-            connection.commit(err => {
-                if (err) {
-                    reject(new DatabaseError('Failed to commit transaction', err));
-                    return;
-                }
-                resolve();
-            });
-        });
+        const result = await callback(tx);
 
-        return results;
+        try {
+            await connection.commit();
+        } catch (err) {
+            throw new DatabaseError('Failed to commit transaction', err);
+        }
+
+        return result;
     } catch (error) {
-        await new Promise(resolve => {
-            connection.rollback(() => resolve());
-        });
+        try {
+            await connection.rollback();
+        } catch (rollbackError) {
+            console.error(`${logName} Rollback Error:`, rollbackError);
+        }
+        // Errors raised by the callback (e.g. business rules) keep their type
+        if (error instanceof AppError) {
+            throw error;
+        }
         throw new DatabaseError(error.message || 'Transaction failed', error);
     } finally {
         connection.release();
     }
 };
 
+/**
+ * Execute multiple queries in a transaction
+ *
+ * A query's `params` may be a function receiving the results collected so far,
+ * so later statements can depend on earlier ones (e.g. a previous insertId).
+ * An optional `validate(result)` hook may throw to abort and roll back.
+ *
+ * @param {Array<{sql: string, params: Array|Object|Function, validate?: Function}>} queries - Array of queries with their parameters
+ * @param {string} logName - Name for logging purposes
+ * @returns {Promise<Array>} Array of results
+ */
+const executeTransaction = async (queries, logName = 'Transaction') => {
+    return withTransaction(async (tx) => {
+        const results = [];
+        for (const query of queries) {
+            const params = typeof query.params === 'function'
+                ? query.params(results)
+                : query.params;
+
+            const result = await tx.query(query.sql, params);
+
+            if (query.validate) {
+                query.validate(result);
+            }
+            results.push(result);
+        }
+        return results;
+    }, logName);
+};
+
 /**
  * Build a safe INSERT query
  * @param {string} table - Table name
@@ -148,6 +180,7 @@ const buildUpdateQuery = (table, data, where) => {
 
 module.exports = {
     executeQuery,
+    withTransaction,
     executeTransaction,
     buildInsertQuery,
     buildUpdateQuery
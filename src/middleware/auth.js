@@ -1,4 +1,23 @@
 const { verifyUserToken, resultObject } = require("../helpers/common");
+const SessionModel = require("../api/v1/auth/sessionModel");
+const RoleModel = require("../api/v1/roles/model");
+const { CacheManager } = require("../utils/cache");
+
+/**
+ * Access tokens carry the session they were issued for; they stop working as
+ * soon as that session is revoked (logout, password change, deactivation).
+ * The role comes from the database, so role changes apply immediately.
+ * @returns {Promise<Object|null>} The authenticated user, or null
+ */
+const getSessionUser = async (decoded) => {
+  if (!decoded.session_id) return null;
+
+  const session = await SessionModel.findActiveSession(
+    decoded.session_id,
+    decoded.id
+  );
+  return session ? { ...decoded, role: session.role } : null;
+};
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -24,8 +43,15 @@ const authenticateToken = async (req, res, next) => {
         .json(resultObject(false, "Invalid or expired token", null, 401));
     }
 
+    const user = await getSessionUser(decoded);
+    if (!user) {
+      return res
+        .status(401)
+        .json(resultObject(false, "Session has ended", null, 401));
+    }
+
     // Set user in request object
-    req.user = decoded;
+    req.user = user;
     next();
   } catch (error) {
     console.error("Authentication error:", error);
@@ -35,28 +61,57 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-const requireAdmin = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return res
-        .status(401)
-        .json(resultObject(false, "Authentication required", null, 401));
-    }
+/**
+ * Whether a user's role grants a permission
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} permission - Permission name, e.g. "orders:update_status"
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (user, permission) => {
+  if (!user) return false;
+  if (user.role === RoleModel.SUPER_ADMIN) return true;
 
-    if (req.user.role !== "admin") {
+  const permissions = await CacheManager.getRolePermissions(user.role);
+  return permissions.includes(permission);
+};
+
+/**
+ * Allow the request only when the user holds every listed permission
+ * @param {...string} permissions - Permission names
+ */
+const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res
+          .status(401)
+          .json(resultObject(false, "Authentication required", null, 401));
+      }
+
+      for (const permission of permissions) {
+        if (!(await hasPermission(req.user, permission))) {
+          return res
+            .status(403)
+            .json(
+              resultObject(
+                false,
+                `Permission required: ${permission}`,
+                null,
+                403
+              )
+            );
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error("Authorization error:", error);
       return res
         .status(403)
-        .json(resultObject(false, "Admin access required", null, 403));
+        .json(resultObject(false, "Access denied", null, 403));
     }
-
-    next();
-  } catch (error) {
-    console.error("Authorization error:", error);
-    return res
-      .status(403)
-      .json(resultObject(false, "Access denied", null, 403));
-  }
-};
+  };
 
 const optionalAuth = async (req, res, next) => {
   try {
@@ -68,8 +123,9 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = await verifyUserToken(token);
-      if (decoded) {
-        req.user = decoded;
+      const user = decoded && (await getSessionUser(decoded));
+      if (user) {
+        req.user = user;
       }
     }
 
@@ -82,6 +138,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
+  hasPermission,
   optionalAuth,
 };
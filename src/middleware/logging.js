@@ -34,23 +34,6 @@ const requestLogger = (req, res, next) => {
     next();
 };
 
-const apiRateLimit = (req, res, next) => {
-    const isAdmin = req.user?.role === 'admin';
-    const isAuthenticated = !!req.user;
-    
-    // Set different limits based on user type
-    if (isAdmin) {
-        req.rateLimit = { max: 1000, window: 3600 }; // 1000/hour for admins
-    } else if (isAuthenticated) {
-        req.rateLimit = { max: 300, window: 3600 }; // 300/hour for users
-    } else {
-        req.rateLimit = { max: 100, window: 3600 }; // 100/hour for guests
-    }
-    
-    next();
-};
-
 module.exports = {
-    requestLogger,
-    apiRateLimit
+    requestLogger
 }
\ No newline at end of file
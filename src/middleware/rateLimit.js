@@ -0,0 +1,267 @@
+const { rateLimit, MemoryStore } = require("express-rate-limit");
+const { verifyUserToken, resultObject } = require("../helpers/common");
+const { createRedisClient, closeRedisClient } = require("../config/redis");
+const RoleModel = require("../api/v1/roles/model");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Rate limit configuration (from environment)
+ *
+ * RATE_LIMIT_STORE   memory | redis (default: memory). Use redis when more
+ *                    than one app instance runs, so limits are shared.
+ * RATE_LIMIT_PREFIX  redis key prefix (default: janah:rl:)
+ */
+const rateLimitConfig = {
+  store: process.env.RATE_LIMIT_STORE || "memory",
+  prefix: process.env.RATE_LIMIT_PREFIX || "janah:rl:",
+};
+
+// Requests per window for the whole API, by kind of client
+const RATE_LIMIT_TIERS = {
+  admin: { max: 1000, windowMs: HOUR },
+  user: { max: 300, windowMs: HOUR },
+  guest: { max: 100, windowMs: HOUR },
+};
+
+// Stricter buckets for endpoints that are attractive to abuse, per IP unless
+// keyed by phone number. failedOnly buckets count only rejected requests.
+const AUTH_RATE_LIMITS = {
+  login: {
+    max: 10,
+    windowMs: 15 * MINUTE,
+    message: "Too many login attempts",
+  },
+  register: {
+    max: 5,
+    windowMs: HOUR,
+    message: "Too many registration attempts",
+  },
+  activate: {
+    max: 10,
+    windowMs: HOUR,
+    message: "Too many activation attempts",
+  },
+  // Code guesses against one account, whichever IPs they come from
+  activateCode: {
+    max: 5,
+    windowMs: HOUR,
+    message: "Too many invalid activation codes",
+    keyBy: "phone",
+    failedOnly: true,
+  },
+  passwordReset: {
+    max: 5,
+    windowMs: HOUR,
+    message: "Too many password reset attempts",
+  },
+};
+
+/**
+ * express-rate-limit store keeping counters in redis, so every app instance
+ * sees the same counts. Each key is a counter that expires with its window.
+ */
+class RedisRateLimitStore {
+  constructor(getClient, prefix) {
+    this.getClient = getClient;
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  client() {
+    const client = this.getClient();
+    if (!client.isReady) {
+      throw new Error("Redis rate limit store is not connected");
+    }
+    return client;
+  }
+
+  async increment(key) {
+    const redisKey = `${this.prefix}${key}`;
+    const [, totalHits, ttl] = await this.client()
+      .multi()
+      .set(redisKey, "0", { PX: this.windowMs, NX: true })
+      .incr(redisKey)
+      .pTTL(redisKey)
+      .exec();
+
+    return {
+      totalHits,
+      resetTime: new Date(Date.now() + (ttl > 0 ? ttl : this.windowMs)),
+    };
+  }
+
+  async decrement(key) {
+    await this.client().decr(`${this.prefix}${key}`);
+  }
+
+  async resetKey(key) {
+    await this.client().del(`${this.prefix}${key}`);
+  }
+
+  async get(key) {
+    const redisKey = `${this.prefix}${key}`;
+    const [hits, ttl] = await this.client()
+      .multi()
+      .get(redisKey)
+      .pTTL(redisKey)
+      .exec();
+
+    if (hits === null) return undefined;
+    return {
+      totalHits: parseInt(hits),
+      resetTime: new Date(Date.now() + Math.max(ttl, 0)),
+    };
+  }
+}
+
+// One redis connection shared by every limiter, opened on first use
+let redisClient = null;
+const getRedisClient = () => {
+  if (!redisClient) {
+    redisClient = createRedisClient("rate limit");
+  }
+  return redisClient;
+};
+
+/**
+ * Each limiter needs its own store instance
+ */
+const createStore = (name) => {
+  switch (rateLimitConfig.store) {
+    case "memory":
+      return new MemoryStore();
+    case "redis":
+      return new RedisRateLimitStore(
+        getRedisClient,
+        `${rateLimitConfig.prefix}${name}:`
+      );
+    default:
+      throw new Error(
+        `Unknown rate limit store "${rateLimitConfig.store}". Use one of: memory, redis`
+      );
+  }
+};
+
+const createLimiter = ({
+  name,
+  windowMs,
+  limit,
+  keyGenerator,
+  message,
+  failedOnly = false,
+}) =>
+  rateLimit({
+    windowMs,
+    limit,
+    keyGenerator,
+    skipSuccessfulRequests: failedOnly,
+    standardHeaders: "draft-6", // RateLimit-Limit/Remaining/Reset
+    legacyHeaders: false,
+    store: createStore(name),
+    // Never lock everyone out because the store is unreachable
+    passOnStoreError: true,
+    handler: (req, res, next, options) => {
+      const minutes = Math.max(
+        1,
+        Math.ceil((req.rateLimit.resetTime - Date.now()) / MINUTE)
+      );
+      res
+        .status(options.statusCode)
+        .json(
+          resultObject(
+            false,
+            `${message}. Please try again in ${minutes} minute(s).`
+          )
+        );
+    },
+  });
+
+/**
+ * Work out who is calling before authentication runs. The token signature is
+ * checked, so a client cannot claim another user's (or a higher) tier.
+ */
+const identifyClient = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token =
+      authHeader && authHeader.startsWith("Bearer ")
+        ? authHeader.substring(7)
+        : null;
+    const decoded = token ? await verifyUserToken(token) : null;
+
+    if (decoded) {
+      req.rateLimitClient = {
+        // Staff accounts of any role get the admin tier
+        tier: decoded.role === RoleModel.DEFAULT_ROLE ? "user" : "admin",
+        key: `user:${decoded.id}`,
+      };
+    } else {
+      req.rateLimitClient = { tier: "guest", key: `ip:${req.ip}` };
+    }
+  } catch (error) {
+    req.rateLimitClient = { tier: "guest", key: `ip:${req.ip}` };
+  }
+  next();
+};
+
+/**
+ * Whole-API limit: per user for authenticated requests, per IP for guests
+ */
+const apiRateLimit = [
+  identifyClient,
+  createLimiter({
+    name: "api",
+    windowMs: HOUR,
+    limit: (req) => RATE_LIMIT_TIERS[req.rateLimitClient.tier].max,
+    keyGenerator: (req) => req.rateLimitClient.key,
+    message: "Too many requests",
+  }),
+];
+
+/**
+ * Key for buckets limited per phone number; requests without one fall back
+ * to the caller's IP
+ */
+const phoneKey = (req) => {
+  const digits = String(req.body?.phone_number || "").replace(/\D/g, "");
+  return digits ? `phone:${digits}` : `ip:${req.ip}`;
+};
+
+/**
+ * Per-IP (or per-phone) limits for individual auth endpoints
+ */
+const authRateLimit = {};
+Object.entries(AUTH_RATE_LIMITS).forEach(([name, bucket]) => {
+  authRateLimit[name] = createLimiter({
+    name,
+    windowMs: bucket.windowMs,
+    limit: bucket.max,
+    keyGenerator: bucket.keyBy === "phone" ? phoneKey : (req) => req.ip,
+    message: bucket.message,
+    failedOnly: bucket.failedOnly,
+  });
+});
+
+/**
+ * Close the redis connection, if one was opened
+ */
+const closeRateLimitStore = async () => {
+  if (redisClient) {
+    await closeRedisClient(redisClient);
+  }
+};
+
+module.exports = {
+  apiRateLimit,
+  authRateLimit,
+  closeRateLimitStore,
+  RedisRateLimitStore,
+  RATE_LIMIT_TIERS,
+  AUTH_RATE_LIMITS,
+};
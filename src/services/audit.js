@@ -0,0 +1,102 @@
+const AuditLogModel = require("../api/v1/audit/model");
+const { Logger } = require("../utils/logger");
+
+// Never copied into the audit log
+const REDACTED_FIELDS = ["password", "code_hash", "refresh_token_hash"];
+
+// Change on every write, so they would only add noise to a diff
+const IGNORED_FIELDS = ["created_at", "updated_at"];
+
+const isNumeric = (value) =>
+  value !== null && value !== "" && !Array.isArray(value) && !isNaN(value);
+
+// DECIMAL columns come back as strings ("10.00"), request values as numbers
+const isSameValue = (a, b) => {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) === Number(b);
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+};
+
+const sanitize = (record) => {
+  if (!record) return null;
+
+  const clean = {};
+  Object.entries(record).forEach(([field, value]) => {
+    if (REDACTED_FIELDS.includes(field) || IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+    clean[field] = value;
+  });
+  return clean;
+};
+
+class AuditService {
+  /**
+   * Fields that differ between two versions of a record. For a creation
+   * (no before) or deletion (no after) the whole record is kept.
+   * @param {Object|null} before - Record before the change
+   * @param {Object|null} after - Record after the change
+   * @returns {Object|null} { before, after } with only changed fields, or
+   *   null when nothing changed
+   */
+  static diff(before, after) {
+    const cleanBefore = sanitize(before);
+    const cleanAfter = sanitize(after);
+
+    if (!cleanBefore || !cleanAfter) {
+      return cleanBefore || cleanAfter
+        ? { before: cleanBefore, after: cleanAfter }
+        : null;
+    }
+
+    const changes = { before: {}, after: {} };
+    Object.keys(cleanAfter).forEach((field) => {
+      if (!isSameValue(cleanBefore[field], cleanAfter[field])) {
+        changes.before[field] = cleanBefore[field] ?? null;
+        changes.after[field] = cleanAfter[field];
+      }
+    });
+
+    return Object.keys(changes.after).length > 0 ? changes : null;
+  }
+
+  /**
+   * Record a privileged action. Never throws: the action has already
+   * happened, so a failure to audit it is logged rather than reported to the
+   * client as if the action failed.
+   * @param {Object} req - Request of the acting user
+   * @param {Object} entry - { action, entityType, entityId, before, after,
+   *   metadata }
+   */
+  static async record(req, entry) {
+    const {
+      action,
+      entityType,
+      entityId = null,
+      before = null,
+      after = null,
+      metadata = null,
+    } = entry;
+    const actor = req.user || {};
+    const userAgent = req.get ? req.get("user-agent") : null;
+
+    try {
+      await AuditLogModel.create({
+        actor_id: actor.id || null,
+        actor_role: actor.role || null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId === null ? null : String(entityId),
+        changes: AuditService.diff(before, after),
+        metadata,
+        ip_address: req.ip || null,
+        user_agent: userAgent ? userAgent.substring(0, 255) : null,
+      });
+
+      Logger.admin(action, actor.id, entityId, { entityType });
+    } catch (error) {
+      Logger.error(`Failed to write audit log entry for ${action}`, error);
+    }
+  }
+}
+
+module.exports = { AuditService };
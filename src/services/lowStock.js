@@ -0,0 +1,87 @@
+const LowStockAlertModel = require("../api/v1/warehouses/lowStockAlertModel");
+const RoleModel = require("../api/v1/roles/model");
+const { NotificationService } = require("./notification");
+
+/**
+ * Low-stock check configuration (from environment)
+ *
+ * LOW_STOCK_CHECK_INTERVAL_MS  how often stock is checked, 0 disables the
+ *                              worker, e.g. when the stock:check-low script
+ *                              is scheduled instead (default: 900000)
+ */
+const lowStockConfig = {
+  checkIntervalMs: parseInt(process.env.LOW_STOCK_CHECK_INTERVAL_MS ?? 900000),
+};
+
+// Staff with this permission are sent new low-stock alerts by SMS
+const ALERT_PERMISSION = "stock_alerts:receive";
+
+/**
+ * Detects items crossing their reorder level. Items that fell below it get
+ * an alert, which staff see in the admin panel and are sent by SMS; alerts
+ * of items that are back up are resolved.
+ */
+class LowStockService {
+  static worker = null;
+  static currentRun = null;
+
+  /**
+   * Resolve recovered alerts, open alerts for new crossings and notify staff
+   * @returns {Promise<Object>} { opened, resolved, notified }
+   */
+  static async checkStock() {
+    const resolved = await LowStockAlertModel.resolveRecovered();
+    const alerts = await LowStockAlertModel.openNewAlerts();
+
+    let notified = 0;
+    if (alerts.length > 0) {
+      const recipients = await RoleModel.getUsersWithPermission(
+        ALERT_PERMISSION
+      );
+      for (const user of recipients) {
+        await NotificationService.sendLowStockAlert(user, alerts);
+      }
+      notified = recipients.length;
+    }
+
+    return { opened: alerts.length, resolved, notified };
+  }
+
+  /**
+   * Check stock in the background (LOW_STOCK_CHECK_INTERVAL_MS)
+   */
+  static startWorker(intervalMs = lowStockConfig.checkIntervalMs) {
+    if (LowStockService.worker || !intervalMs) return;
+
+    let lastError = null;
+    LowStockService.worker = setInterval(() => {
+      // Skip a tick while the previous check is still going
+      if (LowStockService.currentRun) return;
+
+      LowStockService.currentRun = LowStockService.checkStock()
+        .then(() => (lastError = null))
+        .catch((error) => {
+          if (lastError !== error.message) {
+            console.error("Low stock check failed:", error.message);
+            lastError = error.message;
+          }
+        })
+        .finally(() => (LowStockService.currentRun = null));
+    }, intervalMs);
+    LowStockService.worker.unref();
+  }
+
+  /**
+   * Stop checking and wait for a check in progress to finish
+   */
+  static async stopWorker() {
+    clearInterval(LowStockService.worker);
+    LowStockService.worker = null;
+    await LowStockService.currentRun;
+  }
+}
+
+module.exports = {
+  LowStockService,
+  lowStockConfig,
+};
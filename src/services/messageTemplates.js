@@ -0,0 +1,123 @@
+/**
+ * Built-in notification message templates, keyed by event and locale.
+ *
+ * Admins can override any template (message_templates table); these are
+ * used when there is no override.
+ *
+ * Syntax:
+ *   {{name}}                    replaced with the variable
+ *   {{#name}}...{{/name}}       kept only when the variable is not empty
+ */
+
+const LOCALES = ["ar", "en"];
+
+// Locale for users without a preference, DEFAULT_LOCALE (default: ar)
+const DEFAULT_LOCALE = LOCALES.includes(process.env.DEFAULT_LOCALE)
+  ? process.env.DEFAULT_LOCALE
+  : "ar";
+
+const MESSAGE_TEMPLATES = {
+  order_placed: {
+    description: "Sent to the customer when an order is placed",
+    variables: ["order_number", "total", "first_name"],
+    en: "Order confirmed! Your order #{{order_number}} has been received and is being processed. Total: {{total}} IQD. We'll notify you when it's ready for shipment.",
+    ar: "تم استلام طلبك رقم #{{order_number}} وجاري تجهيزه. المبلغ الإجمالي: {{total}} د.ع. سنبلغك عندما يصبح جاهزاً للشحن.",
+  },
+  order_confirmed: {
+    description: "Order status changed to confirmed",
+    variables: ["order_number", "total", "first_name"],
+    en: "Your order #{{order_number}} has been confirmed and is being prepared for shipment.",
+    ar: "تم تأكيد طلبك رقم #{{order_number}} وجاري تجهيزه للشحن.",
+  },
+  order_ready_to_ship: {
+    description: "Order status changed to ready to ship",
+    variables: ["order_number", "total", "first_name"],
+    en: "Great news! Your order #{{order_number}} is ready for shipment and will be sent out soon.",
+    ar: "أخبار رائعة! طلبك رقم #{{order_number}} جاهز للشحن وسيتم إرساله قريباً.",
+  },
+  order_shipped: {
+    description: "Order status changed to shipped",
+    variables: ["order_number", "total", "first_name"],
+    en: "Your order #{{order_number}} has been shipped! Please prepare the cash payment of {{total}} IQD upon delivery.",
+    ar: "تم شحن طلبك رقم #{{order_number}}! يرجى تجهيز مبلغ {{total}} د.ع نقداً عند الاستلام.",
+  },
+  order_delivered: {
+    description: "Order status changed to delivered",
+    variables: ["order_number", "total", "first_name"],
+    en: "Your order #{{order_number}} has been delivered successfully. Thank you for your business!",
+    ar: "تم توصيل طلبك رقم #{{order_number}} بنجاح. شكراً لتسوقك معنا!",
+  },
+  order_cancelled: {
+    description: "Order status changed to cancelled",
+    variables: ["order_number", "total", "first_name", "reason"],
+    en: "Your order #{{order_number}} has been cancelled.{{#reason}} Reason: {{reason}}{{/reason}}",
+    ar: "تم إلغاء طلبك رقم #{{order_number}}.{{#reason}} السبب: {{reason}}{{/reason}}",
+  },
+  account_activated: {
+    description: "Sent when an admin activates an account",
+    variables: ["first_name"],
+    en: "Hi {{first_name}}! Great news - your Janah account has been activated! You can now access all our products and start shopping. Welcome aboard! 🎉",
+    ar: "مرحباً {{first_name}}! تم تفعيل حسابك في جنة. يمكنك الآن تصفح جميع منتجاتنا والبدء بالتسوق. أهلاً بك! 🎉",
+  },
+  password_reset: {
+    description: "Password reset code",
+    variables: ["code", "minutes", "first_name"],
+    en: "Your Janah password reset code is: {{code}}. This code expires in {{minutes}} minutes. If you didn't request this, please ignore this message.",
+    ar: "رمز إعادة تعيين كلمة المرور في جنة هو: {{code}}. تنتهي صلاحية الرمز خلال {{minutes}} دقائق. إذا لم تطلب ذلك، يرجى تجاهل هذه الرسالة.",
+  },
+  low_stock: {
+    description: "Sent to staff when items fall below their reorder level",
+    variables: ["count", "items", "more", "first_name"],
+    en: "Low stock: {{count}} item(s) fell below their reorder level: {{items}}{{#more}} and {{more}} more{{/more}}.",
+    ar: "تنبيه المخزون: {{count}} من المنتجات أصبحت دون حد إعادة الطلب: {{items}}{{#more}} و{{more}} غيرها{{/more}}.",
+  },
+};
+
+const SECTION_PATTERN = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const VARIABLE_PATTERN = /\{\{\s*([#/]?)(\w+)\s*\}\}/g;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * Fill a template with variables
+ * @param {string} body - Template text
+ * @param {Object} variables - Values by name
+ * @returns {string}
+ */
+const renderTemplate = (body, variables = {}) =>
+  body
+    .replace(SECTION_PATTERN, (match, name, content) =>
+      isEmpty(variables[name]) ? "" : content
+    )
+    .replace(VARIABLE_PATTERN, (match, marker, name) =>
+      marker || isEmpty(variables[name]) ? "" : String(variables[name])
+    );
+
+/**
+ * Variable names used by a template, including section names
+ * @param {string} body - Template text
+ * @returns {string[]}
+ */
+const getTemplateVariables = (body) => [
+  ...new Set([...body.matchAll(VARIABLE_PATTERN)].map((match) => match[2])),
+];
+
+/**
+ * Format an amount the way it appears in messages (e.g. 25,000)
+ */
+const formatAmount = (amount) =>
+  Number(amount).toLocaleString("en-US", { maximumFractionDigits: 2 });
+
+const resolveLocale = (locale) =>
+  LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+
+module.exports = {
+  MESSAGE_TEMPLATES,
+  LOCALES,
+  DEFAULT_LOCALE,
+  renderTemplate,
+  getTemplateVariables,
+  formatAmount,
+  resolveLocale,
+};
@@ -0,0 +1,372 @@
+const NotificationModel = require("../api/v1/notifications/model");
+const MessageTemplateModel = require("../api/v1/notifications/templateModel");
+const UserModel = require("../api/v1/auth/model");
+const { createSmsDriver } = require("./smsDrivers");
+const {
+  MESSAGE_TEMPLATES,
+  DEFAULT_LOCALE,
+  renderTemplate,
+  formatAmount,
+  resolveLocale,
+} = require("./messageTemplates");
+
+/**
+ * Notification outbox configuration (from environment)
+ *
+ * NOTIFICATION_MAX_ATTEMPTS        delivery attempts per message (default: 5)
+ * NOTIFICATION_RETRY_BASE_SECONDS  first retry delay, doubled on every
+ *                                  further attempt (default: 30)
+ * NOTIFICATION_RETRY_MAX_SECONDS   longest retry delay (default: 3600)
+ * NOTIFICATION_WORKER_INTERVAL_MS  outbox polling interval, 0 disables the
+ *                                  worker (default: 15000)
+ */
+const {
+  NOTIFICATION_MAX_ATTEMPTS,
+  NOTIFICATION_RETRY_BASE_SECONDS,
+  NOTIFICATION_RETRY_MAX_SECONDS,
+  NOTIFICATION_WORKER_INTERVAL_MS,
+} = process.env;
+
+const notificationConfig = {
+  maxAttempts: parseInt(NOTIFICATION_MAX_ATTEMPTS) || 5,
+  retryBaseSeconds: parseInt(NOTIFICATION_RETRY_BASE_SECONDS) || 30,
+  retryMaxSeconds: parseInt(NOTIFICATION_RETRY_MAX_SECONDS) || 3600,
+  workerIntervalMs: parseInt(NOTIFICATION_WORKER_INTERVAL_MS ?? 15000),
+};
+
+// Items named in a low-stock SMS, the rest are counted
+const LOW_STOCK_LISTED_ITEMS = 5;
+
+/**
+ * Sends customer notifications through the outbox.
+ *
+ * Every message is stored before it is sent. Delivery is attempted right
+ * away; failures are recorded on the notification and retried with
+ * exponential backoff by the outbox worker. Sending never throws, so a
+ * notification problem cannot fail the request that triggered it.
+ */
+class NotificationService {
+  static TYPES = {
+    ORDER_PLACED: "order_placed",
+    ORDER_STATUS: "order_status",
+    ACCOUNT_ACTIVATED: "account_activated",
+    PASSWORD_RESET: "password_reset",
+    LOW_STOCK: "low_stock",
+  };
+
+  static smsDriver = createSmsDriver();
+
+  static worker = null;
+  static currentRun = null;
+
+  /**
+   * Delay before the next attempt after `attempts` failed ones
+   * @param {number} attempts - Attempts made so far (>= 1)
+   * @returns {number} Seconds
+   */
+  static getRetryDelay(attempts) {
+    const { retryBaseSeconds, retryMaxSeconds } = notificationConfig;
+    return Math.min(retryBaseSeconds * 2 ** (attempts - 1), retryMaxSeconds);
+  }
+
+  /**
+   * Queue an SMS and try to deliver it right away
+   * @param {Object} message
+   * @param {string} message.to - Phone number
+   * @param {string} message.body - Message text
+   * @param {string} message.type - One of NotificationService.TYPES
+   * @param {number} [message.userId] - Recipient user, if known
+   * @param {Object} [message.reference] - Related record, e.g. { type: "order", id }
+   * @param {boolean} [message.sensitive] - Drop the body once it is no longer
+   *   needed for delivery (one-time codes)
+   * @param {Date} [message.expiresAt] - Do not deliver after this time
+   * @returns {Promise<Object|null>} The notification, or null if it could not
+   *   be queued
+   */
+  static async sendSms({
+    to,
+    body,
+    type,
+    userId = null,
+    reference = null,
+    sensitive = false,
+    expiresAt = null,
+  }) {
+    let notification;
+    try {
+      notification = await NotificationModel.create({
+        channel: "sms",
+        type,
+        recipient: to,
+        body,
+        is_sensitive: sensitive,
+        user_id: userId,
+        reference_type: reference ? reference.type : null,
+        reference_id: reference ? reference.id : null,
+        max_attempts: notificationConfig.maxAttempts,
+        expires_at: expiresAt,
+      });
+    } catch (error) {
+      console.error(`Failed to queue ${type} notification:`, error.message);
+      return null;
+    }
+
+    return NotificationService.deliver(notification.id);
+  }
+
+  /**
+   * Make one delivery attempt for a queued notification, if it is due
+   * @param {number} id - Notification ID
+   * @returns {Promise<Object|null>} The notification after the attempt
+   */
+  static async deliver(id) {
+    try {
+      const notification = await NotificationModel.claim(id);
+      if (!notification) {
+        return await NotificationModel.findById(id);
+      }
+
+      if (
+        notification.expires_at &&
+        new Date(notification.expires_at) <= new Date()
+      ) {
+        await NotificationModel.markExpired(notification);
+        return await NotificationModel.findById(id);
+      }
+
+      const driver = NotificationService.smsDriver;
+      try {
+        const result = await driver.send(
+          notification.recipient,
+          notification.body
+        );
+        await NotificationModel.markSent(notification, {
+          provider: driver.name,
+          providerMessageId: result.providerMessageId,
+        });
+      } catch (error) {
+        const retryInSeconds =
+          notification.attempts < notification.max_attempts
+            ? NotificationService.getRetryDelay(notification.attempts)
+            : null;
+
+        console.error(
+          `Notification ${id} (${notification.type}) attempt ${notification.attempts} failed:`,
+          error.message
+        );
+        await NotificationModel.markAttemptFailed(
+          notification,
+          error.message,
+          retryInSeconds
+        );
+      }
+
+      return await NotificationModel.findById(id);
+    } catch (error) {
+      console.error(`Failed to deliver notification ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Deliver every notification that is due
+   * @param {number} [limit] - Maximum notifications per run
+   * @returns {Promise<number>} Number of notifications attempted
+   */
+  static async processOutbox(limit = 50) {
+    await NotificationModel.releaseStale();
+    const ids = await NotificationModel.findDueIds(limit);
+
+    for (const id of ids) {
+      await NotificationService.deliver(id);
+    }
+
+    return ids.length;
+  }
+
+  /**
+   * Poll the outbox in the background (NOTIFICATION_WORKER_INTERVAL_MS)
+   */
+  static startWorker(intervalMs = notificationConfig.workerIntervalMs) {
+    if (NotificationService.worker || !intervalMs) return;
+
+    let lastError = null;
+    NotificationService.worker = setInterval(() => {
+      // Skip a tick while the previous run is still going
+      if (NotificationService.currentRun) return;
+
+      NotificationService.currentRun = NotificationService.processOutbox()
+        .then(() => (lastError = null))
+        .catch((error) => {
+          if (lastError !== error.message) {
+            console.error("Notification outbox run failed:", error.message);
+            lastError = error.message;
+          }
+        })
+        .finally(() => (NotificationService.currentRun = null));
+    }, intervalMs);
+    NotificationService.worker.unref();
+  }
+
+  /**
+   * Stop polling and wait for a run in progress to finish
+   */
+  static async stopWorker() {
+    clearInterval(NotificationService.worker);
+    NotificationService.worker = null;
+    await NotificationService.currentRun;
+  }
+
+  // ============ MESSAGES ============
+
+  /**
+   * Render a message template in a locale, using the admin override when
+   * there is one. Falls back to the built-in template if overrides cannot
+   * be loaded.
+   * @param {string} event - Key of MESSAGE_TEMPLATES
+   * @param {string} locale - Preferred locale
+   * @param {Object} variables - Template variables
+   * @returns {Promise<string>} Message text
+   */
+  static async renderMessage(event, locale, variables) {
+    const resolvedLocale = resolveLocale(locale);
+    let body = MESSAGE_TEMPLATES[event][resolvedLocale];
+
+    try {
+      const override = await MessageTemplateModel.findOverride(
+        event,
+        resolvedLocale
+      );
+      if (override) body = override.body;
+    } catch (error) {
+      console.error(`Failed to load ${event} template:`, error.message);
+    }
+
+    return renderTemplate(body, variables);
+  }
+
+  /**
+   * Preferred language of a user, or the default locale
+   */
+  static async getUserLocale(userId) {
+    if (!userId) return DEFAULT_LOCALE;
+
+    try {
+      const user = await UserModel.findById(userId);
+      return resolveLocale(user && user.preferred_language);
+    } catch (error) {
+      return DEFAULT_LOCALE;
+    }
+  }
+
+  static async sendPasswordResetCode(user, code, expiresInMinutes) {
+    const body = await NotificationService.renderMessage(
+      "password_reset",
+      user.preferred_language,
+      { code, minutes: expiresInMinutes, first_name: user.first_name }
+    );
+
+    return NotificationService.sendSms({
+      to: user.phone_number,
+      body,
+      type: NotificationService.TYPES.PASSWORD_RESET,
+      userId: user.id,
+      sensitive: true,
+      // A late code is useless, stop retrying once it has expired
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60000),
+    });
+  }
+
+  static async sendAccountActivated(user) {
+    const body = await NotificationService.renderMessage(
+      "account_activated",
+      user.preferred_language,
+      { first_name: user.first_name }
+    );
+
+    return NotificationService.sendSms({
+      to: user.phone_number,
+      body,
+      type: NotificationService.TYPES.ACCOUNT_ACTIVATED,
+      userId: user.id,
+    });
+  }
+
+  /**
+   * Tell a staff member which items fell below their reorder level
+   * @param {Object} user - Recipient
+   * @param {Array} alerts - New low-stock alerts with their items
+   */
+  static async sendLowStockAlert(user, alerts) {
+    const listed = alerts.slice(0, LOW_STOCK_LISTED_ITEMS);
+    const body = await NotificationService.renderMessage(
+      "low_stock",
+      user.preferred_language,
+      {
+        count: alerts.length,
+        items: listed
+          .map((alert) => `${alert.full_code} (${alert.stock_quantity})`)
+          .join(", "),
+        more: alerts.length - listed.length || null,
+        first_name: user.first_name,
+      }
+    );
+
+    return NotificationService.sendSms({
+      to: user.phone_number,
+      body,
+      type: NotificationService.TYPES.LOW_STOCK,
+      userId: user.id,
+    });
+  }
+
+  /**
+   * Send an order message to the customer in their language
+   */
+  static async sendOrderMessage(order, event, type, variables = {}) {
+    const locale = await NotificationService.getUserLocale(order.user_id);
+    const body = await NotificationService.renderMessage(event, locale, {
+      order_number: order.order_number,
+      total: formatAmount(order.total_amount),
+      first_name: order.first_name,
+      ...variables,
+    });
+
+    return NotificationService.sendSms({
+      to: order.customer_phone,
+      body,
+      type,
+      userId: order.user_id,
+      reference: { type: "order", id: order.id },
+    });
+  }
+
+  static async sendOrderPlaced(order) {
+    return NotificationService.sendOrderMessage(
+      order,
+      "order_placed",
+      NotificationService.TYPES.ORDER_PLACED
+    );
+  }
+
+  /**
+   * Tell the customer about status changes they care about; other status
+   * changes are not sent
+   */
+  static async sendOrderStatusUpdate(order, status, notes) {
+    const event = `order_${status}`;
+    if (!MESSAGE_TEMPLATES[event]) return null;
+
+    return NotificationService.sendOrderMessage(
+      order,
+      event,
+      NotificationService.TYPES.ORDER_STATUS,
+      { reason: notes }
+    );
+  }
+}
+
+module.exports = {
+  NotificationService,
+  notificationConfig,
+};
@@ -0,0 +1,154 @@
+const fs = require("fs");
+
+/**
+ * SMS driver configuration (from environment)
+ *
+ * SMS_DRIVER    twilio | console | memory (default: twilio)
+ * SMS_LOG_FILE  console driver: also append messages to this file (optional)
+ *
+ * Every driver implements send(to, body) and resolves with
+ * { providerMessageId, status }, or throws if the message was not accepted.
+ */
+const smsConfig = {
+  driver: process.env.SMS_DRIVER || "twilio",
+  logFile: process.env.SMS_LOG_FILE || null,
+};
+
+/**
+ * Sends through Twilio (production)
+ */
+class TwilioSmsDriver {
+  constructor() {
+    this.name = "twilio";
+    // Loaded lazily so other drivers never validate Twilio credentials
+    this.twilio = require("./twilio");
+  }
+
+  async send(to, body) {
+    const response = await this.twilio.sendSMS(to, body);
+    return { providerMessageId: response.sid, status: response.status };
+  }
+}
+
+/**
+ * Logs messages instead of sending them (local development)
+ */
+class ConsoleSmsDriver {
+  constructor({ logFile }) {
+    this.name = "console";
+    this.logFile = logFile;
+    this.count = 0;
+  }
+
+  async send(to, body) {
+    const providerMessageId = `CONSOLE${Date.now()}${this.count++}`;
+
+    console.log(`📱 [sms] to ${to}: ${body}`);
+
+    if (this.logFile) {
+      const line = JSON.stringify({
+        id: providerMessageId,
+        to,
+        body,
+        sent_at: new Date(),
+      });
+      await fs.promises.appendFile(this.logFile, `${line}\n`);
+    }
+
+    return { providerMessageId, status: "delivered" };
+  }
+}
+
+/**
+ * Keeps messages in memory so tests can read what was "sent"
+ */
+class MemorySmsDriver {
+  static MAX_MESSAGES = 100;
+
+  constructor() {
+    this.name = "memory";
+    this.messages = [];
+    this.failures = 0;
+  }
+
+  async send(to, body) {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error("Simulated SMS failure");
+    }
+
+    const message = {
+      providerMessageId: `MEMORY${Date.now()}${this.messages.length}`,
+      to,
+      body,
+      sent_at: new Date(),
+    };
+
+    this.messages.push(message);
+    if (this.messages.length > MemorySmsDriver.MAX_MESSAGES) {
+      this.messages.shift();
+    }
+
+    return { providerMessageId: message.providerMessageId, status: "delivered" };
+  }
+
+  /**
+   * Make the next `count` sends throw, to exercise retries
+   */
+  failNext(count = 1) {
+    this.failures = count;
+  }
+
+  /**
+   * Messages sent to a phone number, oldest first
+   */
+  getMessages(to) {
+    return this.messages.filter((message) => message.to === to);
+  }
+
+  /**
+   * Most recent message sent to a phone number, or null
+   */
+  getLastMessage(to) {
+    const messages = this.getMessages(to);
+    return messages.length > 0 ? messages[messages.length - 1] : null;
+  }
+
+  clear() {
+    this.messages = [];
+    this.failures = 0;
+  }
+}
+
+const DRIVERS = {
+  twilio: TwilioSmsDriver,
+  console: ConsoleSmsDriver,
+  memory: MemorySmsDriver,
+};
+
+/**
+ * Create the configured SMS driver
+ * @param {Object} [options] - Overrides for smsConfig
+ */
+const createSmsDriver = (options = {}) => {
+  const config = { ...smsConfig, ...options };
+  const Driver = DRIVERS[config.driver];
+
+  if (!Driver) {
+    throw new Error(
+      `Unknown SMS driver "${config.driver}". Use one of: ${Object.keys(
+        DRIVERS
+      ).join(", ")}`
+    );
+  }
+
+  return new Driver(config);
+};
+
+module.exports = {
+  createSmsDriver,
+  TwilioSmsDriver,
+  ConsoleSmsDriver,
+  MemorySmsDriver,
+  smsConfig,
+};
@@ -1,4 +1,5 @@
 const twilio = require("twilio");
+const crypto = require("crypto");
 
 const {
   TWILIO_ACCOUNT_SID,
@@ -147,62 +148,6 @@ class TwilioService {
     }
   }
 
-  /**
-   * Send verification code with specific formatting
-   * @param {string} phoneNumber - Phone number
-   * @param {string} code - Verification code
-   * @param {string} type - Type of verification (registration, password_reset)
-   * @returns {Promise<object>} Response
-   */
-  static async sendVerificationCode(phoneNumber, code, type = "registration") {
-    let message;
-
-    switch (type) {
-      case "registration":
-        message = `Welcome to Janah! Your verification code is: ${code}. This code expires in 10 minutes. If you didn't request this, please ignore.`;
-        break;
-      case "password_reset":
-        message = `Your Janah password reset code is: ${code}. This code expires in 10 minutes. If you didn't request this, please ignore this message.`;
-        break;
-      default:
-        message = `Your Janah verification code is: ${code}. This code expires in 10 minutes.`;
-    }
-
-    try {
-      return await this.sendSMS(phoneNumber, message);
-    } catch (error) {
-      // Log the specific context
-      console.error(
-        `Failed to send ${type} verification code to ${phoneNumber.slice(
-          0,
-          5
-        )}***:`,
-        error.message
-      );
-      throw error;
-    }
-  }
-
-  /**
-   * Send account activation notification
-   * @param {string} phoneNumber - Phone number
-   * @param {string} firstName - User's first name
-   * @returns {Promise<object>} Response
-   */
-  static async sendActivationNotification(phoneNumber, firstName) {
-    const message = `Hi ${firstName}! Great news - your Janah account has been activated! You can now access all our products and start shopping. Welcome aboard! 🎉`;
-
-    try {
-      return await this.sendSMS(phoneNumber, message);
-    } catch (error) {
-      console.error(
-        `Failed to send activation notification to ${firstName}:`,
-        error.message
-      );
-      throw error;
-    }
-  }
-
   /**
    * Generate random verification code
    * @param {number} length - Code length (default: 6)
@@ -213,7 +158,7 @@ class TwilioService {
     let code = "";
 
     for (let i = 0; i < length; i++) {
-      code += digits[Math.floor(Math.random() * digits.length)];
+      code += digits[crypto.randomInt(digits.length)];
     }
 
     return code;
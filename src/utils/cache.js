@@ -3,10 +3,22 @@ const { CacheService } = require("../config/cache");
 class CacheManager {
   static cache = new CacheService();
 
+  // Cache tags, used to invalidate groups of keys at once
+  static tags = {
+    categories: "categories",
+    products: "products",
+    analytics: "analytics",
+    roles: "roles",
+  };
+
   // Cache key generators
   static keys = {
     categories: () => "categories:all",
+    categoryList: (options) => `categories:list:${JSON.stringify(options)}`,
     categoryOptions: () => "categories:options",
+    categoriesWithCounts: (includeEmpty) =>
+      `categories:with-counts:${includeEmpty}`,
+    categoryTree: (includeInactive) => `categories:tree:${includeInactive}`,
     categoryWithCount: (id) => `category:${id}:with-count`,
     topCategories: (limit) => `categories:top:${limit}`,
     productsByCategory: (categoryId, page, limit) =>
@@ -16,62 +28,124 @@ class CacheManager {
     productBySlug: (slug) => `product:slug:${slug}`,
     analytics: (type, params) => `analytics:${type}:${JSON.stringify(params)}`,
     searchSuggestions: (query) => `search:suggestions:${query.toLowerCase()}`,
+    rolePermissions: (role) => `role:${role}:permissions`,
   };
 
   // Cache wrapper for category operations
   static async getCategories() {
-    const key = this.keys.categories();
-    let categories = await this.cache.get(key);
+    const result = await this.getCategoryList({});
+    return result.categories;
+  }
+
+  static async getCategoryList(options = {}) {
+    const CategoryModel = require("../api/v1/categories/model");
+
+    return this.cache.wrap(
+      this.keys.categoryList(options),
+      3600, // Cache for 1 hour
+      () => CategoryModel.getAllCategories(options),
+      { tags: [this.tags.categories] }
+    );
+  }
 
-    if (!categories) {
-      const CategoryModel = require("../api/v1/categories/model");
-      const result = await CategoryModel.getAllCategories();
-      categories = result.categories;
-      await this.cache.set(key, categories, 3600); // Cache for 1 hour
-    }
+  static async getCategoryOptions() {
+    const CategoryModel = require("../api/v1/categories/model");
 
-    return categories;
+    return this.cache.wrap(
+      this.keys.categoryOptions(),
+      3600,
+      () => CategoryModel.getCategoryOptions(),
+      { tags: [this.tags.categories] }
+    );
+  }
+
+  // Product counts change with products, so these depend on both tags
+  static async getCategoriesWithCounts(includeEmpty = false) {
+    const CategoryModel = require("../api/v1/categories/model");
+
+    return this.cache.wrap(
+      this.keys.categoriesWithCounts(includeEmpty),
+      900, // Cache for 15 minutes
+      () => CategoryModel.getAllCategoriesWithProductCounts(includeEmpty),
+      { tags: [this.tags.categories, this.tags.products] }
+    );
+  }
+
+  static async getCategoryTree(includeInactive = false) {
+    const CategoryModel = require("../api/v1/categories/model");
+
+    return this.cache.wrap(
+      this.keys.categoryTree(includeInactive),
+      900, // Cache for 15 minutes
+      () => CategoryModel.getCategoryTree(includeInactive),
+      { tags: [this.tags.categories, this.tags.products] }
+    );
   }
 
   // Cache wrapper for featured products
   static async getFeaturedProducts(limit = 10) {
-    const key = this.keys.featuredProducts(limit);
-    let products = await this.cache.get(key);
+    const ProductModel = require("../api/v1/products/model");
+
+    return this.cache.wrap(
+      this.keys.featuredProducts(limit),
+      1800, // Cache for 30 minutes
+      () => ProductModel.getFeaturedProducts(limit),
+      { tags: [this.tags.products, this.tags.categories] }
+    );
+  }
 
-    if (!products) {
-      const ProductModel = require("../api/v1/products/model");
-      const result = await ProductModel.getFeaturedProducts(limit);
-      products = result.products;
-      await this.cache.set(key, products, 1800); // Cache for 30 minutes
-    }
+  // Cache wrapper for analytics reports (short TTL, they are not invalidated on writes)
+  static async getAnalytics(type, params, loader, ttlSeconds = 300) {
+    return this.cache.wrap(
+      this.keys.analytics(type, params),
+      ttlSeconds,
+      loader,
+      { tags: [this.tags.analytics] }
+    );
+  }
+
+  // Checked on every staff request; invalidated whenever a role changes
+  static async getRolePermissions(role) {
+    const RoleModel = require("../api/v1/roles/model");
 
-    return products;
+    return this.cache.wrap(
+      this.keys.rolePermissions(role),
+      300, // Cache for 5 minutes
+      () => RoleModel.getRolePermissions(role),
+      { tags: [this.tags.roles] }
+    );
   }
 
   // Cache invalidation methods
   static async invalidateCategory(categoryId) {
-    const patterns = [
+    await this.cache.invalidateTags(this.tags.categories);
+    await this.cache.del(
       this.keys.categories(),
       this.keys.categoryOptions(),
       this.keys.categoryWithCount(categoryId),
-      this.keys.topCategories("*"),
-    ];
-
-    for (const pattern of patterns) {
-      await this.cache.del(pattern);
-    }
+      this.keys.topCategories("*")
+    );
   }
 
   static async invalidateProduct(productId) {
-    const patterns = [
+    await this.cache.del(
       this.keys.product(productId),
-      this.keys.featuredProducts("*"),
-      "products:*", // Invalidate all product caches
-    ];
+      this.keys.productBySlug("*")
+    );
+    await this.invalidateProducts();
+  }
+
+  static async invalidateProducts() {
+    await this.cache.invalidateTags(this.tags.products);
+    await this.cache.del("products:*"); // Invalidate all product caches
+  }
+
+  static async invalidateAnalytics() {
+    await this.cache.invalidateTags(this.tags.analytics);
+  }
 
-    for (const pattern of patterns) {
-      await this.cache.del(pattern);
-    }
+  static async invalidateRoles() {
+    await this.cache.invalidateTags(this.tags.roles);
   }
 }
 
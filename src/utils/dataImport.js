@@ -1,16 +1,87 @@
 const Papa = require("papaparse");
 const ProductModel = require("../api/v1/products/model");
 const CategoryModel = require("../api/v1/categories/model");
+const ProductVariantModel = require("../api/v1/products/variantModel");
+const VariantOptionTypeModel = require("../api/v1/products/variantOptionModel");
+const StockMovementModel = require("../api/v1/warehouses/stockMovementModel");
 const fs = require("fs").promises;
 
+const PRODUCT_EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "code",
+  "slug",
+  "description",
+  "price",
+  "stock_quantity",
+  "category_id",
+  "category_name",
+  "category_code",
+  "full_code",
+  "weight",
+  "dimensions",
+  "is_active",
+  "is_featured",
+  "image_url",
+  "created_at",
+  "variant_code_suffix",
+  "variant_full_code",
+  "variant_options",
+  "variant_price",
+  "variant_stock_quantity",
+  "variant_is_active",
+];
+
+const PRODUCT_TEMPLATE_COLUMNS = [
+  "name",
+  "code",
+  "description",
+  "price",
+  "stock_quantity",
+  "category_id",
+  "weight",
+  "dimensions",
+  "is_featured",
+  "image_url",
+  "variant_code_suffix",
+  "variant_options",
+  "variant_price",
+  "variant_stock_quantity",
+];
+
+// Variant options are written as "Color=Red; Size=L" in CSV files
+const formatVariantOptions = (options) =>
+  Object.entries(options)
+    .map(([name, value]) => `${name}=${value}`)
+    .join("; ");
+
+const parseVariantOptions = (text) => {
+  const options = {};
+  for (const pair of String(text || "").split(";")) {
+    if (!pair.trim()) continue;
+
+    const [name, ...value] = pair.split("=");
+    if (!name.trim() || !value.join("=").trim()) {
+      throw new Error(`Invalid variant option '${pair.trim()}'`);
+    }
+    options[name.trim()] = value.join("=").trim();
+  }
+  return options;
+};
+
 class DataImporter {
   /**
-   * Import products from CSV
+   * Import products from CSV. Imported stock is recorded in the stock
+   * ledger as an import by `options.userId`.
    */
   static async importProductsFromCSV(filePath, options = {}) {
     try {
       const csvContent = await fs.readFile(filePath, "utf8");
-      const { dryRun = false, skipErrors = false } = options;
+      const { dryRun = false, skipErrors = false, userId = null } = options;
+      const stockMovement = {
+        reason: StockMovementModel.REASONS.IMPORT,
+        created_by: userId,
+      };
 
       const parsed = Papa.parse(csvContent, {
         header: true,
@@ -78,8 +149,17 @@ class DataImporter {
             // to avoid repeated database calls
           }
 
-          if (!dryRun) {
-            await ProductModel.createProduct(productData);
+          if (row.variant_code_suffix) {
+            // Variant rows add a variant to the product, creating the product
+            // from the first row that mentions it
+            await this.importVariantRow(
+              row,
+              productData,
+              dryRun,
+              stockMovement
+            );
+          } else if (!dryRun) {
+            await ProductModel.createProduct(productData, stockMovement);
           }
 
           results.successful++;
@@ -103,6 +183,71 @@ class DataImporter {
     }
   }
 
+  /**
+   * Import one variant row of a product CSV
+   */
+  static async importVariantRow(row, productData, dryRun, stockMovement) {
+    const variantData = {
+      code_suffix: row.variant_code_suffix.trim(),
+      price: row.variant_price ? parseFloat(row.variant_price) : null,
+      stock_quantity: parseInt(row.variant_stock_quantity) || 0,
+      is_active:
+        row.variant_is_active !== "false" && row.variant_is_active !== "0",
+    };
+
+    if (!/^[A-Z0-9]+$/.test(variantData.code_suffix)) {
+      throw new Error(
+        "Variant code suffix must contain only uppercase letters and numbers"
+      );
+    }
+
+    if (variantData.price !== null && !(variantData.price > 0)) {
+      throw new Error("Variant price must be a positive number");
+    }
+
+    const options = parseVariantOptions(row.variant_options);
+    if (Object.keys(options).length === 0) {
+      throw new Error("Variant options are required");
+    }
+
+    const { values, unknown } = await VariantOptionTypeModel.resolveOptionValues(
+      options
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Unknown variant option types: ${unknown.join(", ")}`);
+    }
+
+    if (dryRun) return;
+
+    let product = productData.category_id
+      ? await ProductModel.findProductByCodeAndCategory(
+          productData.code,
+          productData.category_id
+        )
+      : await ProductModel.findByCode(productData.code);
+    if (!product) {
+      product = await ProductModel.createProduct(productData, stockMovement);
+    }
+
+    if (
+      await ProductVariantModel.findBySuffix(
+        product.id,
+        variantData.code_suffix
+      )
+    ) {
+      throw new Error(
+        `Variant code suffix '${variantData.code_suffix}' already exists for this product`
+      );
+    }
+
+    await ProductVariantModel.createVariant(
+      product.id,
+      variantData,
+      values,
+      stockMovement
+    );
+  }
+
   /**
    * Import categories from CSV
    */
@@ -192,7 +337,7 @@ class DataImporter {
         limit: 10000, // Large limit to get all products
       });
 
-      const csvData = productsResult.products.map((product) => ({
+      const productRow = (product) => ({
         id: product.id,
         name: product.name,
         code: product.code, // Include product code
@@ -210,9 +355,24 @@ class DataImporter {
         is_featured: product.is_featured,
         image_url: product.image_url,
         created_at: product.created_at,
-      }));
+      });
 
-      const csv = Papa.unparse(csvData);
+      // One row per variant, or a single row for products without variants
+      const csvData = productsResult.products.flatMap((product) =>
+        product.variants.length > 0
+          ? product.variants.map((variant) => ({
+              ...productRow(product),
+              variant_code_suffix: variant.code_suffix,
+              variant_full_code: variant.full_code,
+              variant_options: formatVariantOptions(variant.options),
+              variant_price: variant.own_price,
+              variant_stock_quantity: variant.stock_quantity,
+              variant_is_active: variant.is_active,
+            }))
+          : [productRow(product)]
+      );
+
+      const csv = Papa.unparse(csvData, { columns: PRODUCT_EXPORT_COLUMNS });
       return csv;
     } catch (error) {
       throw new Error(`Export failed: ${error.message}`);
@@ -279,9 +439,31 @@ class DataImporter {
         is_featured: true,
         image_url: "https://example.com/image2.jpg",
       },
+      // Rows with a variant code suffix add variants to the product
+      {
+        name: "Sample Phone Case",
+        code: "SP003",
+        description: "Phone case sold in several colors",
+        price: 9.99,
+        category_id: 2,
+        variant_code_suffix: "RED",
+        variant_options: "Color=Red; Size=Standard",
+        variant_stock_quantity: 20,
+      },
+      {
+        name: "Sample Phone Case",
+        code: "SP003",
+        description: "Phone case sold in several colors",
+        price: 9.99,
+        category_id: 2,
+        variant_code_suffix: "BLU",
+        variant_options: "Color=Blue; Size=Standard",
+        variant_price: 11.99,
+        variant_stock_quantity: 15,
+      },
     ];
 
-    return Papa.unparse(sampleData);
+    return Papa.unparse(sampleData, { columns: PRODUCT_TEMPLATE_COLUMNS });
   }
 
   /**
@@ -34,4 +34,6 @@ class Logger {
     static admin(action, adminId, targetId = null, details = null) {
         this.info(`ADMIN: ${action}`, { adminId, targetId, ...details });
     }
-}
\ No newline at end of file
+}
+
+module.exports = { Logger };